@@ -30,12 +30,18 @@ import {
   ClipboardList,
   Newspaper,
   Calendar,
+  Building2,
+  BellRing,
+  MailOpen,
 } from "lucide-react";
 
 // Import existing pages
 import Home from "./pages/Home";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
 import Dashboard from "./pages/Dashboard";
 import EnhancedProfile from "./pages/EnhancedProfile";
 import DoctorSearch from "./pages/DoctorSearch";
@@ -61,6 +67,9 @@ import ManageSubscription from "./pages/ManageSubscription";
 import CheckoutSuccess from "./pages/CheckoutSuccess";
 import CheckoutCancel from "./pages/CheckoutCancel";
 import MedicalNews from "./pages/MedicalNews";
+import Organization from "./pages/Organization";
+import JobAlerts from "./pages/JobAlerts";
+import JobInvitations from "./pages/JobInvitations";
 
 // ErrorBoundary component
 class ErrorBoundary extends React.Component {
@@ -132,12 +141,30 @@ const DesktopSidebar = ({ sidebarOpen, setSidebarOpen }) => {
         icon: Newspaper,
         show: !isAdmin(),
       },
+      {
+        label: "Organization",
+        path: "/organization",
+        icon: Building2,
+        show: !isAdmin(),
+      },
     ];
 
     if (isJunior()) {
       return [
         ...baseItems,
         { label: "Browse Jobs", path: "/jobs", icon: Briefcase, show: true },
+        {
+          label: "Job Alerts",
+          path: "/job-alerts",
+          icon: BellRing,
+          show: true,
+        },
+        {
+          label: "Invitations",
+          path: "/job-invitations",
+          icon: MailOpen,
+          show: true,
+        },
         {
           label: "My Applications",
           path: "/applications",
@@ -399,12 +426,30 @@ const NavBar = ({ sidebarOpen }) => {
         icon: Newspaper,
         show: !isAdmin(),
       },
+      {
+        label: "Organization",
+        path: "/organization",
+        icon: Building2,
+        show: !isAdmin(),
+      },
     ];
 
     if (isJunior()) {
       return [
         ...baseItems,
         { label: "Browse Jobs", path: "/jobs", icon: Briefcase, show: true },
+        {
+          label: "Job Alerts",
+          path: "/job-alerts",
+          icon: BellRing,
+          show: true,
+        },
+        {
+          label: "Invitations",
+          path: "/job-invitations",
+          icon: MailOpen,
+          show: true,
+        },
         {
           label: "My Applications",
           path: "/applications",
@@ -702,6 +747,18 @@ const AppContent = () => {
           isAuthenticated ? <Navigate to="/dashboard" replace /> : <Register />
         }
       />
+      <Route
+        path="/forgot-password"
+        element={
+          isAuthenticated ? (
+            <Navigate to="/dashboard" replace />
+          ) : (
+            <ForgotPassword />
+          )
+        }
+      />
+      <Route path="/reset-password/:token" element={<ResetPassword />} />
+      <Route path="/verify-email/:token" element={<VerifyEmail />} />
 
       {/* Subscription Routes (Protected) */}
       <Route
@@ -765,6 +822,16 @@ const AppContent = () => {
           }
         />
 
+        {/* Organization - Active Required */}
+        <Route
+          path="/organization"
+          element={
+            <ProtectedRoute requireActive={true}>
+              <Organization />
+            </ProtectedRoute>
+          }
+        />
+
         {/* Admin Only */}
         <Route
           path="/admin"
@@ -803,6 +870,22 @@ const AppContent = () => {
 
         {/* Job Discovery Routes */}
         <Route path="/jobs" element={<JobBrowse />} />
+        <Route
+          path="/job-alerts"
+          element={
+            <ProtectedRoute roles={["junior"]}>
+              <JobAlerts />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/job-invitations"
+          element={
+            <ProtectedRoute roles={["junior"]}>
+              <JobInvitations />
+            </ProtectedRoute>
+          }
+        />
         <Route path="/jobs/:jobId" element={<JobDetails />} />
 
         {/* Application Routes */}
@@ -34,6 +34,29 @@ export const clearAuthToken = () => {
   delete api.defaults.headers.common["Authorization"];
 };
 
+// Concurrent 401s share one refresh request; the refresh token rotates on
+// every use, so firing several at once would look like token reuse
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post("/auth/refresh", null, { skipAuthRefresh: true })
+      .then((response) => {
+        const { token } = response.data;
+        setAuthToken(token);
+        window.dispatchEvent(
+          new CustomEvent("auth:token-refreshed", { detail: { token } }),
+        );
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request/Response interceptors
 api.interceptors.request.use(
   (config) => {
@@ -61,8 +84,25 @@ api.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Access tokens are short-lived: renew once and replay the request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest.skipAuthRefresh
+    ) {
+      if (!originalRequest._retry) {
+        originalRequest._retry = true;
+        try {
+          await refreshAccessToken();
+          return api(originalRequest);
+        } catch (refreshError) {
+          // Refresh token is missing, expired or revoked - sign out below
+        }
+      }
+
       clearAuthToken();
       window.dispatchEvent(new CustomEvent("auth:unauthorized"));
       if (!window.location.pathname.includes("/login")) {
@@ -168,6 +208,20 @@ export const adminAPI = {
     );
   },
 
+  // === Account Lockout ===
+  getLockedAccounts: () => api.get("/admin/users/locked"),
+  unlockAccount: (userId) => api.put(`/admin/users/${userId}/unlock`),
+
+  // === Admin Sub-roles ===
+  getAdminUsers: () => api.get("/admin/admins"),
+  updateAdminRole: (userId, adminRole) =>
+    api.put(`/admin/admins/${userId}/role`, { adminRole }),
+
+  // === Audit Log ===
+  getAuditLogs: (params = {}) => api.get("/admin/audit-logs", { params }),
+  exportAuditLogs: (params = {}) =>
+    api.get("/admin/audit-logs/export", { params, responseType: "blob" }),
+
   // === Job Management (NEW) ===
   getAllJobs: (params = {}) => {
     const queryParams = new URLSearchParams();
@@ -223,8 +277,28 @@ export const authAPI = {
     return api.post("/auth/register", payload);
   },
 
-  login: (credentials) => api.post("/auth/login", credentials),
-  logout: () => api.get("/auth/logout"),
+  login: (credentials) =>
+    api.post("/auth/login", credentials, { skipAuthRefresh: true }),
+  verifyTwoFactorLogin: (challengeToken, code) =>
+    api.post(
+      "/auth/login/2fa",
+      { challengeToken, code },
+      { skipAuthRefresh: true },
+    ),
+  logout: () => api.get("/auth/logout", { skipAuthRefresh: true }),
+  logoutAll: () => api.post("/auth/logout-all"),
+  getSessions: () => api.get("/auth/sessions"),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  setupTwoFactor: () => api.post("/auth/2fa/setup"),
+  enableTwoFactor: (code) => api.post("/auth/2fa/enable", { code }),
+  disableTwoFactor: (password, code) =>
+    api.post("/auth/2fa/disable", { password, code }),
+  regenerateRecoveryCodes: (code) =>
+    api.post("/auth/2fa/recovery-codes", { code }),
+  getLoginHistory: (limit = 20) =>
+    api.get(`/auth/login-history?limit=${limit}`),
+  requestAccountDeletion: (password, reason) =>
+    api.post("/auth/delete-account", { password, reason }),
   getMe: () => api.get("/auth/me"),
   checkEmailAvailability: (email) => api.post("/auth/check-email", { email }),
   updateDetails: (userData) => {
@@ -240,6 +314,11 @@ export const authAPI = {
   },
   updatePassword: (passwordData) =>
     api.put("/auth/updatepassword", passwordData),
+  forgotPassword: (email) => api.post("/auth/forgotpassword", { email }),
+  resetPassword: (token, password) =>
+    api.put(`/auth/resetpassword/${token}`, { password }),
+  verifyEmail: (token) => api.put(`/auth/verifyemail/${token}`),
+  resendVerification: () => api.post("/auth/resendverification"),
 };
 
 // ============================================================================
@@ -251,6 +330,12 @@ export const profileAPI = {
   getPublicProfile: (identifier) => api.get(`/profile/${identifier}`),
   updateBasic: (profileData) => api.put("/profile/basic", profileData),
 
+  // Personal data export
+  requestDataExport: () => api.get("/profile/export"),
+  getDataExport: () => api.get("/profile/export/latest"),
+  downloadDataExport: (exportId) =>
+    api.get(`/profile/export/${exportId}/download`, { responseType: "blob" }),
+
   uploadPhoto: (photoFile, onProgress) => {
     const formData = new FormData();
     formData.append("profilePhoto", photoFile);
@@ -337,7 +422,8 @@ export const jobAPI = {
   create: (jobData) => api.post("/jobs/create", jobData),
   update: (jobId, jobData) => api.put(`/jobs/${jobId}/update`, jobData),
   delete: (jobId) => api.delete(`/jobs/${jobId}`),
-  getById: (jobId) => api.get(`/jobs/${jobId}`),
+  // params.display_currency adds budget.converted
+  getById: (jobId, params = {}) => api.get(`/jobs/${jobId}`, { params }),
 
   browse: (params = {}) => api.get("/jobs/browse", { params }),
   search: (params = {}) => api.get("/jobs/search", { params }),
@@ -348,14 +434,43 @@ export const jobAPI = {
   pause: (jobId) => api.put(`/jobs/${jobId}/pause`),
   activate: (jobId) => api.put(`/jobs/${jobId}/activate`),
 
-  getAnalytics: (jobId) => api.get(`/jobs/${jobId}/analytics`),
-  trackView: (jobId) => api.post(`/jobs/${jobId}/view`),
+  schedule: (jobId, publishAt) =>
+    api.put(`/jobs/${jobId}/schedule`, { publish_at: publishAt }),
+  cancelSchedule: (jobId) => api.delete(`/jobs/${jobId}/schedule`),
+  extendDeadline: (jobId, data = { days: 7 }) =>
+    api.put(`/jobs/${jobId}/extend-deadline`, data),
+  duplicate: (jobId, data = {}) => api.post(`/jobs/${jobId}/duplicate`, data),
+
+  // Direct invitations (invited_only jobs are open to invitees only)
+  invite: (jobId, doctorIds, message) =>
+    api.post(`/jobs/${jobId}/invitations`, { doctorIds, message }),
+  getInvitations: (jobId) => api.get(`/jobs/${jobId}/invitations`),
+  revokeInvitation: (jobId, doctorId) =>
+    api.delete(`/jobs/${jobId}/invitations/${doctorId}`),
+  getMyInvitations: () => api.get("/jobs/invitations/mine"),
+  acceptInvitation: (jobId) => api.post(`/jobs/${jobId}/invitation/accept`),
+  declineInvitation: (jobId) => api.post(`/jobs/${jobId}/invitation/decline`),
+
+  getAnalytics: (jobId, params = {}) =>
+    api.get(`/jobs/${jobId}/analytics`, { params }),
+
+  // Hiring pipeline; an empty stage list restores the default stages
+  getPipeline: (jobId) => api.get(`/jobs/${jobId}/pipeline`),
+  updatePipeline: (jobId, stages) =>
+    api.put(`/jobs/${jobId}/pipeline`, { stages }),
+  getPipelineBoard: (jobId) => api.get(`/jobs/${jobId}/pipeline/board`),
+  // source: search, recommendation, direct or referral
+  trackView: (jobId, source = "direct") =>
+    api.post(`/jobs/${jobId}/view`, { source }),
 
   getApplications: (jobId, params = {}) =>
     api.get(`/jobs/${jobId}/applications`, { params }),
 
   getCategories: () => api.get("/jobs/categories"),
-  getTrending: () => api.get("/jobs/trending"),
+  getCurrencies: () => api.get("/jobs/currencies"),
+  getTrending: (params = {}) => api.get("/jobs/trending", { params }),
+  getTrendingBySpecialty: (params = {}) =>
+    api.get("/jobs/trending/specialties", { params }),
   getStatistics: (params = {}) => api.get("/jobs/statistics", { params }),
 };
 
@@ -378,6 +493,9 @@ export const applicationAPI = {
 
   updateStatus: (applicationId, status) =>
     api.put(`/applications/${applicationId}/status`, { status }),
+  // Move to a stage of the job's pipeline
+  moveToStage: (applicationId, stage) =>
+    api.put(`/applications/${applicationId}/status`, { stage }),
   withdraw: (applicationId) =>
     api.put(`/applications/${applicationId}/withdraw`),
 
@@ -386,11 +504,26 @@ export const applicationAPI = {
 
   scheduleInterview: (applicationId, interviewData) =>
     api.post(`/applications/${applicationId}/interview`, interviewData),
-  accept: (applicationId, contractDetails) =>
-    api.put(`/applications/${applicationId}/accept`, { contractDetails }),
+  accept: (applicationId, contractDetails = {}) =>
+    api.put(`/applications/${applicationId}/accept`, {
+      contract_details: contractDetails,
+    }),
   reject: (applicationId, reason) =>
     api.put(`/applications/${applicationId}/reject`, { reason }),
 
+  // Milestone contract of an accepted application
+  getContract: (applicationId) =>
+    api.get(`/applications/${applicationId}/contract`),
+  proposeMilestone: (applicationId, milestone) =>
+    api.post(`/applications/${applicationId}/milestones`, milestone),
+  // action: sign, decline, start, submit, approve, request-revision, or
+  // fund and refund for the milestone's escrow
+  updateMilestone: (applicationId, milestoneId, action, data = {}) =>
+    api.post(
+      `/applications/${applicationId}/milestones/${milestoneId}/${action}`,
+      data
+    ),
+
   rate: (applicationId, rating, review) =>
     api.post(`/applications/${applicationId}/rate`, { rating, review }),
 
@@ -407,7 +540,7 @@ export const matchingAPI = {
   getRecommendations: (params = {}) =>
     api.get("/matching/recommendations", { params }),
   getCandidates: (jobId, params = {}) =>
-    api.get(`/matching/candidates/${jobId}`, { params }),
+    api.get(`/applications/candidates/${jobId}`, { params }),
   getAnalytics: (jobId) => api.get(`/matching/analytics/${jobId}`),
   bulkCalculate: (jobIds) => api.post("/matching/bulk", { jobIds }),
 };
@@ -544,6 +677,74 @@ export const appointmentAPI = {
     api.get(`/appointments/availability/${doctorId}`, { params: { date } }),
 };
 
+// ============================================================================
+// ORGANIZATION API
+// ============================================================================
+export const organizationAPI = {
+  // Organization
+  create: (organizationData) => api.post("/organizations", organizationData),
+  getMine: () => api.get("/organizations/mine"),
+  update: (organizationData) => api.put("/organizations/mine", organizationData),
+  delete: () => api.delete("/organizations/mine"),
+  leave: () => api.post("/organizations/mine/leave"),
+  transferOwnership: (userId) =>
+    api.put("/organizations/mine/owner", { userId }),
+
+  // Members
+  updateMemberRole: (userId, role) =>
+    api.put(`/organizations/mine/members/${userId}/role`, { role }),
+  removeMember: (userId) => api.delete(`/organizations/mine/members/${userId}`),
+
+  // Invitations sent by the organization
+  invite: (email, role = "member") =>
+    api.post("/organizations/mine/invitations", { email, role }),
+  revokeInvitation: (invitationId) =>
+    api.delete(`/organizations/mine/invitations/${invitationId}`),
+
+  // Invitations received by the current user
+  getMyInvitations: () => api.get("/organizations/invitations"),
+  acceptInvitation: (invitationId) =>
+    api.post(`/organizations/invitations/${invitationId}/accept`),
+  declineInvitation: (invitationId) =>
+    api.post(`/organizations/invitations/${invitationId}/decline`),
+};
+
+// ============================================================================
+// JOB ALERT API (saved searches)
+// ============================================================================
+export const jobAlertAPI = {
+  getMine: () => api.get("/job-alerts"),
+  create: (alertData) => api.post("/job-alerts", alertData),
+  update: (alertId, alertData) => api.put(`/job-alerts/${alertId}`, alertData),
+  delete: (alertId) => api.delete(`/job-alerts/${alertId}`),
+  getJobs: (alertId, params = {}) =>
+    api.get(`/job-alerts/${alertId}/jobs`, { params }),
+};
+
+// ============================================================================
+// JOB TEMPLATE API
+// ============================================================================
+export const jobTemplateAPI = {
+  getMine: () => api.get("/job-templates"),
+  // Pass { name, fields } to save form values or { name, job } to copy a job
+  create: (templateData) => api.post("/job-templates", templateData),
+  update: (templateId, templateData) =>
+    api.put(`/job-templates/${templateId}`, templateData),
+  delete: (templateId) => api.delete(`/job-templates/${templateId}`),
+};
+
+// ============================================================================
+// PAYMENT API (payout accounts and milestone escrow)
+// ============================================================================
+export const paymentAPI = {
+  getAccount: () => api.get("/payments/account"),
+  // Returns the provider's onboarding URL to send the doctor to
+  startOnboarding: () => api.post("/payments/account/onboarding"),
+  refreshAccount: () => api.post("/payments/account/refresh"),
+  getEscrows: (page = 1, limit = 20) =>
+    api.get("/payments/escrows", { params: { page, limit } }),
+};
+
 // ============================================================================
 // NOTIFICATION API
 // ============================================================================
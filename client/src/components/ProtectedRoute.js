@@ -111,6 +111,15 @@ const ProtectedRoute = ({
     return <Navigate to={redirectTo} state={{ from: location }} replace />;
   }
 
+  // Admin tools stay locked until the admin has enrolled in 2FA
+  if (
+    auth.role === "admin" &&
+    !auth.user?.twoFactor?.enabled &&
+    location.pathname.startsWith("/admin")
+  ) {
+    return <Navigate to="/profile?tab=security" replace />;
+  }
+
   // Check 2: Role-based access control
   if (roles && roles.length > 0) {
     if (!roles.includes(auth.role)) {
@@ -0,0 +1,598 @@
+// client/src/components/applications/ContractModal.js
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { applicationAPI, paymentAPI, handleApiError } from "../../api";
+import { formatMoney } from "../../hooks/useDisplayCurrency";
+import {
+  X,
+  FileText,
+  Loader,
+  Plus,
+  Paperclip,
+  ShieldCheck,
+  Wallet,
+} from "lucide-react";
+
+const MILESTONE_STYLES = {
+  proposed: "bg-gray-100 text-gray-800",
+  pending: "bg-blue-100 text-blue-800",
+  in_progress: "bg-indigo-100 text-indigo-800",
+  submitted: "bg-purple-100 text-purple-800",
+  revision_requested: "bg-yellow-100 text-yellow-800",
+  completed: "bg-green-100 text-green-800",
+  overdue: "bg-red-100 text-red-800",
+  cancelled: "bg-gray-100 text-gray-500",
+};
+
+const MILESTONE_LABELS = {
+  proposed: "Awaiting signature",
+  pending: "Agreed",
+  in_progress: "In progress",
+  submitted: "Submitted for review",
+  revision_requested: "Revision requested",
+  completed: "Completed",
+  overdue: "Overdue",
+  cancelled: "Cancelled",
+};
+
+const ESCROW_STYLES = {
+  awaiting_funding: "bg-yellow-50 text-yellow-800",
+  funded: "bg-emerald-50 text-emerald-800",
+  releasing: "bg-blue-50 text-blue-800",
+  refunding: "bg-blue-50 text-blue-800",
+  released: "bg-green-50 text-green-800",
+  refunded: "bg-gray-50 text-gray-600",
+};
+
+const ESCROW_LABELS = {
+  awaiting_funding: "Payment not completed",
+  funded: "Funds held in escrow",
+  releasing: "Payout in progress",
+  refunding: "Refund in progress",
+  released: "Paid out",
+  refunded: "Refunded to the employer",
+};
+
+// Agreed milestones that are not done yet; these can be funded
+const FUNDABLE_STATUSES = [
+  "pending",
+  "in_progress",
+  "submitted",
+  "revision_requested",
+  "overdue",
+];
+
+// Send the browser to the payment provider
+const redirectTo = (url) => window.location.assign(url);
+
+// First validation problem, or the general message
+const errorMessage = (error) => {
+  const { message, errors = [] } = handleApiError(error);
+  return errors[0]?.msg || message;
+};
+
+const EMPTY_PROPOSAL = { description: "", due_date: "", amount: "" };
+
+// Form shown under a milestone while its action needs more input
+const ActionForm = ({ form, onChange, onSubmit, onCancel, isPending }) => (
+  <div className="mt-3 space-y-2">
+    <textarea
+      value={form.text}
+      onChange={(e) => onChange({ ...form, text: e.target.value })}
+      className="w-full px-3 py-2 border rounded-lg text-sm"
+      rows={3}
+      maxLength={2000}
+      placeholder={form.placeholder}
+    />
+    {form.action === "submit" && (
+      <textarea
+        value={form.attachments}
+        onChange={(e) => onChange({ ...form, attachments: e.target.value })}
+        className="w-full px-3 py-2 border rounded-lg text-sm"
+        rows={2}
+        placeholder="Links to deliverables, one per line (optional)"
+      />
+    )}
+    <div className="flex justify-end gap-2">
+      <button
+        onClick={onCancel}
+        className="px-3 py-1.5 border rounded-lg text-sm hover:bg-gray-50"
+      >
+        Cancel
+      </button>
+      <button
+        onClick={onSubmit}
+        disabled={isPending}
+        className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+      >
+        {isPending ? "Sending..." : form.label}
+      </button>
+    </div>
+  </div>
+);
+
+// Milestone contract of an accepted application: agreed amounts, the
+// milestones with the actions open to the viewer's side and a form to
+// propose new ones
+const ContractModal = ({ application, onClose }) => {
+  const queryClient = useQueryClient();
+  const applicationId = application._id || application.id;
+  const [proposal, setProposal] = useState(null);
+  const [form, setForm] = useState(null);
+
+  const { data: contract, isLoading, isError } = useQuery({
+    queryKey: ["application-contract", applicationId],
+    queryFn: () =>
+      applicationAPI.getContract(applicationId).then((res) => res.data.data),
+  });
+
+  const refresh = () =>
+    queryClient.invalidateQueries({
+      queryKey: ["application-contract", applicationId],
+    });
+
+  const proposeMutation = useMutation({
+    mutationFn: (milestone) =>
+      applicationAPI.proposeMilestone(applicationId, milestone),
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      setProposal(null);
+      refresh();
+    },
+    onError: (error) => toast.error(errorMessage(error)),
+  });
+
+  const actionMutation = useMutation({
+    mutationFn: ({ milestoneId, action, data }) =>
+      applicationAPI.updateMilestone(applicationId, milestoneId, action, data),
+    onSuccess: (response) => {
+      // Funding continues at the provider's checkout
+      if (response.data.data?.url) {
+        redirectTo(response.data.data.url);
+        return;
+      }
+      toast.success(response.data.message);
+      setForm(null);
+      refresh();
+    },
+    onError: (error) => toast.error(errorMessage(error)),
+  });
+
+  const onboardingMutation = useMutation({
+    mutationFn: () => paymentAPI.startOnboarding(),
+    onSuccess: (response) => redirectTo(response.data.data.url),
+    onError: (error) => toast.error(errorMessage(error)),
+  });
+
+  const party = contract?.party;
+  const milestones = contract?.contract?.milestones || [];
+  const summary = contract?.summary;
+  const money = (amount) => formatMoney(amount || 0, contract?.currency);
+  const canPropose = party && contract?.status === "accepted";
+  const escrows = contract?.escrows || [];
+  const inEscrow = escrows
+    .filter((escrow) => escrow.status === "funded")
+    .reduce((sum, escrow) => sum + escrow.amount, 0);
+  const payoutAccount = contract?.payoutAccount;
+
+  // Latest escrow of a milestone
+  const escrowFor = (milestone) =>
+    escrows.filter((escrow) => escrow.milestone_id === milestone._id).pop();
+
+  const run = (milestone, action, data) =>
+    actionMutation.mutate({ milestoneId: milestone._id, action, data });
+
+  const openForm = (milestone, action, label, placeholder) =>
+    setForm({
+      milestoneId: milestone._id,
+      action,
+      label,
+      placeholder,
+      text: "",
+      attachments: "",
+    });
+
+  const submitForm = () => {
+    const text = form.text.trim();
+    const data = {
+      submit: {
+        message: text,
+        attachments: form.attachments
+          .split("\n")
+          .map((link) => link.trim())
+          .filter(Boolean),
+      },
+      "request-revision": { feedback: text },
+      approve: text ? { feedback: text } : {},
+      decline: text ? { reason: text } : {},
+      refund: { reason: text },
+    }[form.action];
+    actionMutation.mutate({
+      milestoneId: form.milestoneId,
+      action: form.action,
+      data,
+    });
+  };
+
+  // Buttons for the viewer's side; the server enforces the same rules
+  const actionsFor = (milestone) => {
+    const actions = [];
+    const started = Boolean(milestone.started_at);
+    const escrow = escrowFor(milestone);
+    const funded = escrow?.status === "funded";
+
+    if (milestone.status === "proposed") {
+      if (milestone.proposed_by !== party) {
+        actions.push({
+          label: "Countersign",
+          onClick: () => run(milestone, "sign"),
+        });
+        actions.push({
+          label: "Decline",
+          onClick: () =>
+            openForm(milestone, "decline", "Decline", "Reason (optional)"),
+        });
+      } else {
+        actions.push({
+          label: "Withdraw",
+          onClick: () => run(milestone, "decline"),
+        });
+      }
+    }
+
+    if (party === "applicant") {
+      if (
+        milestone.status === "pending" ||
+        (milestone.status === "overdue" && !started)
+      ) {
+        actions.push({
+          label: "Start work",
+          onClick: () => run(milestone, "start"),
+        });
+      }
+      if (
+        ["in_progress", "revision_requested"].includes(milestone.status) ||
+        (milestone.status === "overdue" && started)
+      ) {
+        actions.push({
+          label: "Submit work",
+          onClick: () =>
+            openForm(
+              milestone,
+              "submit",
+              "Submit work",
+              "Describe the work you are handing in"
+            ),
+        });
+      }
+    }
+
+    if (
+      party === "employer" &&
+      FUNDABLE_STATUSES.includes(milestone.status) &&
+      (!escrow || escrow.status === "awaiting_funding")
+    ) {
+      actions.push({
+        label: escrow ? "Complete payment" : "Fund milestone",
+        onClick: () => run(milestone, "fund"),
+      });
+    }
+
+    if (funded && (party === "applicant" || !started)) {
+      actions.push({
+        label: party === "applicant" ? "Return funds" : "Refund",
+        onClick: () =>
+          openForm(
+            milestone,
+            "refund",
+            "Refund and cancel milestone",
+            "Why is this milestone being refunded?"
+          ),
+      });
+    }
+
+    if (party === "employer" && milestone.status === "submitted" && funded) {
+      actions.push({
+        label: "Approve and release payment",
+        onClick: () =>
+          openForm(milestone, "approve", "Approve", "Feedback (optional)"),
+      });
+      actions.push({
+        label: "Request revision",
+        onClick: () =>
+          openForm(
+            milestone,
+            "request-revision",
+            "Request revision",
+            "What needs to change?"
+          ),
+      });
+    }
+
+    return actions;
+  };
+
+  const latestSubmission = (milestone) =>
+    milestone.submissions?.[milestone.submissions.length - 1];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-2 min-w-0">
+            <FileText className="w-6 h-6 text-blue-600 flex-shrink-0" />
+            <h2 className="text-xl font-bold text-gray-900 truncate">
+              Contract for "{contract?.jobTitle || application.job_id?.title}"
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-6">
+          {isLoading ? (
+            <Loader className="w-8 h-8 animate-spin text-blue-600 mx-auto" />
+          ) : isError ? (
+            <p className="text-sm text-red-600">
+              The contract could not be loaded. Please try again later.
+            </p>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {[
+                  ["Agreed budget", summary.agreed_budget],
+                  ["Milestones total", summary.agreed_total],
+                  ["In escrow", inEscrow],
+                  ["Paid", summary.amount_paid],
+                ].map(([label, amount]) => (
+                  <div key={label} className="bg-gray-50 rounded-lg p-3">
+                    <p className="text-xs text-gray-500">{label}</p>
+                    <p className="text-lg font-semibold text-gray-900">
+                      {amount == null ? "Not set" : money(amount)}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              {payoutAccount && !payoutAccount.payoutsEnabled && (
+                <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg flex items-center justify-between gap-4">
+                  <p className="text-sm text-blue-800 flex items-center gap-2">
+                    <Wallet className="w-4 h-4 flex-shrink-0" />
+                    Set up payouts to receive approved milestone payments.
+                    The platform keeps {contract.platformFeePercent}% of each
+                    payment.
+                  </p>
+                  <button
+                    onClick={() => onboardingMutation.mutate()}
+                    disabled={onboardingMutation.isPending}
+                    className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 whitespace-nowrap"
+                  >
+                    {payoutAccount.connected
+                      ? "Continue setup"
+                      : "Set up payouts"}
+                  </button>
+                </div>
+              )}
+
+              {contract.contract?.contract_terms && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-1">
+                    Terms
+                  </h3>
+                  <p className="text-sm text-gray-700 whitespace-pre-line">
+                    {contract.contract.contract_terms}
+                  </p>
+                </div>
+              )}
+
+              <div className="space-y-3">
+                <h3 className="text-sm font-semibold text-gray-900">
+                  Milestones
+                </h3>
+                {milestones.length === 0 && (
+                  <p className="text-sm text-gray-500">
+                    No milestones yet. Either side can propose one; it
+                    becomes part of the contract once the other side
+                    countersigns it.
+                  </p>
+                )}
+                {milestones.map((milestone) => {
+                  const submission = latestSubmission(milestone);
+                  const escrow = escrowFor(milestone);
+                  return (
+                    <div key={milestone._id} className="border rounded-lg p-4">
+                      <div className="flex items-start justify-between gap-3">
+                        <div className="min-w-0">
+                          <p className="font-medium text-gray-900">
+                            {milestone.description}
+                          </p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {money(milestone.amount)} · due{" "}
+                            {new Date(milestone.due_date).toLocaleDateString()}
+                            {" · proposed by the "}
+                            {milestone.proposed_by === "employer"
+                              ? "employer"
+                              : "doctor"}
+                          </p>
+                        </div>
+                        <span
+                          className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${
+                            MILESTONE_STYLES[milestone.status]
+                          }`}
+                        >
+                          {MILESTONE_LABELS[milestone.status]}
+                        </span>
+                      </div>
+
+                      {submission && (
+                        <div className="mt-3 p-3 bg-gray-50 rounded-lg text-sm space-y-1">
+                          <p className="text-gray-700 whitespace-pre-line">
+                            {submission.message}
+                          </p>
+                          {submission.attachments?.map((link) => (
+                            <a
+                              key={link}
+                              href={link}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="flex items-center gap-1 text-blue-600 hover:underline truncate"
+                            >
+                              <Paperclip className="w-3 h-3 flex-shrink-0" />
+                              {link}
+                            </a>
+                          ))}
+                          {submission.review?.feedback && (
+                            <p className="text-gray-600 italic">
+                              Feedback: {submission.review.feedback}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      {escrow && (
+                        <p
+                          className={`mt-3 px-3 py-2 rounded-lg text-xs flex items-center gap-2 ${
+                            ESCROW_STYLES[escrow.status]
+                          }`}
+                        >
+                          <ShieldCheck className="w-4 h-4 flex-shrink-0" />
+                          {ESCROW_LABELS[escrow.status]}
+                          {escrow.status === "released" &&
+                            ` · ${money(escrow.payout_amount)} after a ${money(
+                              escrow.platform_fee
+                            )} fee`}
+                          {escrow.status === "funded" &&
+                            escrow.release?.requested_at &&
+                            " · payout pending"}
+                        </p>
+                      )}
+
+                      {party === "employer" &&
+                        milestone.status === "submitted" &&
+                        escrow?.status !== "funded" && (
+                          <p className="mt-2 text-xs text-gray-500">
+                            Fund this milestone to approve the work.
+                          </p>
+                        )}
+
+                      {milestone.notes && (
+                        <p className="mt-2 text-xs text-gray-500">
+                          {milestone.notes}
+                        </p>
+                      )}
+
+                      {form?.milestoneId === milestone._id ? (
+                        <ActionForm
+                          form={form}
+                          onChange={setForm}
+                          onSubmit={submitForm}
+                          onCancel={() => setForm(null)}
+                          isPending={actionMutation.isPending}
+                        />
+                      ) : (
+                        actionsFor(milestone).length > 0 && (
+                          <div className="mt-3 flex flex-wrap gap-2">
+                            {actionsFor(milestone).map((action) => (
+                              <button
+                                key={action.label}
+                                onClick={action.onClick}
+                                disabled={actionMutation.isPending}
+                                className="px-3 py-1.5 border rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                              >
+                                {action.label}
+                              </button>
+                            ))}
+                          </div>
+                        )
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              {canPropose &&
+                (proposal ? (
+                  <div className="border rounded-lg p-4 space-y-3">
+                    <h3 className="text-sm font-semibold text-gray-900">
+                      Propose a milestone
+                    </h3>
+                    <input
+                      type="text"
+                      value={proposal.description}
+                      onChange={(e) =>
+                        setProposal({
+                          ...proposal,
+                          description: e.target.value,
+                        })
+                      }
+                      className="w-full px-3 py-2 border rounded-lg"
+                      placeholder="What will be delivered?"
+                      maxLength={500}
+                    />
+                    <div className="grid grid-cols-2 gap-3">
+                      <input
+                        type="date"
+                        value={proposal.due_date}
+                        onChange={(e) =>
+                          setProposal({ ...proposal, due_date: e.target.value })
+                        }
+                        className="px-3 py-2 border rounded-lg"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={proposal.amount}
+                        onChange={(e) =>
+                          setProposal({ ...proposal, amount: e.target.value })
+                        }
+                        className="px-3 py-2 border rounded-lg"
+                        placeholder={`Amount (${contract.currency})`}
+                      />
+                    </div>
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={() => setProposal(null)}
+                        className="px-4 py-2 border rounded-lg hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={() => proposeMutation.mutate(proposal)}
+                        disabled={
+                          proposeMutation.isPending ||
+                          !proposal.description.trim() ||
+                          !proposal.due_date ||
+                          !proposal.amount
+                        }
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        {proposeMutation.isPending
+                          ? "Sending..."
+                          : "Send proposal"}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setProposal(EMPTY_PROPOSAL)}
+                    className="flex items-center gap-2 px-4 py-2 border border-dashed rounded-lg text-gray-700 hover:bg-gray-50 w-full justify-center"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Propose a milestone
+                  </button>
+                ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContractModal;
@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { Mail, Loader } from "lucide-react";
+import { useAuth } from "../../context/AuthContext";
+
+const EmailVerificationBanner = () => {
+  const { user, resendVerification } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified || user.role === "admin") {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    const result = await resendVerification();
+    if (result.success) {
+      toast.success(result.message);
+    } else {
+      toast.error(result.message);
+    }
+    setSending(false);
+  };
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 mb-8 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+      <div className="flex items-start gap-3">
+        <Mail className="w-5 h-5 text-amber-600 mt-0.5 flex-shrink-0" />
+        <div>
+          <p className="font-medium text-amber-800">
+            Please confirm your email address
+          </p>
+          <p className="text-sm text-amber-700">
+            We sent a verification link to {user.email}. Some features stay
+            locked until it's confirmed.
+          </p>
+        </div>
+      </div>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={sending}
+        className="flex items-center justify-center gap-2 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 text-sm font-medium transition-colors disabled:opacity-75"
+      >
+        {sending && <Loader className="w-4 h-4 animate-spin" />}
+        Resend Email
+      </button>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
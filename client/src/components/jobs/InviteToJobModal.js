@@ -0,0 +1,130 @@
+// client/src/components/jobs/InviteToJobModal.js
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { jobAPI, handleApiError } from "../../api";
+import { X, MailPlus, Loader } from "lucide-react";
+
+// Invite one doctor to one of the current user's open jobs
+const InviteToJobModal = ({ doctor, onClose }) => {
+  const [jobId, setJobId] = useState("");
+  const [message, setMessage] = useState("");
+
+  const { data: jobs = [], isLoading } = useQuery({
+    queryKey: ["my-jobs", "invitable"],
+    queryFn: () =>
+      jobAPI
+        .getMyJobs({ status: "all", limit: 50 })
+        .then((res) =>
+          res.data.data.filter((job) =>
+            ["active", "paused"].includes(job.status)
+          )
+        ),
+  });
+
+  const inviteMutation = useMutation({
+    mutationFn: () =>
+      jobAPI.invite(jobId, [doctor._id], message.trim() || undefined),
+    onSuccess: (response) => {
+      const { skipped } = response.data.data;
+      if (skipped.length > 0) {
+        toast.error(skipped[0].reason);
+        return;
+      }
+      toast.success("Invitation sent");
+      onClose();
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-md w-full">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-2 min-w-0">
+            <MailPlus className="w-6 h-6 text-blue-600 flex-shrink-0" />
+            <h2 className="text-lg font-bold text-gray-900 truncate">
+              Invite Dr. {doctor.firstName} {doctor.lastName}
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {isLoading ? (
+            <Loader className="w-6 h-6 animate-spin text-blue-600" />
+          ) : jobs.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              You have no active jobs to invite doctors to.{" "}
+              <Link to="/jobs/post" className="text-blue-600 underline">
+                Post a job
+              </Link>
+            </p>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Job
+                </label>
+                <select
+                  value={jobId}
+                  onChange={(e) => setJobId(e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg text-sm"
+                >
+                  <option value="">Select a job...</option>
+                  {jobs.map((job) => (
+                    <option key={job._id} value={job._id}>
+                      {job.title}
+                      {job.visibility === "invited_only"
+                        ? " (invitation only)"
+                        : ""}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Personal message (optional)
+                </label>
+                <textarea
+                  value={message}
+                  onChange={(e) => setMessage(e.target.value)}
+                  maxLength={500}
+                  rows={3}
+                  className="w-full px-3 py-2 border rounded-lg text-sm"
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => inviteMutation.mutate()}
+            disabled={!jobId || inviteMutation.isPending}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            {inviteMutation.isPending && (
+              <Loader className="w-4 h-4 animate-spin" />
+            )}
+            Send Invitation
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InviteToJobModal;
@@ -0,0 +1,192 @@
+// client/src/components/jobs/JobAnalyticsModal.js
+import React, { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { jobAPI } from "../../api";
+import { X, BarChart3, Loader, Eye, FileText, TrendingUp } from "lucide-react";
+
+const RANGES = [7, 30, 90];
+
+const SOURCE_LABELS = {
+  search: "Search",
+  recommendation: "Recommendations",
+  direct: "Direct",
+  referral: "Invitations",
+};
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+// Daily views, view-to-application conversion and traffic sources for a job
+const JobAnalyticsModal = ({ job, onClose }) => {
+  const [days, setDays] = useState(30);
+
+  const { data: analytics, isLoading, isError } = useQuery({
+    queryKey: ["job-analytics", job._id, days],
+    queryFn: () =>
+      jobAPI.getAnalytics(job._id, { days }).then((res) => res.data.data),
+  });
+
+  const daily = analytics?.views?.daily || [];
+  const peak = Math.max(1, ...daily.map((day) => day.views));
+  const periodViews = daily.reduce((sum, day) => sum + day.views, 0);
+  const periodApplications = daily.reduce(
+    (sum, day) => sum + day.applications,
+    0
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-2 min-w-0">
+            <BarChart3 className="w-6 h-6 text-blue-600 flex-shrink-0" />
+            <h2 className="text-xl font-bold text-gray-900 truncate">
+              Analytics for "{job.title}"
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-6">
+          {isLoading ? (
+            <Loader className="w-8 h-8 animate-spin text-blue-600 mx-auto" />
+          ) : isError ? (
+            <p className="text-sm text-red-600">
+              Analytics could not be loaded. Please try again later.
+            </p>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 gap-4">
+                <div className="p-4 bg-blue-50 rounded-lg">
+                  <p className="text-sm text-blue-700 flex items-center gap-1">
+                    <Eye className="w-4 h-4" />
+                    Unique views
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {analytics.basic.views}
+                  </p>
+                </div>
+                <div className="p-4 bg-green-50 rounded-lg">
+                  <p className="text-sm text-green-700 flex items-center gap-1">
+                    <FileText className="w-4 h-4" />
+                    Applications
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {analytics.basic.applications}
+                  </p>
+                </div>
+                <div className="p-4 bg-purple-50 rounded-lg">
+                  <p className="text-sm text-purple-700 flex items-center gap-1">
+                    <TrendingUp className="w-4 h-4" />
+                    View → application
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {analytics.basic.conversionRate}%
+                  </p>
+                </div>
+              </div>
+
+              {/* Daily views chart */}
+              <div>
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="font-semibold text-gray-900">
+                    Daily views
+                    <span className="ml-2 text-sm font-normal text-gray-500">
+                      {periodViews} views, {periodApplications} applications
+                    </span>
+                  </h3>
+                  <div className="flex gap-1">
+                    {RANGES.map((range) => (
+                      <button
+                        key={range}
+                        onClick={() => setDays(range)}
+                        className={`px-3 py-1 rounded-lg text-sm ${
+                          days === range
+                            ? "bg-blue-600 text-white"
+                            : "border hover:bg-gray-50"
+                        }`}
+                      >
+                        {range}d
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex items-end gap-px h-40 border-b border-gray-200">
+                  {daily.map((day) => (
+                    <div
+                      key={day.date}
+                      className="flex-1 h-full flex flex-col justify-end"
+                      title={`${formatDay(day.date)}: ${day.views} views, ${day.applications} applications`}
+                    >
+                      <div
+                        className={`rounded-t ${
+                          day.applications > 0 ? "bg-green-500" : "bg-blue-400"
+                        }`}
+                        style={{ height: `${(day.views / peak) * 100}%` }}
+                      />
+                    </div>
+                  ))}
+                </div>
+                {daily.length > 0 && (
+                  <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>{formatDay(daily[0].date)}</span>
+                    <span>{formatDay(daily[daily.length - 1].date)}</span>
+                  </div>
+                )}
+                <p className="text-xs text-gray-500 mt-2">
+                  Green bars mark days with at least one application.
+                </p>
+              </div>
+
+              {/* Traffic sources */}
+              <div>
+                <h3 className="font-semibold text-gray-900 mb-3">
+                  Traffic sources
+                </h3>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 font-medium">Source</th>
+                      <th className="py-2 font-medium text-right">Views</th>
+                      <th className="py-2 font-medium text-right">
+                        Applications
+                      </th>
+                      <th className="py-2 font-medium text-right">
+                        Conversion
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {analytics.views.trafficSources.map((item) => (
+                      <tr key={item.source}>
+                        <td className="py-2">{SOURCE_LABELS[item.source]}</td>
+                        <td className="py-2 text-right">{item.views}</td>
+                        <td className="py-2 text-right">
+                          {item.applications}
+                        </td>
+                        <td className="py-2 text-right">
+                          {item.conversionRate}%
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JobAnalyticsModal;
@@ -0,0 +1,217 @@
+// client/src/components/jobs/JobInvitationsModal.js
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { jobAPI, matchingAPI, handleApiError } from "../../api";
+import { X, MailPlus, Loader, UserPlus, Trash2, Sparkles } from "lucide-react";
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  accepted: "bg-green-100 text-green-800",
+  declined: "bg-gray-100 text-gray-700",
+};
+
+const doctorName = (doctor) =>
+  doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : "Deleted user";
+
+// Invite recommended candidates to a job and manage sent invitations
+const JobInvitationsModal = ({ job, onClose }) => {
+  const queryClient = useQueryClient();
+  const [message, setMessage] = useState("");
+
+  const { data: invitationData, isLoading } = useQuery({
+    queryKey: ["job-invitations", job._id],
+    queryFn: () =>
+      jobAPI.getInvitations(job._id).then((res) => res.data.data),
+  });
+  const invitations = invitationData?.invitations || [];
+
+  const { data: candidates = [], isLoading: loadingCandidates } = useQuery({
+    queryKey: ["job-candidates", job._id],
+    queryFn: () =>
+      matchingAPI
+        .getCandidates(job._id, { limit: 10, minScore: 50 })
+        .then((res) => res.data.data),
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ["job-invitations", job._id] });
+    queryClient.invalidateQueries({ queryKey: ["job-candidates", job._id] });
+  };
+
+  const inviteMutation = useMutation({
+    mutationFn: (doctorId) =>
+      jobAPI.invite(job._id, [doctorId], message.trim() || undefined),
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      refresh();
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (doctorId) => jobAPI.revokeInvitation(job._id, doctorId),
+    onSuccess: () => {
+      toast.success("Invitation withdrawn");
+      refresh();
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const uninvited = candidates.filter(
+    (candidate) =>
+      !candidate.invitationStatus || candidate.invitationStatus === "declined"
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-2 min-w-0">
+            <MailPlus className="w-6 h-6 text-blue-600 flex-shrink-0" />
+            <h2 className="text-xl font-bold text-gray-900 truncate">
+              Invitations for "{job.title}"
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-6">
+          {job.visibility === "invited_only" ? (
+            <p className="text-sm text-gray-600">
+              This job is invitation only: only the doctors you invite can see
+              and apply to it.
+            </p>
+          ) : (
+            <p className="text-sm text-gray-600">
+              Invited doctors are notified and asked to apply. You can also
+              invite doctors from{" "}
+              <Link to="/search" className="text-blue-600 underline">
+                Doctor Search
+              </Link>
+              .
+            </p>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Personal message (optional)
+            </label>
+            <textarea
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              maxLength={500}
+              rows={2}
+              placeholder="Why you think they'd be a good fit..."
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+          </div>
+
+          {/* Recommended candidates */}
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
+              <Sparkles className="w-4 h-4 text-purple-600" />
+              Recommended candidates
+            </h3>
+            {loadingCandidates ? (
+              <Loader className="w-6 h-6 animate-spin text-blue-600" />
+            ) : uninvited.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No other recommended candidates right now.
+              </p>
+            ) : (
+              <ul className="divide-y border rounded-lg">
+                {uninvited.map((candidate) => (
+                  <li
+                    key={candidate._id}
+                    className="flex items-center justify-between gap-3 p-3"
+                  >
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 truncate">
+                        {doctorName(candidate)}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {candidate.primarySpecialty} •{" "}
+                        {candidate.yearsOfExperience || 0} yrs •{" "}
+                        {candidate.matchScore}% match
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => inviteMutation.mutate(candidate._id)}
+                      disabled={inviteMutation.isPending}
+                      className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm flex items-center gap-1 disabled:opacity-50"
+                    >
+                      <UserPlus className="w-4 h-4" />
+                      Invite
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Sent invitations */}
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-3">
+              Sent invitations ({invitations.length})
+            </h3>
+            {isLoading ? (
+              <Loader className="w-6 h-6 animate-spin text-blue-600" />
+            ) : invitations.length === 0 ? (
+              <p className="text-sm text-gray-500">No invitations sent yet.</p>
+            ) : (
+              <ul className="divide-y border rounded-lg">
+                {invitations.map((invitation) => (
+                  <li
+                    key={invitation._id}
+                    className="flex items-center justify-between gap-3 p-3"
+                  >
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 truncate">
+                        {doctorName(invitation.doctor)}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Invited{" "}
+                        {new Date(invitation.invited_at).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span
+                        className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${
+                          STATUS_STYLES[invitation.status]
+                        }`}
+                      >
+                        {invitation.status}
+                      </span>
+                      {invitation.doctor && (
+                        <button
+                          onClick={() =>
+                            revokeMutation.mutate(invitation.doctor._id)
+                          }
+                          disabled={revokeMutation.isPending}
+                          className="p-1.5 border rounded-lg hover:bg-red-50 text-red-600"
+                          title="Withdraw invitation"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JobInvitationsModal;
@@ -0,0 +1,298 @@
+// client/src/components/jobs/PipelineBoardModal.js
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { jobAPI, applicationAPI, handleApiError } from "../../api";
+import PipelineStagesEditor, { STATUS_LABELS } from "./PipelineStagesEditor";
+import { X, Kanban, Loader, Settings, AlertTriangle, Star } from "lucide-react";
+
+const doctorName = (doctor) =>
+  doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : "Deleted user";
+
+// Stages the server only enters when an interview is booked
+const isInterviewStage = (stage) => stage.status === "interview_scheduled";
+
+// Errors from the pipeline endpoint, one line per problem
+const pipelineErrors = (error) => {
+  const { message, errors = [] } = handleApiError(error);
+  return errors.length
+    ? errors.flatMap((item) => (item.msg || item.message).split("; "))
+    : [message];
+};
+
+const ApplicationCard = ({ application, stage, stages, onMove, onDrag }) => {
+  const targets = stage
+    ? stages.filter((other) => stage.transitions.includes(other.key))
+    : stages;
+
+  return (
+    <div
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData("text/plain", application._id);
+        onDrag(application);
+      }}
+      onDragEnd={() => onDrag(null)}
+      className="bg-white border rounded-lg p-3 shadow-sm cursor-grab active:cursor-grabbing"
+    >
+      <p className="font-medium text-gray-900 text-sm truncate">
+        {doctorName(application.applicant_id)}
+      </p>
+      {application.applicant_id?.primarySpecialty && (
+        <p className="text-xs text-gray-500 truncate">
+          {application.applicant_id.primarySpecialty}
+        </p>
+      )}
+      <div className="flex items-center gap-2 mt-2 text-xs">
+        {application.match_score != null && (
+          <span className="flex items-center gap-1 text-blue-700">
+            <Star className="w-3 h-3" />
+            {application.match_score}% match
+          </span>
+        )}
+        {application.screening?.outcome === "flagged" && (
+          <span className="px-1.5 py-0.5 rounded bg-yellow-100 text-yellow-800">
+            Flagged
+          </span>
+        )}
+      </div>
+      {targets.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => onMove(application, e.target.value)}
+          className="mt-2 w-full px-2 py-1 border rounded text-xs text-gray-700"
+        >
+          <option value="">Move to…</option>
+          {targets.map((target) => (
+            <option key={target.key} value={target.key}>
+              {target.name}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+// Kanban board of a job's applications by pipeline stage, with the stage
+// editor behind the settings button
+const PipelineBoardModal = ({ job, onClose }) => {
+  const queryClient = useQueryClient();
+  const [dragged, setDragged] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const { data: board, isLoading, isError } = useQuery({
+    queryKey: ["job-pipeline-board", job._id],
+    queryFn: () =>
+      jobAPI.getPipelineBoard(job._id).then((res) => res.data.data),
+  });
+  const stages = board?.stages || [];
+  const unstaged = board?.unstaged || [];
+
+  const refresh = () =>
+    queryClient.invalidateQueries({
+      queryKey: ["job-pipeline-board", job._id],
+    });
+
+  const moveMutation = useMutation({
+    mutationFn: ({ applicationId, stage }) =>
+      applicationAPI.moveToStage(applicationId, stage),
+    onSuccess: (_, { stageName }) => {
+      toast.success(`Moved to ${stageName}`);
+      refresh();
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (nextStages) => jobAPI.updatePipeline(job._id, nextStages),
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      setDraft(null);
+      setErrors([]);
+      refresh();
+    },
+    onError: (error) => setErrors(pipelineErrors(error)),
+  });
+
+  const stageOf = (application) =>
+    stages.find((stage) => stage.key === application.stage) || null;
+
+  const canDrop = (stage) => {
+    if (!dragged) return false;
+    const from = stageOf(dragged);
+    return from ? from.transitions.includes(stage.key) : true;
+  };
+
+  const move = (application, key) => {
+    const target = stages.find((stage) => stage.key === key);
+    if (!target || key === application.stage) return;
+    moveMutation.mutate({
+      applicationId: application._id,
+      stage: key,
+      stageName: target.name,
+    });
+  };
+
+  const startEditing = () => {
+    setErrors([]);
+    setDraft(
+      stages.map(({ key, name, status, transitions }) => ({
+        key,
+        name,
+        status,
+        transitions,
+      }))
+    );
+  };
+
+  const renderCards = (applications) =>
+    applications.map((application) => (
+      <ApplicationCard
+        key={application._id}
+        application={application}
+        stage={stageOf(application)}
+        stages={stages}
+        onMove={move}
+        onDrag={setDragged}
+      />
+    ));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-6xl w-full max-h-[90vh] flex flex-col">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-2 min-w-0">
+            <Kanban className="w-6 h-6 text-blue-600 flex-shrink-0" />
+            <h2 className="text-xl font-bold text-gray-900 truncate">
+              {draft ? "Edit pipeline for" : "Pipeline for"} "{job.title}"
+            </h2>
+          </div>
+          <div className="flex items-center gap-3">
+            {!draft && !isLoading && !isError && (
+              <button
+                onClick={startEditing}
+                className="flex items-center gap-2 px-3 py-1.5 border rounded-lg text-sm hover:bg-gray-50"
+              >
+                <Settings className="w-4 h-4" />
+                Edit stages
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        {draft ? (
+          <>
+            <div className="p-6 overflow-y-auto space-y-4">
+              {errors.length > 0 && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 space-y-1">
+                  {errors.map((error) => (
+                    <p key={error}>{error}</p>
+                  ))}
+                </div>
+              )}
+              <PipelineStagesEditor stages={draft} onChange={setDraft} />
+            </div>
+            <div className="px-6 py-4 border-t border-gray-200 flex gap-3">
+              <button
+                onClick={() => saveMutation.mutate([])}
+                disabled={saveMutation.isPending}
+                className="px-4 py-2 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                Reset to default
+              </button>
+              <div className="flex-1" />
+              <button
+                onClick={() => setDraft(null)}
+                className="px-4 py-2 border rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => saveMutation.mutate(draft)}
+                disabled={saveMutation.isPending}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saveMutation.isPending ? "Saving..." : "Save pipeline"}
+              </button>
+            </div>
+          </>
+        ) : (
+          <div className="p-6 overflow-auto">
+            {isLoading ? (
+              <Loader className="w-8 h-8 animate-spin text-blue-600 mx-auto" />
+            ) : isError ? (
+              <p className="text-sm text-red-600">
+                The pipeline could not be loaded. Please try again later.
+              </p>
+            ) : (
+              <>
+                {unstaged.length > 0 && (
+                  <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                    <p className="text-sm text-yellow-800 flex items-center gap-2 mb-3">
+                      <AlertTriangle className="w-4 h-4" />
+                      {unstaged.length} application(s) have a status with no
+                      stage in this pipeline. Move them to a stage.
+                    </p>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                      {renderCards(unstaged)}
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex gap-4 min-h-[24rem]">
+                  {stages.map((stage) => (
+                    <div
+                      key={stage.key}
+                      onDragOver={(e) => {
+                        if (canDrop(stage)) e.preventDefault();
+                      }}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        if (dragged) move(dragged, stage.key);
+                        setDragged(null);
+                      }}
+                      className={`w-64 flex-shrink-0 rounded-lg p-3 flex flex-col ${
+                        canDrop(stage)
+                          ? "bg-blue-50 ring-2 ring-blue-300"
+                          : "bg-gray-50"
+                      } ${dragged && !canDrop(stage) ? "opacity-50" : ""}`}
+                    >
+                      <div className="mb-3">
+                        <div className="flex items-center justify-between">
+                          <h3 className="font-semibold text-gray-900 text-sm truncate">
+                            {stage.name}
+                          </h3>
+                          <span className="text-xs text-gray-500">
+                            {stage.applications.length}
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {isInterviewStage(stage)
+                            ? "Entered by booking an interview"
+                            : STATUS_LABELS[stage.status]}
+                        </p>
+                      </div>
+                      <div className="space-y-2 flex-1">
+                        {renderCards(stage.applications)}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PipelineBoardModal;
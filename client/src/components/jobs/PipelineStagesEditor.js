@@ -0,0 +1,184 @@
+// client/src/components/jobs/PipelineStagesEditor.js
+import React from "react";
+import { Plus, Trash2, ArrowUp, ArrowDown } from "lucide-react";
+
+const MAX_STAGES = 12;
+
+export const STATUS_LABELS = {
+  submitted: "Submitted",
+  under_review: "Under review",
+  shortlisted: "Shortlisted",
+  interview_scheduled: "Interview scheduled",
+  interview_completed: "Interview completed",
+  accepted: "Accepted",
+  rejected: "Rejected",
+  completed: "Completed",
+};
+
+// Stages that end the funnel and cannot move on
+const FINAL_STATUSES = ["rejected", "completed"];
+
+// Keys only need to be unique within the job; stages keep theirs when
+// renamed so transitions and applications stay attached
+const newStageKey = (stages) => {
+  const keys = new Set(stages.map((stage) => stage.key));
+  let index = stages.length + 1;
+  while (keys.has(`stage_${index}`)) index++;
+  return `stage_${index}`;
+};
+
+// Edit a job's hiring pipeline: stage names, the status each stage stands
+// for and the stages applications may move to next
+const PipelineStagesEditor = ({ stages, onChange }) => {
+  const update = (index, changes) =>
+    onChange(
+      stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage))
+    );
+
+  const setStatus = (index, status) =>
+    update(index, {
+      status,
+      transitions: FINAL_STATUSES.includes(status)
+        ? []
+        : stages[index].transitions,
+    });
+
+  const toggleTransition = (index, key) => {
+    const transitions = stages[index].transitions;
+    update(index, {
+      transitions: transitions.includes(key)
+        ? transitions.filter((item) => item !== key)
+        : [...transitions, key],
+    });
+  };
+
+  const move = (index, offset) => {
+    const next = [...stages];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  const remove = (index) => {
+    const { key } = stages[index];
+    onChange(
+      stages
+        .filter((_, i) => i !== index)
+        .map((stage) => ({
+          ...stage,
+          transitions: stage.transitions.filter((item) => item !== key),
+        }))
+    );
+  };
+
+  const add = () =>
+    onChange([
+      ...stages,
+      {
+        key: newStageKey(stages),
+        name: "",
+        status: "under_review",
+        transitions: [],
+      },
+    ]);
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        New applications enter the first stage, which must have the
+        Submitted status. The status decides what the applicant sees;
+        moves between stages with the same status stay internal.
+      </p>
+
+      {stages.map((stage, index) => (
+        <div key={stage.key} className="border rounded-lg p-4">
+          <div className="flex gap-2 mb-3">
+            <input
+              type="text"
+              value={stage.name}
+              onChange={(e) => update(index, { name: e.target.value })}
+              className="flex-1 px-3 py-2 border rounded-lg"
+              placeholder="e.g., Phone screen"
+              maxLength={50}
+            />
+            <select
+              value={stage.status}
+              onChange={(e) => setStatus(index, e.target.value)}
+              className="px-3 py-2 border rounded-lg"
+            >
+              {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => move(index, -1)}
+              disabled={index === 0}
+              className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+              title="Move up"
+            >
+              <ArrowUp className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => move(index, 1)}
+              disabled={index === stages.length - 1}
+              className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+              title="Move down"
+            >
+              <ArrowDown className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => remove(index)}
+              className="p-2 text-red-500 hover:text-red-700"
+              title="Remove stage"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+
+          {FINAL_STATUSES.includes(stage.status) ? (
+            <p className="text-xs text-gray-500">
+              Final stage, applications stay here.
+            </p>
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-500">Can move to:</span>
+              {stages
+                .filter((other) => other.key !== stage.key)
+                .map((other) => (
+                  <button
+                    key={other.key}
+                    type="button"
+                    onClick={() => toggleTransition(index, other.key)}
+                    className={`px-2 py-1 rounded-full text-xs border ${
+                      stage.transitions.includes(other.key)
+                        ? "bg-blue-600 text-white border-blue-600"
+                        : "text-gray-700 hover:bg-gray-50"
+                    }`}
+                  >
+                    {other.name || "Untitled stage"}
+                  </button>
+                ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {stages.length < MAX_STAGES && (
+        <button
+          type="button"
+          onClick={add}
+          className="flex items-center gap-2 px-4 py-2 border border-dashed rounded-lg text-gray-700 hover:bg-gray-50 w-full justify-center"
+        >
+          <Plus className="w-4 h-4" />
+          Add stage
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PipelineStagesEditor;
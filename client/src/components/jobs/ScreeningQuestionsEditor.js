@@ -0,0 +1,175 @@
+// client/src/components/jobs/ScreeningQuestionsEditor.js
+import React from "react";
+import { Plus, Trash2 } from "lucide-react";
+
+const MAX_QUESTIONS = 10;
+
+const QUESTION_TYPES = {
+  yes_no: "Yes / No",
+  number: "Number",
+  multiple_choice: "Multiple choice",
+};
+
+const newQuestion = () => ({
+  question: "",
+  type: "yes_no",
+  options: [],
+  required: true,
+  knockout: { answers: [] },
+});
+
+// Edit a job's screening questions and the answers that knock applicants out
+const ScreeningQuestionsEditor = ({ questions, onChange }) => {
+  const update = (index, changes) =>
+    onChange(
+      questions.map((question, i) =>
+        i === index ? { ...question, ...changes } : question
+      )
+    );
+
+  const toggleKnockout = (index, answer) => {
+    const answers = questions[index].knockout?.answers || [];
+    update(index, {
+      knockout: {
+        answers: answers.includes(answer)
+          ? answers.filter((item) => item !== answer)
+          : [...answers, answer],
+      },
+    });
+  };
+
+  const setLimit = (index, limit, value) =>
+    update(index, {
+      knockout: {
+        ...questions[index].knockout,
+        [limit]: value === "" ? undefined : parseFloat(value),
+      },
+    });
+
+  return (
+    <div className="space-y-4">
+      {questions.map((question, index) => (
+        <div key={question._id || index} className="border rounded-lg p-4">
+          <div className="flex gap-2 mb-3">
+            <input
+              type="text"
+              value={question.question}
+              onChange={(e) => update(index, { question: e.target.value })}
+              className="flex-1 px-3 py-2 border rounded-lg"
+              placeholder="e.g., Do you hold a current BLS certification?"
+              maxLength={300}
+            />
+            <select
+              value={question.type}
+              onChange={(e) =>
+                update(index, {
+                  type: e.target.value,
+                  options: [],
+                  knockout: { answers: [] },
+                })
+              }
+              className="px-3 py-2 border rounded-lg"
+            >
+              {Object.entries(QUESTION_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => onChange(questions.filter((_, i) => i !== index))}
+              className="p-2 border rounded-lg hover:bg-red-50 text-red-600"
+              title="Remove question"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+
+          {question.type === "multiple_choice" && (
+            <div className="mb-3">
+              <label className="block text-sm text-gray-600 mb-1">
+                Options, one per line
+              </label>
+              <textarea
+                value={question.options.join("\n")}
+                onChange={(e) =>
+                  update(index, {
+                    options: e.target.value.split("\n"),
+                    knockout: { answers: [] },
+                  })
+                }
+                rows={3}
+                className="w-full px-3 py-2 border rounded-lg text-sm"
+              />
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={question.required}
+                onChange={(e) => update(index, { required: e.target.checked })}
+              />
+              Required
+            </label>
+
+            <span className="text-gray-500">Deal-breaker:</span>
+            {question.type === "number" ? (
+              <>
+                <label className="flex items-center gap-2">
+                  below
+                  <input
+                    type="number"
+                    value={question.knockout?.min ?? ""}
+                    onChange={(e) => setLimit(index, "min", e.target.value)}
+                    className="w-24 px-2 py-1 border rounded-lg"
+                  />
+                </label>
+                <label className="flex items-center gap-2">
+                  above
+                  <input
+                    type="number"
+                    value={question.knockout?.max ?? ""}
+                    onChange={(e) => setLimit(index, "max", e.target.value)}
+                    className="w-24 px-2 py-1 border rounded-lg"
+                  />
+                </label>
+              </>
+            ) : (
+              (question.type === "yes_no"
+                ? ["yes", "no"]
+                : question.options.filter((option) => option.trim())
+              ).map((answer) => (
+                <label key={answer} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={(question.knockout?.answers || []).includes(
+                      answer
+                    )}
+                    onChange={() => toggleKnockout(index, answer)}
+                  />
+                  <span className="capitalize">{answer}</span>
+                </label>
+              ))
+            )}
+          </div>
+        </div>
+      ))}
+
+      {questions.length < MAX_QUESTIONS && (
+        <button
+          type="button"
+          onClick={() => onChange([...questions, newQuestion()])}
+          className="px-4 py-2 border rounded-lg hover:bg-gray-50 flex items-center gap-2 text-sm"
+        >
+          <Plus className="w-4 h-4" />
+          Add Question
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ScreeningQuestionsEditor;
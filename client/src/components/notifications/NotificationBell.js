@@ -11,6 +11,12 @@ import {
   CreditCard,
   CheckCircle,
   Megaphone,
+  ShieldAlert,
+  Download,
+  CalendarClock,
+  MailOpen,
+  Handshake,
+  Wallet,
 } from "lucide-react";
 import { useNotifications } from "../../context/NotificationContext";
 import { useNavigate } from "react-router-dom";
@@ -59,6 +65,12 @@ const NotificationBell = () => {
       subscription_update: "/subscription/status",
       verification_status: "/profile",
       system_announcement: "/notifications",
+      security_alert: "/profile?tab=security",
+      data_export: "/profile?tab=security",
+      job_lifecycle: "/jobs/manage",
+      job_invitation: "/job-invitations",
+      contract_milestone: "/applications",
+      escrow_payment: "/applications",
     };
 
     const targetPath =
@@ -82,6 +94,12 @@ const NotificationBell = () => {
       subscription_update: CreditCard,
       verification_status: CheckCircle,
       system_announcement: Megaphone,
+      security_alert: ShieldAlert,
+      data_export: Download,
+      job_lifecycle: CalendarClock,
+      job_invitation: MailOpen,
+      contract_milestone: Handshake,
+      escrow_payment: Wallet,
     };
     const IconComponent = iconMap[type] || Bell;
     return <IconComponent className="w-5 h-5 text-gray-600" />;
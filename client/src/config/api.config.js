@@ -17,9 +17,24 @@ export const ENDPOINTS = {
   AUTH: {
     REGISTER: "/api/auth/register",
     LOGIN: "/api/auth/login",
+    LOGIN_TWO_FACTOR: "/api/auth/login/2fa",
     LOGOUT: "/api/auth/logout",
+    LOGOUT_ALL: "/api/auth/logout-all",
+    REFRESH: "/api/auth/refresh",
+    SESSIONS: "/api/auth/sessions",
+    SESSION: (id) => `/api/auth/sessions/${id}`,
+    TWO_FACTOR_SETUP: "/api/auth/2fa/setup",
+    TWO_FACTOR_ENABLE: "/api/auth/2fa/enable",
+    TWO_FACTOR_DISABLE: "/api/auth/2fa/disable",
+    TWO_FACTOR_RECOVERY_CODES: "/api/auth/2fa/recovery-codes",
+    LOGIN_HISTORY: "/api/auth/login-history",
+    DELETE_ACCOUNT: "/api/auth/delete-account",
     ME: "/api/auth/me",
     UPDATE_PASSWORD: "/api/auth/updatepassword",
+    FORGOT_PASSWORD: "/api/auth/forgotpassword",
+    RESET_PASSWORD: (token) => `/api/auth/resetpassword/${token}`,
+    VERIFY_EMAIL: (token) => `/api/auth/verifyemail/${token}`,
+    RESEND_VERIFICATION: "/api/auth/resendverification",
   },
 
   // Profile
@@ -32,6 +47,10 @@ export const ENDPOINTS = {
     UPDATE_SKILLS: "/api/profile/skills",
     SEARCH: "/api/profile/search",
     PUBLIC: (slug) => `/api/profile/${slug}`,
+    DATA_EXPORT: "/api/profile/export",
+    DATA_EXPORT_LATEST: "/api/profile/export/latest",
+    DATA_EXPORT_DOWNLOAD: (exportId) =>
+      `/api/profile/export/${exportId}/download`,
   },
 
   // Jobs
@@ -43,6 +62,11 @@ export const ENDPOINTS = {
     DELETE: (id) => `/api/jobs/${id}`,
     MY_POSTED: "/api/jobs/my/posted",
     APPLY: (id) => `/api/jobs/${id}/apply`,
+    SCHEDULE: (id) => `/api/jobs/${id}/schedule`,
+    EXTEND_DEADLINE: (id) => `/api/jobs/${id}/extend-deadline`,
+    DUPLICATE: (id) => `/api/jobs/${id}/duplicate`,
+    INVITATIONS: (id) => `/api/jobs/${id}/invitations`,
+    MY_INVITATIONS: "/api/jobs/invitations/mine",
   },
 
   // Applications
@@ -74,6 +98,34 @@ export const ENDPOINTS = {
     MARK_READ: (messageId) => `/api/messages/${messageId}/read`,
   },
 
+  // Organizations
+  ORGANIZATIONS: {
+    CREATE: "/api/organizations",
+    MINE: "/api/organizations/mine",
+    LEAVE: "/api/organizations/mine/leave",
+    OWNER: "/api/organizations/mine/owner",
+    MEMBER: (userId) => `/api/organizations/mine/members/${userId}`,
+    MEMBER_ROLE: (userId) => `/api/organizations/mine/members/${userId}/role`,
+    INVITATIONS: "/api/organizations/mine/invitations",
+    INVITATION: (id) => `/api/organizations/mine/invitations/${id}`,
+    MY_INVITATIONS: "/api/organizations/invitations",
+    ACCEPT_INVITATION: (id) => `/api/organizations/invitations/${id}/accept`,
+    DECLINE_INVITATION: (id) => `/api/organizations/invitations/${id}/decline`,
+  },
+
+  // Saved searches / job alerts
+  JOB_ALERTS: {
+    LIST: "/api/job-alerts",
+    DETAILS: (id) => `/api/job-alerts/${id}`,
+    JOBS: (id) => `/api/job-alerts/${id}/jobs`,
+  },
+
+  // Reusable job templates
+  JOB_TEMPLATES: {
+    LIST: "/api/job-templates",
+    DETAILS: (id) => `/api/job-templates/${id}`,
+  },
+
   // Notifications
   NOTIFICATIONS: {
     LIST: "/api/notifications",
@@ -91,6 +143,12 @@ export const ENDPOINTS = {
     VERIFY_LICENSE: (userId) => `/api/admin/verification/license/${userId}`,
     BULK_ACTION: "/api/admin/verification/bulk-action",
     UPDATE_USER_STATUS: (userId) => `/api/admin/users/${userId}/status`,
+    LOCKED_USERS: "/api/admin/users/locked",
+    UNLOCK_USER: (userId) => `/api/admin/users/${userId}/unlock`,
+    ADMIN_USERS: "/api/admin/admins",
+    ADMIN_ROLE: (userId) => `/api/admin/admins/${userId}/role`,
+    AUDIT_LOGS: "/api/admin/audit-logs",
+    AUDIT_LOGS_EXPORT: "/api/admin/audit-logs/export",
   },
 
   // Health & Status
@@ -13,6 +13,7 @@ import {
   setAuthToken,
   clearAuthToken,
   getAuthToken,
+  refreshAccessToken,
 } from "../api";
 
 const AuthContext = createContext();
@@ -28,6 +29,9 @@ const initialState = {
   loading: true,
   error: null,
 
+  // Pending 2FA login - set after the password step succeeds
+  twoFactorChallenge: null,
+
   // Account status
   accountStatus: null,
   verificationStatus: {
@@ -118,6 +122,7 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         loading: false,
         error: null,
+        twoFactorChallenge: null,
         accountStatus: userData.accountStatus,
         verificationStatus:
           userData.verificationStatus || state.verificationStatus,
@@ -129,6 +134,20 @@ const authReducer = (state, action) => {
       };
     }
 
+    case "TWO_FACTOR_REQUIRED":
+      return {
+        ...state,
+        loading: false,
+        error: null,
+        twoFactorChallenge: action.payload,
+      };
+
+    case "CLEAR_TWO_FACTOR":
+      return { ...state, twoFactorChallenge: null };
+
+    case "TOKEN_REFRESHED":
+      return { ...state, token: action.payload };
+
     case "LOAD_USER_SUCCESS":
       return {
         ...state,
@@ -329,6 +348,19 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.login(credentials);
       console.log("🔐 AuthContext: Login API response:", response.data);
 
+      // 2FA accounts get a challenge instead of a token
+      if (response.data.requiresTwoFactor) {
+        dispatch({
+          type: "TWO_FACTOR_REQUIRED",
+          payload: response.data.challengeToken,
+        });
+        return {
+          success: true,
+          requiresTwoFactor: true,
+          message: response.data.message,
+        };
+      }
+
       // ✅ Set token immediately in axios before any other calls
       setAuthToken(response.data.token);
 
@@ -347,7 +379,11 @@ export const AuthProvider = ({ children }) => {
         console.warn("Failed to fetch subscription on login:", err)
       );
 
-      return { success: true, message: response.data.message };
+      return {
+        success: true,
+        message: response.data.message,
+        deletionCancelled: response.data.data.deletionCancelled,
+      };
     } catch (error) {
       console.error("🔐 AuthContext: Login error:", error);
       const message = error.response?.data?.message || "Login failed";
@@ -356,6 +392,44 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (code) => {
+    try {
+      const response = await authAPI.verifyTwoFactorLogin(
+        state.twoFactorChallenge,
+        code
+      );
+
+      setAuthToken(response.data.token);
+
+      dispatch({
+        type: "LOGIN_SUCCESS",
+        payload: {
+          token: response.data.token,
+          user: response.data.data,
+        },
+      });
+
+      refreshSubscription().catch((err) =>
+        console.warn("Failed to fetch subscription on login:", err)
+      );
+
+      return {
+        success: true,
+        message: response.data.message,
+        remainingRecoveryCodes: response.data.data.remainingRecoveryCodes,
+        deletionCancelled: response.data.data.deletionCancelled,
+      };
+    } catch (error) {
+      const message =
+        error.response?.data?.message || "Invalid authentication code";
+      return { success: false, message };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    dispatch({ type: "CLEAR_TWO_FACTOR" });
+  };
+
   const logout = async () => {
     try {
       await authAPI.logout();
@@ -367,6 +441,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const logoutAllDevices = async () => {
+    try {
+      const response = await authAPI.logoutAll();
+      dispatch({ type: "LOGOUT" });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message =
+        error.response?.data?.message || "Could not log out other devices";
+      return { success: false, message };
+    }
+  };
+
+  // Schedules deletion; the server signs the account out everywhere
+  const deleteAccount = async (password, reason) => {
+    try {
+      const response = await authAPI.requestAccountDeletion(password, reason);
+      dispatch({ type: "LOGOUT" });
+      clearAuthToken();
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message =
+        error.response?.data?.message || "Could not delete account";
+      return { success: false, message };
+    }
+  };
+
   const updateProfile = async (userData) => {
     try {
       const response = await authAPI.updateDetails(userData);
@@ -388,6 +488,67 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const forgotPassword = async (email) => {
+    try {
+      const response = await authAPI.forgotPassword(email);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message =
+        error.response?.data?.message || "Could not send reset email";
+      return { success: false, message, errors: error.response?.data?.errors };
+    }
+  };
+
+  const resetPassword = async (token, password) => {
+    try {
+      const response = await authAPI.resetPassword(token, password);
+
+      setAuthToken(response.data.token);
+
+      dispatch({
+        type: "LOGIN_SUCCESS",
+        payload: {
+          token: response.data.token,
+          user: response.data.data,
+        },
+      });
+
+      refreshSubscription().catch((err) =>
+        console.warn("Failed to fetch subscription on password reset:", err)
+      );
+
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message = error.response?.data?.message || "Password reset failed";
+      return { success: false, message, errors: error.response?.data?.errors };
+    }
+  };
+
+  const verifyEmail = async (token) => {
+    try {
+      const response = await authAPI.verifyEmail(token);
+      if (getAuthToken()) {
+        await loadUser(true);
+      }
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message =
+        error.response?.data?.message || "Email verification failed";
+      return { success: false, message };
+    }
+  };
+
+  const resendVerification = async () => {
+    try {
+      const response = await authAPI.resendVerification();
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message =
+        error.response?.data?.message || "Could not send verification email";
+      return { success: false, message };
+    }
+  };
+
   // ============================================================================
   // PROFILE MANAGEMENT METHODS
   // ============================================================================
@@ -598,8 +759,14 @@ export const AuthProvider = ({ children }) => {
   // PERMISSION HELPERS
   // ============================================================================
 
+  // Accepts the client-side feature flags above as well as the named
+  // permissions granted by the server's role registry (e.g. "jobs:create")
   const hasPermission = (permission) => {
-    return state.permissions[permission] || false;
+    return (
+      state.permissions[permission] ||
+      state.user?.permissions?.includes(permission) ||
+      false
+    );
   };
 
   const canAccessRoute = (routeLevel) => {
@@ -675,12 +842,11 @@ export const AuthProvider = ({ children }) => {
   // ============================================================================
 
   useEffect(() => {
-    const token = getAuthToken();
-    if (token) {
-      loadUser();
-    } else {
-      dispatch({ type: "AUTH_ERROR", payload: null });
-    }
+    // The access token only lives in memory, so restore the session from
+    // the httpOnly refresh token cookie on page load
+    refreshAccessToken()
+      .then(() => loadUser())
+      .catch(() => dispatch({ type: "AUTH_ERROR", payload: null }));
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Only run once on mount
 
@@ -688,9 +854,15 @@ export const AuthProvider = ({ children }) => {
     const handleUnauthorized = () => {
       dispatch({ type: "LOGOUT" });
     };
+    const handleTokenRefreshed = (event) => {
+      dispatch({ type: "TOKEN_REFRESHED", payload: event.detail.token });
+    };
     window.addEventListener("auth:unauthorized", handleUnauthorized);
-    return () =>
+    window.addEventListener("auth:token-refreshed", handleTokenRefreshed);
+    return () => {
       window.removeEventListener("auth:unauthorized", handleUnauthorized);
+      window.removeEventListener("auth:token-refreshed", handleTokenRefreshed);
+    };
   }, []);
 
   useEffect(() => {
@@ -714,10 +886,18 @@ export const AuthProvider = ({ children }) => {
     // Core auth methods
     register,
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     logout,
+    logoutAllDevices,
+    deleteAccount,
     loadUser,
     updateProfile,
     updatePassword,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     clearError,
 
     // Profile management
@@ -2,6 +2,7 @@
 import React, { createContext, useContext, useEffect, useState } from "react";
 import { io } from "socket.io-client";
 import { useAuth } from "./AuthContext";
+import { getAuthToken } from "../api";
 
 const SocketContext = createContext();
 
@@ -16,11 +17,11 @@ export const useSocket = () => {
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
-  const { token } = useAuth();
+  const { isAuthenticated } = useAuth();
 
   useEffect(() => {
-    // Only initialize if we have a token
-    if (!token) {
+    // Only initialize once the user is signed in
+    if (!isAuthenticated) {
       console.log("⚠️  No token, skipping Socket.IO initialization");
       return;
     }
@@ -34,13 +35,13 @@ export const SocketProvider = ({ children }) => {
 
     console.log("🔧 API URL:", apiUrl);
     console.log("🔧 Socket.IO URL:", socketUrl);
-    console.log("🔧 Token present:", !!token);
+    console.log("🔧 Token present:", !!getAuthToken());
 
     // Create socket with minimal configuration
     const newSocket = io(socketUrl, {
-      auth: {
-        token,
-      },
+      // Read the token on every (re)connect - access tokens are short-lived
+      // and rotate in the background
+      auth: (cb) => cb({ token: getAuthToken() }),
       transports: ["websocket", "polling"],
       reconnection: true,
       reconnectionAttempts: 5,
@@ -73,7 +74,7 @@ export const SocketProvider = ({ children }) => {
       console.log("🧹 Cleaning up Socket.IO connection");
       newSocket.close();
     };
-  }, [token]);
+  }, [isAuthenticated]);
 
   const value = {
     socket,
@@ -34,7 +34,8 @@ export const useAdminSocket = () => {
 
     // Create socket connection to admin namespace
     const socket = io(namespaceUrl, {
-      auth: { token },
+      // Fetch the current access token on each reconnect attempt
+      auth: (cb) => cb({ token: getAuthToken() }),
       transports: ["websocket", "polling"],
       reconnection: true,
       reconnectionDelay: 1000,
@@ -0,0 +1,55 @@
+// client/src/hooks/useDisplayCurrency.js - Currency job budgets are shown in
+import { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+
+export const CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD"];
+
+const STORAGE_KEY = "displayCurrency";
+
+export const formatMoney = (amount, currency = "USD") =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(amount);
+
+/**
+ * Format a job budget in the display currency
+ * The server adds budget.converted for the requested display_currency; the
+ * posted amount follows in brackets when the currencies differ.
+ * @param {Object} budget - job.budget
+ * @returns {String} e.g. "$540 (€500)" or "€80/hr"
+ */
+export const formatJobBudget = (budget) => {
+  if (!budget || budget.type === "negotiable" || budget.amount == null) {
+    return "Negotiable";
+  }
+
+  const suffix = budget.type === "hourly" ? "/hr" : "";
+  const posted = `${formatMoney(budget.amount, budget.currency)}${suffix}`;
+  const converted = budget.converted;
+  if (!converted || converted.currency === (budget.currency || "USD")) {
+    return posted;
+  }
+  const shown = formatMoney(converted.amount, converted.currency);
+  return `${shown}${suffix} (${posted})`;
+};
+
+// Display currency, remembered per browser; defaults to the profile setting
+export const useDisplayCurrency = () => {
+  const { user } = useAuth();
+  const [currency, setCurrency] = useState(
+    () =>
+      localStorage.getItem(STORAGE_KEY) ||
+      user?.job_preferences?.preferred_currency ||
+      "USD"
+  );
+
+  const updateCurrency = (value) => {
+    localStorage.setItem(STORAGE_KEY, value);
+    setCurrency(value);
+  };
+
+  return [currency, updateCurrency];
+};
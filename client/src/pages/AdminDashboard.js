@@ -40,10 +40,36 @@ import {
   Ban,
   Wifi,
   WifiOff,
+  Lock,
+  Unlock,
+  UserCog,
+  ScrollText,
+  Download,
 } from "lucide-react";
 
+// Permission each tab needs (see server/config/permissions.js)
+const TAB_PERMISSIONS = {
+  overview: "admin:dashboard",
+  pending: "verification:view",
+  approved: "verification:view",
+  rejected: "verification:view",
+  stats: "verification:view",
+  jobs: "jobs:moderate",
+  applications: "applications:moderate",
+  locked: "users:manage",
+  admins: "admin_roles:manage",
+  audit: "audit:view",
+};
+
+const ADMIN_ROLE_LABELS = {
+  super_admin: "Super Admin",
+  verification_reviewer: "Verification Reviewer",
+  support: "Support",
+  billing: "Billing",
+};
+
 const AdminDashboard = () => {
-  const { user, isAdmin } = useAuth();
+  const { user, isAdmin, hasPermission } = useAuth();
   const [activeTab, setActiveTab] = useState("overview");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
@@ -110,6 +136,13 @@ const AdminDashboard = () => {
     pages: 0,
   });
 
+  // Locked accounts state
+  const [lockedAccounts, setLockedAccounts] = useState([]);
+
+  // Admin sub-role state
+  const [adminUsers, setAdminUsers] = useState([]);
+  const [adminRoles, setAdminRoles] = useState([]);
+
   // UI states
   const [filters, setFilters] = useState({
     type: "all",
@@ -320,6 +353,40 @@ const AdminDashboard = () => {
     }
   };
 
+  const unlockAccount = async (userId) => {
+    setShowConfirmModal(null);
+
+    try {
+      setLoading(true);
+      const response = await adminAPI.unlockAccount(userId);
+      setSuccess(response.data.message || "Account unlocked successfully");
+      await fetchLockedAccounts(true);
+      setTimeout(() => setSuccess(""), 3000);
+    } catch (err) {
+      console.error("Error unlocking account:", err);
+      setError(err.response?.data?.message || "Failed to unlock account");
+      setTimeout(() => setError(""), 5000);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changeAdminRole = async (userId, adminRole) => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.updateAdminRole(userId, adminRole);
+      setSuccess(response.data.message || "Admin role updated");
+      await fetchAdminUsers(true);
+      setTimeout(() => setSuccess(""), 3000);
+    } catch (err) {
+      console.error("Error updating admin role:", err);
+      setError(err.response?.data?.message || "Failed to update admin role");
+      setTimeout(() => setError(""), 5000);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const bulkVerify = async (status) => {
     if (selectedUsers.length === 0) {
       setError("Please select users to verify");
@@ -523,10 +590,46 @@ const AdminDashboard = () => {
     [filters.page, filters.limit, filters.search],
   );
 
+  const fetchLockedAccounts = useCallback(async (silent = false) => {
+    try {
+      if (!silent) setLoading(true);
+      const response = await adminAPI.getLockedAccounts();
+      setLockedAccounts(response.data.data);
+      setError("");
+    } catch (err) {
+      console.error("Error fetching locked accounts:", err);
+      if (!silent)
+        setError(
+          err.response?.data?.message || "Failed to fetch locked accounts",
+        );
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, []);
+
+  const fetchAdminUsers = useCallback(async (silent = false) => {
+    try {
+      if (!silent) setLoading(true);
+      const response = await adminAPI.getAdminUsers();
+      setAdminUsers(response.data.data);
+      setAdminRoles(response.data.adminRoles);
+      setError("");
+    } catch (err) {
+      console.error("Error fetching admin users:", err);
+      if (!silent)
+        setError(err.response?.data?.message || "Failed to fetch admin users");
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, []);
+
   // Fetch data when tab or filters change (moved here after function definitions)
   useEffect(() => {
     console.log("🔄 Tab changed to:", activeTab, "isAdmin:", isAdmin());
 
+    // Admin sub-roles only see the tabs they have permissions for
+    if (!hasPermission(TAB_PERMISSIONS[activeTab])) return;
+
     if (activeTab === "pending" && isAdmin()) {
       fetchPendingVerifications();
     } else if (activeTab === "users" && isAdmin()) {
@@ -542,11 +645,16 @@ const AdminDashboard = () => {
       fetchApprovedDoctors();
     } else if (activeTab === "rejected" && isAdmin()) {
       fetchRejectedUsers();
+    } else if (activeTab === "locked" && isAdmin()) {
+      fetchLockedAccounts();
+    } else if (activeTab === "admins" && isAdmin()) {
+      fetchAdminUsers();
     }
   }, [
     filters,
     activeTab,
     isAdmin,
+    hasPermission,
     fetchPendingVerifications,
     fetchAllUsers,
     fetchAllJobs,
@@ -554,6 +662,8 @@ const AdminDashboard = () => {
     fetchVerificationStats,
     fetchApprovedDoctors,
     fetchRejectedUsers,
+    fetchLockedAccounts,
+    fetchAdminUsers,
   ]);
 
   const handleResolveDispute = async (
@@ -2900,6 +3010,140 @@ const AdminDashboard = () => {
     </div>
   );
 
+  const LockedAccountsTab = () => (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl border border-gray-200 p-5 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">
+            Locked Accounts
+          </h3>
+          <p className="text-sm text-gray-600">
+            Accounts temporarily locked after repeated failed sign-ins. Locks
+            expire on their own; unlock to restore access immediately.
+          </p>
+        </div>
+        <button
+          onClick={() => fetchLockedAccounts()}
+          disabled={loading}
+          className="flex items-center justify-center space-x-2 px-4 py-2.5 text-sm font-medium border border-gray-200 rounded-lg bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-150 min-w-[110px]"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {lockedAccounts.length > 0 ? (
+        <div className="bg-white rounded-xl border border-gray-200 divide-y divide-gray-200">
+          {lockedAccounts.map((account) => (
+            <div
+              key={account._id}
+              className="p-5 flex flex-col md:flex-row md:items-center justify-between gap-4"
+            >
+              <div className="flex items-start space-x-4">
+                <div className="w-10 h-10 bg-red-50 rounded-full flex items-center justify-center flex-shrink-0">
+                  <Lock className="w-5 h-5 text-red-600" />
+                </div>
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    {account.firstName} {account.lastName}
+                    <span className="ml-2 text-xs text-gray-500 capitalize">
+                      {account.role}
+                    </span>
+                  </p>
+                  <p className="text-sm text-gray-600">{account.email}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {account.loginAttempts} consecutive failures
+                    {account.failuresLast24h !== undefined &&
+                      ` • ${account.failuresLast24h} in the last 24h`}
+                    {account.lastIpAddress &&
+                      ` • last from ${account.lastIpAddress}`}
+                    {account.lastDeviceName && ` (${account.lastDeviceName})`}
+                  </p>
+                  <p className="text-xs text-red-600 mt-1">
+                    Locked until {new Date(account.lockUntil).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() =>
+                  setShowConfirmModal({
+                    type: "unlock",
+                    title: "Unlock Account",
+                    message: `Unlock ${account.firstName} ${account.lastName}'s account and reset failed sign-in attempts?`,
+                    action: () => unlockAccount(account._id),
+                  })
+                }
+                disabled={loading}
+                className="flex items-center justify-center space-x-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                <Unlock className="w-4 h-4" />
+                <span>Unlock</span>
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        !loading && (
+          <div className="bg-white rounded-xl border border-gray-200 p-12 text-center">
+            <CheckCircle className="w-12 h-12 text-green-500 mx-auto mb-3" />
+            <p className="text-gray-600">No accounts are currently locked</p>
+          </div>
+        )
+      )}
+    </div>
+  );
+
+  const AdminRolesTab = () => (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl border border-gray-200 p-5">
+        <h3 className="text-lg font-semibold text-gray-900">Admin Roles</h3>
+        <p className="text-sm text-gray-600">
+          Sub-roles limit what each admin can do. Verification reviewers only
+          handle the verification queue, support can unlock accounts and
+          moderate jobs and applications, billing manages subscriptions.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl border border-gray-200 divide-y divide-gray-200">
+        {adminUsers.map((admin) => {
+          const isSelf = admin._id === (user?.id || user?._id);
+          return (
+            <div
+              key={admin._id}
+              className="p-5 flex flex-col md:flex-row md:items-center justify-between gap-4"
+            >
+              <div>
+                <p className="font-semibold text-gray-900">
+                  {admin.firstName} {admin.lastName}
+                  {isSelf && (
+                    <span className="ml-2 text-xs text-gray-500">(you)</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">{admin.email}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {admin.permissions.length} permissions
+                  {!admin.twoFactor?.enabled && " • 2FA not enabled"}
+                </p>
+              </div>
+              <select
+                value={admin.adminRole}
+                disabled={loading || isSelf}
+                onChange={(e) => changeAdminRole(admin._id, e.target.value)}
+                className="px-3 py-2 border border-gray-200 rounded-lg text-sm bg-white disabled:opacity-50"
+              >
+                {adminRoles.map((role) => (
+                  <option key={role} value={role}>
+                    {ADMIN_ROLE_LABELS[role] || role}
+                  </option>
+                ))}
+              </select>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+
   const TabNavigation = () => {
     const tabs = [
       { id: "overview", label: "Overview", icon: BarChart3, count: null },
@@ -2935,7 +3179,15 @@ const AdminDashboard = () => {
         icon: FileText,
         count: null,
       },
-    ];
+      {
+        id: "locked",
+        label: "Locked Accounts",
+        icon: Lock,
+        count: lockedAccounts.length,
+      },
+      { id: "admins", label: "Admin Roles", icon: UserCog, count: null },
+      { id: "audit", label: "Audit Log", icon: ScrollText, count: null },
+    ].filter((tab) => hasPermission(TAB_PERMISSIONS[tab.id]));
 
     return (
       <div className="bg-white rounded-xl border border-gray-200 mb-6 overflow-hidden">
@@ -3064,6 +3316,9 @@ const AdminDashboard = () => {
         {activeTab === "stats" && <StatsTab />}
         {activeTab === "jobs" && <JobManagementTab />}
         {activeTab === "applications" && <ApplicationManagementTab />}
+        {activeTab === "locked" && <LockedAccountsTab />}
+        {activeTab === "admins" && <AdminRolesTab />}
+        {activeTab === "audit" && <AuditLogTab />}
       </div>
 
       {/* Footer Info */}
@@ -3083,4 +3338,327 @@ const AdminDashboard = () => {
   );
 };
 
+const AUDIT_TARGET_TYPES = ["User", "Job", "Application", "Subscription"];
+
+const formatAuditValue = (value) =>
+  value === undefined || value === null || value === ""
+    ? "—"
+    : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+
+// Defined outside AdminDashboard so the filter inputs keep their state and
+// focus when the dashboard re-renders (live metrics refresh every few seconds)
+const AuditLogTab = () => {
+  const emptyFilters = {
+    action: "",
+    targetType: "",
+    search: "",
+    from: "",
+    to: "",
+  };
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [logs, setLogs] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, pages: 1 });
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState("");
+
+  // Only send filters that are set; dates become full-day boundaries
+  const buildParams = useCallback(() => {
+    const params = {};
+    Object.entries(appliedFilters).forEach(([key, value]) => {
+      if (value) params[key] = value;
+    });
+    if (params.from) {
+      params.from = new Date(`${params.from}T00:00:00`).toISOString();
+    }
+    if (params.to) {
+      params.to = new Date(`${params.to}T23:59:59.999`).toISOString();
+    }
+    return params;
+  }, [appliedFilters]);
+
+  const fetchLogs = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getAuditLogs({
+        ...buildParams(),
+        page,
+        limit: 25,
+      });
+      setLogs(response.data.data.logs);
+      setPagination(response.data.data.pagination);
+      setActions(response.data.data.actions);
+      setError("");
+    } catch (err) {
+      console.error("Error fetching audit logs:", err);
+      setError(err.response?.data?.message || "Failed to fetch audit log");
+    } finally {
+      setLoading(false);
+    }
+  }, [buildParams, page]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(emptyFilters);
+    setAppliedFilters(emptyFilters);
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await adminAPI.exportAuditLogs(buildParams());
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `audit-log-${new Date().toISOString().split("T")[0]}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+
+      if (response.headers["x-audit-export-truncated"] === "true") {
+        setError(
+          "The export was capped at 10,000 entries. Narrow the date range to export the rest.",
+        );
+      }
+    } catch (err) {
+      console.error("Error exporting audit logs:", err);
+      setError("Failed to export audit log");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl border border-gray-200 p-5">
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Audit Log</h3>
+            <p className="text-sm text-gray-600">
+              Append-only record of admin and security-sensitive actions.
+              Entries cannot be edited or deleted.
+            </p>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="flex items-center justify-center space-x-2 px-4 py-2.5 text-sm font-medium border border-gray-200 rounded-lg bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-150 flex-shrink-0"
+          >
+            {exporting ? (
+              <Loader className="w-4 h-4 animate-spin" />
+            ) : (
+              <Download className="w-4 h-4" />
+            )}
+            <span>Export CSV</span>
+          </button>
+        </div>
+
+        <form
+          onSubmit={applyFilters}
+          className="grid grid-cols-1 md:grid-cols-6 gap-3"
+        >
+          <select
+            value={filters.action}
+            onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+            className="px-3 py-2 border border-gray-200 rounded-lg text-sm bg-white"
+          >
+            <option value="">All actions</option>
+            {actions.map((action) => (
+              <option key={action} value={action}>
+                {action}
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.targetType}
+            onChange={(e) =>
+              setFilters({ ...filters, targetType: e.target.value })
+            }
+            className="px-3 py-2 border border-gray-200 rounded-lg text-sm bg-white"
+          >
+            <option value="">All targets</option>
+            {AUDIT_TARGET_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+            placeholder="Actor or target..."
+            className="px-3 py-2 border border-gray-200 rounded-lg text-sm"
+          />
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className="px-3 py-2 border border-gray-200 rounded-lg text-sm"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            className="px-3 py-2 border border-gray-200 rounded-lg text-sm"
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+            >
+              <Search className="w-4 h-4" />
+              <span>Filter</span>
+            </button>
+            <button
+              type="button"
+              onClick={clearFilters}
+              className="px-3 py-2 text-sm border border-gray-200 rounded-lg hover:bg-gray-50"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 flex items-center space-x-2">
+          <AlertCircle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+        {loading && logs.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Loader className="w-8 h-8 animate-spin text-blue-600" />
+          </div>
+        ) : logs.length === 0 ? (
+          <p className="p-12 text-center text-gray-600">
+            No audit entries match these filters
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {logs.map((log) => (
+              <div key={log._id} className="p-4">
+                <button
+                  onClick={() =>
+                    setExpanded(expanded === log._id ? null : log._id)
+                  }
+                  className="w-full flex items-center justify-between gap-4 text-left"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      <span className="font-mono text-blue-700">
+                        {log.action}
+                      </span>
+                      {log.targetLabel && (
+                        <span className="text-gray-600">
+                          {" "}
+                          • {log.targetType}: {log.targetLabel}
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {log.actorName}
+                      {log.actorEmail && ` (${log.actorEmail})`} •{" "}
+                      {ADMIN_ROLE_LABELS[log.actorRole] || log.actorRole} •{" "}
+                      {log.ipAddress || "no IP"} •{" "}
+                      {new Date(log.createdAt).toLocaleString()}
+                    </p>
+                  </div>
+                  {expanded === log._id ? (
+                    <ChevronDown className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                  ) : (
+                    <ChevronRight className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                  )}
+                </button>
+
+                {expanded === log._id && (
+                  <div className="mt-3 space-y-3">
+                    {log.changes?.length > 0 && (
+                      <table className="w-full text-xs border border-gray-200 rounded">
+                        <thead className="bg-gray-50 text-gray-600">
+                          <tr>
+                            <th className="text-left p-2">Field</th>
+                            <th className="text-left p-2">Before</th>
+                            <th className="text-left p-2">After</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                          {log.changes.map((change) => (
+                            <tr key={change.field}>
+                              <td className="p-2 font-mono">{change.field}</td>
+                              <td className="p-2 text-red-700">
+                                {formatAuditValue(change.before)}
+                              </td>
+                              <td className="p-2 text-green-700">
+                                {formatAuditValue(change.after)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                    {log.metadata && (
+                      <pre className="text-xs bg-gray-50 border border-gray-200 rounded p-2 overflow-x-auto">
+                        {JSON.stringify(log.metadata, null, 2)}
+                      </pre>
+                    )}
+                    {log.userAgent && (
+                      <p className="text-xs text-gray-500">{log.userAgent}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-gray-600">
+          <span>
+            Page {pagination.page} of {pagination.pages} • {pagination.total}{" "}
+            entries
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1 || loading}
+              className="px-3 py-1.5 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.pages || loading}
+              className="px-3 py-1.5 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default AdminDashboard;
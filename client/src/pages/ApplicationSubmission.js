@@ -1,7 +1,12 @@
 // client/src/pages/ApplicationSubmission.js - Enhanced with Cached Match Score
 import React, { useState, useEffect, useCallback } from "react";
 import { useAuth } from "../context/AuthContext";
-import { useParams, useNavigate, Link } from "react-router-dom";
+import {
+  useParams,
+  useNavigate,
+  useLocation,
+  Link,
+} from "react-router-dom";
 import { useQuery } from "@tanstack/react-query";
 import toast from "react-hot-toast";
 import MatchScoreModal from "../components/applications/MatchScoreModal";
@@ -27,6 +32,7 @@ const ApplicationSubmission = () => {
   const { jobId } = useParams();
   const { user } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   // State
   const [loading, setLoading] = useState(false);
@@ -51,6 +57,10 @@ const ApplicationSubmission = () => {
     questions: "",
   });
 
+  // Answers to the job's screening questions, keyed by question id
+  const [screeningAnswers, setScreeningAnswers] = useState({});
+  const screeningQuestions = job?.screening_questions || [];
+
   // Validation errors
   const [validationErrors, setValidationErrors] = useState({});
 
@@ -76,13 +86,13 @@ const ApplicationSubmission = () => {
   };
 
   // Fetch cached match score from backend
-  const { data: cachedMatchScore, isLoading: matchLoading } = useQuery({
+  const { data: matchDetails, isLoading: matchLoading } = useQuery({
     queryKey: ["matchScore", jobId, user?.id],
     queryFn: async () => {
       try {
         const response = await applicationAPI.getMatchScore(jobId);
         console.log("📊 Match score from backend:", response);
-        return response?.data?.data?.matchScore || null;
+        return response?.data?.data || null;
       } catch (error) {
         console.log("No cached match score available");
         return null;
@@ -92,6 +102,7 @@ const ApplicationSubmission = () => {
     staleTime: 5 * 60 * 1000, // Cache for 5 minutes
     retry: 1,
   });
+  const shownMatchScore = matchScore ?? matchDetails?.matchScore ?? null;
 
   // Check if user has already applied
   const { data: existingApplicationData, isLoading: checkingApplication } =
@@ -179,9 +190,25 @@ const ApplicationSubmission = () => {
     }
   };
 
+  const handleAnswerChange = (questionId, value) => {
+    setScreeningAnswers((prev) => ({ ...prev, [questionId]: value }));
+    const key = `screening_answers.${questionId}`;
+    if (validationErrors[key]) {
+      setValidationErrors((prev) => ({ ...prev, [key]: "" }));
+    }
+  };
+
   const validateForm = () => {
     const errors = {};
 
+    screeningQuestions.forEach((question) => {
+      const answer = screeningAnswers[question._id];
+      if (question.required && (answer === undefined || answer === "")) {
+        errors[`screening_answers.${question._id}`] =
+          "Please answer this question";
+      }
+    });
+
     if (!formData.cover_letter.trim()) {
       errors.cover_letter = "Cover letter is required";
     } else if (formData.cover_letter.length < 100) {
@@ -267,7 +294,19 @@ const ApplicationSubmission = () => {
           relevant_experience: formData.relevant_experience.trim() || undefined,
           questions_for_employer: formData.questions.trim() || undefined,
         },
-        source: "search",
+        source: location.state?.source || "direct",
+        screening_answers: screeningQuestions
+          .filter((question) => {
+            const answer = screeningAnswers[question._id];
+            return answer !== undefined && answer !== "";
+          })
+          .map((question) => ({
+            question_id: question._id,
+            answer:
+              question.type === "number"
+                ? parseFloat(screeningAnswers[question._id])
+                : screeningAnswers[question._id],
+          })),
       };
 
       console.log("📤 Submitting application...", applicationData);
@@ -281,6 +320,11 @@ const ApplicationSubmission = () => {
 
       console.log("✅ Application submitted successfully!", response);
 
+      // Screening knockouts can reject the application straight away
+      if (response?.data?.data?.status === "rejected") {
+        toast.error(response.data.message, { duration: 6000 });
+      }
+
       // Use the score already set for match score modal
       setSubmittedMatchScore(matchScore);
 
@@ -640,6 +684,89 @@ const ApplicationSubmission = () => {
                 </div>
               </div>
 
+              {/* Screening Questions */}
+              {screeningQuestions.length > 0 && (
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                  <h2 className="text-xl font-semibold text-gray-900 mb-1">
+                    Screening Questions
+                  </h2>
+                  <p className="text-sm text-gray-600 mb-4">
+                    The poster asks every applicant these questions.
+                  </p>
+
+                  <div className="space-y-5">
+                    {screeningQuestions.map((question) => {
+                      const key = `screening_answers.${question._id}`;
+                      const value = screeningAnswers[question._id] ?? "";
+
+                      return (
+                        <div key={question._id}>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            {question.question}
+                            {question.required ? " *" : " (optional)"}
+                          </label>
+
+                          {question.type === "yes_no" && (
+                            <div className="flex gap-3">
+                              {["yes", "no"].map((option) => (
+                                <button
+                                  key={option}
+                                  type="button"
+                                  onClick={() =>
+                                    handleAnswerChange(question._id, option)
+                                  }
+                                  className={`px-6 py-2 border rounded-lg capitalize ${
+                                    value === option
+                                      ? "border-blue-500 bg-blue-50 text-blue-700"
+                                      : "border-gray-300 hover:bg-gray-50"
+                                  }`}
+                                >
+                                  {option}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+
+                          {question.type === "number" && (
+                            <input
+                              type="number"
+                              value={value}
+                              onChange={(e) =>
+                                handleAnswerChange(question._id, e.target.value)
+                              }
+                              className="w-full md:w-48 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          )}
+
+                          {question.type === "multiple_choice" && (
+                            <select
+                              value={value}
+                              onChange={(e) =>
+                                handleAnswerChange(question._id, e.target.value)
+                              }
+                              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value="">Select an answer</option>
+                              {question.options.map((option) => (
+                                <option key={option} value={option}>
+                                  {option}
+                                </option>
+                              ))}
+                            </select>
+                          )}
+
+                          {validationErrors[key] && (
+                            <p className="text-red-500 text-sm mt-1">
+                              {validationErrors[key]}
+                            </p>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
               {/* Additional Information */}
               <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
                 <h2 className="text-xl font-semibold text-gray-900 mb-4">
@@ -783,7 +910,7 @@ const ApplicationSubmission = () => {
             </div>
 
             {/* Match Score */}
-            {matchScore !== null && matchScore !== undefined && (
+            {shownMatchScore !== null && (
               <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">
                   Your Match Score
@@ -791,41 +918,71 @@ const ApplicationSubmission = () => {
                 <div className="text-center">
                   <div
                     className={`text-4xl font-bold mb-2 ${
-                      matchScore >= 80
+                      shownMatchScore >= 80
                         ? "text-green-600"
-                        : matchScore >= 60
+                        : shownMatchScore >= 60
                         ? "text-blue-600"
-                        : matchScore >= 40
+                        : shownMatchScore >= 40
                         ? "text-yellow-600"
                         : "text-red-600"
                     }`}
                   >
-                    {matchScore}%
+                    {shownMatchScore}%
                   </div>
                   <p className="text-sm text-gray-600">
-                    {matchScore >= 80
+                    {shownMatchScore >= 80
                       ? "Excellent match"
-                      : matchScore >= 60
+                      : shownMatchScore >= 60
                       ? "Good match"
-                      : matchScore >= 40
+                      : shownMatchScore >= 40
                       ? "Fair match"
                       : "Weak match"}
                   </p>
                   <div className="mt-3 w-full bg-gray-200 rounded-full h-2">
                     <div
                       className={`h-2 rounded-full ${
-                        matchScore >= 80
+                        shownMatchScore >= 80
                           ? "bg-green-500"
-                          : matchScore >= 60
+                          : shownMatchScore >= 60
                           ? "bg-blue-500"
-                          : matchScore >= 40
+                          : shownMatchScore >= 40
                           ? "bg-yellow-500"
                           : "bg-red-500"
                       }`}
-                      style={{ width: `${matchScore}%` }}
+                      style={{ width: `${shownMatchScore}%` }}
                     />
                   </div>
                 </div>
+                {matchDetails?.breakdown && (
+                  <ul className="mt-4 space-y-2">
+                    {Object.entries(matchDetails.breakdown)
+                      .filter(([, factor]) => factor.applicable)
+                      .map(([key, factor]) => (
+                        <li key={key} className="text-sm">
+                          <div className="flex justify-between">
+                            <span className="font-medium text-gray-700">
+                              {factor.label}
+                            </span>
+                            <span className="text-gray-500">
+                              {factor.score}/{factor.weight}
+                            </span>
+                          </div>
+                          <p className="text-xs text-gray-500">
+                            {factor.details}
+                          </p>
+                        </li>
+                      ))}
+                    {matchDetails.bonuses?.map((bonus) => (
+                      <li
+                        key={bonus.key}
+                        className="flex justify-between text-sm"
+                      >
+                        <span className="text-gray-700">{bonus.details}</span>
+                        <span className="text-green-600">+{bonus.points}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             )}
 
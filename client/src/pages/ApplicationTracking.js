@@ -1,8 +1,8 @@
 // client/src/pages/ApplicationTracking.js - Enhanced with Polling and CSV Export
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../context/AuthContext";
-import { Link, useNavigate } from "react-router-dom";
-import { applicationAPI, handleApiError } from "../api";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { applicationAPI, paymentAPI, handleApiError } from "../api";
 import {
   Loader,
   AlertCircle,
@@ -30,10 +30,12 @@ import {
 } from "lucide-react";
 import toast from "react-hot-toast";
 import AppointmentScheduler from "../components/appointments/AppointmentScheduler";
+import ContractModal from "../components/applications/ContractModal";
 
 const ApplicationTracking = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // State
   const [applications, setApplications] = useState([]);
@@ -46,6 +48,7 @@ const ApplicationTracking = () => {
     status: "all",
     search: "",
     sortBy: "createdAt",
+    screening: "",
   });
 
   // Pagination
@@ -65,6 +68,34 @@ const ApplicationTracking = () => {
     loadApplications();
   }, [filters, page]);
 
+  // Back from the payment provider's checkout or payout onboarding
+  useEffect(() => {
+    const funding = searchParams.get("funding");
+    const payouts = searchParams.get("payouts");
+    if (!funding && !payouts) return;
+    setSearchParams({}, { replace: true });
+
+    if (funding === "success") {
+      toast.success("Payment received. The milestone is funded.");
+    } else if (funding === "cancelled") {
+      toast("Payment cancelled. The milestone is not funded.");
+    }
+
+    if (payouts === "return") {
+      paymentAPI
+        .refreshAccount()
+        .then((response) => toast.success(response.data.message))
+        .catch((err) => toast.error(handleApiError(err).message));
+    } else if (payouts === "refresh") {
+      // The onboarding link expired; start a new one
+      paymentAPI
+        .startOnboarding()
+        .then((response) => window.location.assign(response.data.data.url))
+        .catch((err) => toast.error(handleApiError(err).message));
+    }
+    // Runs again after the params are cleared, and returns early then
+  }, [searchParams, setSearchParams]);
+
   // Add polling for real-time updates
   useEffect(() => {
     // Only poll when page is visible
@@ -98,6 +129,7 @@ const ApplicationTracking = () => {
         limit: 10,
         ...(filters.status !== "all" && { status: filters.status }),
         ...(filters.sortBy && { sortBy: filters.sortBy }),
+        ...(filters.screening && { screening: filters.screening }),
       };
 
       let response;
@@ -311,6 +343,7 @@ const ApplicationTracking = () => {
       under_review: "bg-purple-100 text-purple-800 border-purple-200",
       shortlisted: "bg-indigo-100 text-indigo-800 border-indigo-200",
       interview_scheduled: "bg-yellow-100 text-yellow-800 border-yellow-200",
+      interview_completed: "bg-amber-100 text-amber-800 border-amber-200",
       accepted: "bg-green-100 text-green-800 border-green-200",
       rejected: "bg-red-100 text-red-800 border-red-200",
       withdrawn: "bg-gray-100 text-gray-800 border-gray-200",
@@ -324,6 +357,7 @@ const ApplicationTracking = () => {
       submitted: Clock,
       under_review: Eye,
       interview_scheduled: Calendar,
+      interview_completed: Calendar,
       accepted: CheckCircle,
       rejected: XCircle,
       withdrawn: XCircle,
@@ -472,6 +506,25 @@ const ApplicationTracking = () => {
                 <option value="budget">Budget (High to Low)</option>
               </select>
 
+              {user?.role === "senior" && (
+                <select
+                  value={filters.screening}
+                  onChange={(e) => {
+                    setFilters((prev) => ({
+                      ...prev,
+                      screening: e.target.value,
+                    }));
+                    setPage(1);
+                  }}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">All screening results</option>
+                  <option value="passed">Passed screening</option>
+                  <option value="flagged">Flagged by screening</option>
+                  <option value="rejected">Rejected by screening</option>
+                </select>
+              )}
+
               <button
                 onClick={exportApplications}
                 disabled={applications.length === 0}
@@ -592,6 +645,7 @@ const ApplicationCard = ({
 }) => {
   const [showMenu, setShowMenu] = useState(false);
   const [showScheduler, setShowScheduler] = useState(false);
+  const [showContract, setShowContract] = useState(false);
 
   const getStatusBadge = (status) => {
     const styles = {
@@ -599,6 +653,7 @@ const ApplicationCard = ({
       under_review: "bg-purple-100 text-purple-800 border-purple-200",
       shortlisted: "bg-indigo-100 text-indigo-800 border-indigo-200",
       interview_scheduled: "bg-yellow-100 text-yellow-800 border-yellow-200",
+      interview_completed: "bg-amber-100 text-amber-800 border-amber-200",
       accepted: "bg-green-100 text-green-800 border-green-200",
       rejected: "bg-red-100 text-red-800 border-red-200",
       withdrawn: "bg-gray-100 text-gray-800 border-gray-200",
@@ -622,6 +677,13 @@ const ApplicationCard = ({
                 {application.match_score}% match
               </span>
             )}
+            {userRole === "senior" &&
+              application.screening?.outcome === "flagged" && (
+                <span className="px-2 py-1 bg-orange-100 text-orange-800 text-xs font-medium rounded flex items-center gap-1">
+                  <AlertCircle className="w-3 h-3" />
+                  Flagged
+                </span>
+              )}
           </div>
           <div className="flex items-center space-x-4 text-sm text-gray-600">
             <span className="flex items-center">
@@ -683,6 +745,19 @@ const ApplicationCard = ({
                   Send Message
                 </button>
 
+                {["accepted", "completed"].includes(application.status) && (
+                  <button
+                    onClick={() => {
+                      setShowContract(true);
+                      setShowMenu(false);
+                    }}
+                    className="flex items-center w-full px-4 py-2 text-left text-gray-700 hover:bg-gray-50"
+                  >
+                    <FileText className="w-4 h-4 mr-3" />
+                    Contract
+                  </button>
+                )}
+
                 {/* Schedule Interview Button for Senior Doctors */}
                 {userRole === "senior" &&
                   application.status === "shortlisted" && (
@@ -836,6 +911,14 @@ const ApplicationCard = ({
         </button>
       </div>
 
+      {/* Contract Modal */}
+      {showContract && (
+        <ContractModal
+          application={application}
+          onClose={() => setShowContract(false)}
+        />
+      )}
+
       {/* Appointment Scheduler Modal */}
       {showScheduler && (
         <AppointmentScheduler
@@ -918,6 +1001,48 @@ const ApplicationDetailsModal = ({
               </div>
             </div>
 
+            {/* Screening */}
+            {(application.screening?.answers?.length > 0 ||
+              application.screening?.deal_breakers?.length > 0) && (
+              <div>
+                <h3 className="text-lg font-semibold mb-3">Screening</h3>
+                {application.screening.deal_breakers.length > 0 && (
+                  <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-3">
+                    <p className="text-sm font-medium text-orange-900 mb-1">
+                      {application.screening.outcome === "rejected"
+                        ? "Automatically rejected"
+                        : "Flagged for review"}
+                    </p>
+                    <ul className="text-sm text-orange-800 list-disc ml-5">
+                      {application.screening.deal_breakers.map(
+                        (item, index) => (
+                          <li key={index}>{item.reason}</li>
+                        )
+                      )}
+                    </ul>
+                  </div>
+                )}
+                <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+                  {application.screening.answers.map((answer) => (
+                    <div key={answer.question_id}>
+                      <p className="text-sm font-medium text-gray-600">
+                        {answer.question}
+                      </p>
+                      <p
+                        className={`capitalize ${
+                          answer.knocked_out
+                            ? "text-red-600 font-medium"
+                            : "text-gray-900"
+                        }`}
+                      >
+                        {String(answer.answer)}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Cover Letter */}
             <div>
               <h3 className="text-lg font-semibold mb-3">Cover Letter</h3>
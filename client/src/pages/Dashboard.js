@@ -3,6 +3,7 @@ import React from "react";
 import { Link } from "react-router-dom";
 import { useQuery } from "@tanstack/react-query";
 import { useAuth } from "../context/AuthContext";
+import EmailVerificationBanner from "../components/common/EmailVerificationBanner";
 import {
   profileAPI,
   jobAPI,
@@ -115,6 +116,8 @@ const Dashboard = () => {
   return (
     <div className="min-h-screen bg-gray-50">
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+        <EmailVerificationBanner />
+
         {/* Welcome Section */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
           <h2 className="text-2xl font-bold text-gray-900 mb-2">
@@ -430,6 +433,7 @@ const JuniorDashboard = ({
                 <Link
                   key={job._id}
                   to={`/jobs/${job._id}`}
+                  state={{ source: "recommendation" }}
                   className="block p-4 border border-gray-200 rounded-lg hover:border-blue-300 hover:bg-blue-50 transition-all"
                 >
                   <div className="flex items-start justify-between mb-2">
@@ -5,6 +5,7 @@ import toast from "react-hot-toast";
 import { useQuery } from "@tanstack/react-query";
 import { useAuth } from "../context/AuthContext";
 import { profileAPI, messageAPI } from "../api";
+import InviteToJobModal from "../components/jobs/InviteToJobModal";
 import {
   Search,
   MapPin,
@@ -26,12 +27,14 @@ import {
   AlertCircle,
   ArrowLeft,
   SlidersHorizontal,
+  MailPlus,
 } from "lucide-react";
 
 const DoctorSearch = () => {
-  const { user } = useAuth();
+  const { user, isSenior } = useAuth();
   const navigate = useNavigate();
   const [viewMode, setViewMode] = useState("grid");
+  const [invitingDoctor, setInvitingDoctor] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
 
   // Search and filter state
@@ -147,6 +150,10 @@ const DoctorSearch = () => {
   };
 
   // Handle message button click
+  // Senior doctors can invite junior doctors to their open jobs
+  const canInvite = (doctor) =>
+    isSenior() && doctor.role === "junior" && doctor._id !== user?._id;
+
   const handleMessageClick = async (doctorId) => {
     try {
       const response = await messageAPI.createConversation(doctorId);
@@ -324,6 +331,15 @@ const DoctorSearch = () => {
               <MessageCircle className="w-4 h-4 text-gray-600" />
             </button>
           )}
+          {canInvite(doctor) && (
+            <button
+              onClick={() => setInvitingDoctor(doctor)}
+              className="flex items-center justify-center px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              title="Invite to Job"
+            >
+              <MailPlus className="w-4 h-4 text-gray-600" />
+            </button>
+          )}
         </div>
       </div>
     );
@@ -495,6 +511,16 @@ const DoctorSearch = () => {
                 <span>Message</span>
               </button>
             )}
+            {canInvite(doctor) && (
+              <button
+                onClick={() => setInvitingDoctor(doctor)}
+                className="border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-50 transition-colors font-medium flex items-center gap-2"
+                title="Invite to Job"
+              >
+                <MailPlus className="w-4 h-4" />
+                <span>Invite to Job</span>
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -769,6 +795,13 @@ const DoctorSearch = () => {
           </>
         )}
       </main>
+
+      {invitingDoctor && (
+        <InviteToJobModal
+          doctor={invitingDoctor}
+          onClose={() => setInvitingDoctor(null)}
+        />
+      )}
     </div>
   );
 };
@@ -1,10 +1,11 @@
 // client/src/pages/EnhancedProfile.js - MVP Testing Version
 import React, { useState, useRef } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import toast from "react-hot-toast";
 import { useAuth } from "../context/AuthContext";
-import { profileAPI, handleApiError } from "../api";
+import { profileAPI, authAPI, handleApiError } from "../api";
+import { CURRENCIES, formatMoney } from "../hooks/useDisplayCurrency";
 import {
   User,
   Camera,
@@ -23,6 +24,14 @@ import {
   AlertCircle,
   Clock,
   Settings,
+  Shield,
+  Monitor,
+  LogOut,
+  Smartphone,
+  Key,
+  ShieldAlert,
+  Download,
+  AlertTriangle,
 } from "lucide-react";
 
 // ============================================================================
@@ -35,7 +44,10 @@ const EnhancedProfile = () => {
   const photoInputRef = useRef(null);
   const docInputRef = useRef(null);
 
-  const [activeTab, setActiveTab] = useState("overview");
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(
+    searchParams.get("tab") || "overview"
+  );
   const [editingBasic, setEditingBasic] = useState(false);
   const [editingExperience, setEditingExperience] = useState(null);
   const [editingSkill, setEditingSkill] = useState(false);
@@ -462,6 +474,7 @@ const EnhancedProfile = () => {
                 label: "Availability & Preferences",
                 icon: Clock,
               },
+              { id: "security", label: "Security", icon: Shield },
             ].map((tab) => {
               const Icon = tab.icon;
               return (
@@ -525,6 +538,7 @@ const EnhancedProfile = () => {
           {activeTab === "availability" && (
             <AvailabilityTab profile={profile} queryClient={queryClient} />
           )}
+          {activeTab === "security" && <SecurityTab />}
         </div>
       </div>
     </div>
@@ -1559,6 +1573,7 @@ const AvailabilityTab = ({ profile, queryClient }) => {
         min: parseInt(formData.get("budget_min")) || 0,
         max: parseInt(formData.get("budget_max")) || 0,
       },
+      preferred_currency: formData.get("preferred_currency"),
       preferred_timeline: formData.get("preferred_timeline"),
       availability_hours_per_week:
         parseInt(formData.get("availability_hours")) || 0,
@@ -1762,10 +1777,28 @@ const AvailabilityTab = ({ profile, queryClient }) => {
                 </div>
               </div>
 
-              <div className="grid grid-cols-2 gap-4">
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Currency
+                  </label>
+                  <select
+                    name="preferred_currency"
+                    defaultValue={
+                      profile.job_preferences?.preferred_currency || "USD"
+                    }
+                    className="input w-full"
+                  >
+                    {CURRENCIES.map((currency) => (
+                      <option key={currency} value={currency}>
+                        {currency}
+                      </option>
+                    ))}
+                  </select>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Minimum Budget ($)
+                    Minimum Budget
                   </label>
                   <input
                     type="number"
@@ -1779,7 +1812,7 @@ const AvailabilityTab = ({ profile, queryClient }) => {
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Maximum Budget ($)
+                    Maximum Budget
                   </label>
                   <input
                     type="number"
@@ -1958,9 +1991,15 @@ const AvailabilityTab = ({ profile, queryClient }) => {
                 <div>
                   <p className="text-sm text-gray-600">Budget Range</p>
                   <p className="text-gray-900 font-medium">
-                    ${profile.job_preferences?.preferred_budget_range?.min || 0}{" "}
-                    - $
-                    {profile.job_preferences?.preferred_budget_range?.max || 0}
+                    {formatMoney(
+                      profile.job_preferences?.preferred_budget_range?.min || 0,
+                      profile.job_preferences?.preferred_currency
+                    )}{" "}
+                    -{" "}
+                    {formatMoney(
+                      profile.job_preferences?.preferred_budget_range?.max || 0,
+                      profile.job_preferences?.preferred_currency
+                    )}
                   </p>
                 </div>
                 <div>
@@ -1990,4 +2029,620 @@ const AvailabilityTab = ({ profile, queryClient }) => {
   );
 };
 
+// ============================================================================
+// SECURITY TAB
+// ============================================================================
+const LOGIN_FAILURE_LABELS = {
+  invalid_password: "Wrong password",
+  invalid_two_factor: "Wrong verification code",
+  account_locked: "Blocked - account locked",
+  account_suspended: "Blocked - account suspended",
+};
+
+const SecurityTab = () => {
+  const queryClient = useQueryClient();
+  const navigate = useNavigate();
+  const { user, logoutAllDevices } = useAuth();
+
+  const { data: sessions = [], isLoading } = useQuery({
+    queryKey: ["auth", "sessions"],
+    queryFn: async () => (await authAPI.getSessions()).data.data,
+  });
+
+  const { data: loginHistory = [], isLoading: historyLoading } = useQuery({
+    queryKey: ["auth", "login-history"],
+    queryFn: async () => (await authAPI.getLoginHistory()).data.data,
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (sessionId) => authAPI.revokeSession(sessionId),
+    onSuccess: () => {
+      toast.success("Device signed out");
+      queryClient.invalidateQueries(["auth", "sessions"]);
+    },
+    onError: (error) => {
+      toast.error(handleApiError(error).message);
+    },
+  });
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("Sign out of every device, including this one?")) {
+      return;
+    }
+
+    const result = await logoutAllDevices();
+    if (result.success) {
+      toast.success(result.message);
+      navigate("/login");
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <TwoFactorSection />
+
+      <DataExportSection />
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Active Sessions</h3>
+            <p className="text-sm text-gray-600">
+              Devices currently signed in to your account
+            </p>
+          </div>
+          <button
+            onClick={handleLogoutAll}
+            className="flex items-center gap-2 px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 text-sm font-medium transition-colors"
+          >
+            <LogOut className="w-4 h-4" />
+            Log Out All Devices
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader className="w-8 h-8 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {sessions.map((session) => (
+              <div
+                key={session._id}
+                className="flex items-center justify-between py-4"
+              >
+                <div className="flex items-center gap-3">
+                  <Monitor className="w-6 h-6 text-gray-400" />
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {session.deviceName}
+                      {session.current && (
+                        <span className="ml-2 text-xs px-2 py-1 bg-green-100 text-green-800 rounded-full">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {session.ipAddress || "Unknown IP"} • Last active{" "}
+                      {new Date(session.lastUsedAt).toLocaleString()}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => revokeMutation.mutate(session._id)}
+                    disabled={revokeMutation.isLoading}
+                    className="text-sm text-red-600 hover:text-red-700 font-medium"
+                  >
+                    Sign out
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="mb-6">
+          <h3 className="text-xl font-bold text-gray-900">
+            Recent Sign-in Activity
+          </h3>
+          <p className="text-sm text-gray-600">
+            If something looks unfamiliar, change your password and log out all
+            devices
+          </p>
+        </div>
+
+        {historyLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader className="w-8 h-8 animate-spin text-blue-600" />
+          </div>
+        ) : loginHistory.length === 0 ? (
+          <p className="text-sm text-gray-500">No sign-in activity yet</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {loginHistory.map((event) => (
+              <div key={event._id} className="flex items-center gap-3 py-3">
+                {event.success ? (
+                  <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0" />
+                ) : (
+                  <ShieldAlert className="w-5 h-5 text-red-500 flex-shrink-0" />
+                )}
+                <div className="flex-1">
+                  <p className="text-sm font-medium text-gray-900">
+                    {event.success
+                      ? "Successful sign-in"
+                      : LOGIN_FAILURE_LABELS[event.reason] || "Failed sign-in"}
+                    {event.newDevice && (
+                      <span className="ml-2 text-xs px-2 py-1 bg-amber-100 text-amber-800 rounded-full">
+                        New device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {event.deviceName || "Unknown device"} •{" "}
+                    {event.ipAddress || "Unknown IP"} •{" "}
+                    {new Date(event.createdAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {user?.role !== "admin" && <DeleteAccountSection />}
+    </div>
+  );
+};
+
+// Self-service account deletion with a grace period
+const DeleteAccountSection = () => {
+  const navigate = useNavigate();
+  const { deleteAccount } = useAuth();
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState("");
+  const [reason, setReason] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    const result = await deleteAccount(password, reason);
+
+    if (result.success) {
+      toast.success(result.message, { duration: 8000 });
+      navigate("/login");
+    } else {
+      toast.error(result.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-red-200 p-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-bold text-red-700">Delete Account</h3>
+          <p className="text-sm text-gray-600">
+            Your account is deactivated immediately and permanently deleted
+            after 30 days. Sign in again before then to cancel. Any paid
+            subscription will not renew.
+          </p>
+        </div>
+        {!confirming && (
+          <button
+            onClick={() => setConfirming(true)}
+            className="flex items-center gap-2 px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 text-sm font-medium transition-colors flex-shrink-0"
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete Account
+          </button>
+        )}
+      </div>
+
+      {confirming && (
+        <form onSubmit={handleDelete} className="mt-6 space-y-4">
+          <div className="flex items-start gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+            <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+            <p>
+              Your profile, documents and messages will be removed. Job
+              applications, invoices and appointments are kept in anonymised
+              form.
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Why are you leaving? (optional)
+            </label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={500}
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Confirm your password
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            />
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => {
+                setConfirming(false);
+                setPassword("");
+              }}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || !password}
+              className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium transition-colors disabled:opacity-75"
+            >
+              {submitting && <Loader className="w-4 h-4 animate-spin" />}
+              Delete My Account
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+// Download a copy of everything stored about the user
+const DataExportSection = () => {
+  const queryClient = useQueryClient();
+  const [downloading, setDownloading] = useState(false);
+
+  const { data: dataExport } = useQuery({
+    queryKey: ["profile", "data-export"],
+    queryFn: async () => (await profileAPI.getDataExport()).data.data,
+    // Poll while the archive is being generated
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === "pending" || status === "processing" ? 5000 : false;
+    },
+  });
+
+  const requestMutation = useMutation({
+    mutationFn: () => profileAPI.requestDataExport(),
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.setQueryData(["profile", "data-export"], response.data.data);
+    },
+    onError: (error) => {
+      toast.error(handleApiError(error).message);
+    },
+  });
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const response = await profileAPI.downloadDataExport(dataExport._id);
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = dataExport.fileName || "doconnect-data-export.zip";
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error("Export is no longer available. Please request a new one.");
+      queryClient.invalidateQueries(["profile", "data-export"]);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const inProgress = ["pending", "processing"].includes(dataExport?.status);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-900">Your Data</h3>
+          <p className="text-sm text-gray-600">
+            Download a ZIP archive of your profile, applications, jobs,
+            messages, appointments, notifications and invoices.
+          </p>
+          {dataExport?.isDownloadable && (
+            <p className="text-xs text-gray-500 mt-2">
+              Ready • {Math.max(1, Math.round(dataExport.fileSize / 1024))} KB •
+              available until {new Date(dataExport.expiresAt).toLocaleString()}
+            </p>
+          )}
+          {dataExport?.status === "failed" && (
+            <p className="text-xs text-red-600 mt-2">{dataExport.error}</p>
+          )}
+        </div>
+
+        {dataExport?.isDownloadable ? (
+          <button
+            onClick={handleDownload}
+            disabled={downloading}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium transition-colors disabled:opacity-75 flex-shrink-0"
+          >
+            {downloading ? (
+              <Loader className="w-4 h-4 animate-spin" />
+            ) : (
+              <Download className="w-4 h-4" />
+            )}
+            Download
+          </button>
+        ) : (
+          <button
+            onClick={() => requestMutation.mutate()}
+            disabled={inProgress || requestMutation.isPending}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm font-medium transition-colors disabled:opacity-75 flex-shrink-0"
+          >
+            {inProgress && <Loader className="w-4 h-4 animate-spin" />}
+            {inProgress ? "Preparing..." : "Request Export"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Enable / manage TOTP two-factor authentication
+const TwoFactorSection = () => {
+  const { user, loadUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [action, setAction] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const enabled = user?.twoFactor?.enabled;
+  const isAdmin = user?.role === "admin";
+
+  const run = async (request, onSuccess) => {
+    setSubmitting(true);
+    try {
+      const response = await request();
+      toast.success(response.data.message);
+      await onSuccess(response.data.data);
+    } catch (error) {
+      toast.error(handleApiError(error).message);
+    } finally {
+      setCode("");
+      setPassword("");
+      setSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    run(authAPI.setupTwoFactor, (data) => setSetup(data));
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(
+      () => authAPI.enableTwoFactor(code),
+      async (data) => {
+        setSetup(null);
+        setRecoveryCodes(data.recoveryCodes);
+        await loadUser(true);
+      }
+    );
+  };
+
+  const handleManage = (e) => {
+    e.preventDefault();
+    if (action === "disable") {
+      run(
+        () => authAPI.disableTwoFactor(password, code),
+        async () => {
+          setAction(null);
+          await loadUser(true);
+        }
+      );
+    } else {
+      run(
+        () => authAPI.regenerateRecoveryCodes(code),
+        (data) => {
+          setAction(null);
+          setRecoveryCodes(data.recoveryCodes);
+        }
+      );
+    }
+  };
+
+  const inputClass =
+    "w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-900">
+            Two-Factor Authentication
+          </h3>
+          <p className="text-sm text-gray-600">
+            Require a code from an authenticator app when signing in
+          </p>
+        </div>
+        {enabled ? (
+          <span className="flex items-center gap-1 text-sm px-3 py-1 bg-green-100 text-green-800 rounded-full">
+            <CheckCircle className="w-4 h-4" />
+            Enabled
+          </span>
+        ) : (
+          <span className="text-sm px-3 py-1 bg-gray-100 text-gray-700 rounded-full">
+            Off
+          </span>
+        )}
+      </div>
+
+      {isAdmin && !enabled && (
+        <div className="mb-4 p-4 bg-amber-50 border border-amber-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 text-amber-600 flex-shrink-0" />
+          <p className="text-sm text-amber-800">
+            Admin accounts must enable two-factor authentication before using
+            the admin panel.
+          </p>
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <h4 className="font-semibold text-blue-900 mb-1 flex items-center gap-2">
+            <Key className="w-4 h-4" />
+            Save your recovery codes
+          </h4>
+          <p className="text-sm text-blue-800 mb-3">
+            Each code works once if you lose access to your authenticator app.
+            They won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm mb-3">
+            {recoveryCodes.map((recoveryCode) => (
+              <span
+                key={recoveryCode}
+                className="bg-white px-3 py-1 rounded border border-blue-100"
+              >
+                {recoveryCode}
+              </span>
+            ))}
+          </div>
+          <button
+            onClick={() => setRecoveryCodes(null)}
+            className="btn-primary text-sm"
+          >
+            I've saved these codes
+          </button>
+        </div>
+      )}
+
+      {!enabled && !setup && (
+        <button
+          onClick={handleStartSetup}
+          disabled={submitting}
+          className="btn-primary flex items-center gap-2"
+        >
+          {submitting ? (
+            <Loader className="w-4 h-4 animate-spin" />
+          ) : (
+            <Smartphone className="w-4 h-4" />
+          )}
+          Set Up Two-Factor Authentication
+        </button>
+      )}
+
+      {!enabled && setup && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Scan this QR code with Google Authenticator, Authy or a similar
+            app, then enter the 6-digit code it shows.
+          </p>
+          <img
+            src={setup.qrCode}
+            alt="Two-factor authentication QR code"
+            className="w-48 h-48 border border-gray-200 rounded-lg"
+          />
+          <p className="text-xs text-gray-500">
+            Can't scan? Enter this key manually:{" "}
+            <span className="font-mono text-gray-800 break-all">
+              {setup.secret}
+            </span>
+          </p>
+          <div className="flex gap-3 max-w-sm">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              disabled={submitting || code.length !== 6}
+              className="btn-primary whitespace-nowrap"
+            >
+              Verify & Enable
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enabled && !action && (
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={() => setAction("regenerate")}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm font-medium"
+          >
+            New Recovery Codes
+          </button>
+          {!isAdmin && (
+            <button
+              onClick={() => setAction("disable")}
+              className="px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 text-sm font-medium"
+            >
+              Disable
+            </button>
+          )}
+        </div>
+      )}
+
+      {enabled && action && (
+        <form onSubmit={handleManage} className="space-y-3 max-w-sm">
+          {action === "disable" && (
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Current password"
+              className={inputClass}
+            />
+          )}
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Authentication or recovery code"
+            className={inputClass}
+          />
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={submitting || !code.trim()}
+              className="btn-primary"
+            >
+              {action === "disable" ? "Disable 2FA" : "Generate Codes"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setAction(null)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
 export default EnhancedProfile;
@@ -0,0 +1,181 @@
+// client/src/pages/ForgotPassword.js - Request a password reset link
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { useForm } from "react-hook-form";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/AuthContext";
+import Logo from "../components/Logo";
+import {
+  Mail,
+  Loader,
+  AlertCircle,
+  ArrowLeft,
+  ArrowRight,
+  MailCheck,
+} from "lucide-react";
+
+const ForgotPassword = () => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  const { forgotPassword } = useAuth();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    mode: "onBlur",
+    defaultValues: { email: "" },
+  });
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+
+    try {
+      const result = await forgotPassword(data.email);
+
+      if (result.success) {
+        setSentTo(data.email);
+      } else {
+        toast.error(result.message || "Could not send reset email.");
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white border-b border-gray-200 sticky top-0 z-50">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <Link to="/" className="flex items-center">
+              <Logo size={40} showText={true} />
+            </Link>
+            <Link
+              to="/login"
+              className="text-gray-600 hover:text-blue-600 font-medium transition-colors"
+            >
+              Back to Sign In
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      <main className="flex items-center justify-center px-4 sm:px-6 lg:px-8 py-12">
+        <div className="w-full max-w-md">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">
+              Forgot Password
+            </h1>
+            <p className="text-gray-600">
+              Enter your account email and we'll send you a reset link
+            </p>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8">
+            {sentTo ? (
+              <div className="text-center">
+                <MailCheck className="w-12 h-12 text-green-600 mx-auto mb-4" />
+                <h2 className="text-lg font-semibold text-gray-900 mb-2">
+                  Check your inbox
+                </h2>
+                <p className="text-sm text-gray-600 mb-6">
+                  If an account exists for <strong>{sentTo}</strong>, you'll
+                  receive a link to reset your password. The link expires
+                  shortly and can only be used once.
+                </p>
+                <button
+                  type="button"
+                  onClick={() => setSentTo(null)}
+                  className="text-sm font-medium text-blue-600 hover:text-blue-700 transition-colors"
+                >
+                  Use a different email
+                </button>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                {/* Email Field */}
+                <div>
+                  <label
+                    htmlFor="email"
+                    className="block text-sm font-medium text-gray-700 mb-2"
+                  >
+                    Email Address <span className="text-red-500">*</span>
+                  </label>
+                  <div className="relative">
+                    <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                    <input
+                      id="email"
+                      type="email"
+                      autoComplete="email"
+                      {...register("email", {
+                        required: "Email address is required",
+                        pattern: {
+                          value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                          message: "Please enter a valid email address",
+                        },
+                      })}
+                      className={`w-full pl-10 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+                        errors.email ? "border-red-300" : "border-gray-300"
+                      }`}
+                      placeholder="doctor@example.com"
+                      aria-invalid={errors.email ? "true" : "false"}
+                      aria-describedby={
+                        errors.email ? "email-error" : undefined
+                      }
+                    />
+                  </div>
+                  {errors.email && (
+                    <p
+                      id="email-error"
+                      className="mt-2 text-sm text-red-600 flex items-center gap-1"
+                      role="alert"
+                    >
+                      <AlertCircle className="w-4 h-4" />
+                      {errors.email.message}
+                    </p>
+                  )}
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className={`w-full flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors ${
+                    isSubmitting ? "opacity-75 cursor-not-allowed" : ""
+                  }`}
+                >
+                  {isSubmitting ? (
+                    <>
+                      <Loader className="w-5 h-5 animate-spin" />
+                      <span>Sending link...</span>
+                    </>
+                  ) : (
+                    <>
+                      <span>Send Reset Link</span>
+                      <ArrowRight className="w-5 h-5" />
+                    </>
+                  )}
+                </button>
+              </form>
+            )}
+
+            <div className="mt-6 text-center">
+              <Link
+                to="/login"
+                className="inline-flex items-center gap-1 text-sm font-medium text-gray-600 hover:text-blue-600 transition-colors"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                Back to Sign In
+              </Link>
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default ForgotPassword;
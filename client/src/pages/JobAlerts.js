@@ -0,0 +1,243 @@
+// client/src/pages/JobAlerts.js - Saved Searches & Job Alerts
+import React from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { jobAlertAPI, handleApiError } from "../api";
+import {
+  BellRing,
+  BellOff,
+  Search,
+  Trash2,
+  Loader,
+  AlertTriangle,
+  Briefcase,
+} from "lucide-react";
+
+const FREQUENCY_LABELS = {
+  instant: "Instant",
+  daily: "Daily digest",
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+// Human-readable summary of the saved filters
+const describeFilters = (filters = {}) => {
+  const parts = [];
+  if (filters.q) parts.push(`"${filters.q}"`);
+  if (filters.category) parts.push(filters.category);
+  if (filters.specialty) parts.push(filters.specialty);
+  if (filters.experience_level) parts.push(filters.experience_level);
+  if (filters.budget_min || filters.budget_max) {
+    parts.push(
+      `$${filters.budget_min || 0} - ${
+        filters.budget_max ? `$${filters.budget_max}` : "any"
+      }`
+    );
+  }
+  if (filters.remote_only) parts.push("remote / hybrid");
+  return parts.join(" • ");
+};
+
+// Query string understood by the Browse Jobs page
+const toBrowseParams = (filters = {}) => {
+  const params = new URLSearchParams();
+  if (filters.q) params.set("search", filters.q);
+  if (filters.category) params.set("category", filters.category);
+  if (filters.specialty) params.set("specialty", filters.specialty);
+  if (filters.experience_level) {
+    params.set("experience", filters.experience_level);
+  }
+  if (filters.budget_min) params.set("budgetMin", filters.budget_min);
+  if (filters.budget_max) params.set("budgetMax", filters.budget_max);
+  if (filters.remote_only) params.set("remote", "true");
+  return params.toString();
+};
+
+const JobAlerts = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["job-alerts"],
+    queryFn: () => jobAlertAPI.getMine().then((res) => res.data.data),
+  });
+
+  const alerts = data?.alerts || [];
+
+  const updateMutation = useMutation({
+    mutationFn: ({ alertId, updates }) => jobAlertAPI.update(alertId, updates),
+    onSuccess: () => {
+      toast.success("Job alert updated");
+      queryClient.invalidateQueries({ queryKey: ["job-alerts"] });
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (alertId) => jobAlertAPI.delete(alertId),
+    onSuccess: () => {
+      toast.success("Job alert deleted");
+      queryClient.invalidateQueries({ queryKey: ["job-alerts"] });
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const handleDelete = (alert) => {
+    if (window.confirm(`Delete the job alert "${alert.name}"?`)) {
+      deleteMutation.mutate(alert._id);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader className="w-10 h-10 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 py-8 px-4">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+            <BellRing className="w-8 h-8 text-blue-600" />
+            Job Alerts
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Save a search on Browse Jobs and we'll tell you when new jobs match
+            it. {alerts.length}/{data?.limit || 10} alerts used.
+          </p>
+        </div>
+
+        {data && !data.notificationsEnabled && (
+          <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 flex items-start gap-3">
+            <AlertTriangle className="w-5 h-5 text-amber-600 mt-0.5" />
+            <p className="text-sm text-amber-800">
+              New job notifications are turned off, so your alerts are paused.
+              Turn on "Notify me about new job postings" in{" "}
+              <Link
+                to="/profile?tab=availability"
+                className="font-medium underline"
+              >
+                your preferences
+              </Link>
+              .
+            </p>
+          </div>
+        )}
+
+        {alerts.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center">
+            <Briefcase className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">
+              No job alerts yet
+            </h2>
+            <p className="text-gray-600 mb-6">
+              Set your filters on Browse Jobs and choose "Create alert".
+            </p>
+            <Link
+              to="/jobs"
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium"
+            >
+              Browse Jobs
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {alerts.map((alert) => (
+              <div
+                key={alert._id}
+                className={`bg-white rounded-xl shadow-sm border border-gray-200 p-6 ${
+                  alert.active ? "" : "opacity-70"
+                }`}
+              >
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <h2 className="text-lg font-semibold text-gray-900">
+                      {alert.name}
+                    </h2>
+                    <p className="text-sm text-gray-600 mt-1 capitalize">
+                      {describeFilters(alert.filters)}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-2">
+                      {alert.matchCount} match
+                      {alert.matchCount === 1 ? "" : "es"}
+                      {alert.lastMatchedAt &&
+                        ` • last on ${formatDate(alert.lastMatchedAt)}`}
+                      {alert.frequency === "daily" &&
+                        alert.pendingCount > 0 &&
+                        ` • ${alert.pendingCount} in the next digest`}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <select
+                      value={alert.frequency}
+                      onChange={(e) =>
+                        updateMutation.mutate({
+                          alertId: alert._id,
+                          updates: { frequency: e.target.value },
+                        })
+                      }
+                      className="px-3 py-2 border rounded-lg text-sm"
+                    >
+                      {Object.entries(FREQUENCY_LABELS).map(
+                        ([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        )
+                      )}
+                    </select>
+                    <button
+                      onClick={() =>
+                        updateMutation.mutate({
+                          alertId: alert._id,
+                          updates: { active: !alert.active },
+                        })
+                      }
+                      className="p-2 border rounded-lg hover:bg-gray-50"
+                      title={alert.active ? "Pause alert" : "Resume alert"}
+                    >
+                      {alert.active ? (
+                        <BellRing className="w-4 h-4 text-blue-600" />
+                      ) : (
+                        <BellOff className="w-4 h-4 text-gray-500" />
+                      )}
+                    </button>
+                    <button
+                      onClick={() =>
+                        navigate(`/jobs?${toBrowseParams(alert.filters)}`)
+                      }
+                      className="p-2 border rounded-lg hover:bg-gray-50"
+                      title="View matching jobs"
+                    >
+                      <Search className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(alert)}
+                      disabled={deleteMutation.isPending}
+                      className="p-2 border rounded-lg hover:bg-red-50 text-red-600"
+                      title="Delete alert"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JobAlerts;
@@ -1,10 +1,16 @@
 // JobBrowse.js - Enhanced MVP with Saved Searches
 import React, { useState, useEffect } from "react";
 import { useNavigate, useSearchParams, Link } from "react-router-dom";
-import { useQuery } from "@tanstack/react-query";
+import { useQuery, useMutation } from "@tanstack/react-query";
 import toast from "react-hot-toast";
 import { useAuth } from "../context/AuthContext";
-import { jobAPI, applicationAPI, handleApiError } from "../api";
+import { jobAPI, applicationAPI, jobAlertAPI, handleApiError } from "../api";
+import {
+  CURRENCIES,
+  useDisplayCurrency,
+  formatMoney,
+  formatJobBudget,
+} from "../hooks/useDisplayCurrency";
 import {
   Search,
   Filter,
@@ -20,14 +26,38 @@ import {
   CheckCircle,
   X,
   RefreshCw,
+  BellRing,
 } from "lucide-react";
 
 const DEBOUNCE_DELAY = 500;
 
+const CATEGORY_OPTIONS = [
+  ["consultation", "Consultation"],
+  ["research", "Research"],
+  ["documentation", "Documentation"],
+  ["review", "Review"],
+  ["telemedicine", "Telemedicine"],
+];
+
+const EXPERIENCE_OPTIONS = [
+  ["resident", "Resident"],
+  ["junior", "Junior (0-3 years)"],
+  ["mid-level", "Mid-Level (3-7 years)"],
+  ["senior", "Senior (7+ years)"],
+];
+
+const LOCATION_OPTIONS = [
+  ["remote", "Remote"],
+  ["hybrid", "Hybrid"],
+  ["onsite", "Onsite"],
+];
+
 const JobBrowse = () => {
   const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
   const { user, isAuthenticated, isJunior, isSenior } = useAuth();
+  // Budgets are filtered, sorted and shown in this currency
+  const [displayCurrency, setDisplayCurrency] = useDisplayCurrency();
 
   // State
   const [showFilters, setShowFilters] = useState(false);
@@ -44,6 +74,8 @@ const JobBrowse = () => {
     budget_min: searchParams.get("budgetMin") || "",
     budget_max: searchParams.get("budgetMax") || "",
     remote_only: searchParams.get("remote") === "true",
+    location_preference: searchParams.get("location_preference") || "",
+    currency: searchParams.get("currency") || "",
     sortBy: searchParams.get("sortBy") || "recent",
   });
 
@@ -83,12 +115,13 @@ const JobBrowse = () => {
     error,
     refetch,
   } = useQuery({
-    queryKey: ["jobs-browse", debouncedSearch, filters, page],
+    queryKey: ["jobs-browse", debouncedSearch, filters, page, displayCurrency],
     queryFn: async () => {
       const params = {
         page,
         limit,
         sortBy: filters.sortBy,
+        display_currency: displayCurrency,
         ...(filters.category && { category: filters.category }),
         ...(filters.specialty && { specialty: filters.specialty }),
         ...(filters.experience_level && {
@@ -101,6 +134,10 @@ const JobBrowse = () => {
           budget_max: parseFloat(filters.budget_max),
         }),
         ...(filters.remote_only && { remote_only: true }),
+        ...(filters.location_preference && {
+          location_preference: filters.location_preference,
+        }),
+        ...(filters.currency && { currency: filters.currency }),
       };
 
       if (debouncedSearch.trim()) {
@@ -117,6 +154,14 @@ const JobBrowse = () => {
 
   const jobs = jobsData?.data?.data || [];
   const pagination = jobsData?.data?.pagination || { total: 0, pages: 0 };
+  const facets = jobsData?.data?.facets;
+
+  // Option label with the number of jobs that choice would return
+  const withCount = (label, facet, value) => {
+    if (!facets) return label;
+    const match = facets[facet]?.find((item) => item.value === value);
+    return `${label} (${match?.count || 0})`;
+  };
 
   // Fetch user's applications to show "Already Applied" badges
   const { data: userApplicationsData } = useQuery({
@@ -166,6 +211,30 @@ const JobBrowse = () => {
     toast.success("Search saved successfully!");
   };
 
+  // Job alerts notify the user when new jobs match the current search
+  const createAlertMutation = useMutation({
+    mutationFn: (alertData) => jobAlertAPI.create(alertData),
+    onSuccess: () => {
+      toast.success("Job alert created. Manage it from Job Alerts.");
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const createAlertFromSearch = () => {
+    const alertName = prompt("Name this job alert:");
+    if (!alertName) return;
+
+    const { sortBy, ...alertFilters } = filters;
+    createAlertMutation.mutate({
+      name: alertName,
+      filters: {
+        ...alertFilters,
+        q: searchTerm.trim(),
+        display_currency: displayCurrency,
+      },
+    });
+  };
+
   const loadSavedSearch = (searchConfig) => {
     setSearchTerm(searchConfig.searchTerm || "");
     setFilters(searchConfig.filters);
@@ -185,6 +254,15 @@ const JobBrowse = () => {
     setPage(1);
   };
 
+  const handleBudgetRange = (min, max) => {
+    setFilters((prev) => ({
+      ...prev,
+      budget_min: min ? String(min) : "",
+      budget_max: max ? String(max) : "",
+    }));
+    setPage(1);
+  };
+
   const clearFilters = () => {
     setSearchTerm("");
     setFilters({
@@ -194,6 +272,8 @@ const JobBrowse = () => {
       budget_min: "",
       budget_max: "",
       remote_only: false,
+      location_preference: "",
+      currency: "",
       sortBy: "recent",
     });
     setPage(1);
@@ -201,7 +281,7 @@ const JobBrowse = () => {
   };
 
   const handleJobClick = (jobId) => {
-    navigate(`/jobs/${jobId}`);
+    navigate(`/jobs/${jobId}`, { state: { source: "search" } });
   };
 
   // Status color helper
@@ -214,14 +294,6 @@ const JobBrowse = () => {
     return colors[status] || colors.active;
   };
 
-  // Budget formatter
-  const formatBudget = (job) => {
-    if (!job.budget) return "Negotiable";
-    if (job.budget.type === "negotiable") return "Negotiable";
-    if (job.budget.type === "hourly") return `$${job.budget.amount}/hr`;
-    return `$${job.budget.amount?.toLocaleString()}`;
-  };
-
   // Loading State
   if (isLoading && !jobsData) {
     return (
@@ -326,6 +398,17 @@ const JobBrowse = () => {
             >
               <Bookmark className="w-4 h-4" />
             </button>
+            {isAuthenticated && isJunior() && (
+              <button
+                onClick={createAlertFromSearch}
+                disabled={createAlertMutation.isPending}
+                className="px-4 py-2 border rounded-lg hover:bg-gray-50 flex items-center gap-2"
+                title="Get notified when new jobs match this search"
+              >
+                <BellRing className="w-4 h-4" />
+                Create alert
+              </button>
+            )}
             <button
               onClick={() => refetch()}
               className="px-4 py-2 border rounded-lg hover:bg-gray-50"
@@ -372,22 +455,30 @@ const JobBrowse = () => {
                   className="px-3 py-2 border rounded-lg"
                 >
                   <option value="">All Categories</option>
-                  <option value="consultation">Consultation</option>
-                  <option value="research">Research</option>
-                  <option value="documentation">Documentation</option>
-                  <option value="review">Review</option>
-                  <option value="telemedicine">Telemedicine</option>
+                  {CATEGORY_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {withCount(label, "category", value)}
+                    </option>
+                  ))}
                 </select>
 
                 <input
                   type="text"
                   placeholder="Specialty"
+                  list="specialty-facets"
                   value={filters.specialty}
                   onChange={(e) =>
                     handleFilterChange("specialty", e.target.value)
                   }
                   className="px-3 py-2 border rounded-lg"
                 />
+                <datalist id="specialty-facets">
+                  {facets?.specialty.map(({ value, count }) => (
+                    <option key={value} value={value}>
+                      {`${count} job${count === 1 ? "" : "s"}`}
+                    </option>
+                  ))}
+                </datalist>
 
                 <select
                   value={filters.experience_level}
@@ -397,16 +488,17 @@ const JobBrowse = () => {
                   className="px-3 py-2 border rounded-lg"
                 >
                   <option value="">Any Experience</option>
-                  <option value="resident">Resident</option>
-                  <option value="junior">Junior (0-3 years)</option>
-                  <option value="mid-level">Mid-Level (3-7 years)</option>
-                  <option value="senior">Senior (7+ years)</option>
+                  {EXPERIENCE_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {withCount(label, "experience_level", value)}
+                    </option>
+                  ))}
                 </select>
 
                 <div className="flex gap-2">
                   <input
                     type="number"
-                    placeholder="Min $"
+                    placeholder={`Min ${displayCurrency}`}
                     value={filters.budget_min}
                     onChange={(e) =>
                       handleFilterChange("budget_min", e.target.value)
@@ -415,7 +507,7 @@ const JobBrowse = () => {
                   />
                   <input
                     type="number"
-                    placeholder="Max $"
+                    placeholder={`Max ${displayCurrency}`}
                     value={filters.budget_max}
                     onChange={(e) =>
                       handleFilterChange("budget_max", e.target.value)
@@ -434,8 +526,90 @@ const JobBrowse = () => {
                   <option value="budget_low">Lowest Budget</option>
                   <option value="deadline">Deadline Soon</option>
                 </select>
+
+                <select
+                  value={filters.location_preference}
+                  onChange={(e) =>
+                    handleFilterChange("location_preference", e.target.value)
+                  }
+                  className="px-3 py-2 border rounded-lg"
+                >
+                  <option value="">Any Location</option>
+                  {LOCATION_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {withCount(label, "location_preference", value)}
+                    </option>
+                  ))}
+                </select>
+
+                <select
+                  value={filters.currency}
+                  onChange={(e) =>
+                    handleFilterChange("currency", e.target.value)
+                  }
+                  className="px-3 py-2 border rounded-lg"
+                >
+                  <option value="">Any Currency</option>
+                  {CURRENCIES.map((currency) => (
+                    <option key={currency} value={currency}>
+                      {withCount(currency, "currency", currency)}
+                    </option>
+                  ))}
+                </select>
+
+                <select
+                  value={displayCurrency}
+                  onChange={(e) => {
+                    setDisplayCurrency(e.target.value);
+                    setPage(1);
+                  }}
+                  className="px-3 py-2 border rounded-lg"
+                  title="Budgets are converted to this currency"
+                >
+                  {CURRENCIES.map((currency) => (
+                    <option key={currency} value={currency}>
+                      Show prices in {currency}
+                    </option>
+                  ))}
+                </select>
               </div>
 
+              {/* Budget ranges with job counts */}
+              {facets && (
+                <div className="flex items-center gap-2 flex-wrap mt-4">
+                  <span className="text-sm text-gray-600">Budget:</span>
+                  {facets.budget.map(({ min, max, count }) => {
+                    const selected =
+                      String(filters.budget_min || 0) === String(min) &&
+                      String(filters.budget_max) === String(max || "");
+                    return (
+                      <button
+                        key={min}
+                        onClick={() =>
+                          selected
+                            ? handleBudgetRange(null, null)
+                            : handleBudgetRange(min, max)
+                        }
+                        disabled={count === 0 && !selected}
+                        className={`px-3 py-1 rounded-full text-sm border ${
+                          selected
+                            ? "bg-blue-50 border-blue-500 text-blue-700"
+                            : "hover:bg-gray-50 disabled:opacity-40"
+                        }`}
+                      >
+                        {max
+                          ? `${formatMoney(min, displayCurrency)}-${formatMoney(
+                              max,
+                              displayCurrency
+                            )}`
+                          : `${formatMoney(min, displayCurrency)}+`}{" "}
+                        ({count})
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+
               <div className="flex items-center justify-between mt-4">
                 <label className="flex items-center gap-2 cursor-pointer">
                   <input
@@ -446,7 +620,13 @@ const JobBrowse = () => {
                     }
                     className="w-4 h-4 text-blue-600 rounded"
                   />
-                  <span className="text-sm">Remote only</span>
+                  <span className="text-sm">
+                    Remote only
+                    {facets &&
+                      ` (${facets.location_preference
+                        .filter(({ value }) => value !== "onsite")
+                        .reduce((sum, { count }) => sum + count, 0)})`}
+                  </span>
                 </label>
                 <button
                   onClick={clearFilters}
@@ -523,7 +703,7 @@ const JobBrowse = () => {
                       <div className="flex items-center gap-2 text-gray-600">
                         <DollarSign className="w-4 h-4" />
                         <span className="font-medium text-green-600">
-                          {formatBudget(job)}
+                          {formatJobBudget(job.budget)}
                         </span>
                         <span className="text-gray-400">•</span>
                         <span className="capitalize">{job.budget?.type}</span>
@@ -1,10 +1,19 @@
 // JobDetails.js - FIXED: Remove infinite loop
 import React, { useState, useEffect } from "react";
-import { useParams, useNavigate, Link } from "react-router-dom";
+import {
+  useParams,
+  useNavigate,
+  useLocation,
+  Link,
+} from "react-router-dom";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import toast from "react-hot-toast";
 import { useAuth } from "../context/AuthContext";
 import { jobAPI, applicationAPI, handleApiError } from "../api";
+import {
+  useDisplayCurrency,
+  formatJobBudget,
+} from "../hooks/useDisplayCurrency";
 import {
   ArrowLeft,
   Briefcase,
@@ -26,14 +35,21 @@ import {
   X,
   Share2,
   MessageSquare,
+  Building2,
+  MailOpen,
+  Lock,
 } from "lucide-react";
 
 const JobDetails = () => {
   const { jobId } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
+  // Where the visitor found the job, for view and application analytics
+  const source = location.state?.source || "direct";
   const queryClient = useQueryClient();
   const { user, isAuthenticated, isJunior, isSenior } = useAuth();
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [displayCurrency] = useDisplayCurrency();
 
   // Fetch job details
   const {
@@ -41,18 +57,24 @@ const JobDetails = () => {
     isLoading,
     error,
   } = useQuery({
-    queryKey: ["job", jobId],
-    queryFn: () => jobAPI.getById(jobId),
+    queryKey: ["job", jobId, displayCurrency],
+    queryFn: () =>
+      jobAPI.getById(jobId, { display_currency: displayCurrency }),
     retry: 2,
   });
 
   const job = jobData?.data?.data;
 
-  const isOwner = job?.posted_by?._id === user?.id;
+  // Poster, or a member of the organization the job was posted for
+  const isOwner =
+    job?.posted_by?._id === user?.id ||
+    Boolean(
+      job?.organization && job.organization._id === user?.organization
+    );
 
   // Track view mutation
   const trackViewMutation = useMutation({
-    mutationFn: () => jobAPI.trackView(jobId),
+    mutationFn: () => jobAPI.trackView(jobId, source),
   });
 
   // Track view only once per session and not for job owner
@@ -81,9 +103,7 @@ const JobDetails = () => {
       return response;
     },
     enabled:
-      isAuthenticated &&
-      job?.posted_by?._id === user?.id &&
-      job?.status === "active",
+      isAuthenticated && isOwner && job?.status === "active",
     retry: 1,
   });
 
@@ -159,6 +179,20 @@ const JobDetails = () => {
     onError: (error) => toast.error(handleApiError(error).message),
   });
 
+  // Respond to an invitation from the poster
+  const invitationMutation = useMutation({
+    mutationFn: (accept) =>
+      accept
+        ? jobAPI.acceptInvitation(jobId)
+        : jobAPI.declineInvitation(jobId),
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.invalidateQueries({ queryKey: ["job", jobId] });
+      queryClient.invalidateQueries({ queryKey: ["job-invitations-mine"] });
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
   // Share job function
   const shareJob = async () => {
     const shareData = {
@@ -185,14 +219,6 @@ const JobDetails = () => {
     }
   };
 
-  // Helpers
-  const formatBudget = () => {
-    if (!job?.budget) return "Negotiable";
-    if (job.budget.type === "negotiable") return "Negotiable";
-    if (job.budget.type === "hourly") return `$${job.budget.amount}/hr`;
-    return `$${job.budget.amount?.toLocaleString()}`;
-  };
-
   const canApply = isAuthenticated && isJunior() && !isOwner;
   const canEdit = isAuthenticated && isOwner;
 
@@ -212,7 +238,8 @@ const JobDetails = () => {
     );
   }
 
-  // Error
+  // Error - 401/403 mean the job exists but its visibility hides it
+  const isHidden = [401, 403].includes(error?.response?.status);
   if (error || !job) {
     return (
       <div className="min-h-screen bg-gray-50 p-8">
@@ -220,10 +247,14 @@ const JobDetails = () => {
           <div className="bg-red-50 border border-red-200 rounded-lg p-6">
             <AlertTriangle className="w-12 h-12 text-red-600 mx-auto mb-4" />
             <h3 className="text-lg font-semibold text-red-900 text-center mb-2">
-              Job Not Found
+              {isHidden ? "Job Unavailable" : "Job Not Found"}
             </h3>
             <p className="text-red-700 text-center mb-4">
-              {error ? handleApiError(error).message : "Job does not exist"}
+              {isHidden
+                ? error.response.data.message
+                : error
+                ? handleApiError(error).message
+                : "Job does not exist"}
             </p>
             <button
               onClick={() => navigate("/jobs")}
@@ -275,11 +306,20 @@ const JobDetails = () => {
                       {job.requirements?.location_preference || "Remote"}
                     </span>
                   </span>
+                  {job.visibility === "invited_only" && (
+                    <>
+                      <span>•</span>
+                      <span className="flex items-center gap-1 text-purple-700">
+                        <Lock className="w-4 h-4" />
+                        Invitation only
+                      </span>
+                    </>
+                  )}
                 </div>
               </div>
               <div className="text-right ml-4">
                 <div className="text-2xl font-bold text-green-600 mb-1">
-                  {formatBudget()}
+                  {formatJobBudget(job.budget)}
                 </div>
                 <p className="text-sm text-gray-500 capitalize">
                   {job.budget?.type} payment
@@ -362,6 +402,43 @@ const JobDetails = () => {
             )}
           </div>
 
+          {/* Invitation from the poster */}
+          {job.myInvitation && (
+            <div className="px-8 py-4 border-b bg-purple-50 flex flex-wrap items-center gap-4">
+              <MailOpen className="w-6 h-6 text-purple-600 flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-purple-900">
+                  {job.myInvitation.status === "pending"
+                    ? "You've been invited to apply for this job"
+                    : `You ${job.myInvitation.status} this invitation`}
+                </p>
+                {job.myInvitation.message && (
+                  <p className="text-sm text-purple-800 italic">
+                    "{job.myInvitation.message}"
+                  </p>
+                )}
+              </div>
+              {job.myInvitation.status === "pending" && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => invitationMutation.mutate(true)}
+                    disabled={invitationMutation.isPending}
+                    className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => invitationMutation.mutate(false)}
+                    disabled={invitationMutation.isPending}
+                    className="px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-100 disabled:opacity-50"
+                  >
+                    Decline
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Description */}
           <div className="p-8 border-b">
             <h2 className="text-xl font-semibold text-gray-900 mb-4">
@@ -536,6 +613,12 @@ const JobDetails = () => {
                 <p className="text-blue-600 font-medium mb-2">
                   {job.posted_by?.primarySpecialty}
                 </p>
+                {job.organization && (
+                  <p className="flex items-center gap-1 text-sm text-gray-600 mb-2">
+                    <Building2 className="w-4 h-4" />
+                    On behalf of {job.organization.name}
+                  </p>
+                )}
                 {job.posted_by?.rating?.average > 0 && (
                   <div className="flex items-center gap-1 text-sm text-gray-600">
                     <Star className="w-4 h-4 text-yellow-400 fill-yellow-400" />
@@ -573,7 +656,9 @@ const JobDetails = () => {
           {canApply && !userApplication && (
             <div className="p-8 bg-gray-50 border-t">
               <button
-                onClick={() => navigate(`/jobs/${jobId}/apply`)}
+                onClick={() =>
+                  navigate(`/jobs/${jobId}/apply`, { state: { source } })
+                }
                 className="w-full py-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium text-lg"
               >
                 Apply for this Job
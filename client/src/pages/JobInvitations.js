@@ -0,0 +1,194 @@
+// client/src/pages/JobInvitations.js - Direct Job Invitations
+import React from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { jobAPI, handleApiError } from "../api";
+import {
+  MailOpen,
+  Loader,
+  Check,
+  X,
+  Eye,
+  Send,
+  Briefcase,
+  Lock,
+} from "lucide-react";
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  accepted: "bg-green-100 text-green-800",
+  declined: "bg-gray-100 text-gray-700",
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const JobInvitations = () => {
+  const queryClient = useQueryClient();
+
+  const { data: invitations = [], isLoading } = useQuery({
+    queryKey: ["job-invitations-mine"],
+    queryFn: () => jobAPI.getMyInvitations().then((res) => res.data.data),
+  });
+
+  const respondMutation = useMutation({
+    mutationFn: ({ jobId, accept }) =>
+      accept
+        ? jobAPI.acceptInvitation(jobId)
+        : jobAPI.declineInvitation(jobId),
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.invalidateQueries({ queryKey: ["job-invitations-mine"] });
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader className="w-10 h-10 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 py-8 px-4">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+            <MailOpen className="w-8 h-8 text-blue-600" />
+            Job Invitations
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Jobs that senior doctors have personally invited you to.
+          </p>
+        </div>
+
+        {invitations.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center">
+            <Briefcase className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">
+              No invitations yet
+            </h2>
+            <p className="text-gray-600 mb-6">
+              A complete profile helps job posters find and invite you.
+            </p>
+            <Link
+              to="/jobs"
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium"
+            >
+              Browse Jobs
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {invitations.map(({ job, status, message, invited_at }) => (
+              <div
+                key={job._id}
+                className="bg-white rounded-xl shadow-sm border border-gray-200 p-6"
+              >
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h2 className="text-lg font-semibold text-gray-900 truncate">
+                        {job.title}
+                      </h2>
+                      {job.visibility === "invited_only" && (
+                        <span className="px-2 py-0.5 bg-purple-100 text-purple-800 rounded-full text-xs font-medium flex items-center gap-1 flex-shrink-0">
+                          <Lock className="w-3 h-3" />
+                          Invitation only
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1">
+                      {job.specialty} • {job.category} • invited by Dr.{" "}
+                      {job.posted_by?.firstName} {job.posted_by?.lastName}{" "}
+                      on {formatDate(invited_at)}
+                    </p>
+                    {message && (
+                      <p className="text-sm text-gray-700 mt-3 italic">
+                        "{message}"
+                      </p>
+                    )}
+                    {job.status === "paused" && (
+                      <p className="text-xs text-amber-700 mt-2">
+                        This job is paused and not accepting applications.
+                      </p>
+                    )}
+                  </div>
+                  <span
+                    className={`px-2 py-1 rounded-full text-xs font-medium capitalize flex-shrink-0 ${STATUS_STYLES[status]}`}
+                  >
+                    {status}
+                  </span>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2 mt-4 pt-4 border-t border-gray-100">
+                  {/* Declining an invitation-only job hides it again */}
+                  {(status !== "declined" ||
+                    job.visibility !== "invited_only") && (
+                    <Link
+                      to={`/jobs/${job._id}`}
+                      state={{ source: "referral" }}
+                      className="px-3 py-2 border rounded-lg hover:bg-gray-50 text-sm flex items-center gap-1"
+                    >
+                      <Eye className="w-4 h-4" />
+                      View Job
+                    </Link>
+                  )}
+                  {status !== "declined" && job.status === "active" && (
+                    <Link
+                      to={`/jobs/${job._id}/apply`}
+                      state={{ source: "referral" }}
+                      className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm flex items-center gap-1"
+                    >
+                      <Send className="w-4 h-4" />
+                      Apply
+                    </Link>
+                  )}
+                  {status !== "accepted" && (
+                    <button
+                      onClick={() =>
+                        respondMutation.mutate({
+                          jobId: job._id,
+                          accept: true,
+                        })
+                      }
+                      disabled={respondMutation.isPending}
+                      className="px-3 py-2 border border-green-300 text-green-700 rounded-lg hover:bg-green-50 text-sm flex items-center gap-1"
+                    >
+                      <Check className="w-4 h-4" />
+                      Accept
+                    </button>
+                  )}
+                  {status !== "declined" && (
+                    <button
+                      onClick={() =>
+                        respondMutation.mutate({
+                          jobId: job._id,
+                          accept: false,
+                        })
+                      }
+                      disabled={respondMutation.isPending}
+                      className="px-3 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 text-sm flex items-center gap-1"
+                    >
+                      <X className="w-4 h-4" />
+                      Decline
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JobInvitations;
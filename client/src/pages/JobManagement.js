@@ -4,7 +4,10 @@ import { Link, useNavigate } from "react-router-dom";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import toast from "react-hot-toast";
 import { useAuth } from "../context/AuthContext";
-import { jobAPI, handleApiError } from "../api";
+import { jobAPI, jobTemplateAPI, handleApiError } from "../api";
+import JobInvitationsModal from "../components/jobs/JobInvitationsModal";
+import JobAnalyticsModal from "../components/jobs/JobAnalyticsModal";
+import PipelineBoardModal from "../components/jobs/PipelineBoardModal";
 import {
   Plus,
   Search,
@@ -26,12 +29,21 @@ import {
   AlertTriangle,
   Briefcase,
   MoreVertical,
+  Building2,
+  CalendarClock,
+  CalendarPlus,
+  Copy,
+  BookmarkPlus,
+  MailPlus,
+  BarChart3,
+  Kanban,
 } from "lucide-react";
 
 const JobManagement = () => {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
-  const { user, isSenior } = useAuth();
+  const { user, isSenior, subscription, refreshSubscription } = useAuth();
+  const canSchedule = Boolean(subscription?.features?.scheduledPosting);
 
   // State
   const [searchTerm, setSearchTerm] = useState("");
@@ -40,6 +52,9 @@ const JobManagement = () => {
   const [selectedJobs, setSelectedJobs] = useState([]);
   const [activeDropdown, setActiveDropdown] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [invitingJob, setInvitingJob] = useState(null);
+  const [analyticsJob, setAnalyticsJob] = useState(null);
+  const [pipelineJob, setPipelineJob] = useState(null);
 
   const [filters, setFilters] = useState({
     status: "all",
@@ -142,6 +157,53 @@ const JobManagement = () => {
     onError: (error) => toast.error(handleApiError(error).message),
   });
 
+  const extendDeadlineMutation = useMutation({
+    mutationFn: (jobId) => jobAPI.extendDeadline(jobId, { days: 7 }),
+    onSuccess: () => {
+      toast.success("Deadline extended by 7 days");
+      queryClient.invalidateQueries(["my-jobs"]);
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const cancelScheduleMutation = useMutation({
+    mutationFn: (jobId) => jobAPI.cancelSchedule(jobId),
+    onSuccess: () => {
+      toast.success("Scheduled publish cancelled");
+      queryClient.invalidateQueries(["my-jobs"]);
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const duplicateMutation = useMutation({
+    mutationFn: (jobId) => jobAPI.duplicate(jobId),
+    onSuccess: (response) => {
+      toast.success("Job duplicated as a draft");
+      queryClient.invalidateQueries({ queryKey: ["my-jobs"] });
+      // Duplicates count towards the plan's job posting limit
+      refreshSubscription();
+      navigate(`/jobs/${response.data.data._id}/edit`);
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const saveTemplateMutation = useMutation({
+    mutationFn: ({ jobId, name }) =>
+      jobTemplateAPI.create({ name, job: jobId }),
+    onSuccess: () => {
+      toast.success("Saved as a job template");
+      queryClient.invalidateQueries({ queryKey: ["job-templates"] });
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const handleSaveTemplate = (job) => {
+    const name = window.prompt("Template name", job.title || "");
+    if (name && name.trim()) {
+      saveTemplateMutation.mutate({ jobId: job._id, name: name.trim() });
+    }
+  };
+
   const deleteMutation = useMutation({
     mutationFn: (jobId) => jobAPI.delete(jobId),
     onSuccess: () => {
@@ -275,6 +337,14 @@ const JobManagement = () => {
     return days <= 7 && days > 0;
   };
 
+  // Jobs about to expire, or closed because their deadline passed
+  const canExtendDeadline = (job) =>
+    canSchedule &&
+    ((["active", "paused"].includes(job.status) &&
+      job.timeline?.deadline &&
+      isExpiringSoon(job.timeline.deadline)) ||
+      (job.status === "closed" && job.expired_at));
+
   if (!isSenior()) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
@@ -659,6 +729,17 @@ const JobManagement = () => {
                               <span>
                                 {new Date(job.createdAt).toLocaleDateString()}
                               </span>
+                              {job.organization && (
+                                <>
+                                  <span>•</span>
+                                  <span className="inline-flex items-center gap-1">
+                                    <Building2 className="w-4 h-4" />
+                                    {job.organization.name}
+                                    {job.posted_by?._id !== user?.id &&
+                                      ` · posted by Dr. ${job.posted_by?.lastName}`}
+                                  </span>
+                                </>
+                              )}
                             </div>
                           </div>
 
@@ -670,6 +751,27 @@ const JobManagement = () => {
                             >
                               {job.status}
                             </span>
+                            {job.status === "draft" && job.publish_at && (
+                              <span className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                                <CalendarClock className="w-3 h-3" />
+                                Scheduled for{" "}
+                                {new Date(job.publish_at).toLocaleString()}
+                              </span>
+                            )}
+                            {job.status === "draft" && job.schedule_error && (
+                              <span
+                                className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800"
+                                title={job.schedule_error}
+                              >
+                                <AlertTriangle className="w-3 h-3" />
+                                Publish failed
+                              </span>
+                            )}
+                            {job.status === "closed" && job.expired_at && (
+                              <span className="px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                                Expired
+                              </span>
+                            )}
                             <div className="relative">
                               <button
                                 onClick={() =>
@@ -703,6 +805,47 @@ const JobManagement = () => {
                                       <Edit className="w-4 h-4" />
                                       Edit Job
                                     </Link>
+                                    <button
+                                      onClick={() => {
+                                        setAnalyticsJob(job);
+                                        setActiveDropdown(null);
+                                      }}
+                                      className="flex items-center gap-3 px-4 py-3 hover:bg-gray-50 w-full text-left"
+                                    >
+                                      <BarChart3 className="w-4 h-4" />
+                                      Analytics
+                                    </button>
+                                    <button
+                                      onClick={() => {
+                                        duplicateMutation.mutate(job._id);
+                                        setActiveDropdown(null);
+                                      }}
+                                      disabled={duplicateMutation.isPending}
+                                      className="flex items-center gap-3 px-4 py-3 hover:bg-gray-50 w-full text-left"
+                                    >
+                                      <Copy className="w-4 h-4" />
+                                      Duplicate
+                                    </button>
+                                    <button
+                                      onClick={() => {
+                                        handleSaveTemplate(job);
+                                        setActiveDropdown(null);
+                                      }}
+                                      className="flex items-center gap-3 px-4 py-3 hover:bg-gray-50 w-full text-left"
+                                    >
+                                      <BookmarkPlus className="w-4 h-4" />
+                                      Save as Template
+                                    </button>
+                                    <button
+                                      onClick={() => {
+                                        setPipelineJob(job);
+                                        setActiveDropdown(null);
+                                      }}
+                                      className="flex items-center gap-3 px-4 py-3 hover:bg-gray-50 w-full text-left"
+                                    >
+                                      <Kanban className="w-4 h-4" />
+                                      Hiring Pipeline
+                                    </button>
                                     <Link
                                       to={`/applications?jobId=${job._id}`}
                                       className="flex items-center gap-3 px-4 py-3 hover:bg-gray-50"
@@ -711,6 +854,20 @@ const JobManagement = () => {
                                       Applications (
                                       {job.applications_count || 0})
                                     </Link>
+                                    {["active", "paused"].includes(
+                                      job.status
+                                    ) && (
+                                      <button
+                                        onClick={() => {
+                                          setInvitingJob(job);
+                                          setActiveDropdown(null);
+                                        }}
+                                        className="flex items-center gap-3 px-4 py-3 hover:bg-gray-50 w-full text-left"
+                                      >
+                                        <MailPlus className="w-4 h-4" />
+                                        Invite Doctors
+                                      </button>
+                                    )}
                                     <div className="border-t" />
                                     {job.status === "active" ? (
                                       <button
@@ -735,6 +892,35 @@ const JobManagement = () => {
                                         Activate Job
                                       </button>
                                     )}
+                                    {job.status === "draft" &&
+                                      job.publish_at && (
+                                        <button
+                                          onClick={() => {
+                                            cancelScheduleMutation.mutate(
+                                              job._id
+                                            );
+                                            setActiveDropdown(null);
+                                          }}
+                                          className="flex items-center gap-3 px-4 py-3 hover:bg-gray-50 w-full text-left"
+                                        >
+                                          <X className="w-4 h-4" />
+                                          Cancel Schedule
+                                        </button>
+                                      )}
+                                    {canExtendDeadline(job) && (
+                                      <button
+                                        onClick={() => {
+                                          extendDeadlineMutation.mutate(
+                                            job._id
+                                          );
+                                          setActiveDropdown(null);
+                                        }}
+                                        className="flex items-center gap-3 px-4 py-3 hover:bg-blue-50 text-blue-700 w-full text-left"
+                                      >
+                                        <CalendarPlus className="w-4 h-4" />
+                                        Extend Deadline
+                                      </button>
+                                    )}
                                     {job.status !== "closed" && (
                                       <button
                                         onClick={() => {
@@ -797,6 +983,17 @@ const JobManagement = () => {
                                     (Soon)
                                   </span>
                                 )}
+                                {canExtendDeadline(job) && (
+                                  <button
+                                    onClick={() =>
+                                      extendDeadlineMutation.mutate(job._id)
+                                    }
+                                    disabled={extendDeadlineMutation.isPending}
+                                    className="text-blue-600 hover:text-blue-700 text-xs font-medium"
+                                  >
+                                    +7 days
+                                  </button>
+                                )}
                               </div>
                             )}
                           </div>
@@ -861,6 +1058,27 @@ const JobManagement = () => {
         )}
       </div>
 
+      {invitingJob && (
+        <JobInvitationsModal
+          job={invitingJob}
+          onClose={() => setInvitingJob(null)}
+        />
+      )}
+
+      {analyticsJob && (
+        <JobAnalyticsModal
+          job={analyticsJob}
+          onClose={() => setAnalyticsJob(null)}
+        />
+      )}
+
+      {pipelineJob && (
+        <PipelineBoardModal
+          job={pipelineJob}
+          onClose={() => setPipelineJob(null)}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       {deleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
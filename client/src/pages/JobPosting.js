@@ -4,15 +4,43 @@ import { useNavigate, useParams } from "react-router-dom";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import toast from "react-hot-toast";
 import { useAuth } from "../context/AuthContext";
-import { jobAPI, handleApiError } from "../api";
-import { ArrowLeft, Save, Send, AlertCircle, X, Plus } from "lucide-react";
+import {
+  jobAPI,
+  jobTemplateAPI,
+  organizationAPI,
+  handleApiError,
+} from "../api";
+import {
+  ArrowLeft,
+  Save,
+  Send,
+  AlertCircle,
+  X,
+  Plus,
+  CalendarClock,
+  BookmarkPlus,
+  LayoutTemplate,
+  Trash2,
+} from "lucide-react";
+import ScreeningQuestionsEditor from "../components/jobs/ScreeningQuestionsEditor";
+
+// Requirement groups that can be enforced as deal-breakers
+const DEAL_BREAKER_OPTIONS = {
+  certifications: "Certifications",
+  licenses: "Licenses",
+  languages: "Languages",
+};
 
 const JobPosting = () => {
   const { jobId } = useParams();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
-  const { user, isSenior, refreshSubscription } = useAuth();
+  const { user, isSenior, refreshSubscription, subscription } = useAuth();
   const isEditing = Boolean(jobId);
+  const canSchedule = Boolean(subscription?.features?.scheduledPosting);
+
+  // Optional publish time; the job is created as a draft and scheduled
+  const [publishAt, setPublishAt] = useState("");
 
   const [errors, setErrors] = useState({});
   const [formData, setFormData] = useState({
@@ -38,11 +66,34 @@ const JobPosting = () => {
     requirements: {
       location_preference: "remote",
       certifications: [],
+      licenses: [],
       languages: [],
     },
+    matching_criteria: {
+      deal_breakers: [],
+      deal_breaker_action: "flag",
+    },
+    screening_questions: [],
     visibility: "public",
+    organization: "",
+  });
+
+  // Organization the job can be posted on behalf of
+  const { data: organization } = useQuery({
+    queryKey: ["organization"],
+    queryFn: () => organizationAPI.getMine().then((res) => res.data.data),
+    enabled: Boolean(user?.organization) && !isEditing,
   });
 
+  // Saved templates that can pre-fill a new job
+  const { data: templateData } = useQuery({
+    queryKey: ["job-templates"],
+    queryFn: () => jobTemplateAPI.getMine().then((res) => res.data.data),
+    enabled: !isEditing && isSenior(),
+  });
+  const templates = templateData?.templates || [];
+  const [templateId, setTemplateId] = useState("");
+
   // Load existing job if editing
   const { data: existingJob, isLoading: loadingJob } = useQuery({
     queryKey: ["job", jobId],
@@ -63,11 +114,19 @@ const JobPosting = () => {
         },
         budget: job.budget || { type: "fixed", amount: "", currency: "USD" },
         timeline: job.timeline || { estimated_hours: "", deadline: "" },
-        requirements: job.requirements || {
+        requirements: {
           location_preference: "remote",
           certifications: [],
+          licenses: [],
           languages: [],
+          ...job.requirements,
+        },
+        matching_criteria: {
+          deal_breakers: [],
+          deal_breaker_action: "flag",
+          ...job.matching_criteria,
         },
+        screening_questions: job.screening_questions || [],
         visibility: job.visibility || "public",
       });
     },
@@ -91,9 +150,20 @@ const JobPosting = () => {
 
   // Create mutation
   const createMutation = useMutation({
-    mutationFn: (data) => jobAPI.create(data),
-    onSuccess: async () => {
-      toast.success("Job posted successfully!");
+    mutationFn: async ({ publishAt: scheduleAt, ...data }) => {
+      const response = await jobAPI.create(data);
+      if (scheduleAt) {
+        await jobAPI.schedule(
+          response.data.data._id,
+          new Date(scheduleAt).toISOString()
+        );
+      }
+      return { response, scheduled: Boolean(scheduleAt) };
+    },
+    onSuccess: async ({ scheduled }) => {
+      toast.success(
+        scheduled ? "Job scheduled successfully!" : "Job posted successfully!"
+      );
       queryClient.invalidateQueries(["my-jobs"]);
       // Refresh subscription data to update usage counter
       await refreshSubscription();
@@ -168,6 +238,58 @@ const JobPosting = () => {
   });
 
   // Field validation
+  const saveTemplateMutation = useMutation({
+    mutationFn: (name) => jobTemplateAPI.create({ name, fields: formData }),
+    onSuccess: () => {
+      toast.success("Saved as a job template");
+      queryClient.invalidateQueries({ queryKey: ["job-templates"] });
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  const deleteTemplateMutation = useMutation({
+    mutationFn: (id) => jobTemplateAPI.delete(id),
+    onSuccess: () => {
+      toast.success("Job template deleted");
+      setTemplateId("");
+      queryClient.invalidateQueries({ queryKey: ["job-templates"] });
+    },
+    onError: (error) => toast.error(handleApiError(error).message),
+  });
+
+  // Pre-fill the form from a template; the deadline is always chosen anew
+  const applyTemplate = (id) => {
+    setTemplateId(id);
+    const template = templates.find((t) => t._id === id);
+    if (!template) return;
+
+    const fields = template.fields || {};
+    setFormData((prev) => ({
+      ...prev,
+      ...fields,
+      experience_required: {
+        ...prev.experience_required,
+        ...fields.experience_required,
+      },
+      budget: { ...prev.budget, ...fields.budget },
+      timeline: { ...prev.timeline, ...fields.timeline },
+      requirements: { ...prev.requirements, ...fields.requirements },
+      matching_criteria: {
+        ...prev.matching_criteria,
+        ...fields.matching_criteria,
+      },
+    }));
+    setErrors({});
+    toast.success(`Loaded template "${template.name}"`);
+  };
+
+  const handleSaveTemplate = () => {
+    const name = window.prompt("Template name", formData.title);
+    if (name && name.trim()) {
+      saveTemplateMutation.mutate(name.trim());
+    }
+  };
+
   const validateField = (field, value) => {
     const newErrors = { ...errors };
 
@@ -258,6 +380,34 @@ const JobPosting = () => {
     }));
   };
 
+  const addRequirement = (group, value) => {
+    if (value.trim()) {
+      handleNestedChange("requirements", group, [
+        ...(formData.requirements[group] || []),
+        value.trim(),
+      ]);
+    }
+  };
+
+  const removeRequirement = (group, index) => {
+    handleNestedChange(
+      "requirements",
+      group,
+      formData.requirements[group].filter((_, i) => i !== index)
+    );
+  };
+
+  const toggleDealBreaker = (group) => {
+    const current = formData.matching_criteria.deal_breakers || [];
+    handleNestedChange(
+      "matching_criteria",
+      "deal_breakers",
+      current.includes(group)
+        ? current.filter((item) => item !== group)
+        : [...current, group]
+    );
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -380,6 +530,20 @@ const JobPosting = () => {
       }
     }
 
+    // Screening questions validation
+    formData.screening_questions.forEach((question, index) => {
+      if (!question.question.trim()) {
+        newErrors[`screening_questions.${index}`] =
+          "Screening question text is required";
+      } else if (
+        question.type === "multiple_choice" &&
+        question.options.filter((option) => option.trim()).length < 2
+      ) {
+        newErrors[`screening_questions.${index}`] =
+          "Multiple choice questions need at least 2 options";
+      }
+    });
+
     setErrors(newErrors);
 
     // Show a summary toast if there are errors
@@ -426,10 +590,19 @@ const JobPosting = () => {
           ? parseInt(formData.timeline.estimated_hours, 10)
           : undefined,
       },
+      screening_questions: formData.screening_questions.map((question) => ({
+        ...question,
+        question: question.question.trim(),
+        options: question.options
+          .map((option) => option.trim())
+          .filter(Boolean),
+      })),
     };
 
     if (isEditing) {
       updateMutation.mutate(submitData);
+    } else if (publishAt) {
+      createMutation.mutate({ ...submitData, status: "draft", publishAt });
     } else {
       createMutation.mutate(submitData);
     }
@@ -535,6 +708,39 @@ const JobPosting = () => {
           </div>
         )}
 
+        {/* Templates */}
+        {!isEditing && templates.length > 0 && (
+          <div className="bg-white rounded-lg border p-4 mb-6 flex items-center gap-3">
+            <LayoutTemplate className="w-5 h-5 text-gray-500 flex-shrink-0" />
+            <select
+              value={templateId}
+              onChange={(e) => applyTemplate(e.target.value)}
+              className="flex-1 px-3 py-2 border rounded-lg"
+            >
+              <option value="">Start from a template...</option>
+              {templates.map((template) => (
+                <option key={template._id} value={template._id}>
+                  {template.name}
+                </option>
+              ))}
+            </select>
+            {templateId && (
+              <button
+                type="button"
+                onClick={() => {
+                  if (window.confirm("Delete this template?")) {
+                    deleteTemplateMutation.mutate(templateId);
+                  }
+                }}
+                className="p-2 border rounded-lg hover:bg-red-50 text-red-600"
+                title="Delete template"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="space-y-6">
           {/* Basic Information */}
           <div className="bg-white rounded-lg border p-6">
@@ -739,9 +945,93 @@ const JobPosting = () => {
                   <option value="hybrid">Hybrid</option>
                 </select>
               </div>
+
+              <div className="grid md:grid-cols-3 gap-4">
+                {Object.entries(DEAL_BREAKER_OPTIONS).map(([group, label]) => (
+                  <ArrayInput
+                    key={group}
+                    label={`Required ${label}`}
+                    items={formData.requirements[group] || []}
+                    onAdd={(value) => addRequirement(group, value)}
+                    onRemove={(index) => removeRequirement(group, index)}
+                    placeholder={`Add ${label.toLowerCase()}`}
+                  />
+                ))}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Deal-breakers
+                </label>
+                <p className="text-sm text-gray-500 mb-2">
+                  Applicants missing a required item in these groups, or giving
+                  a disqualifying screening answer, are handled automatically.
+                </p>
+                <div className="flex flex-wrap items-center gap-4">
+                  {Object.entries(DEAL_BREAKER_OPTIONS).map(
+                    ([group, label]) => (
+                      <label
+                        key={group}
+                        className="flex items-center gap-2 text-sm"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={(
+                            formData.matching_criteria.deal_breakers || []
+                          ).includes(group)}
+                          onChange={() => toggleDealBreaker(group)}
+                        />
+                        {label}
+                      </label>
+                    )
+                  )}
+                  <select
+                    value={formData.matching_criteria.deal_breaker_action}
+                    onChange={(e) =>
+                      handleNestedChange(
+                        "matching_criteria",
+                        "deal_breaker_action",
+                        e.target.value
+                      )
+                    }
+                    className="px-3 py-2 border rounded-lg text-sm"
+                  >
+                    <option value="flag">Flag for review</option>
+                    <option value="reject">Reject automatically</option>
+                  </select>
+                </div>
+              </div>
             </div>
           </div>
 
+          {/* Screening Questions */}
+          <div className="bg-white rounded-lg border p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-1">
+              Screening Questions
+            </h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Applicants answer these when they apply. Disqualifying answers
+              are never shown to applicants.
+            </p>
+            <ScreeningQuestionsEditor
+              questions={formData.screening_questions}
+              onChange={(questions) =>
+                handleChange("screening_questions", questions)
+              }
+            />
+            {Object.keys(errors)
+              .filter((key) => key.startsWith("screening_questions."))
+              .map((key) => (
+                <p
+                  key={key}
+                  className="text-sm text-red-600 mt-2 flex items-center gap-1"
+                >
+                  <AlertCircle className="w-4 h-4" />
+                  Question {Number(key.split(".")[1]) + 1}: {errors[key]}
+                </p>
+              ))}
+          </div>
+
           {/* Budget & Timeline */}
           <div className="bg-white rounded-lg border p-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-4">
@@ -885,8 +1175,56 @@ const JobPosting = () => {
                 <option value="invited_only">Invitation only</option>
               </select>
             </div>
+            {organization && (
+              <label className="flex items-start gap-3 mt-4 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={formData.organization === organization._id}
+                  onChange={(e) =>
+                    handleChange(
+                      "organization",
+                      e.target.checked ? organization._id : ""
+                    )
+                  }
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-700">
+                    Post on behalf of {organization.name}
+                  </span>
+                  <span className="block text-sm text-gray-500">
+                    Every member of the organization can manage this job and
+                    its applications.
+                  </span>
+                </span>
+              </label>
+            )}
           </div>
 
+          {/* Scheduled publishing (professional plans and above) */}
+          {!isEditing && canSchedule && (
+            <div className="bg-white rounded-lg border p-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center gap-2">
+                <CalendarClock className="w-5 h-5" />
+                Publish Time
+              </h2>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Publish later (optional)
+              </label>
+              <input
+                type="datetime-local"
+                value={publishAt}
+                onChange={(e) => setPublishAt(e.target.value)}
+                min={new Date().toISOString().slice(0, 16)}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Leave empty to publish now. Scheduled jobs stay drafts until
+                the chosen time and must have a deadline after it.
+              </p>
+            </div>
+          )}
+
           {/* Actions */}
           <div className="flex gap-4">
             <button
@@ -898,6 +1236,15 @@ const JobPosting = () => {
               <Save className="w-4 h-4" />
               Save Draft
             </button>
+            <button
+              type="button"
+              onClick={handleSaveTemplate}
+              disabled={saveTemplateMutation.isPending}
+              className="px-6 py-3 border rounded-lg hover:bg-gray-50 flex items-center gap-2"
+            >
+              <BookmarkPlus className="w-4 h-4" />
+              Save as Template
+            </button>
             <button
               type="submit"
               disabled={createMutation.isLoading || updateMutation.isLoading}
@@ -908,7 +1255,11 @@ const JobPosting = () => {
               ) : (
                 <>
                   <Send className="w-4 h-4" />
-                  {isEditing ? "Update Job" : "Post Job"}
+                  {isEditing
+                    ? "Update Job"
+                    : publishAt
+                    ? "Schedule Job"
+                    : "Post Job"}
                 </>
               )}
             </button>
@@ -16,13 +16,14 @@ import {
   Award,
   CheckCircle,
   ArrowRight,
+  Smartphone,
 } from "lucide-react";
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const { login, isAuthenticated, loading } = useAuth();
+  const { login, isAuthenticated, loading, twoFactorChallenge } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -62,11 +63,22 @@ const Login = () => {
 
       console.log("🔥 Login Result:", result);
 
+      if (result.requiresTwoFactor) {
+        // The code prompt renders from the challenge stored in AuthContext
+        return;
+      }
+
       if (result.success) {
         toast.success("Login successful! Welcome back.", {
           duration: 3000,
           icon: "👋",
         });
+        if (result.deletionCancelled) {
+          toast("Your account deletion has been cancelled.", {
+            icon: "↩️",
+            duration: 6000,
+          });
+        }
 
         // Small delay to ensure state is updated
         setTimeout(() => {
@@ -135,170 +147,178 @@ const Login = () => {
 
           {/* Login Form Card */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 mb-8">
-            <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
-              {/* Email Field */}
-              <div>
-                <label
-                  htmlFor="email"
-                  className="block text-sm font-medium text-gray-700 mb-2"
-                >
-                  Email Address <span className="text-red-500">*</span>
-                </label>
-                <div className="relative">
-                  <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-                  <input
-                    id="email"
-                    type="email"
-                    autoComplete="email"
-                    {...register("email", {
-                      required: "Email address is required",
-                      pattern: {
-                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                        message: "Please enter a valid email address",
-                      },
-                    })}
-                    className={`w-full pl-10 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
-                      errors.email ? "border-red-300" : "border-gray-300"
-                    }`}
-                    placeholder="doctor@example.com"
-                    aria-invalid={errors.email ? "true" : "false"}
-                    aria-describedby={errors.email ? "email-error" : undefined}
-                  />
-                </div>
-                {errors.email && (
-                  <p
-                    id="email-error"
-                    className="mt-2 text-sm text-red-600 flex items-center gap-1"
-                    role="alert"
-                  >
-                    <AlertCircle className="w-4 h-4" />
-                    {errors.email.message}
-                  </p>
-                )}
-              </div>
-
-              {/* Password Field */}
-              <div>
-                <label
-                  htmlFor="password"
-                  className="block text-sm font-medium text-gray-700 mb-2"
-                >
-                  Password <span className="text-red-500">*</span>
-                </label>
-                <div className="relative">
-                  <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-                  <input
-                    id="password"
-                    type={showPassword ? "text" : "password"}
-                    autoComplete="current-password"
-                    {...register("password", {
-                      required: "Password is required",
-                      minLength: {
-                        value: 6,
-                        message: "Password must be at least 6 characters",
-                      },
-                    })}
-                    className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
-                      errors.password ? "border-red-300" : "border-gray-300"
-                    }`}
-                    placeholder="Enter your password"
-                    aria-invalid={errors.password ? "true" : "false"}
-                    aria-describedby={
-                      errors.password ? "password-error" : undefined
-                    }
-                  />
+            {twoFactorChallenge ? (
+              <TwoFactorForm from={from} />
+            ) : (
+              <>
+                <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                  {/* Email Field */}
+                  <div>
+                    <label
+                      htmlFor="email"
+                      className="block text-sm font-medium text-gray-700 mb-2"
+                    >
+                      Email Address <span className="text-red-500">*</span>
+                    </label>
+                    <div className="relative">
+                      <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                      <input
+                        id="email"
+                        type="email"
+                        autoComplete="email"
+                        {...register("email", {
+                          required: "Email address is required",
+                          pattern: {
+                            value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                            message: "Please enter a valid email address",
+                          },
+                        })}
+                        className={`w-full pl-10 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+                          errors.email ? "border-red-300" : "border-gray-300"
+                        }`}
+                        placeholder="doctor@example.com"
+                        aria-invalid={errors.email ? "true" : "false"}
+                        aria-describedby={
+                          errors.email ? "email-error" : undefined
+                        }
+                      />
+                    </div>
+                    {errors.email && (
+                      <p
+                        id="email-error"
+                        className="mt-2 text-sm text-red-600 flex items-center gap-1"
+                        role="alert"
+                      >
+                        <AlertCircle className="w-4 h-4" />
+                        {errors.email.message}
+                      </p>
+                    )}
+                  </div>
+
+                  {/* Password Field */}
+                  <div>
+                    <label
+                      htmlFor="password"
+                      className="block text-sm font-medium text-gray-700 mb-2"
+                    >
+                      Password <span className="text-red-500">*</span>
+                    </label>
+                    <div className="relative">
+                      <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                      <input
+                        id="password"
+                        type={showPassword ? "text" : "password"}
+                        autoComplete="current-password"
+                        {...register("password", {
+                          required: "Password is required",
+                          minLength: {
+                            value: 6,
+                            message: "Password must be at least 6 characters",
+                          },
+                        })}
+                        className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+                          errors.password ? "border-red-300" : "border-gray-300"
+                        }`}
+                        placeholder="Enter your password"
+                        aria-invalid={errors.password ? "true" : "false"}
+                        aria-describedby={
+                          errors.password ? "password-error" : undefined
+                        }
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors"
+                        aria-label={
+                          showPassword ? "Hide password" : "Show password"
+                        }
+                      >
+                        {showPassword ? (
+                          <EyeOff className="w-5 h-5" />
+                        ) : (
+                          <Eye className="w-5 h-5" />
+                        )}
+                      </button>
+                    </div>
+                    {errors.password && (
+                      <p
+                        id="password-error"
+                        className="mt-2 text-sm text-red-600 flex items-center gap-1"
+                        role="alert"
+                      >
+                        <AlertCircle className="w-4 h-4" />
+                        {errors.password.message}
+                      </p>
+                    )}
+                  </div>
+
+                  {/* Remember Me & Forgot Password */}
+                  <div className="flex items-center justify-between">
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        id="remember-me"
+                        name="remember-me"
+                        type="checkbox"
+                        className="w-4 h-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                      <span className="text-sm text-gray-700">Remember me</span>
+                    </label>
+
+                    <Link
+                      to="/forgot-password"
+                      className="text-sm font-medium text-blue-600 hover:text-blue-700 transition-colors"
+                    >
+                      Forgot password?
+                    </Link>
+                  </div>
+
+                  {/* Submit Button */}
                   <button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors"
-                    aria-label={
-                      showPassword ? "Hide password" : "Show password"
-                    }
+                    type="submit"
+                    disabled={isSubmitting}
+                    className={`w-full flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors ${
+                      isSubmitting ? "opacity-75 cursor-not-allowed" : ""
+                    }`}
                   >
-                    {showPassword ? (
-                      <EyeOff className="w-5 h-5" />
+                    {isSubmitting ? (
+                      <>
+                        <Loader className="w-5 h-5 animate-spin" />
+                        <span>Signing in...</span>
+                      </>
                     ) : (
-                      <Eye className="w-5 h-5" />
+                      <>
+                        <span>Sign In</span>
+                        <ArrowRight className="w-5 h-5" />
+                      </>
                     )}
                   </button>
+                </form>
+
+                {/* Divider */}
+                <div className="mt-8">
+                  <div className="relative">
+                    <div className="absolute inset-0 flex items-center">
+                      <div className="w-full border-t border-gray-200" />
+                    </div>
+                    <div className="relative flex justify-center text-sm">
+                      <span className="px-4 bg-white text-gray-500">
+                        New to Doconnect?
+                      </span>
+                    </div>
+                  </div>
                 </div>
-                {errors.password && (
-                  <p
-                    id="password-error"
-                    className="mt-2 text-sm text-red-600 flex items-center gap-1"
-                    role="alert"
+
+                {/* Register Link */}
+                <div className="mt-6">
+                  <Link
+                    to="/register"
+                    className="w-full flex items-center justify-center gap-2 px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium transition-colors"
                   >
-                    <AlertCircle className="w-4 h-4" />
-                    {errors.password.message}
-                  </p>
-                )}
-              </div>
-
-              {/* Remember Me & Forgot Password */}
-              <div className="flex items-center justify-between">
-                <label className="flex items-center gap-2 cursor-pointer">
-                  <input
-                    id="remember-me"
-                    name="remember-me"
-                    type="checkbox"
-                    className="w-4 h-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                  />
-                  <span className="text-sm text-gray-700">Remember me</span>
-                </label>
-
-                <Link
-                  to="/forgot-password"
-                  className="text-sm font-medium text-blue-600 hover:text-blue-700 transition-colors"
-                >
-                  Forgot password?
-                </Link>
-              </div>
-
-              {/* Submit Button */}
-              <button
-                type="submit"
-                disabled={isSubmitting}
-                className={`w-full flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors ${
-                  isSubmitting ? "opacity-75 cursor-not-allowed" : ""
-                }`}
-              >
-                {isSubmitting ? (
-                  <>
-                    <Loader className="w-5 h-5 animate-spin" />
-                    <span>Signing in...</span>
-                  </>
-                ) : (
-                  <>
-                    <span>Sign In</span>
-                    <ArrowRight className="w-5 h-5" />
-                  </>
-                )}
-              </button>
-            </form>
-
-            {/* Divider */}
-            <div className="mt-8">
-              <div className="relative">
-                <div className="absolute inset-0 flex items-center">
-                  <div className="w-full border-t border-gray-200" />
-                </div>
-                <div className="relative flex justify-center text-sm">
-                  <span className="px-4 bg-white text-gray-500">
-                    New to Doconnect?
-                  </span>
+                    <span>Create New Account</span>
+                  </Link>
                 </div>
-              </div>
-            </div>
-
-            {/* Register Link */}
-            <div className="mt-6">
-              <Link
-                to="/register"
-                className="w-full flex items-center justify-center gap-2 px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium transition-colors"
-              >
-                <span>Create New Account</span>
-              </Link>
-            </div>
+              </>
+            )}
           </div>
 
           {/* Trust Indicators */}
@@ -331,4 +351,124 @@ const Login = () => {
   );
 };
 
+// ============================================================================
+// TWO-FACTOR CODE PROMPT
+// ============================================================================
+const TwoFactorForm = ({ from }) => {
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  const { verifyTwoFactor, cancelTwoFactor } = useAuth();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsVerifying(true);
+
+    const result = await verifyTwoFactor(code);
+
+    if (result.success) {
+      toast.success("Login successful! Welcome back.", {
+        duration: 3000,
+        icon: "👋",
+      });
+      if (result.deletionCancelled) {
+        toast("Your account deletion has been cancelled.", {
+          icon: "↩️",
+          duration: 6000,
+        });
+      }
+      if (result.remainingRecoveryCodes !== undefined) {
+        toast(
+          `You have ${result.remainingRecoveryCodes} recovery codes left.`,
+          { icon: "🔑", duration: 6000 }
+        );
+      }
+      navigate(from, { replace: true });
+    } else {
+      toast.error(result.message);
+      setCode("");
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="text-center">
+        <Smartphone className="w-12 h-12 text-blue-600 mx-auto mb-4" />
+        <h2 className="text-xl font-bold text-gray-900 mb-2">
+          Two-Factor Authentication
+        </h2>
+        <p className="text-sm text-gray-600">
+          {useRecoveryCode
+            ? "Enter one of the recovery codes you saved when enabling 2FA."
+            : "Enter the 6-digit code from your authenticator app."}
+        </p>
+      </div>
+
+      <div>
+        <label
+          htmlFor="twoFactorCode"
+          className="block text-sm font-medium text-gray-700 mb-2"
+        >
+          {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+        </label>
+        <input
+          id="twoFactorCode"
+          type="text"
+          inputMode={useRecoveryCode ? "text" : "numeric"}
+          autoComplete="one-time-code"
+          autoFocus
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          maxLength={useRecoveryCode ? 11 : 6}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg text-center text-lg tracking-widest focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+          placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={isVerifying || !code.trim()}
+        className={`w-full flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors ${
+          isVerifying || !code.trim() ? "opacity-75 cursor-not-allowed" : ""
+        }`}
+      >
+        {isVerifying ? (
+          <>
+            <Loader className="w-5 h-5 animate-spin" />
+            <span>Verifying...</span>
+          </>
+        ) : (
+          <>
+            <span>Verify</span>
+            <ArrowRight className="w-5 h-5" />
+          </>
+        )}
+      </button>
+
+      <div className="flex items-center justify-between text-sm">
+        <button
+          type="button"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setCode("");
+          }}
+          className="font-medium text-blue-600 hover:text-blue-700 transition-colors"
+        >
+          {useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+        </button>
+        <button
+          type="button"
+          onClick={cancelTwoFactor}
+          className="text-gray-600 hover:text-gray-900 transition-colors"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+};
+
 export default Login;
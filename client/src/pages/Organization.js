@@ -0,0 +1,693 @@
+// client/src/pages/Organization.js - Clinic / Organization Management
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/AuthContext";
+import { organizationAPI, handleApiError } from "../api";
+import {
+  Building2,
+  Users,
+  Mail,
+  UserPlus,
+  Crown,
+  Shield,
+  Trash2,
+  LogOut,
+  Check,
+  X,
+  Loader,
+  Edit,
+  Globe,
+} from "lucide-react";
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  admin: "Admin",
+  member: "Member",
+};
+
+const ROLE_BADGES = {
+  owner: "bg-amber-100 text-amber-800",
+  admin: "bg-blue-100 text-blue-800",
+  member: "bg-gray-100 text-gray-700",
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const Organization = () => {
+  const { user, hasPermission, loadUser, refreshSubscription } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: organization, isLoading } = useQuery({
+    queryKey: ["organization"],
+    queryFn: () => organizationAPI.getMine().then((res) => res.data.data),
+  });
+
+  const { data: invitations = [] } = useQuery({
+    queryKey: ["organization-invitations"],
+    queryFn: () =>
+      organizationAPI.getMyInvitations().then((res) => res.data.data),
+    enabled: !isLoading && !organization,
+  });
+
+  // Membership changes affect the user's organization and shared plan
+  const refreshMembership = async () => {
+    queryClient.invalidateQueries({ queryKey: ["organization"] });
+    queryClient.invalidateQueries({ queryKey: ["organization-invitations"] });
+    queryClient.invalidateQueries({ queryKey: ["my-jobs"] });
+    await loadUser(true);
+    refreshSubscription().catch(() => {});
+  };
+
+  const onError = (error) => toast.error(handleApiError(error).message);
+
+  const acceptMutation = useMutation({
+    mutationFn: (invitationId) =>
+      organizationAPI.acceptInvitation(invitationId),
+    onSuccess: (res) => {
+      toast.success(res.data.message);
+      refreshMembership();
+    },
+    onError,
+  });
+
+  const declineMutation = useMutation({
+    mutationFn: (invitationId) =>
+      organizationAPI.declineInvitation(invitationId),
+    onSuccess: () => {
+      toast.success("Invitation declined");
+      queryClient.invalidateQueries({
+        queryKey: ["organization-invitations"],
+      });
+    },
+    onError,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader className="w-10 h-10 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 py-8 px-4">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+            <Building2 className="w-8 h-8 text-blue-600" />
+            Organization
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Post jobs as a clinic, manage applications together and share one
+            enterprise subscription.
+          </p>
+        </div>
+
+        {organization ? (
+          <OrganizationDetails
+            organization={organization}
+            currentUserId={user?._id || user?.id}
+            onMembershipChange={refreshMembership}
+            onError={onError}
+          />
+        ) : (
+          <>
+            {invitations.length > 0 && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+                  <Mail className="w-5 h-5 text-blue-600" />
+                  Invitations
+                </h2>
+                <div className="space-y-3">
+                  {invitations.map((invitation) => (
+                    <div
+                      key={invitation._id}
+                      className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 bg-blue-50 rounded-lg"
+                    >
+                      <div>
+                        <p className="font-medium text-gray-900">
+                          {invitation.organization.name}
+                        </p>
+                        <p className="text-sm text-gray-600">
+                          Invited as {ROLE_LABELS[invitation.role]}
+                          {invitation.invitedBy &&
+                            ` by Dr. ${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName}`}{" "}
+                          · expires {formatDate(invitation.expiresAt)}
+                        </p>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => acceptMutation.mutate(invitation._id)}
+                          disabled={acceptMutation.isPending}
+                          className="inline-flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium"
+                        >
+                          <Check className="w-4 h-4" />
+                          Accept
+                        </button>
+                        <button
+                          onClick={() => declineMutation.mutate(invitation._id)}
+                          disabled={declineMutation.isPending}
+                          className="inline-flex items-center gap-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 text-sm font-medium"
+                        >
+                          <X className="w-4 h-4" />
+                          Decline
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {!user?.emailVerified && (
+                  <p className="text-sm text-amber-700 mt-4">
+                    Verify your email address to accept an invitation.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {hasPermission("jobs:create") ? (
+              <CreateOrganizationForm
+                onCreated={refreshMembership}
+                onError={onError}
+              />
+            ) : (
+              invitations.length === 0 && (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 text-center">
+                  <Building2 className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+                  <p className="text-gray-600">
+                    You are not a member of an organization. Ask a clinic
+                    owner to invite you by email.
+                  </p>
+                </div>
+              )
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// CREATE ORGANIZATION
+// ============================================================================
+
+const CreateOrganizationForm = ({ onCreated, onError }) => {
+  const [form, setForm] = useState({ name: "", description: "", website: "" });
+
+  const createMutation = useMutation({
+    mutationFn: (data) => organizationAPI.create(data),
+    onSuccess: () => {
+      toast.success("Organization created");
+      onCreated();
+    },
+    onError,
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate(form);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4"
+    >
+      <h2 className="text-lg font-semibold text-gray-900">
+        Create an organization
+      </h2>
+      <OrganizationFields form={form} setForm={setForm} />
+      <button
+        type="submit"
+        disabled={createMutation.isPending || form.name.trim().length < 2}
+        className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 font-medium"
+      >
+        {createMutation.isPending ? "Creating..." : "Create Organization"}
+      </button>
+    </form>
+  );
+};
+
+const OrganizationFields = ({ form, setForm }) => (
+  <>
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Name *
+      </label>
+      <input
+        type="text"
+        value={form.name}
+        onChange={(e) => setForm({ ...form, name: e.target.value })}
+        maxLength={120}
+        placeholder="e.g. Riverside Cardiology Clinic"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+    </div>
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Description
+      </label>
+      <textarea
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        maxLength={2000}
+        rows={3}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+    </div>
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Website
+      </label>
+      <input
+        type="url"
+        value={form.website}
+        onChange={(e) => setForm({ ...form, website: e.target.value })}
+        placeholder="https://"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+    </div>
+  </>
+);
+
+// ============================================================================
+// ORGANIZATION DETAILS
+// ============================================================================
+
+const OrganizationDetails = ({
+  organization,
+  currentUserId,
+  onMembershipChange,
+  onError,
+}) => {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({
+    name: organization.name,
+    description: organization.description || "",
+    website: organization.website || "",
+  });
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("member");
+
+  const isOwner = organization.myRole === "owner";
+  const canManage = ["owner", "admin"].includes(organization.myRole);
+
+  // Responses carry the updated organization
+  const updateCache = (res) =>
+    queryClient.setQueryData(["organization"], res.data.data);
+
+  const updateMutation = useMutation({
+    mutationFn: (data) => organizationAPI.update(data),
+    onSuccess: (res) => {
+      updateCache(res);
+      setEditing(false);
+      toast.success("Organization updated");
+    },
+    onError,
+  });
+
+  const inviteMutation = useMutation({
+    mutationFn: ({ email, role }) => organizationAPI.invite(email, role),
+    onSuccess: (res) => {
+      updateCache(res);
+      setInviteEmail("");
+      toast.success(res.data.message);
+    },
+    onError,
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (invitationId) =>
+      organizationAPI.revokeInvitation(invitationId),
+    onSuccess: updateCache,
+    onError,
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: ({ userId, role }) =>
+      organizationAPI.updateMemberRole(userId, role),
+    onSuccess: (res) => {
+      updateCache(res);
+      toast.success("Role updated");
+    },
+    onError,
+  });
+
+  const transferMutation = useMutation({
+    mutationFn: (userId) => organizationAPI.transferOwnership(userId),
+    onSuccess: (res) => {
+      updateCache(res);
+      toast.success("Ownership transferred");
+    },
+    onError,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (userId) => organizationAPI.removeMember(userId),
+    onSuccess: (res) => {
+      updateCache(res);
+      toast.success("Member removed");
+    },
+    onError,
+  });
+
+  const leaveMutation = useMutation({
+    mutationFn: () => organizationAPI.leave(),
+    onSuccess: (res) => {
+      toast.success(res.data.message);
+      onMembershipChange();
+    },
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => organizationAPI.delete(),
+    onSuccess: () => {
+      toast.success("Organization deleted");
+      onMembershipChange();
+    },
+    onError,
+  });
+
+  const handleTransfer = (member) => {
+    if (
+      window.confirm(
+        `Make Dr. ${member.user.firstName} ${member.user.lastName} the owner? You will become an admin.`
+      )
+    ) {
+      transferMutation.mutate(member.user._id);
+    }
+  };
+
+  const handleRemove = (member) => {
+    if (
+      window.confirm(
+        `Remove Dr. ${member.user.firstName} ${member.user.lastName} from ${organization.name}?`
+      )
+    ) {
+      removeMutation.mutate(member.user._id);
+    }
+  };
+
+  const handleDelete = () => {
+    if (
+      window.confirm(
+        `Delete ${organization.name}? Jobs stay with the doctors who posted them and members lose the shared subscription.`
+      )
+    ) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <>
+      {/* Details */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        {editing ? (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              updateMutation.mutate(form);
+            }}
+            className="space-y-4"
+          >
+            <OrganizationFields form={form} setForm={setForm} />
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={updateMutation.isPending}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium"
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditing(false)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm font-medium"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">
+                {organization.name}
+              </h2>
+              {organization.description && (
+                <p className="text-gray-600 mt-2 whitespace-pre-line">
+                  {organization.description}
+                </p>
+              )}
+              {organization.website && (
+                <a
+                  href={organization.website}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline mt-2"
+                >
+                  <Globe className="w-4 h-4" />
+                  {organization.website}
+                </a>
+              )}
+              <p className="text-sm text-gray-500 mt-2">
+                Your role:{" "}
+                <span className="font-medium">
+                  {ROLE_LABELS[organization.myRole]}
+                </span>
+              </p>
+            </div>
+            {canManage && (
+              <button
+                onClick={() => setEditing(true)}
+                className="inline-flex items-center gap-1 px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+              >
+                <Edit className="w-4 h-4" />
+                Edit
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Members */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <Users className="w-5 h-5 text-blue-600" />
+          Members ({organization.members.length})
+        </h3>
+        <div className="divide-y divide-gray-100">
+          {organization.members.map((member) => {
+            const isSelf = member.user._id === currentUserId;
+            const canRemove =
+              !isSelf &&
+              member.role !== "owner" &&
+              (isOwner || member.role === "member") &&
+              canManage;
+
+            return (
+              <div
+                key={member.user._id}
+                className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 py-3"
+              >
+                <div className="flex items-center gap-3">
+                  {member.user.profilePhoto?.url ? (
+                    <img
+                      src={member.user.profilePhoto.url}
+                      alt=""
+                      className="w-10 h-10 rounded-full object-cover"
+                    />
+                  ) : (
+                    <div className="w-10 h-10 rounded-full bg-blue-100 text-blue-700 flex items-center justify-center font-semibold">
+                      {member.user.firstName?.[0]}
+                      {member.user.lastName?.[0]}
+                    </div>
+                  )}
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      Dr. {member.user.firstName} {member.user.lastName}
+                      {isSelf && (
+                        <span className="text-gray-500 font-normal"> (you)</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {member.user.email}
+                      {member.user.primarySpecialty &&
+                        ` · ${member.user.primarySpecialty}`}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  {isOwner && member.role !== "owner" ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) =>
+                        roleMutation.mutate({
+                          userId: member.user._id,
+                          role: e.target.value,
+                        })
+                      }
+                      className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+                    >
+                      <option value="member">Member</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                  ) : (
+                    <span
+                      className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${
+                        ROLE_BADGES[member.role]
+                      }`}
+                    >
+                      {member.role === "owner" && <Crown className="w-3 h-3" />}
+                      {member.role === "admin" && (
+                        <Shield className="w-3 h-3" />
+                      )}
+                      {ROLE_LABELS[member.role]}
+                    </span>
+                  )}
+                  {isOwner && member.role !== "owner" && (
+                    <button
+                      onClick={() => handleTransfer(member)}
+                      title="Make owner"
+                      className="p-2 text-gray-500 hover:text-amber-600 hover:bg-amber-50 rounded-lg"
+                    >
+                      <Crown className="w-4 h-4" />
+                    </button>
+                  )}
+                  {canRemove && (
+                    <button
+                      onClick={() => handleRemove(member)}
+                      title="Remove member"
+                      className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Invitations */}
+      {canManage && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+            <UserPlus className="w-5 h-5 text-blue-600" />
+            Invite a doctor
+          </h3>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              inviteMutation.mutate({ email: inviteEmail, role: inviteRole });
+            }}
+            className="flex flex-col sm:flex-row gap-2"
+          >
+            <input
+              type="email"
+              required
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              placeholder="doctor@example.com"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            {isOwner && (
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="member">Member</option>
+                <option value="admin">Admin</option>
+              </select>
+            )}
+            <button
+              type="submit"
+              disabled={inviteMutation.isPending}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 font-medium"
+            >
+              {inviteMutation.isPending ? "Sending..." : "Send Invitation"}
+            </button>
+          </form>
+
+          {organization.invitations.length > 0 && (
+            <div className="mt-6">
+              <p className="text-sm font-semibold text-gray-700 mb-2">
+                Pending invitations
+              </p>
+              <div className="divide-y divide-gray-100">
+                {organization.invitations.map((invitation) => (
+                  <div
+                    key={invitation._id}
+                    className="flex items-center justify-between py-2"
+                  >
+                    <div>
+                      <p className="text-sm text-gray-900">
+                        {invitation.email}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {ROLE_LABELS[invitation.role]} · expires{" "}
+                        {formatDate(invitation.expiresAt)}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => revokeMutation.mutate(invitation._id)}
+                      disabled={revokeMutation.isPending}
+                      className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Leave / delete */}
+      <div className="bg-white rounded-xl shadow-sm border border-red-200 p-6 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <p className="text-sm text-gray-600">
+          {isOwner
+            ? "Transfer ownership before leaving, or delete the organization."
+            : "Jobs you posted for the organization stay with the organization."}
+        </p>
+        {isOwner ? (
+          <button
+            onClick={handleDelete}
+            disabled={deleteMutation.isPending}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 text-sm font-medium"
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete Organization
+          </button>
+        ) : (
+          <button
+            onClick={() =>
+              window.confirm(`Leave ${organization.name}?`) &&
+              leaveMutation.mutate()
+            }
+            disabled={leaveMutation.isPending}
+            className="inline-flex items-center gap-2 px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50 text-sm font-medium"
+          >
+            <LogOut className="w-4 h-4" />
+            Leave Organization
+          </button>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default Organization;
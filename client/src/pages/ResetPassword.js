@@ -0,0 +1,225 @@
+// client/src/pages/ResetPassword.js - Choose a new password from a reset link
+import React, { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useForm } from "react-hook-form";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/AuthContext";
+import Logo from "../components/Logo";
+import {
+  Lock,
+  Eye,
+  EyeOff,
+  Loader,
+  AlertCircle,
+  ArrowRight,
+} from "lucide-react";
+
+const ResetPassword = () => {
+  const [showPassword, setShowPassword] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [linkError, setLinkError] = useState(null);
+
+  const { token } = useParams();
+  const { resetPassword } = useAuth();
+  const navigate = useNavigate();
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    mode: "onBlur",
+    defaultValues: { password: "", confirmPassword: "" },
+  });
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+
+    try {
+      const result = await resetPassword(token, data.password);
+
+      if (result.success) {
+        toast.success("Password updated. You're now signed in.");
+        navigate("/dashboard", { replace: true });
+      } else if (result.errors?.length) {
+        toast.error(result.errors[0].msg || result.message);
+      } else {
+        setLinkError(result.message);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white border-b border-gray-200 sticky top-0 z-50">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <Link to="/" className="flex items-center">
+              <Logo size={40} showText={true} />
+            </Link>
+            <Link
+              to="/login"
+              className="text-gray-600 hover:text-blue-600 font-medium transition-colors"
+            >
+              Back to Sign In
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      <main className="flex items-center justify-center px-4 sm:px-6 lg:px-8 py-12">
+        <div className="w-full max-w-md">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">
+              Reset Password
+            </h1>
+            <p className="text-gray-600">
+              Choose a new password. You'll be signed out everywhere else.
+            </p>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8">
+            {linkError ? (
+              <div className="text-center">
+                <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+                <p className="text-sm text-gray-700 mb-6">{linkError}</p>
+                <Link
+                  to="/forgot-password"
+                  className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors"
+                >
+                  Request a new link
+                </Link>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                {/* New Password */}
+                <div>
+                  <label
+                    htmlFor="password"
+                    className="block text-sm font-medium text-gray-700 mb-2"
+                  >
+                    New Password <span className="text-red-500">*</span>
+                  </label>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                    <input
+                      id="password"
+                      type={showPassword ? "text" : "password"}
+                      autoComplete="new-password"
+                      {...register("password", {
+                        required: "Password is required",
+                        minLength: {
+                          value: 8,
+                          message: "Password must be at least 8 characters",
+                        },
+                        pattern: {
+                          value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+                          message:
+                            "Include an uppercase letter, a lowercase letter and a number",
+                        },
+                      })}
+                      className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+                        errors.password ? "border-red-300" : "border-gray-300"
+                      }`}
+                      placeholder="Enter a new password"
+                      aria-invalid={errors.password ? "true" : "false"}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors"
+                      aria-label={
+                        showPassword ? "Hide password" : "Show password"
+                      }
+                    >
+                      {showPassword ? (
+                        <EyeOff className="w-5 h-5" />
+                      ) : (
+                        <Eye className="w-5 h-5" />
+                      )}
+                    </button>
+                  </div>
+                  {errors.password && (
+                    <p
+                      className="mt-2 text-sm text-red-600 flex items-center gap-1"
+                      role="alert"
+                    >
+                      <AlertCircle className="w-4 h-4" />
+                      {errors.password.message}
+                    </p>
+                  )}
+                </div>
+
+                {/* Confirm Password */}
+                <div>
+                  <label
+                    htmlFor="confirmPassword"
+                    className="block text-sm font-medium text-gray-700 mb-2"
+                  >
+                    Confirm Password <span className="text-red-500">*</span>
+                  </label>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                    <input
+                      id="confirmPassword"
+                      type={showPassword ? "text" : "password"}
+                      autoComplete="new-password"
+                      {...register("confirmPassword", {
+                        required: "Please confirm your password",
+                        validate: (value) =>
+                          value === watch("password") ||
+                          "Passwords do not match",
+                      })}
+                      className={`w-full pl-10 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+                        errors.confirmPassword
+                          ? "border-red-300"
+                          : "border-gray-300"
+                      }`}
+                      placeholder="Re-enter the new password"
+                      aria-invalid={errors.confirmPassword ? "true" : "false"}
+                    />
+                  </div>
+                  {errors.confirmPassword && (
+                    <p
+                      className="mt-2 text-sm text-red-600 flex items-center gap-1"
+                      role="alert"
+                    >
+                      <AlertCircle className="w-4 h-4" />
+                      {errors.confirmPassword.message}
+                    </p>
+                  )}
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className={`w-full flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors ${
+                    isSubmitting ? "opacity-75 cursor-not-allowed" : ""
+                  }`}
+                >
+                  {isSubmitting ? (
+                    <>
+                      <Loader className="w-5 h-5 animate-spin" />
+                      <span>Updating password...</span>
+                    </>
+                  ) : (
+                    <>
+                      <span>Reset Password</span>
+                      <ArrowRight className="w-5 h-5" />
+                    </>
+                  )}
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default ResetPassword;
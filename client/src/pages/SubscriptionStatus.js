@@ -10,6 +10,7 @@ import {
   Calendar,
   CheckCircle,
   TrendingUp,
+  Building2,
 } from "lucide-react";
 
 const SubscriptionStatus = () => {
@@ -121,6 +122,21 @@ const SubscriptionStatus = () => {
           Manage your subscription and billing information
         </p>
 
+        {/* Plan shared by the user's organization */}
+        {subscription.sharedByOrganization && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6 flex items-start gap-3">
+            <Building2 className="w-5 h-5 text-blue-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-blue-900">
+              You are using the enterprise plan of{" "}
+              <span className="font-semibold">
+                {subscription.sharedByOrganization.name}
+              </span>
+              . Usage is shared by every member and billing is managed by the
+              organization owner.
+            </p>
+          </div>
+        )}
+
         {/* Current Plan Card */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 mb-6">
           <div className="flex items-start justify-between mb-6">
@@ -299,12 +315,14 @@ const SubscriptionStatus = () => {
 
         {/* Action Buttons */}
         <div className="flex flex-col sm:flex-row gap-3">
-          <button
-            onClick={() => navigate("/subscription/manage")}
-            className="flex-1 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors"
-          >
-            Manage Subscription
-          </button>
+          {!subscription.sharedByOrganization && (
+            <button
+              onClick={() => navigate("/subscription/manage")}
+              className="flex-1 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors"
+            >
+              Manage Subscription
+            </button>
+          )}
           <button
             onClick={() => navigate("/subscription/plans")}
             className="flex-1 py-3 border-2 border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 font-medium transition-colors"
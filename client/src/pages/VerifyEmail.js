@@ -0,0 +1,111 @@
+// client/src/pages/VerifyEmail.js - Confirm email address from the verification link
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import Logo from "../components/Logo";
+import { Loader, CheckCircle, AlertCircle, ArrowRight } from "lucide-react";
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { verifyEmail, resendVerification, isAuthenticated } = useAuth();
+
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+  const [resending, setResending] = useState(false);
+
+  // The token is single-use, so guard against StrictMode's double effect run
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    verifyEmail(token).then((result) => {
+      setStatus(result.success ? "verified" : "failed");
+      setMessage(result.message);
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const handleResend = async () => {
+    setResending(true);
+    const result = await resendVerification();
+    setMessage(result.message);
+    setResending(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white border-b border-gray-200 sticky top-0 z-50">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center h-16">
+            <Link to="/" className="flex items-center">
+              <Logo size={40} showText={true} />
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      <main className="flex items-center justify-center px-4 sm:px-6 lg:px-8 py-12">
+        <div className="w-full max-w-md bg-white rounded-xl shadow-sm border border-gray-200 p-8 text-center">
+          {status === "verifying" && (
+            <>
+              <Loader className="w-12 h-12 animate-spin text-blue-600 mx-auto mb-4" />
+              <p className="text-gray-600">Confirming your email address...</p>
+            </>
+          )}
+
+          {status === "verified" && (
+            <>
+              <CheckCircle className="w-12 h-12 text-green-600 mx-auto mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                Email Verified
+              </h1>
+              <p className="text-gray-600 mb-6">{message}</p>
+              <Link
+                to={isAuthenticated ? "/dashboard" : "/login"}
+                className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors"
+              >
+                <span>
+                  {isAuthenticated ? "Go to Dashboard" : "Sign In"}
+                </span>
+                <ArrowRight className="w-5 h-5" />
+              </Link>
+            </>
+          )}
+
+          {status === "failed" && (
+            <>
+              <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                Verification Failed
+              </h1>
+              <p className="text-gray-600 mb-6">{message}</p>
+              {isAuthenticated ? (
+                <button
+                  type="button"
+                  onClick={handleResend}
+                  disabled={resending}
+                  className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors disabled:opacity-75"
+                >
+                  {resending && <Loader className="w-5 h-5 animate-spin" />}
+                  <span>Send a new link</span>
+                </button>
+              ) : (
+                <Link
+                  to="/login"
+                  className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors"
+                >
+                  Sign in to request a new link
+                </Link>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,143 @@
+// config/permissions.js - Central registry mapping roles to named permissions
+//
+// Route guards ask for a permission (requirePermission in middleware/auth.js)
+// instead of checking req.user.role directly. Admins are further split into
+// sub-roles (User.adminRole) so that not every admin can do everything.
+
+const PERMISSIONS = {
+  // Jobs & applications
+  JOBS_CREATE: "jobs:create",
+  JOBS_APPLY: "jobs:apply",
+  JOBS_MODERATE: "jobs:moderate",
+  APPLICATIONS_MODERATE: "applications:moderate",
+
+  // Matching
+  MATCHING_RECOMMENDATIONS: "matching:recommendations",
+  MATCHING_CANDIDATES: "matching:candidates",
+
+  // Admin
+  ADMIN_ACCESS: "admin:access",
+  ADMIN_DASHBOARD: "admin:dashboard",
+  VERIFICATION_VIEW: "verification:view",
+  VERIFICATION_APPROVE: "verification:approve",
+  USERS_MANAGE: "users:manage",
+  BILLING_MANAGE: "billing:manage",
+  SYSTEM_MANAGE: "system:manage",
+  ADMIN_ROLES_MANAGE: "admin_roles:manage",
+  AUDIT_VIEW: "audit:view",
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Permissions granted by the user's role
+const ROLE_PERMISSIONS = {
+  junior: [PERMISSIONS.JOBS_APPLY, PERMISSIONS.MATCHING_RECOMMENDATIONS],
+  senior: [PERMISSIONS.JOBS_CREATE, PERMISSIONS.MATCHING_CANDIDATES],
+  admin: [PERMISSIONS.ADMIN_ACCESS, PERMISSIONS.ADMIN_DASHBOARD],
+};
+
+// Additional permissions granted by an admin's sub-role
+const ADMIN_ROLE_PERMISSIONS = {
+  super_admin: [
+    PERMISSIONS.VERIFICATION_VIEW,
+    PERMISSIONS.VERIFICATION_APPROVE,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.JOBS_MODERATE,
+    PERMISSIONS.APPLICATIONS_MODERATE,
+    PERMISSIONS.BILLING_MANAGE,
+    PERMISSIONS.SYSTEM_MANAGE,
+    PERMISSIONS.ADMIN_ROLES_MANAGE,
+    PERMISSIONS.AUDIT_VIEW,
+  ],
+  verification_reviewer: [
+    PERMISSIONS.VERIFICATION_VIEW,
+    PERMISSIONS.VERIFICATION_APPROVE,
+  ],
+  support: [
+    PERMISSIONS.VERIFICATION_VIEW,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.JOBS_MODERATE,
+    PERMISSIONS.APPLICATIONS_MODERATE,
+  ],
+  billing: [PERMISSIONS.BILLING_MANAGE],
+};
+
+const ADMIN_ROLES = Object.keys(ADMIN_ROLE_PERMISSIONS);
+
+// Admin accounts created before sub-roles existed keep full access
+const DEFAULT_ADMIN_ROLE = "super_admin";
+
+/**
+ * Resolve every permission a user holds
+ * @param {Object} user - Needs role and, for admins, adminRole
+ * @returns {String[]} Permission names
+ */
+const getPermissionsForUser = (user) => {
+  if (!user) {
+    return [];
+  }
+
+  const permissions = new Set(ROLE_PERMISSIONS[user.role] || []);
+
+  if (user.role === "admin") {
+    const adminRole = user.adminRole || DEFAULT_ADMIN_ROLE;
+    (ADMIN_ROLE_PERMISSIONS[adminRole] || []).forEach((permission) =>
+      permissions.add(permission)
+    );
+  }
+
+  return [...permissions];
+};
+
+/**
+ * Check a single permission
+ * @param {Object} user
+ * @param {String} permission - One of PERMISSIONS
+ * @returns {Boolean}
+ */
+const hasPermission = (user, permission) =>
+  getPermissionsForUser(user).includes(permission);
+
+/**
+ * MongoDB filter matching the users who hold a permission, for queries that
+ * must agree with hasPermission()
+ * @param {String} permission - One of PERMISSIONS
+ * @returns {Object} User filter
+ */
+const permissionFilter = (permission) => {
+  const roles = Object.keys(ROLE_PERMISSIONS).filter((role) =>
+    ROLE_PERMISSIONS[role].includes(permission)
+  );
+  const adminRoles = ADMIN_ROLES.filter((adminRole) =>
+    ADMIN_ROLE_PERMISSIONS[adminRole].includes(permission)
+  );
+
+  const conditions = [];
+  if (roles.length > 0) {
+    conditions.push({ role: { $in: roles } });
+  }
+  if (adminRoles.length > 0 && !roles.includes("admin")) {
+    conditions.push({
+      role: "admin",
+      adminRole: {
+        $in: adminRoles.includes(DEFAULT_ADMIN_ROLE)
+          ? [...adminRoles, null]
+          : adminRoles,
+      },
+    });
+  }
+
+  return conditions.length > 0 ? { $or: conditions } : { _id: null };
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_ROLE,
+  getPermissionsForUser,
+  hasPermission,
+  permissionFilter,
+};
@@ -1,13 +1,36 @@
 // server/controllers/adminController.js - COMPLETE FIXED VERSION
 const User = require("../models/User");
+const LoginEvent = require("../models/LoginEvent");
+const {
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_ROLE,
+  getPermissionsForUser,
+} = require("../config/permissions");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
+const auditLogService = require("../services/auditLogService");
 
 // ✅ ADD: ObjectId validation helper
 const isValidObjectId = (id) => {
   return mongoose.Types.ObjectId.isValid(id);
 };
 
+// Verification fields compared in audit log entries
+const getVerificationSnapshot = (user) => ({
+  verificationStatus: {
+    identity: user.verificationStatus.identity,
+    medical_license: user.verificationStatus.medical_license,
+    background_check: user.verificationStatus.background_check,
+    overall: user.verificationStatus.overall,
+  },
+  documents: Object.fromEntries(
+    user.documents.map((document) => [
+      document._id.toString(),
+      { verified: document.verified, rejectionReason: document.rejectionReason },
+    ]),
+  ),
+});
+
 // @desc    Get all profiles pending verification
 // @route   GET /api/admin/verification/pending
 // @access  Private/Admin
@@ -180,6 +203,8 @@ exports.verifyIdentity = async (req, res) => {
       });
     }
 
+    const before = getVerificationSnapshot(user);
+
     // Update verification status
     user.verificationStatus.identity = status;
 
@@ -203,6 +228,16 @@ exports.verifyIdentity = async (req, res) => {
 
     await user.save();
 
+    await auditLogService.record(req, {
+      action: "verification.identity",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: getVerificationSnapshot(user),
+      metadata: { status, notes },
+    });
+
     res.status(200).json({
       success: true,
       message: `Identity verification ${status} successfully`,
@@ -254,6 +289,8 @@ exports.verifyMedicalLicense = async (req, res) => {
       });
     }
 
+    const before = getVerificationSnapshot(user);
+
     // Update verification status
     user.verificationStatus.medical_license = status;
 
@@ -277,6 +314,16 @@ exports.verifyMedicalLicense = async (req, res) => {
 
     await user.save();
 
+    await auditLogService.record(req, {
+      action: "verification.medical_license",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: getVerificationSnapshot(user),
+      metadata: { status, notes, licenseVerified },
+    });
+
     res.status(200).json({
       success: true,
       message: `Medical license verification ${status} successfully`,
@@ -328,6 +375,8 @@ exports.verifyBackgroundCheck = async (req, res) => {
       });
     }
 
+    const before = getVerificationSnapshot(user);
+
     // Update verification status
     user.verificationStatus.background_check = status;
 
@@ -336,6 +385,16 @@ exports.verifyBackgroundCheck = async (req, res) => {
 
     await user.save();
 
+    await auditLogService.record(req, {
+      action: "verification.background_check",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: getVerificationSnapshot(user),
+      metadata: { status, notes, backgroundCheckPassed },
+    });
+
     res.status(200).json({
       success: true,
       message: `Background check verification ${status} successfully`,
@@ -399,6 +458,8 @@ exports.revokeVerification = async (req, res) => {
       });
     }
 
+    const before = getVerificationSnapshot(user);
+
     // Revoke the verification (set to pending)
     user.verificationStatus[verificationType] = "pending";
 
@@ -407,6 +468,16 @@ exports.revokeVerification = async (req, res) => {
 
     await user.save();
 
+    await auditLogService.record(req, {
+      action: "verification.revoke",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: getVerificationSnapshot(user),
+      metadata: { verificationType, notes },
+    });
+
     res.status(200).json({
       success: true,
       message: `${verificationType.replace("_", " ")} verification revoked successfully`,
@@ -538,6 +609,302 @@ exports.getRejectedUsers = async (req, res) => {
   }
 };
 
+// @desc    Get accounts currently locked by failed sign-ins
+// @route   GET /api/admin/users/locked
+// @access  Private/Admin
+exports.getLockedAccounts = async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select(
+        "firstName lastName email role profilePhoto loginAttempts lockUntil",
+      )
+      .sort({ lockUntil: -1 })
+      .lean();
+
+    // Attach the most recent failure for context
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const failures = await LoginEvent.aggregate([
+      {
+        $match: {
+          user: { $in: users.map((user) => user._id) },
+          success: false,
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: "$user",
+          lastFailedAt: { $first: "$createdAt" },
+          lastIpAddress: { $first: "$ipAddress" },
+          lastDeviceName: { $first: "$deviceName" },
+          failuresLast24h: {
+            $sum: { $cond: [{ $gte: ["$createdAt", since] }, 1, 0] },
+          },
+        },
+      },
+    ]);
+
+    const failuresByUser = new Map(
+      failures.map((entry) => [entry._id.toString(), entry]),
+    );
+
+    res.status(200).json({
+      success: true,
+      data: users.map((user) => {
+        const { _id, ...failure } =
+          failuresByUser.get(user._id.toString()) || {};
+        return { ...user, ...failure };
+      }),
+      count: users.length,
+    });
+  } catch (error) {
+    console.error("Error fetching locked accounts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching locked accounts",
+    });
+  }
+};
+
+// @desc    Unlock an account locked by failed sign-ins
+// @route   PUT /api/admin/users/:userId/unlock
+// @access  Private/Admin
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format",
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const before = {
+      loginAttempts: user.loginAttempts,
+      lockUntil: user.lockUntil,
+    };
+
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+
+    console.log(
+      `🔓 Account unlocked by admin ${req.user.email}: ${user.email}`,
+    );
+
+    await auditLogService.record(req, {
+      action: "user.unlock",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: { loginAttempts: user.loginAttempts, lockUntil: user.lockUntil },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${user.firstName} ${user.lastName}'s account has been unlocked`,
+      data: {
+        _id: user._id,
+        loginAttempts: user.loginAttempts,
+        lockUntil: user.lockUntil,
+      },
+    });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while unlocking account",
+    });
+  }
+};
+
+// @desc    List admin accounts with their sub-role and permissions
+// @route   GET /api/admin/admins
+// @access  Private/Admin (admin_roles:manage)
+exports.getAdminUsers = async (req, res) => {
+  try {
+    const admins = await User.find({ role: "admin" })
+      .select("firstName lastName email role adminRole twoFactor.enabled")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: admins.map((admin) => ({
+        ...admin,
+        adminRole: admin.adminRole || DEFAULT_ADMIN_ROLE,
+        permissions: getPermissionsForUser(admin),
+      })),
+      adminRoles: ADMIN_ROLES,
+    });
+  } catch (error) {
+    console.error("Error fetching admin users:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching admin users",
+    });
+  }
+};
+
+// @desc    Change an admin's sub-role
+// @route   PUT /api/admin/admins/:userId/role
+// @access  Private/Admin (admin_roles:manage)
+exports.updateAdminRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: errors.array(),
+      });
+    }
+
+    const { userId } = req.params;
+    const { adminRole } = req.body;
+
+    // Only super admins manage admin roles, and never their own, so the
+    // admin making a change always stays a super admin
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own admin role",
+      });
+    }
+
+    const user = await User.findOne({ _id: userId, role: "admin" });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Admin user not found",
+      });
+    }
+
+    const previousRole = user.adminRole || DEFAULT_ADMIN_ROLE;
+    user.adminRole = adminRole;
+    await user.save({ validateBeforeSave: false });
+
+    console.log(
+      `🛡️ Admin role changed by ${req.user.email}: ${user.email} ${previousRole} → ${adminRole}`,
+    );
+
+    await auditLogService.record(req, {
+      action: "admin.role_change",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      changes: [{ field: "adminRole", before: previousRole, after: adminRole }],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${user.firstName} ${user.lastName} is now ${adminRole.replace(/_/g, " ")}`,
+      data: {
+        _id: user._id,
+        adminRole: user.adminRole,
+        permissions: user.permissions,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating admin role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating admin role",
+    });
+  }
+};
+
+// @desc    Browse the audit log
+// @route   GET /api/admin/audit-logs
+// @access  Private/Admin (audit:view)
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const [{ logs, pagination }, actions] = await Promise.all([
+      auditLogService.list(req.query, { page, limit }),
+      auditLogService.getActions(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination,
+        actions,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching audit logs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching audit logs",
+    });
+  }
+};
+
+// @desc    Download audit log entries as CSV for compliance reviews
+// @route   GET /api/admin/audit-logs/export
+// @access  Private/Admin (audit:view)
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: errors.array(),
+      });
+    }
+
+    const { csv, count, truncated } = await auditLogService.exportCsv(
+      req.query,
+    );
+
+    // Exporting the trail is itself an audited action
+    await auditLogService.record(req, {
+      action: "audit.export",
+      targetType: "AuditLog",
+      targetLabel: `${count} entries`,
+      metadata: { filters: req.query, count, truncated },
+    });
+
+    const fileName = `audit-log-${new Date().toISOString().split("T")[0]}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("X-Audit-Export-Truncated", String(truncated));
+    res.status(200).send(csv);
+  } catch (error) {
+    console.error("Error exporting audit logs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while exporting audit logs",
+    });
+  }
+};
+
 // @desc    Bulk verification action
 // @route   PUT /api/admin/verification/bulk
 // @access  Private/Admin
@@ -571,6 +938,15 @@ exports.bulkVerification = async (req, res) => {
       });
     }
 
+    // Snapshots for the audit log, taken before anything changes
+    const usersBefore = await User.find({ _id: { $in: userIds } });
+    const snapshotsBefore = new Map(
+      usersBefore.map((user) => [
+        user._id.toString(),
+        getVerificationSnapshot(user),
+      ]),
+    );
+
     const updateQuery = {};
     updateQuery[`verificationStatus.${verificationType}`] = status;
 
@@ -588,6 +964,20 @@ exports.bulkVerification = async (req, res) => {
 
     await Promise.all(updatePromises);
 
+    await Promise.all(
+      users.map((user) =>
+        auditLogService.record(req, {
+          action: `verification.bulk_${verificationType}`,
+          targetType: "User",
+          targetId: user._id,
+          targetLabel: user.email,
+          before: snapshotsBefore.get(user._id.toString()),
+          after: getVerificationSnapshot(user),
+          metadata: { status, notes, requestedCount: userIds.length },
+        }),
+      ),
+    );
+
     res.status(200).json({
       success: true,
       message: `Bulk verification completed for ${result.modifiedCount} users`,
@@ -975,11 +1365,25 @@ const calculateRiskFactors = async (profile) => {
   }
 
   // Check for suspicious activity patterns
-  if (profile.loginAttempts > 5) {
+  const recentFailedLogins = await LoginEvent.countDocuments({
+    user: profile._id,
+    success: false,
+    createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+  });
+
+  if (recentFailedLogins >= 5) {
     riskFactors.push({
       type: "high_failed_logins",
       severity: "high",
-      description: "High number of failed login attempts",
+      description: `${recentFailedLogins} failed login attempts in the last 7 days`,
+    });
+  }
+
+  if (profile.isLocked) {
+    riskFactors.push({
+      type: "account_locked",
+      severity: "high",
+      description: "Account is locked after repeated failed logins",
     });
   }
 
@@ -1045,4 +1449,10 @@ module.exports = {
   getVerificationStats: exports.getVerificationStats,
   getLiveMetrics: exports.getLiveMetrics,
   getAdminDashboard: exports.getAdminDashboard,
+  getLockedAccounts: exports.getLockedAccounts,
+  unlockAccount: exports.unlockAccount,
+  getAdminUsers: exports.getAdminUsers,
+  updateAdminRole: exports.updateAdminRole,
+  getAuditLogs: exports.getAuditLogs,
+  exportAuditLogs: exports.exportAuditLogs,
 };
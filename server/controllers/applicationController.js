@@ -5,6 +5,22 @@ const User = require("../models/User");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 const notificationService = require("../utils/notificationService");
+const contractService = require("../services/contractService");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+const { screenApplication } = require("../utils/applicationScreening");
+const {
+  getPipeline,
+  resolveMove,
+} = require("../utils/applicationPipeline");
+
+// Answer a move the job's pipeline does not allow
+const rejectMove = (res, currentStage, message) =>
+  res.status(400).json({
+    success: false,
+    message,
+    currentStage: currentStage?.key || null,
+    allowedTransitions: currentStage?.transitions || [],
+  });
 
 // @desc    Submit job application
 // @route   POST /api/applications/submit
@@ -24,10 +40,16 @@ exports.submitApplication = async (req, res) => {
       });
     }
 
-    const { job_id, proposal, applicant_notes, source = "search" } = req.body;
+    const {
+      job_id,
+      proposal,
+      applicant_notes,
+      source = "search",
+      screening_answers = [],
+    } = req.body;
 
     // Verify user can apply to jobs
-    if (req.user.role !== "junior") {
+    if (!hasPermission(req.user, PERMISSIONS.JOBS_APPLY)) {
       return res.status(403).json({
         success: false,
         message: "Only junior doctors can apply to jobs",
@@ -35,7 +57,9 @@ exports.submitApplication = async (req, res) => {
     }
 
     // Check if job exists and is active
-    const job = await Job.findById(job_id);
+    const job = await Job.findById(job_id).select(
+      "+invitations +screening_questions"
+    );
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -43,6 +67,23 @@ exports.submitApplication = async (req, res) => {
       });
     }
 
+    // verified_only and invited_only jobs are closed to everyone else
+    const visibility = Job.checkVisibility(job, req.user);
+    if (!visibility.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: visibility.reason,
+      });
+    }
+
+    // Managers would be hiring themselves
+    if (job.isManagedBy(req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot apply to a job you manage",
+      });
+    }
+
     if (job.status !== "active") {
       return res.status(400).json({
         success: false,
@@ -67,6 +108,16 @@ exports.submitApplication = async (req, res) => {
       });
     }
 
+    // Screening questions must be answered; knockouts are applied below
+    const screening = screenApplication(job, req.user, screening_answers);
+    if (screening.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please answer the screening questions",
+        errors: screening.errors,
+      });
+    }
+
     // Check if user has already applied (exclude withdrawn applications)
     // First check for any existing application (including withdrawn)
     const anyExistingApplication = await Application.findOne({
@@ -127,6 +178,7 @@ exports.submitApplication = async (req, res) => {
         from: "applicant",
         date: new Date(),
       });
+      anyExistingApplication.applyScreening(screening);
 
       await anyExistingApplication.save();
       application = anyExistingApplication;
@@ -142,13 +194,32 @@ exports.submitApplication = async (req, res) => {
         proposal,
         applicant_notes,
         status: "submitted",
+        submitted_at: new Date(),
         source,
       };
 
-      application = await Application.create(applicationData);
+      application = new Application(applicationData);
+      application.applyScreening(screening);
+      await application.save();
       console.log("✅ New application created:", application._id);
     }
 
+    // Applying answers a pending invitation
+    await Job.updateOne(
+      {
+        _id: job._id,
+        invitations: {
+          $elemMatch: { doctor: req.user._id, status: "pending" },
+        },
+      },
+      {
+        $set: {
+          "invitations.$.status": "accepted",
+          "invitations.$.responded_at": new Date(),
+        },
+      }
+    );
+
     // Calculate match score
     await application.calculateMatchScore();
 
@@ -171,14 +242,18 @@ exports.submitApplication = async (req, res) => {
       },
     ]);
 
-    // Send notification to job owner
+    // Send notification to job owner; auto-rejected applications stay quiet
     try {
-      await notificationService.createJobApplicationNotification(
-        job.posted_by,
-        application, // Full application object
-        job, // Full job object
-        req.user // Full applicant user object
-      );
+      if (screening.outcome === "rejected") {
+        console.log("🚫 Application auto-rejected by screening");
+      } else {
+        await notificationService.createJobApplicationNotification(
+          job.posted_by,
+          application, // Full application object
+          job, // Full job object
+          req.user // Full applicant user object
+        );
+      }
     } catch (notifError) {
       console.error("Error sending application notification:", notifError);
       // Don't fail the request if notification fails
@@ -186,7 +261,10 @@ exports.submitApplication = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Application submitted successfully",
+      message:
+        screening.outcome === "rejected"
+          ? "Application submitted, but it does not meet this job's requirements"
+          : "Application submitted successfully",
       data: application,
     });
   } catch (error) {
@@ -225,7 +303,7 @@ exports.getMyApplications = async (req, res) => {
       job_id,
     } = req.query;
 
-    if (req.user.role !== "junior") {
+    if (!hasPermission(req.user, PERMISSIONS.JOBS_APPLY)) {
       return res.status(403).json({
         success: false,
         message: "Only junior doctors can view applications",
@@ -276,18 +354,19 @@ exports.getReceivedApplications = async (req, res) => {
       limit = 20,
       status,
       job_id,
+      screening,
       sortBy = "match_score",
     } = req.query;
 
-    if (req.user.role !== "senior") {
+    if (!hasPermission(req.user, PERMISSIONS.JOBS_CREATE)) {
       return res.status(403).json({
         success: false,
         message: "Only senior doctors can view received applications",
       });
     }
 
-    // Get user's jobs
-    const jobQuery = { posted_by: req.user.id };
+    // Get user's jobs, including those posted for their organization
+    const jobQuery = Job.managedByFilter(req.user);
     if (job_id) jobQuery._id = job_id;
 
     const userJobs = await Job.find(jobQuery).select("_id");
@@ -304,6 +383,7 @@ exports.getReceivedApplications = async (req, res) => {
     // Build application query
     let query = { job_id: { $in: jobIds } };
     if (status) query.status = status;
+    if (screening) query["screening.outcome"] = screening;
 
     // Build sort options
     const sortOptions = {};
@@ -361,18 +441,27 @@ exports.getReceivedApplications = async (req, res) => {
 // @access  Private (Job owner only)
 exports.updateApplicationStatus = async (req, res) => {
   try {
-    const { status, employer_notes } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { stage, status, employer_notes } = req.body;
 
-    if (!status) {
+    if (!stage && !status) {
       return res.status(400).json({
         success: false,
-        message: "Status is required",
+        message: "Stage or status is required",
       });
     }
 
     const application = await Application.findById(req.params.id).populate(
       "job_id",
-      "posted_by title"
+      "posted_by organization title pipeline"
     );
 
     if (!application) {
@@ -383,35 +472,30 @@ exports.updateApplicationStatus = async (req, res) => {
     }
 
     // Verify job ownership
-    if (application.job_id.posted_by.toString() !== req.user.id) {
+    if (!Job.isManagedBy(application.job_id, req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this application",
       });
     }
 
-    // Validate status transition
-    const validTransitions = {
-      submitted: ["under_review", "rejected"],
-      under_review: ["shortlisted", "rejected"],
-      shortlisted: ["interview_scheduled", "accepted", "rejected"],
-      interview_scheduled: ["accepted", "rejected"],
-      accepted: ["completed"],
-    };
+    // Validate the move against the job's pipeline
+    const { currentStage, targetStage, error } = resolveMove(
+      application,
+      getPipeline(application.job_id),
+      { stage, status }
+    );
 
-    const currentStatus = application.status;
-    if (
-      validTransitions[currentStatus] &&
-      !validTransitions[currentStatus].includes(status)
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot change status from ${currentStatus} to ${status}`,
-      });
+    if (error) {
+      return rejectMove(res, currentStage, error);
     }
 
     // Prevent manual interview_scheduled status (must be set via appointment)
-    if (status === "interview_scheduled" && !req.body.fromAppointment) {
+    if (
+      targetStage.status === "interview_scheduled" &&
+      application.status !== "interview_scheduled" &&
+      !req.body.fromAppointment
+    ) {
       return res.status(400).json({
         success: false,
         message:
@@ -420,7 +504,9 @@ exports.updateApplicationStatus = async (req, res) => {
     }
 
     // Update application
-    application.status = status;
+    const previousStatus = application.status;
+    application.stage = targetStage.key;
+    application.status = targetStage.status;
     if (employer_notes) {
       application.employer_notes = employer_notes;
     }
@@ -430,7 +516,7 @@ exports.updateApplicationStatus = async (req, res) => {
     // Add communication log entry
     await application.addCommunication(
       "status_change",
-      `Application status changed to ${status}${
+      `Application moved to ${targetStage.name}${
         employer_notes ? `. Notes: ${employer_notes}` : ""
       }`,
       "employer"
@@ -441,52 +527,64 @@ exports.updateApplicationStatus = async (req, res) => {
       "firstName lastName profilePhoto"
     );
 
-    // Send notification to applicant about status change
-    try {
-      await notificationService.createApplicationStatusNotification(
-        application.applicant_id._id,
-        application.job_id._id,
-        application._id,
-        status
-      );
-    } catch (notifError) {
-      console.error("Error sending status change notification:", notifError);
-      // Don't fail the request if notification fails
-    }
+    // Moves between stages with the same status are internal to the
+    // poster's funnel; only tell the applicant when the status changes
+    if (application.status !== previousStatus) {
+      // Send notification to applicant about status change
+      try {
+        await notificationService.createApplicationStatusNotification(
+          application.applicant_id._id,
+          application.job_id._id,
+          application._id,
+          application.status
+        );
+      } catch (notifError) {
+        console.error(
+          "Error sending status change notification:",
+          notifError
+        );
+        // Don't fail the request if notification fails
+      }
 
-    // Send chat message about status change if conversation exists
-    try {
-      const Conversation = require("../models/Conversation");
-      const Message = require("../models/Message");
+      // Send chat message about status change if conversation exists
+      try {
+        const Conversation = require("../models/Conversation");
+        const Message = require("../models/Message");
 
-      // Find conversation between employer and applicant
-      const conversation = await Conversation.findOne({
-        participants: { $all: [req.user.id, application.applicant_id._id] },
-      });
-
-      if (conversation) {
-        const statusMessages = {
-          under_review: "📋 Your application is now under review",
-          shortlisted: "🎯 Great news! Your application has been shortlisted",
-          interview_scheduled:
-            "📅 Interview scheduled! Check your appointments",
-          accepted: "🎉 Congratulations! Your application has been accepted",
-          rejected: "❌ Application status updated to rejected",
-        };
-
-        const messageContent =
-          statusMessages[status] || `Application status changed to ${status}`;
-
-        await Message.create({
-          conversationId: conversation._id,
-          sender: req.user.id,
-          recipient: application.applicant_id._id,
-          content: messageContent,
-          messageType: "system",
+        // Find conversation between employer and applicant
+        const conversation = await Conversation.findOne({
+          participants: {
+            $all: [req.user.id, application.applicant_id._id],
+          },
         });
+
+        if (conversation) {
+          const statusMessages = {
+            under_review: "📋 Your application is now under review",
+            shortlisted:
+              "🎯 Great news! Your application has been shortlisted",
+            interview_scheduled:
+              "📅 Interview scheduled! Check your appointments",
+            accepted:
+              "🎉 Congratulations! Your application has been accepted",
+            rejected: "❌ Application status updated to rejected",
+          };
+
+          const messageContent =
+            statusMessages[application.status] ||
+            `Application status changed to ${application.status}`;
+
+          await Message.create({
+            conversationId: conversation._id,
+            sender: req.user.id,
+            recipient: application.applicant_id._id,
+            content: messageContent,
+            messageType: "system",
+          });
+        }
+      } catch (error) {
+        console.error("Error sending status change message:", error);
       }
-    } catch (error) {
-      console.error("Error sending status change message:", error);
     }
 
     res.status(200).json({
@@ -582,7 +680,7 @@ exports.addMessage = async (req, res) => {
 
     const application = await Application.findById(req.params.id).populate(
       "job_id",
-      "posted_by"
+      "posted_by organization"
     );
 
     if (!application) {
@@ -594,7 +692,7 @@ exports.addMessage = async (req, res) => {
 
     // Verify user is either applicant or job owner
     const isApplicant = application.applicant_id.toString() === req.user.id;
-    const isEmployer = application.job_id.posted_by.toString() === req.user.id;
+    const isEmployer = Job.isManagedBy(application.job_id, req.user);
 
     if (!isApplicant && !isEmployer) {
       return res.status(403).json({
@@ -640,7 +738,7 @@ exports.scheduleInterview = async (req, res) => {
 
     const application = await Application.findById(req.params.id).populate(
       "job_id",
-      "posted_by title"
+      "posted_by organization title"
     );
 
     if (!application) {
@@ -651,7 +749,7 @@ exports.scheduleInterview = async (req, res) => {
     }
 
     // Verify job ownership
-    if (application.job_id.posted_by.toString() !== req.user.id) {
+    if (!Job.isManagedBy(application.job_id, req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to schedule interview for this application",
@@ -713,11 +811,20 @@ exports.scheduleInterview = async (req, res) => {
 // @access  Private (Job owner only)
 exports.acceptApplication = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
     // ✅ FIX: Make contract_details optional with default value
     const { contract_details = {} } = req.body;
 
     const application = await Application.findById(req.params.id)
-      .populate("job_id", "posted_by title")
+      .populate("job_id", "posted_by organization title pipeline")
       .populate("applicant_id", "firstName lastName email");
 
     if (!application) {
@@ -728,34 +835,48 @@ exports.acceptApplication = async (req, res) => {
     }
 
     // Verify job ownership
-    if (application.job_id.posted_by.toString() !== req.user.id) {
+    if (!Job.isManagedBy(application.job_id, req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to accept this application",
       });
     }
 
-    // Check if application can be accepted
-    const validStatuses = [
-      "under_review",
-      "shortlisted",
-      "interview_scheduled",
-      "interview_completed",
-    ];
-    if (!validStatuses.includes(application.status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot accept application in ${application.status} status`,
-      });
+    // Check the job's pipeline allows accepting from the current stage
+    const { currentStage, targetStage, error } = resolveMove(
+      application,
+      getPipeline(application.job_id),
+      { status: "accepted" }
+    );
+    if (error) {
+      return rejectMove(res, currentStage, error);
     }
 
-    // Update application
+    // Update application; milestones become proposals the doctor
+    // countersigns (see services/contractService.js)
+    application.stage = targetStage.key;
     application.status = "accepted";
-    application.contract_details = {
-      ...application.contract_details,
-      ...contract_details,
-      accepted_date: new Date(),
-    };
+    ["agreed_budget", "agreed_timeline", "contract_terms"].forEach((field) => {
+      if (contract_details[field] !== undefined) {
+        application.contract_details[field] = contract_details[field];
+      }
+    });
+
+    try {
+      (contract_details.milestones || []).forEach((milestone) =>
+        contractService.addProposal(application, "employer", {
+          description: milestone.description,
+          due_date: milestone.due_date,
+          amount: parseFloat(milestone.amount),
+        })
+      );
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
 
     await application.save();
 
@@ -766,7 +887,11 @@ exports.acceptApplication = async (req, res) => {
       await job.save();
     }
 
-    // Reject other pending applications for this job
+    // Reject other pending applications for this job; a bulk update skips
+    // the save hooks, so set the rejected stage here
+    const rejectedStage = getPipeline(application.job_id).find(
+      (stage) => stage.status === "rejected"
+    );
     await Application.updateMany(
       {
         job_id: application.job_id._id,
@@ -777,11 +902,13 @@ exports.acceptApplication = async (req, res) => {
             "under_review",
             "shortlisted",
             "interview_scheduled",
+            "interview_completed",
           ],
         },
       },
       {
         status: "rejected",
+        stage: rejectedStage?.key || null,
         $push: {
           communication_log: {
             type: "status_change",
@@ -824,7 +951,7 @@ exports.rejectApplication = async (req, res) => {
 
     const application = await Application.findById(req.params.id).populate(
       "job_id",
-      "posted_by"
+      "posted_by organization pipeline"
     );
 
     if (!application) {
@@ -835,29 +962,25 @@ exports.rejectApplication = async (req, res) => {
     }
 
     // Verify job ownership
-    if (application.job_id.posted_by.toString() !== req.user.id) {
+    if (!Job.isManagedBy(application.job_id, req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to reject this application",
       });
     }
 
-    // Check if application can be rejected
-    const validStatuses = [
-      "submitted",
-      "under_review",
-      "shortlisted",
-      "interview_scheduled",
-      "interview_completed",
-    ];
-    if (!validStatuses.includes(application.status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot reject application in ${application.status} status`,
-      });
+    // Check the job's pipeline allows rejecting from the current stage
+    const { currentStage, targetStage, error } = resolveMove(
+      application,
+      getPipeline(application.job_id),
+      { status: "rejected" }
+    );
+    if (error) {
+      return rejectMove(res, currentStage, error);
     }
 
     // Update application
+    application.stage = targetStage.key;
     application.status = "rejected";
     if (rejection_reason) {
       application.employer_notes = rejection_reason;
@@ -892,7 +1015,10 @@ exports.rejectApplication = async (req, res) => {
 exports.getApplicationDetails = async (req, res) => {
   try {
     const application = await Application.findById(req.params.id)
-      .populate("job_id", "title category specialty budget timeline posted_by")
+      .populate(
+        "job_id",
+        "title category specialty budget timeline posted_by organization"
+      )
       .populate(
         "applicant_id",
         "firstName lastName profilePhoto rating verificationStatus"
@@ -908,9 +1034,8 @@ exports.getApplicationDetails = async (req, res) => {
 
     // Verify user can view this application
     const isApplicant = application.applicant_id._id.toString() === req.user.id;
-    const isEmployer =
-      application.job_id.posted_by._id.toString() === req.user.id;
-    const isAdmin = req.user.role === "admin";
+    const isEmployer = Job.isManagedBy(application.job_id, req.user);
+    const isAdmin = hasPermission(req.user, PERMISSIONS.APPLICATIONS_MODERATE);
 
     if (!isApplicant && !isEmployer && !isAdmin) {
       return res.status(403).json({
@@ -957,7 +1082,7 @@ exports.rateApplication = async (req, res) => {
     }
 
     const application = await Application.findById(req.params.id)
-      .populate("job_id", "posted_by")
+      .populate("job_id", "posted_by organization")
       .populate("applicant_id");
 
     if (!application) {
@@ -976,7 +1101,7 @@ exports.rateApplication = async (req, res) => {
     }
 
     // Check if user is employer or applicant
-    const isEmployer = application.job_id.posted_by.toString() === req.user.id;
+    const isEmployer = Job.isManagedBy(application.job_id, req.user);
     const isApplicant = application.applicant_id._id.toString() === req.user.id;
 
     if (!isEmployer && !isApplicant) {
@@ -1,6 +1,15 @@
 const User = require("../models/User");
+const Session = require("../models/Session");
+const LoginEvent = require("../models/LoginEvent");
+const Organization = require("../models/Organization");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
 const { validationResult } = require("express-validator");
-const crypto = require("crypto");
+const mailService = require("../services/mailService");
+const accountDeletionService = require("../services/accountDeletionService");
+const auditLogService = require("../services/auditLogService");
+const totp = require("../utils/totp");
+const notificationService = require("../utils/notificationService");
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -284,8 +293,16 @@ exports.register = async (req, res) => {
     };
     await user.save({ validateBeforeSave: false });
 
+    // Registration succeeds even if the email can't be delivered;
+    // the user can request another link from the dashboard
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Verification email error:", mailError.message);
+    }
+
     // Generate token and send enhanced response
-    sendTokenResponse(user, 201, res, "Registration successful", {
+    await sendTokenResponse(user, 201, req, res, "Registration successful", {
       profileCompletion: user.profileCompletion,
       verificationStatus: user.verificationStatus,
       accountStatus: user.accountStatus,
@@ -386,6 +403,22 @@ function getCompletedSections(user) {
   return sections;
 }
 
+// Helper function to issue a fresh verification token and email it
+async function sendVerificationEmail(user) {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${
+    process.env.CLIENT_URL || "http://localhost:3000"
+  }/verify-email/${verificationToken}`;
+
+  return mailService.sendEmailVerificationEmail(
+    user,
+    verifyUrl,
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRE) || 24,
+  );
+}
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -414,8 +447,23 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Locked accounts are rejected before the password is even checked
+    if (user.isLocked) {
+      await recordLogin(user, req, "account_locked");
+      return sendLockedResponse(res, user);
+    }
+
+    // Anonymised accounts can never sign in again
+    if (user.accountStatus === "deleted") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
     // Check if account is suspended
     if (user.accountStatus === "suspended") {
+      await recordLogin(user, req, "account_suspended");
       return res.status(401).json({
         success: false,
         message: "Account suspended. Please contact support.",
@@ -425,48 +473,423 @@ exports.login = async (req, res) => {
     // Check password
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
-      // Increment login attempts
-      user.loginAttempts = (user.loginAttempts || 0) + 1;
+      user.registerFailedLogin();
+      await user.save({ validateBeforeSave: false });
+      await recordLogin(user, req, "invalid_password");
 
-      // Lock account after 5 failed attempts
-      if (user.loginAttempts >= 5) {
-        user.lockUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
-        user.accountStatus = "suspended";
+      if (user.isLocked) {
+        return sendLockedResponse(res, user);
       }
 
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    if (user.accountStatus === "pending") {
+      user.accountStatus = "active";
+    }
+
+    // Password alone is not enough - ask for the authenticator code.
+    // Failed attempts are only cleared once the second factor passes.
+    if (user.twoFactor?.enabled) {
       await user.save({ validateBeforeSave: false });
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication required",
+        requiresTwoFactor: true,
+        challengeToken: signTwoFactorChallenge(user),
+      });
+    }
+
+    // Reset login attempts on successful login
+    user.resetLoginAttempts();
+    user.lastActive = new Date();
+    await user.save({ validateBeforeSave: false });
+    await recordLogin(user, req, "success");
+
+    const deletionCancelled = await accountDeletionService.cancelDeletion(user);
+
+    await sendTokenResponse(
+      user,
+      200,
+      req,
+      res,
+      deletionCancelled
+        ? "Login successful. Your account deletion has been cancelled."
+        : "Login successful",
+      { deletionCancelled },
+    );
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
+    });
+  }
+};
+
+// Record a sign-in attempt in the login history and warn the user about
+// successful sign-ins from a device they haven't used before.
+// History is best-effort and never blocks the login itself.
+const recordLogin = async (user, req, reason) => {
+  try {
+    const event = await LoginEvent.record(user._id, req, {
+      success: reason === "success",
+      reason,
+    });
+
+    if (event.newDevice) {
+      await notificationService.notifyNewDeviceLogin(user._id, event);
+    }
+  } catch (error) {
+    console.error("Login history error:", error.message);
+  }
+};
 
+const sendLockedResponse = (res, user) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+
+  return res.status(401).json({
+    success: false,
+    message: `Too many failed sign-in attempts. Account locked for ${minutes} minute${
+      minutes === 1 ? "" : "s"
+    }.`,
+    code: "ACCOUNT_LOCKED",
+    lockUntil: user.lockUntil,
+  });
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded.
+// It has no session id, so protect() never accepts it as an access token.
+const signTwoFactorChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: "two_factor" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+
+// @desc    Complete a 2FA login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token from login)
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Challenge token and code are required",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== "two_factor") {
       return res.status(401).json({
         success: false,
-        message: "Invalid credentials",
+        message: "Login session has expired. Please sign in again.",
       });
     }
 
-    // Check if account is locked
-    if (user.lockUntil && user.lockUntil > new Date()) {
+    const user = await User.findById(decoded.id).select(
+      "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes",
+    );
+
+    if (!user || !user.twoFactor?.enabled) {
       return res.status(401).json({
         success: false,
-        message: "Account temporarily locked. Please try again later.",
+        message: "Login session has expired. Please sign in again.",
       });
     }
 
-    // Reset login attempts on successful login
-    user.loginAttempts = 0;
-    user.lockUntil = undefined;
+    if (user.isLocked) {
+      await recordLogin(user, req, "account_locked");
+      return sendLockedResponse(res, user);
+    }
+
+    const result = user.verifyTwoFactorCode(code);
+
+    if (!result.valid) {
+      user.registerFailedLogin();
+      await user.save({ validateBeforeSave: false });
+      await recordLogin(user, req, "invalid_two_factor");
+
+      if (user.isLocked) {
+        return sendLockedResponse(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    user.resetLoginAttempts();
     user.lastActive = new Date();
+    await user.save({ validateBeforeSave: false });
+    await recordLogin(user, req, "success");
+
+    const deletionCancelled = await accountDeletionService.cancelDeletion(user);
+
+    await sendTokenResponse(
+      user,
+      200,
+      req,
+      res,
+      deletionCancelled
+        ? "Login successful. Your account deletion has been cancelled."
+        : "Login successful",
+      {
+        deletionCancelled,
+        ...(result.method === "recovery_code" && {
+          remainingRecoveryCodes: result.remainingRecoveryCodes,
+        }),
+      },
+    );
+  } catch (error) {
+    console.error("2FA login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
+    });
+  }
+};
 
-    if (user.accountStatus === "pending") {
-      user.accountStatus = "active";
+// @desc    Start 2FA enrollment - generate a secret and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
     }
 
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.buildOtpauthUrl(secret, user.email);
+
+    user.twoFactor.pendingSecret = secret;
     await user.save({ validateBeforeSave: false });
 
-    sendTokenResponse(user, 200, res, "Login successful");
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code with your authenticator app",
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl),
+      },
+    });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("2FA setup error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error during login",
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      "+twoFactor.pendingSecret",
+    );
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup before enabling it",
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    await auditLogService.record(req, {
+      action: "auth.two_factor_enable",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("2FA enable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Turn off 2FA (not allowed for admins)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id).select(
+      "+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes",
+    );
+
+    if (user.role === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is mandatory for admin accounts",
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code).valid) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    await auditLogService.record(req, {
+      action: "auth.two_factor_disable",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Replace all recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes",
+    );
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code).valid) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    await auditLogService.record(req, {
+      action: "auth.recovery_codes_regenerate",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "New recovery codes generated. Previous codes no longer work.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Get recent sign-in attempts for the current user
+// @route   GET /api/auth/login-history
+// @access  Private
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const events = await LoginEvent.find({ user: req.user.id })
+      .select("success reason ipAddress deviceName newDevice createdAt")
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: events,
+    });
+  } catch (error) {
+    console.error("Get login history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
     });
   }
 };
@@ -621,7 +1044,23 @@ exports.updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    sendTokenResponse(user, 200, res, "Password updated successfully");
+    // Sign out every other device; this one gets a fresh session below
+    await Session.revokeAllForUser(user._id, "password_change");
+
+    await auditLogService.record(req, {
+      action: "auth.password_change",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+    });
+
+    await sendTokenResponse(
+      user,
+      200,
+      req,
+      res,
+      "Password updated successfully",
+    );
   } catch (error) {
     console.error("Update password error:", error);
     res.status(500).json({
@@ -631,28 +1070,492 @@ exports.updatePassword = async (req, res) => {
   }
 };
 
-// @desc    Logout user / clear cookie
-// @route   GET /api/auth/logout
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message:
+      "If an account exists for this email, password reset instructions have been sent.",
+  };
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Respond identically whether or not the email is registered
+    if (!user || user.accountStatus === "suspended") {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${
+      process.env.CLIENT_URL || "http://localhost:3000"
+    }/reset-password/${resetToken}`;
+
+    try {
+      await mailService.sendPasswordResetEmail(
+        user,
+        resetUrl,
+        parseInt(process.env.RESET_PASSWORD_EXPIRE) || 10,
+      );
+    } catch (mailError) {
+      // Log and answer as usual; an error here would reveal the address
+      // is registered
+      console.error("Password reset email error:", mailError);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Reset password with a token from the reset email
+// @route   PUT /api/auth/resetpassword/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const resetPasswordToken = User.hashToken(req.params.token);
+
+    const user = await User.findOne({
+      resetPasswordToken,
+      resetPasswordExpire: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Password reset link is invalid or has expired",
+      });
+    }
+
+    // Setting the password also stamps passwordChangedAt, which
+    // invalidates every token issued before this reset
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.resetLoginAttempts();
+    await user.save();
+    await Session.revokeAllForUser(user._id, "password_change");
+
+    await auditLogService.record(req, {
+      action: "auth.password_reset",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      actor: user,
+    });
+
+    await sendTokenResponse(user, 200, req, res, "Password reset successful");
+  } catch (error) {
+    console.error("Reset password error:", error);
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validationErrors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Confirm email address with the token from the verification email
+// @route   PUT /api/auth/verifyemail/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Email address verified successfully",
+      data: {
+        email: user.email,
+        emailVerified: user.emailVerified,
+        emailVerifiedAt: user.emailVerifiedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resendverification
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email address is already verified",
+      });
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      return res.status(500).json({
+        success: false,
+        message: "Verification email could not be sent. Please try again.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${user.email}`,
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+exports.refresh = async (req, res) => {
+  try {
+    const parsed = Session.parseRefreshToken(req.cookies?.refreshToken);
+
+    if (!parsed) {
+      return res.status(401).json({
+        success: false,
+        message: "No refresh token provided",
+      });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+
+    if (!session || !session.isActive) {
+      res.clearCookie("refreshToken", getRefreshCookieOptions());
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired. Please log in again.",
+      });
+    }
+
+    const { status, refreshToken } = await session.rotate(parsed.secret, req);
+
+    if (status === "reused") {
+      console.warn(
+        `⚠️ Refresh token reuse detected for user ${session.user}, session ${session._id} revoked`,
+      );
+      res.clearCookie("refreshToken", getRefreshCookieOptions());
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired. Please log in again.",
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !["active", "pending"].includes(user.accountStatus)) {
+      await Session.revokeAllForUser(session.user, "user_revoked");
+      res.clearCookie("refreshToken", getRefreshCookieOptions());
+      return res.status(401).json({
+        success: false,
+        message: "User account has been deactivated or suspended",
+      });
+    }
+
+    // Within the rotation grace window the browser already holds the
+    // newer cookie, so only a fresh access token is issued
+    if (refreshToken) {
+      res.cookie("refreshToken", refreshToken, {
+        ...getRefreshCookieOptions(),
+        expires: session.expiresAt,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed",
+      token: user.getSignedJwtToken(session._id),
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Log out of every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await Session.revokeAllForUser(
+      req.user.id,
+      "logout_all",
+    );
+
+    res.clearCookie("refreshToken", getRefreshCookieOptions());
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all devices",
+      data: { revokedCount },
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Request deletion of the current account (after a grace period)
+// @route   POST /api/auth/delete-account
 // @access  Private
+exports.requestAccountDeletion = async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+
+    const user = await User.findById(req.user.id).select("+password");
+
+    if (user.role === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Admin accounts must be removed by another administrator",
+      });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    // Owners hand the organization over first so its members keep access
+    if (user.organization) {
+      const organization = await Organization.findById(user.organization);
+
+      if (
+        organization?.getRole(user._id) === "owner" &&
+        organization.members.length > 1
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Transfer ownership of your organization or delete it before deleting your account",
+        });
+      }
+    }
+
+    const scheduledFor = await accountDeletionService.scheduleDeletion(user, {
+      reason,
+    });
+
+    await auditLogService.record(req, {
+      action: "account.deletion_request",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      metadata: { scheduledFor, reason },
+    });
+
+    res.clearCookie("refreshToken", getRefreshCookieOptions());
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. Sign in before then to cancel.`,
+      data: {
+        scheduledFor,
+        graceDays: accountDeletionService.graceDays,
+      },
+    });
+  } catch (error) {
+    console.error("Account deletion request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    List active sessions for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("deviceName userAgent ipAddress lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "user_revoked" },
+      { new: true },
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    if (session._id.toString() === req.sessionId) {
+      res.clearCookie("refreshToken", getRefreshCookieOptions());
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Logout user / revoke session and clear cookie
+// @route   GET /api/auth/logout
+// @access  Public (refresh token cookie)
 exports.logout = async (req, res) => {
   try {
-    // Update last active time
-    if (req.user && req.user.id) {
-      await User.findByIdAndUpdate(
-        req.user.id,
-        {
-          lastActive: new Date(),
-        },
-        { validateBeforeSave: false },
+    // The access token may already have expired, so the session is
+    // identified by the refresh token cookie
+    const parsed = Session.parseRefreshToken(req.cookies?.refreshToken);
+
+    if (parsed) {
+      const session = await Session.findOneAndUpdate(
+        { _id: parsed.sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "logout" },
       );
+
+      if (session) {
+        await User.findByIdAndUpdate(
+          session.user,
+          {
+            lastActive: new Date(),
+          },
+          { validateBeforeSave: false },
+        );
+      }
     }
 
+    res.clearCookie("refreshToken", getRefreshCookieOptions());
+
     res.status(200).json({
       success: true,
       message: "User logged out successfully",
     });
   } catch (error) {
     console.error("Logout error:", error);
+    res.clearCookie("refreshToken", getRefreshCookieOptions());
     res.status(200).json({
       success: true,
       message: "User logged out successfully",
@@ -660,27 +1563,34 @@ exports.logout = async (req, res) => {
   }
 };
 
-// Enhanced helper function to get token from model, create cookie and send response
-const sendTokenResponse = (
+// Refresh token cookie is only sent to the auth routes that consume it
+const getRefreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // The client and API are deployed on different domains in production
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+  path: "/api/auth",
+});
+
+// Enhanced helper function to start a session, set the refresh token cookie
+// and send the access token in the response
+const sendTokenResponse = async (
   user,
   statusCode,
+  req,
   res,
   message,
   additionalData = {},
 ) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+  const { session, refreshToken } = await Session.createForUser(user._id, req);
 
-  const options = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 30) * 24 * 60 * 60 * 1000,
-    ),
-    httpOnly: true,
-  };
+  // Create token
+  const token = user.getSignedJwtToken(session._id);
 
-  if (process.env.NODE_ENV === "production") {
-    options.secure = true;
-  }
+  res.cookie("refreshToken", refreshToken, {
+    ...getRefreshCookieOptions(),
+    expires: session.expiresAt,
+  });
 
   // Prepare user data for response (excluding sensitive info)
   const userData = {
@@ -690,7 +1600,12 @@ const sendTokenResponse = (
     fullName: user.fullName,
     displayName: user.displayName,
     email: user.email,
+    emailVerified: user.emailVerified,
+    twoFactor: { enabled: user.twoFactor?.enabled || false },
     role: user.role,
+    adminRole: user.adminRole,
+    permissions: user.permissions,
+    organization: user.organization,
     primarySpecialty: user.primarySpecialty,
     yearsOfExperience: user.yearsOfExperience,
     location: user.location,
@@ -0,0 +1,303 @@
+// server/controllers/contractController.js - Milestone Contracts
+const { validationResult } = require("express-validator");
+const contractService = require("../services/contractService");
+const paymentService = require("../services/paymentService");
+const Escrow = require("../models/Escrow");
+
+// Send express-validator errors, returns true when the request was rejected
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// canManageApplication loads the job without its title
+const loadContract = (req) =>
+  req.application
+    .depopulate("job_id")
+    .populate("job_id", "title posted_by organization budget.currency");
+
+const ESCROW_FIELDS =
+  "milestone_id status currency amount platform_fee payout_amount funding.funded_at release refund.reason refund.refunded_at";
+
+const contractResponse = async (application, party, user) => ({
+  applicationId: application._id,
+  status: application.status,
+  party,
+  jobTitle: application.job_id.title,
+  // Milestone amounts are in the job's budget currency
+  currency: application.job_id.budget?.currency || "USD",
+  contract: application.contract_details,
+  payment: application.payment_details,
+  summary: contractService.summary(application),
+  escrows: await Escrow.find({
+    application_id: application._id,
+    status: { $ne: "cancelled" },
+  })
+    .select(ESCROW_FIELDS)
+    .sort({ createdAt: 1 })
+    .lean(),
+  platformFeePercent: paymentService.feePercent,
+  // The doctor needs a payout account before approved milestones are paid
+  payoutAccount:
+    party === "applicant" ? paymentService.accountStatus(user) : undefined,
+});
+
+// Send a service error with its status, or a 500
+const sendError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`Error in milestone action ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error while updating milestone",
+  });
+};
+
+// Run a contractService milestone action as the requesting party
+const milestoneAction =
+  (action, message, bodyFields = []) =>
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const application = await loadContract(req);
+      const party = contractService.partyOf(application, req.user);
+      if (!party) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the employer and the doctor can change this contract",
+        });
+      }
+
+      const input = {};
+      bodyFields.forEach((field) => {
+        if (req.body[field] !== undefined) input[field] = req.body[field];
+      });
+
+      const milestone = await contractService[action](
+        application,
+        party,
+        req.params.milestoneId,
+        input,
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        message,
+        data: {
+          milestone,
+          summary: contractService.summary(application),
+        },
+      });
+    } catch (error) {
+      sendError(res, error, action);
+    }
+  };
+
+// @desc    Get the contract of an accepted application
+// @route   GET /api/applications/:id/contract
+// @access  Private (Employer, hired doctor or moderator)
+exports.getContract = async (req, res) => {
+  try {
+    const application = await loadContract(req);
+
+    if (!["accepted", "completed"].includes(application.status)) {
+      return res.status(404).json({
+        success: false,
+        message: "This application has no contract yet",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await contractResponse(
+        application,
+        contractService.partyOf(application, req.user),
+        req.user
+      ),
+    });
+  } catch (error) {
+    console.error("Error getting contract:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while getting contract",
+    });
+  }
+};
+
+// @desc    Propose a milestone; the other party countersigns it
+// @route   POST /api/applications/:id/milestones
+// @access  Private (Employer or hired doctor)
+exports.proposeMilestone = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const application = await loadContract(req);
+    const party = contractService.partyOf(application, req.user);
+    if (!party) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the employer and the doctor can change this contract",
+      });
+    }
+
+    const milestone = await contractService.proposeMilestone(
+      application,
+      party,
+      {
+        description: req.body.description,
+        due_date: req.body.due_date,
+        amount: parseFloat(req.body.amount),
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Milestone proposed",
+      data: {
+        milestone,
+        summary: contractService.summary(application),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error proposing milestone:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while proposing milestone",
+    });
+  }
+};
+
+// @desc    Countersign a milestone proposed by the other party
+// @route   POST /api/applications/:id/milestones/:milestoneId/sign
+// @access  Private (Employer or hired doctor, whoever did not propose it)
+exports.signMilestone = milestoneAction("signMilestone", "Milestone agreed");
+
+// @desc    Decline a milestone proposal, or withdraw your own
+// @route   POST /api/applications/:id/milestones/:milestoneId/decline
+// @access  Private (Employer or hired doctor)
+exports.declineMilestone = milestoneAction(
+  "declineMilestone",
+  "Milestone proposal declined",
+  ["reason"]
+);
+
+// @desc    Start work on an agreed milestone
+// @route   POST /api/applications/:id/milestones/:milestoneId/start
+// @access  Private (Hired doctor)
+exports.startMilestone = milestoneAction("startMilestone", "Milestone started");
+
+// @desc    Submit work for a milestone
+// @route   POST /api/applications/:id/milestones/:milestoneId/submit
+// @access  Private (Hired doctor)
+exports.submitMilestone = milestoneAction(
+  "submitMilestone",
+  "Work submitted for review",
+  ["message", "attachments"]
+);
+
+// @desc    Approve submitted work; the milestone is recorded as paid
+// @route   POST /api/applications/:id/milestones/:milestoneId/approve
+// @access  Private (Employer)
+exports.approveMilestone = milestoneAction(
+  "approveMilestone",
+  "Milestone approved",
+  ["feedback"]
+);
+
+// @desc    Send submitted work back for a revision
+// @route   POST /api/applications/:id/milestones/:milestoneId/request-revision
+// @access  Private (Employer)
+exports.requestMilestoneRevision = milestoneAction(
+  "requestRevision",
+  "Revision requested",
+  ["feedback"]
+);
+
+// @desc    Put the money for an agreed milestone in escrow; returns the
+//          provider's checkout URL unless it was charged at once
+// @route   POST /api/applications/:id/milestones/:milestoneId/fund
+// @access  Private (Employer)
+exports.fundMilestone = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const application = await loadContract(req);
+    const { escrow, url } = await contractService.fundMilestone(
+      application,
+      contractService.partyOf(application, req.user),
+      req.params.milestoneId,
+      {},
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: url
+        ? "Complete the payment to fund this milestone"
+        : "Milestone funded",
+      data: { escrow, url },
+    });
+  } catch (error) {
+    sendError(res, error, "fundMilestone");
+  }
+};
+
+// @desc    Refund a funded milestone to the employer and cancel it
+// @route   POST /api/applications/:id/milestones/:milestoneId/refund
+// @access  Private (Hired doctor, moderator, or employer before work starts)
+exports.refundMilestone = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const application = await loadContract(req);
+    const party = contractService.partyOf(application, req.user);
+    if (!party && !req.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the parties or a moderator can refund this milestone",
+      });
+    }
+
+    const milestone = await contractService.refundMilestone(
+      application,
+      party,
+      req.params.milestoneId,
+      { reason: req.body.reason },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Milestone refunded to the employer",
+      data: {
+        milestone,
+        summary: contractService.summary(application),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "refundMilestone");
+  }
+};
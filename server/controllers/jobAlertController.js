@@ -0,0 +1,279 @@
+// server/controllers/jobAlertController.js - Saved Searches & Job Alerts
+const { validationResult } = require("express-validator");
+const Job = require("../models/Job");
+const JobAlert = require("../models/JobAlert");
+const jobAlertService = require("../services/jobAlertService");
+
+const FILTER_FIELDS = [
+  "q",
+  "category",
+  "specialty",
+  "experience_level",
+  "budget_min",
+  "budget_max",
+  "display_currency",
+  "remote_only",
+];
+
+// Send express-validator errors, returns true when the request was rejected
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// Keep the supported filters, dropping empty values
+const pickFilters = (filters = {}) => {
+  const picked = {};
+
+  FILTER_FIELDS.forEach((field) => {
+    const value = filters[field];
+    if (value === undefined || value === null || value === "") return;
+
+    if (field === "budget_min" || field === "budget_max") {
+      picked[field] = parseFloat(value);
+    } else if (field === "remote_only") {
+      picked[field] = value === true || value === "true";
+    } else {
+      picked[field] = String(value).trim();
+    }
+  });
+
+  if (!picked.remote_only) delete picked.remote_only;
+  return picked;
+};
+
+// The caller's alert or send a 404
+const findOwnAlert = async (req, res) => {
+  const alert = await JobAlert.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!alert) {
+    res.status(404).json({
+      success: false,
+      message: "Job alert not found",
+    });
+  }
+
+  return alert;
+};
+
+// Shape returned by the API
+const formatAlert = (alert) => ({
+  _id: alert._id,
+  name: alert.name,
+  filters: alert.filters,
+  frequency: alert.frequency,
+  active: alert.active,
+  matchCount: alert.matchCount,
+  pendingCount: alert.pendingJobs.length,
+  lastMatchedAt: alert.lastMatchedAt,
+  lastDigestAt: alert.lastDigestAt,
+  createdAt: alert.createdAt,
+});
+
+// @desc    Get the current user's job alerts
+// @route   GET /api/job-alerts
+// @access  Private (Junior doctors)
+exports.getMyAlerts = async (req, res) => {
+  try {
+    const alerts = await JobAlert.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    const preferences = req.user.job_preferences?.notification_preferences;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        alerts: alerts.map(formatAlert),
+        limit: jobAlertService.maxAlertsPerUser,
+        notificationsEnabled: preferences?.new_jobs !== false,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching job alerts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching job alerts",
+    });
+  }
+};
+
+// @desc    Save a search as a job alert
+// @route   POST /api/job-alerts
+// @access  Private (Junior doctors)
+exports.createAlert = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const filters = pickFilters(req.body.filters);
+    if (Object.keys(filters).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Choose at least one filter for the alert",
+      });
+    }
+
+    const count = await JobAlert.countDocuments({ user: req.user._id });
+    if (count >= jobAlertService.maxAlertsPerUser) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${jobAlertService.maxAlertsPerUser} job alerts`,
+      });
+    }
+
+    const alert = await JobAlert.create({
+      user: req.user._id,
+      name: req.body.name,
+      filters,
+      frequency: req.body.frequency,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Job alert saved",
+      data: formatAlert(alert),
+    });
+  } catch (error) {
+    console.error("Error creating job alert:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while saving job alert",
+    });
+  }
+};
+
+// @desc    Update a job alert
+// @route   PUT /api/job-alerts/:id
+// @access  Private (Alert owner)
+exports.updateAlert = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const alert = await findOwnAlert(req, res);
+    if (!alert) return;
+
+    if (req.body.filters !== undefined) {
+      const filters = pickFilters(req.body.filters);
+      if (Object.keys(filters).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Choose at least one filter for the alert",
+        });
+      }
+      alert.filters = filters;
+    }
+
+    if (req.body.name !== undefined) alert.name = req.body.name;
+    if (req.body.active !== undefined) alert.active = req.body.active;
+
+    if (req.body.frequency && req.body.frequency !== alert.frequency) {
+      alert.frequency = req.body.frequency;
+      // Queued matches are dropped when switching to instant alerts
+      if (alert.frequency === "instant") alert.pendingJobs = [];
+    }
+
+    await alert.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Job alert updated",
+      data: formatAlert(alert),
+    });
+  } catch (error) {
+    console.error("Error updating job alert:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating job alert",
+    });
+  }
+};
+
+// @desc    Delete a job alert
+// @route   DELETE /api/job-alerts/:id
+// @access  Private (Alert owner)
+exports.deleteAlert = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const alert = await findOwnAlert(req, res);
+    if (!alert) return;
+
+    await alert.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Job alert deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting job alert:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting job alert",
+    });
+  }
+};
+
+// @desc    Active jobs currently matching a job alert
+// @route   GET /api/job-alerts/:id/jobs
+// @access  Private (Alert owner)
+exports.getAlertJobs = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const alert = await findOwnAlert(req, res);
+    if (!alert) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const { searchTerm, filters } = alert.toSearch();
+
+    const jobs = await Job.searchJobs(
+      searchTerm,
+      { ...filters, sortBy: "recent" },
+      req.user
+    )
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate(
+        "posted_by",
+        "firstName lastName profilePhoto rating verificationStatus"
+      )
+      .populate("organization", "name slug")
+      .lean();
+
+    const total = await Job.searchJobs(
+      searchTerm,
+      filters,
+      req.user
+    ).countDocuments();
+
+    res.status(200).json({
+      success: true,
+      data: jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching job alert matches:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching matching jobs",
+    });
+  }
+};
@@ -2,8 +2,80 @@
 const Job = require("../models/Job");
 const User = require("../models/User");
 const Application = require("../models/Application");
+const JobTemplate = require("../models/JobTemplate");
+const JobView = require("../models/JobView");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
+const jobSchedulerService = require("../services/jobSchedulerService");
+const jobAlertService = require("../services/jobAlertService");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+const { publicScreeningQuestions } = require("../utils/applicationScreening");
+const { buildSpecialtyRegex } = require("../utils/medicalVocabulary");
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  RATES,
+  resolveDisplayCurrency,
+  withConvertedBudget,
+} = require("../utils/currency");
+
+// Lifecycle fields only the scheduler endpoints and service may set
+const LIFECYCLE_FIELDS = [
+  "publish_at",
+  "published_at",
+  "schedule_error",
+  "expiry_reminder_sent_at",
+  "expired_at",
+  "alerts_sent_at",
+  // Cached by services/trendingService.js
+  "trending",
+];
+
+const stripLifecycleFields = (body) => {
+  const data = { ...body };
+  LIFECYCLE_FIELDS.forEach((field) => delete data[field]);
+  return data;
+};
+
+// Count a new job against the poster's (or organization's) plan limit
+const trackJobPostingUsage = async (user) => {
+  console.log("🔍 Attempting to track subscription usage...");
+  console.log("User ID:", user.id);
+  console.log("User has subscription?", !!user.subscription);
+
+  if (user.subscription) {
+    const Subscription = require("../models/Subscription");
+    try {
+      const subscription = await Subscription.findForUser(user);
+      console.log("Found subscription in DB:", !!subscription);
+
+      if (subscription) {
+        console.log(
+          "Usage before:",
+          JSON.stringify(subscription.usage?.jobPostings)
+        );
+        await subscription.trackUsage("jobPostings", 1);
+        console.log(
+          "Usage after:",
+          JSON.stringify(subscription.usage?.jobPostings)
+        );
+        console.log("✅ Subscription usage tracked for job posting");
+      } else {
+        console.log("⚠️ No subscription document found for userId:", user.id);
+      }
+    } catch (subError) {
+      console.error("❌ Error tracking subscription usage:", subError.message);
+      console.error("Stack:", subError.stack);
+      // Don't fail the job creation if subscription tracking fails
+    }
+  } else {
+    console.log("⚠️ user.subscription is null/undefined");
+  }
+};
+
+// Default posting window for duplicated jobs, and its bounds in days
+const DUPLICATE_WINDOW_DAYS = { default: 30, min: 7, max: 90 };
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // @desc    Create new job posting
 // @route   POST /api/jobs/create
@@ -20,68 +92,53 @@ exports.createJob = async (req, res) => {
     }
 
     // Verify user can post jobs
-    if (req.user.role !== "senior") {
+    if (!hasPermission(req.user, PERMISSIONS.JOBS_CREATE)) {
       return res.status(403).json({
         success: false,
         message: "Only senior doctors can post jobs",
       });
     }
 
+    // Jobs can only be posted on behalf of the poster's own organization
+    if (
+      req.body.organization &&
+      String(req.body.organization) !== String(req.user.organization)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only post jobs on behalf of your own organization",
+      });
+    }
+
     // Create job with posted_by field
     const jobData = {
-      ...req.body,
+      ...stripLifecycleFields(req.body),
       posted_by: req.user.id,
+      organization: req.body.organization ? req.user.organization : null,
     };
 
+    if (jobData.status === "active") {
+      jobData.published_at = new Date();
+    }
+
     const job = await Job.create(jobData);
 
+    // Notify juniors whose saved alerts match (runs in the background)
+    if (job.status === "active") {
+      jobAlertService.processJob(job);
+    }
+
     // Update user job statistics
     await req.user.updateJobStatistics();
 
     // Update subscription usage tracking
-    console.log("🔍 Attempting to track subscription usage...");
-    console.log("User ID:", req.user.id);
-    console.log("User has subscription?", !!req.user.subscription);
-
-    if (req.user.subscription) {
-      const Subscription = require("../models/Subscription");
-      try {
-        const subscription = await Subscription.findOne({
-          userId: req.user.id,
-        });
-        console.log("Found subscription in DB:", !!subscription);
-
-        if (subscription) {
-          console.log(
-            "Usage before:",
-            JSON.stringify(subscription.usage?.jobPostings)
-          );
-          await subscription.trackUsage("jobPostings", 1);
-          console.log(
-            "Usage after:",
-            JSON.stringify(subscription.usage?.jobPostings)
-          );
-          console.log("✅ Subscription usage tracked for job posting");
-        } else {
-          console.log(
-            "⚠️ No subscription document found for userId:",
-            req.user.id
-          );
-        }
-      } catch (subError) {
-        console.error(
-          "❌ Error tracking subscription usage:",
-          subError.message
-        );
-        console.error("Stack:", subError.stack);
-        // Don't fail the job creation if subscription tracking fails
-      }
-    } else {
-      console.log("⚠️ req.user.subscription is null/undefined");
-    }
+    await trackJobPostingUsage(req.user);
 
     // Populate the posted_by field for response
-    await job.populate("posted_by", "firstName lastName profilePhoto");
+    await job.populate([
+      { path: "posted_by", select: "firstName lastName profilePhoto" },
+      { path: "organization", select: "name slug" },
+    ]);
 
     res.status(201).json({
       success: true,
@@ -113,14 +170,16 @@ exports.createJob = async (req, res) => {
 
 // @desc    Get job details
 // @route   GET /api/jobs/:id
-// @access  Public
+// @access  Public (verified_only and invited_only jobs need a signed-in user)
 exports.getJob = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
+      .select("+invitations +screening_questions")
       .populate(
         "posted_by",
         "firstName lastName profilePhoto rating verificationStatus"
       )
+      .populate("organization", "name slug")
       .lean();
 
     if (!job) {
@@ -130,16 +189,41 @@ exports.getJob = async (req, res) => {
       });
     }
 
+    const visibility = Job.checkVisibility(job, req.user);
+    if (!visibility.allowed) {
+      return res.status(visibility.status).json({
+        success: false,
+        message: visibility.reason,
+        jobVisibility: job.visibility,
+      });
+    }
+
     // Note: View tracking is handled by the dedicated POST /api/jobs/:id/view endpoint
     // This prevents duplicate counting from React Query refetches and page refreshes
 
     // Filter sensitive information based on user role
-    let jobData = { ...job };
+    let jobData = withConvertedBudget(
+      { ...job },
+      resolveDisplayCurrency(req.query.display_currency, req.user)
+    );
 
-    // If not the job poster, hide some details
-    if (!req.user || req.user.id !== job.posted_by._id.toString()) {
+    // If not the job poster or their organization, hide some details
+    if (!Job.isManagedBy(job, req.user)) {
       delete jobData.analytics;
       delete jobData.matching_criteria;
+      delete jobData.invitations;
+      jobData.screening_questions = publicScreeningQuestions(
+        job.screening_questions
+      );
+
+      const invitation = Job.getInvitation(job, req.user);
+      if (invitation) {
+        jobData.myInvitation = {
+          status: invitation.status,
+          message: invitation.message,
+          invited_at: invitation.invited_at,
+        };
+      }
     }
 
     res.status(200).json({
@@ -165,7 +249,7 @@ exports.getJob = async (req, res) => {
 
 // @desc    Update job posting
 // @route   PUT /api/jobs/:id
-// @access  Private (Job owner only)
+// @access  Private (Job owner or organization member)
 exports.updateJob = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -187,7 +271,7 @@ exports.updateJob = async (req, res) => {
     }
 
     // Verify job ownership
-    if (job.posted_by.toString() !== req.user.id) {
+    if (!job.isManagedBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this job",
@@ -206,10 +290,27 @@ exports.updateJob = async (req, res) => {
     // Skip validation for drafts
     const runValidators = req.body.status !== "draft" && job.status !== "draft";
 
-    job = await Job.findByIdAndUpdate(req.params.id, req.body, {
+    // The poster and organization are fixed once a job is created
+    const { posted_by, organization, ...updates } = stripLifecycleFields(
+      req.body
+    );
+
+    // Publishing by hand replaces any scheduled publish
+    if (job.status === "draft" && updates.status && updates.status !== "draft") {
+      updates.publish_at = null;
+      updates.published_at = job.published_at || new Date();
+    }
+
+    job = await Job.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators,
-    }).populate("posted_by", "firstName lastName profilePhoto");
+    })
+      .populate("posted_by", "firstName lastName profilePhoto")
+      .populate("organization", "name slug");
+
+    if (job.status === "active") {
+      jobAlertService.processJob(job);
+    }
 
     res.status(200).json({
       success: true,
@@ -241,7 +342,7 @@ exports.updateJob = async (req, res) => {
 
 // @desc    Delete job posting (soft delete)
 // @route   DELETE /api/jobs/:id
-// @access  Private (Job owner only)
+// @access  Private (Job owner or organization member)
 exports.deleteJob = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
@@ -254,7 +355,7 @@ exports.deleteJob = async (req, res) => {
     }
 
     // Verify job ownership
-    if (job.posted_by.toString() !== req.user.id) {
+    if (!job.isManagedBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to delete this job",
@@ -314,8 +415,8 @@ exports.getMyJobs = async (req, res) => {
       sortOrder = "desc",
     } = req.query;
 
-    // Build query
-    let query = { posted_by: req.user.id };
+    // Build query - includes jobs posted for the user's organization
+    let query = Job.managedByFilter(req.user);
     if (status && status !== "all") {
       query.status = status;
     }
@@ -332,6 +433,7 @@ exports.getMyJobs = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate("posted_by", "firstName lastName profilePhoto")
+      .populate("organization", "name slug")
       .lean();
 
     // Get applications count for each job
@@ -378,6 +480,9 @@ exports.browseJobs = async (req, res) => {
       budget_min,
       budget_max,
       remote_only,
+      location_preference,
+      currency,
+      display_currency,
       deadline_days,
       sortBy = "createdAt",
     } = req.query;
@@ -389,6 +494,10 @@ exports.browseJobs = async (req, res) => {
       budget_min: budget_min ? parseFloat(budget_min) : undefined,
       budget_max: budget_max ? parseFloat(budget_max) : undefined,
       remote_only: remote_only === "true",
+      location_preference,
+      currency,
+      // Budget bounds, facets and converted amounts use this currency
+      display_currency: resolveDisplayCurrency(display_currency, req.user),
       deadline_days: deadline_days ? parseInt(deadline_days) : undefined,
       sortBy,
     };
@@ -398,7 +507,7 @@ exports.browseJobs = async (req, res) => {
       (key) => filters[key] === undefined && delete filters[key]
     );
 
-    const query = Job.searchJobs(null, filters);
+    const query = Job.searchJobs(null, filters, req.user);
 
     // Execute query with pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -409,12 +518,18 @@ exports.browseJobs = async (req, res) => {
         "posted_by",
         "firstName lastName profilePhoto rating verificationStatus"
       )
+      .populate("organization", "name slug")
       .lean();
 
     // Get total count for pagination
-    const totalQuery = Job.searchJobs(null, filters);
+    const totalQuery = Job.searchJobs(null, filters, req.user);
     const total = await totalQuery.countDocuments();
 
+    // Counts per filter value, each respecting the other active filters
+    const facets = await Job.getSearchFacets(null, filters, req.user);
+
+    jobs.forEach((job) => withConvertedBudget(job, filters.display_currency));
+
     res.status(200).json({
       success: true,
       data: jobs,
@@ -425,6 +540,7 @@ exports.browseJobs = async (req, res) => {
         pages: Math.ceil(total / parseInt(limit)),
       },
       filters: filters,
+      facets,
     });
   } catch (error) {
     console.error("Error browsing jobs:", error);
@@ -450,6 +566,9 @@ exports.searchJobs = async (req, res) => {
       budget_min,
       budget_max,
       remote_only,
+      location_preference,
+      currency,
+      display_currency,
       deadline_days,
       sortBy = "relevance",
     } = req.query;
@@ -469,6 +588,10 @@ exports.searchJobs = async (req, res) => {
       budget_min: budget_min ? parseFloat(budget_min) : undefined,
       budget_max: budget_max ? parseFloat(budget_max) : undefined,
       remote_only: remote_only === "true",
+      location_preference,
+      currency,
+      // Budget bounds, facets and converted amounts use this currency
+      display_currency: resolveDisplayCurrency(display_currency, req.user),
       deadline_days: deadline_days ? parseInt(deadline_days) : undefined,
       sortBy,
     };
@@ -481,7 +604,7 @@ exports.searchJobs = async (req, res) => {
     // ✅ FIX: Use searchTerm only if it exists and has content
     const trimmedSearchTerm =
       searchTerm && searchTerm.trim() !== "" ? searchTerm.trim() : null;
-    const query = Job.searchJobs(trimmedSearchTerm, filters);
+    const query = Job.searchJobs(trimmedSearchTerm, filters, req.user);
 
     // Execute query with pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -492,12 +615,22 @@ exports.searchJobs = async (req, res) => {
         "posted_by",
         "firstName lastName profilePhoto rating verificationStatus"
       )
+      .populate("organization", "name slug")
       .lean();
 
     // ✅ FIX: Use the same trimmedSearchTerm for count query
-    const totalQuery = Job.searchJobs(trimmedSearchTerm, filters);
+    const totalQuery = Job.searchJobs(trimmedSearchTerm, filters, req.user);
     const total = await totalQuery.countDocuments();
 
+    // Counts per filter value, each respecting the other active filters
+    const facets = await Job.getSearchFacets(
+      trimmedSearchTerm,
+      filters,
+      req.user
+    );
+
+    jobs.forEach((job) => withConvertedBudget(job, filters.display_currency));
+
     res.status(200).json({
       success: true,
       data: jobs,
@@ -509,6 +642,7 @@ exports.searchJobs = async (req, res) => {
       },
       searchTerm: trimmedSearchTerm,
       filters,
+      facets,
     });
   } catch (error) {
     console.error("Error searching jobs:", error);
@@ -526,7 +660,7 @@ exports.getRecommendations = async (req, res) => {
   try {
     const { limit = 10 } = req.query;
 
-    if (req.user.role !== "junior") {
+    if (!hasPermission(req.user, PERMISSIONS.MATCHING_RECOMMENDATIONS)) {
       return res.status(403).json({
         success: false,
         message: "Job recommendations are only available for junior doctors",
@@ -551,6 +685,21 @@ exports.getRecommendations = async (req, res) => {
   }
 };
 
+// @desc    Get supported currencies and the configured exchange rates
+// @route   GET /api/jobs/currencies
+// @access  Public
+exports.getCurrencies = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      base: BASE_CURRENCY,
+      currencies: SUPPORTED_CURRENCIES,
+      rates: RATES,
+      preferred: resolveDisplayCurrency(null, req.user),
+    },
+  });
+};
+
 // @desc    Get job categories
 // @route   GET /api/jobs/categories
 // @access  Public
@@ -585,26 +734,39 @@ exports.getJobCategories = async (req, res) => {
   }
 };
 
-// @desc    Get trending/popular jobs
+// @desc    Get trending jobs, ranked by cached time-decayed engagement
 // @route   GET /api/jobs/trending
 // @access  Public
 exports.getTrendingJobs = async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    // $and keeps the visibility $or apart from the specialty $or
+    const query = { status: "active", $and: [Job.visibilityFilter(req.user)] };
+    if (req.query.specialty) {
+      const pattern = buildSpecialtyRegex(req.query.specialty);
+      query.$and.push({
+        $or: [{ specialty: pattern }, { subSpecialties: pattern }],
+      });
+    }
 
-    // Get jobs with high view counts and recent applications
-    const trendingJobs = await Job.find({
-      status: "active",
-      createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }, // Last 7 days
-    })
-      .sort({ views_count: -1, applications_count: -1, featured: -1 })
-      .limit(parseInt(limit))
+    // Scores come from services/trendingService.js; newer jobs break ties
+    const trendingJobs = await Job.find(query)
+      .sort({ "trending.score": -1, createdAt: -1 })
+      .limit(limit)
       .populate(
         "posted_by",
         "firstName lastName profilePhoto rating verificationStatus"
       )
+      .populate("organization", "name slug")
       .lean();
 
+    const currency = resolveDisplayCurrency(
+      req.query.display_currency,
+      req.user
+    );
+    trendingJobs.forEach((job) => withConvertedBudget(job, currency));
+
     res.status(200).json({
       success: true,
       data: trendingJobs,
@@ -618,6 +780,68 @@ exports.getTrendingJobs = async (req, res) => {
   }
 };
 
+// @desc    Get trending jobs grouped by specialty
+// @route   GET /api/jobs/trending/specialties
+// @access  Public
+exports.getTrendingBySpecialty = async (req, res) => {
+  try {
+    const perSpecialty = Math.min(parseInt(req.query.perSpecialty) || 5, 20);
+    const specialtyLimit = Math.min(parseInt(req.query.specialties) || 10, 30);
+
+    const groups = await Job.aggregate([
+      {
+        $match: {
+          status: "active",
+          "trending.score": { $gt: 0 },
+          ...Job.visibilityFilter(req.user),
+        },
+      },
+      { $sort: { "trending.score": -1 } },
+      {
+        $group: {
+          _id: "$specialty",
+          topScore: { $first: "$trending.score" },
+          jobs: { $push: "$_id" },
+        },
+      },
+      { $sort: { topScore: -1 } },
+      { $limit: specialtyLimit },
+      { $project: { jobs: { $slice: ["$jobs", perSpecialty] } } },
+    ]);
+
+    const jobIds = groups.flatMap((group) => group.jobs);
+    const jobs = await Job.find({ _id: { $in: jobIds } })
+      .populate(
+        "posted_by",
+        "firstName lastName profilePhoto rating verificationStatus"
+      )
+      .populate("organization", "name slug")
+      .lean();
+    const currency = resolveDisplayCurrency(
+      req.query.display_currency,
+      req.user
+    );
+    jobs.forEach((job) => withConvertedBudget(job, currency));
+    const jobsById = new Map(jobs.map((job) => [String(job._id), job]));
+
+    res.status(200).json({
+      success: true,
+      data: groups.map((group) => ({
+        specialty: group._id,
+        jobs: group.jobs
+          .map((id) => jobsById.get(String(id)))
+          .filter(Boolean),
+      })),
+    });
+  } catch (error) {
+    console.error("Error getting trending jobs by specialty:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while getting trending jobs",
+    });
+  }
+};
+
 // @desc    Get platform job statistics
 // @route   GET /api/jobs/statistics
 // @access  Public
@@ -628,7 +852,12 @@ exports.getJobStatistics = async (req, res) => {
       Job.countDocuments({ status: "completed" }),
       Job.aggregate([
         { $match: { status: "completed" } },
-        { $group: { _id: null, totalValue: { $sum: "$budget.amount" } } },
+        {
+          $group: {
+            _id: null,
+            totalValue: { $sum: "$budget.normalized_amount" },
+          },
+        },
       ]),
       Job.aggregate([
         { $match: { status: "active" } },
@@ -660,12 +889,21 @@ exports.getJobStatistics = async (req, res) => {
   }
 };
 
-// @desc    Track job view (analytics)
+// @desc    Track job view (analytics), once per visitor per day
 // @route   POST /api/jobs/:id/view
 // @access  Public
 exports.trackJobView = async (req, res) => {
   try {
-    const job = await Job.findById(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const job = await Job.findById(req.params.id).select("+invitations");
 
     if (!job) {
       return res.status(404).json({
@@ -674,11 +912,22 @@ exports.trackJobView = async (req, res) => {
       });
     }
 
-    await job.addView();
+    const visibility = Job.checkVisibility(job, req.user);
+    if (!visibility.allowed) {
+      return res.status(visibility.status).json({
+        success: false,
+        message: visibility.reason,
+      });
+    }
+
+    // The poster's own visits would skew the numbers
+    const counted =
+      req.user && job.isManagedBy(req.user) ? false : await job.addView(req);
 
     res.status(200).json({
       success: true,
-      message: "View tracked successfully",
+      message: counted ? "View tracked successfully" : "View already counted",
+      data: { counted },
     });
   } catch (error) {
     console.error("Error tracking job view:", error);
@@ -691,7 +940,7 @@ exports.trackJobView = async (req, res) => {
 
 // @desc    Pause job posting
 // @route   POST /api/jobs/:id/pause
-// @access  Private (Job owner only)
+// @access  Private (Job owner or organization member)
 exports.pauseJob = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
@@ -704,7 +953,7 @@ exports.pauseJob = async (req, res) => {
     }
 
     // Verify job ownership
-    if (job.posted_by.toString() !== req.user.id) {
+    if (!job.isManagedBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to pause this job",
@@ -737,7 +986,7 @@ exports.pauseJob = async (req, res) => {
 
 // @desc    Reactivate job posting
 // @route   POST /api/jobs/:id/activate
-// @access  Private (Job owner only)
+// @access  Private (Job owner or organization member)
 exports.activateJob = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
@@ -750,7 +999,7 @@ exports.activateJob = async (req, res) => {
     }
 
     // Verify job ownership
-    if (job.posted_by.toString() !== req.user.id) {
+    if (!job.isManagedBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to activate this job",
@@ -773,9 +1022,16 @@ exports.activateJob = async (req, res) => {
       });
     }
 
+    if (job.status === "draft") {
+      job.publish_at = null;
+      job.published_at = job.published_at || new Date();
+    }
+
     job.status = "active";
     await job.save();
 
+    jobAlertService.processJob(job);
+
     res.status(200).json({
       success: true,
       message: "Job activated successfully",
@@ -790,12 +1046,227 @@ exports.activateJob = async (req, res) => {
   }
 };
 
+// @desc    Schedule a draft job to be published later
+// @route   PUT /api/jobs/:id/schedule
+// @access  Private (Job owner or organization member, scheduledPosting feature)
+exports.scheduleJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const job = await jobSchedulerService.schedulePublish(
+      req.job,
+      new Date(req.body.publish_at)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Job scheduled to publish on ${job.publish_at.toISOString()}`,
+      data: job,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    console.error("Error scheduling job:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while scheduling job",
+    });
+  }
+};
+
+// @desc    Cancel a scheduled publish
+// @route   DELETE /api/jobs/:id/schedule
+// @access  Private (Job owner or organization member, scheduledPosting feature)
+exports.cancelJobSchedule = async (req, res) => {
+  try {
+    if (!req.job.publish_at) {
+      return res.status(400).json({
+        success: false,
+        message: "This job is not scheduled",
+      });
+    }
+
+    const job = await jobSchedulerService.cancelSchedule(req.job);
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled publish cancelled",
+      data: job,
+    });
+  } catch (error) {
+    console.error("Error cancelling job schedule:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while cancelling schedule",
+    });
+  }
+};
+
+// @desc    Extend a job's deadline, reopening it if it expired
+// @route   PUT /api/jobs/:id/extend-deadline
+// @access  Private (Job owner or organization member, scheduledPosting feature)
+exports.extendJobDeadline = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { deadline, days } = req.body;
+    const job = await jobSchedulerService.extendDeadline(req.job, {
+      deadline,
+      days: deadline ? undefined : parseInt(days) || 7,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Job deadline extended",
+      data: job,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validationErrors,
+      });
+    }
+
+    console.error("Error extending job deadline:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while extending deadline",
+    });
+  }
+};
+
+// @desc    Copy a job into a new draft with a fresh deadline
+// @route   POST /api/jobs/:id/duplicate
+// @access  Private (Job owner or organization member)
+exports.duplicateJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    // canManageJob loads the job without its screening questions
+    const source = await Job.findById(req.job._id).select(
+      "+screening_questions"
+    );
+
+    // Keep the original posting window, e.g. a monthly job stays monthly
+    let deadline;
+    if (req.body.deadline) {
+      deadline = new Date(req.body.deadline);
+    } else {
+      const postedAt = source.published_at || source.createdAt;
+      const windowDays = source.timeline?.deadline
+        ? Math.round((source.timeline.deadline - postedAt) / DAY_MS)
+        : DUPLICATE_WINDOW_DAYS.default;
+      const days = Math.min(
+        Math.max(windowDays, DUPLICATE_WINDOW_DAYS.min),
+        DUPLICATE_WINDOW_DAYS.max
+      );
+      deadline = new Date(Date.now() + days * DAY_MS);
+    }
+
+    if (deadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Deadline must be in the future",
+      });
+    }
+
+    // Same fields a job template stores; dates, status and stats start fresh
+    const fields = JobTemplate.pickFields(source);
+    const job = await Job.create({
+      ...fields,
+      timeline: { ...fields.timeline, deadline },
+      status: "draft",
+      posted_by: req.user.id,
+      organization:
+        source.organization &&
+        String(source.organization) === String(req.user.organization)
+          ? source.organization
+          : null,
+    });
+
+    await trackJobPostingUsage(req.user);
+
+    res.status(201).json({
+      success: true,
+      message: "Job duplicated as a draft",
+      data: job,
+    });
+  } catch (error) {
+    console.error("Error duplicating job:", error);
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validationErrors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error while duplicating job",
+    });
+  }
+};
+
 // @desc    Get applications for specific job
 // @route   GET /api/jobs/:id/applications
-// @access  Private (Job owner only)
+// @access  Private (Job owner or organization member)
 exports.getJobApplications = async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, sortBy = "match_score" } = req.query;
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      screening,
+      sortBy = "match_score",
+    } = req.query;
 
     const job = await Job.findById(req.params.id);
 
@@ -807,7 +1278,7 @@ exports.getJobApplications = async (req, res) => {
     }
 
     // Verify job ownership
-    if (job.posted_by.toString() !== req.user.id) {
+    if (!job.isManagedBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view applications for this job",
@@ -818,6 +1289,7 @@ exports.getJobApplications = async (req, res) => {
       page: parseInt(page),
       limit: parseInt(limit),
       status,
+      screening,
       sortBy,
     };
 
@@ -825,6 +1297,7 @@ exports.getJobApplications = async (req, res) => {
     const total = await Application.countDocuments({
       job_id: req.params.id,
       ...(status && { status }),
+      ...(screening && { "screening.outcome": screening }),
     });
 
     res.status(200).json({
@@ -848,7 +1321,7 @@ exports.getJobApplications = async (req, res) => {
 
 // @desc    Get job performance analytics
 // @route   GET /api/jobs/:id/analytics
-// @access  Private (Job owner only)
+// @access  Private (Job owner or organization member)
 exports.getJobAnalytics = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
@@ -861,7 +1334,7 @@ exports.getJobAnalytics = async (req, res) => {
     }
 
     // Verify job ownership
-    if (job.posted_by.toString() !== req.user.id) {
+    if (!job.isManagedBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view analytics for this job",
@@ -891,14 +1364,48 @@ exports.getJobAnalytics = async (req, res) => {
       },
     ]);
 
+    // Daily views and view-to-application conversion per traffic source
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 7), 90);
+    const [daily, viewsBySource, applicationsBySource] = await Promise.all([
+      JobView.getDailyActivity(job._id, days),
+      JobView.getViewsBySource(job._id),
+      Application.aggregate([
+        { $match: { job_id: new mongoose.Types.ObjectId(job._id) } },
+        { $group: { _id: "$source", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const conversionRate = (applications, views) =>
+      views > 0 ? Number(((applications / views) * 100).toFixed(2)) : 0;
+
+    const trafficSources = JobView.schema
+      .path("source")
+      .enumValues.map((source) => {
+        const views = viewsBySource[source] || 0;
+        const applications =
+          applicationsBySource.find((item) => item._id === source)?.count ||
+          0;
+        return {
+          source,
+          views,
+          applications,
+          conversionRate: conversionRate(applications, views),
+        };
+      });
+
     const analytics = {
       basic: {
         views: job.views_count,
         applications: job.applications_count,
-        conversionRate:
-          job.views_count > 0
-            ? ((job.applications_count / job.views_count) * 100).toFixed(2)
-            : 0,
+        conversionRate: conversionRate(
+          job.applications_count,
+          job.views_count
+        ),
+      },
+      views: {
+        days,
+        daily,
+        trafficSources,
       },
       applications: {
         total: applications.length,
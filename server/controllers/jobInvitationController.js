@@ -0,0 +1,306 @@
+// server/controllers/jobInvitationController.js - Direct Job Invitations
+const { validationResult } = require("express-validator");
+const Job = require("../models/Job");
+const User = require("../models/User");
+const notificationService = require("../utils/notificationService");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+
+const MAX_INVITATIONS_PER_JOB =
+  parseInt(process.env.JOB_INVITATION_LIMIT) || 100;
+
+const DOCTOR_FIELDS =
+  "firstName lastName profilePhoto primarySpecialty yearsOfExperience verificationStatus";
+
+// Send express-validator errors, returns true when the request was rejected
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// Job with its invitations; canManageJob loads it without them
+const loadJobWithInvitations = (jobId) =>
+  Job.findById(jobId).select("+invitations");
+
+// @desc    Invite doctors to a job
+// @route   POST /api/jobs/:id/invitations
+// @access  Private (Job owner or organization member)
+exports.inviteDoctors = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const job = await loadJobWithInvitations(req.job._id);
+
+    if (!["active", "paused"].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Only active or paused jobs can have invitations",
+      });
+    }
+
+    const doctorIds = [...new Set(req.body.doctorIds.map(String))];
+    const doctors = await User.find({
+      _id: { $in: doctorIds },
+      accountStatus: "active",
+    }).select("role adminRole firstName lastName");
+
+    const invited = [];
+    const skipped = [];
+
+    doctorIds.forEach((doctorId) => {
+      const doctor = doctors.find((d) => String(d._id) === doctorId);
+      if (!doctor || !hasPermission(doctor, PERMISSIONS.JOBS_APPLY)) {
+        skipped.push({ doctorId, reason: "Not a doctor who can apply" });
+        return;
+      }
+
+      const existing = Job.getInvitation(job, doctor);
+      if (existing && existing.status !== "declined") {
+        skipped.push({ doctorId, reason: "Already invited" });
+        return;
+      }
+
+      // Doctors who declined can be invited again
+      if (existing) {
+        existing.set({
+          status: "pending",
+          message: req.body.message,
+          invited_by: req.user._id,
+          invited_at: new Date(),
+          responded_at: undefined,
+        });
+      } else {
+        job.invitations.push({
+          doctor: doctor._id,
+          invited_by: req.user._id,
+          message: req.body.message,
+        });
+      }
+      invited.push(doctor);
+    });
+
+    if (job.invitations.length > MAX_INVITATIONS_PER_JOB) {
+      return res.status(400).json({
+        success: false,
+        message: `A job can have up to ${MAX_INVITATIONS_PER_JOB} invitations`,
+      });
+    }
+
+    if (invited.length > 0) {
+      // Only the invitations changed; an old deadline must not block them
+      await job.save({ validateModifiedOnly: true });
+    }
+
+    for (const doctor of invited) {
+      await notificationService
+        .notifyJobInvitation(doctor._id, job, req.user, req.body.message)
+        .catch((error) =>
+          console.error("Error sending job invitation notification:", error)
+        );
+    }
+
+    res.status(invited.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `${invited.length} doctor(s) invited`,
+      data: {
+        invited: invited.map((doctor) => doctor._id),
+        skipped,
+      },
+    });
+  } catch (error) {
+    console.error("Error inviting doctors:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while sending invitations",
+    });
+  }
+};
+
+// @desc    Invitations sent for a job
+// @route   GET /api/jobs/:id/invitations
+// @access  Private (Job owner or organization member)
+exports.getJobInvitations = async (req, res) => {
+  try {
+    const job = await Job.findById(req.job._id)
+      .select("+invitations")
+      .populate("invitations.doctor", DOCTOR_FIELDS)
+      .populate("invitations.invited_by", "firstName lastName")
+      .lean();
+
+    const invitations = [...(job.invitations || [])].sort(
+      (a, b) => new Date(b.invited_at) - new Date(a.invited_at)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations,
+        limit: MAX_INVITATIONS_PER_JOB,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching job invitations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching invitations",
+    });
+  }
+};
+
+// @desc    Withdraw a doctor's invitation
+// @route   DELETE /api/jobs/:id/invitations/:doctorId
+// @access  Private (Job owner or organization member)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { modifiedCount } = await Job.updateOne(
+      { _id: req.job._id },
+      { $pull: { invitations: { doctor: req.params.doctorId } } }
+    );
+
+    if (modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation withdrawn",
+    });
+  } catch (error) {
+    console.error("Error revoking job invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while withdrawing invitation",
+    });
+  }
+};
+
+// @desc    Job invitations sent to the current user
+// @route   GET /api/jobs/invitations/mine
+// @access  Private (Junior doctors)
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const jobs = await Job.find({
+      "invitations.doctor": req.user._id,
+      status: { $in: ["active", "paused"] },
+    })
+      .select(
+        "+invitations title category specialty budget timeline status visibility posted_by organization"
+      )
+      .populate("posted_by", "firstName lastName profilePhoto")
+      .populate("organization", "name slug")
+      .lean();
+
+    const invitations = jobs
+      .map(({ invitations, ...job }) => {
+        const invitation = Job.getInvitation({ invitations }, req.user);
+        return {
+          job,
+          status: invitation.status,
+          message: invitation.message,
+          invited_at: invitation.invited_at,
+          responded_at: invitation.responded_at,
+        };
+      })
+      .sort((a, b) => new Date(b.invited_at) - new Date(a.invited_at));
+
+    res.status(200).json({
+      success: true,
+      data: invitations,
+    });
+  } catch (error) {
+    console.error("Error fetching my job invitations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching invitations",
+    });
+  }
+};
+
+// Accept or decline the current user's invitation to a job
+const respond = async (req, res, accepted) => {
+  const status = accepted ? "accepted" : "declined";
+
+  const job = await Job.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      invitations: {
+        $elemMatch: { doctor: req.user._id, status: { $ne: status } },
+      },
+    },
+    {
+      $set: {
+        "invitations.$.status": status,
+        "invitations.$.responded_at": new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: "Invitation not found",
+    });
+  }
+
+  await notificationService
+    .notifyJobInvitationResponse(job.posted_by, job, req.user, accepted)
+    .catch((error) =>
+      console.error("Error sending invitation response notification:", error)
+    );
+
+  res.status(200).json({
+    success: true,
+    message: accepted
+      ? "Invitation accepted. You can now apply to this job."
+      : "Invitation declined",
+    data: { jobId: job._id, status },
+  });
+};
+
+// @desc    Accept a job invitation
+// @route   POST /api/jobs/:id/invitation/accept
+// @access  Private (Invited doctor)
+exports.acceptInvitation = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    await respond(req, res, true);
+  } catch (error) {
+    console.error("Error accepting job invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while accepting invitation",
+    });
+  }
+};
+
+// @desc    Decline a job invitation
+// @route   POST /api/jobs/:id/invitation/decline
+// @access  Private (Invited doctor)
+exports.declineInvitation = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    await respond(req, res, false);
+  } catch (error) {
+    console.error("Error declining job invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while declining invitation",
+    });
+  }
+};
@@ -0,0 +1,190 @@
+// server/controllers/jobPipelineController.js - Per-job Hiring Pipelines
+const { validationResult } = require("express-validator");
+const Application = require("../models/Application");
+const {
+  STAGE_STATUSES,
+  DEFAULT_STAGES,
+  getPipeline,
+  stageFor,
+} = require("../utils/applicationPipeline");
+
+const APPLICANT_FIELDS =
+  "firstName lastName profilePhoto primarySpecialty yearsOfExperience verificationStatus";
+
+// Send express-validator errors, returns true when the request was rejected
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: errors.array(),
+  });
+  return true;
+};
+
+const pipelineResponse = (job) => ({
+  stages: getPipeline(job),
+  isDefault: !job.pipeline?.stages?.length,
+  statuses: STAGE_STATUSES,
+});
+
+// @desc    Get a job's application pipeline
+// @route   GET /api/jobs/:id/pipeline
+// @access  Private (Job owner or organization member)
+exports.getPipeline = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: pipelineResponse(req.job),
+    });
+  } catch (error) {
+    console.error("Error getting job pipeline:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while getting pipeline",
+    });
+  }
+};
+
+// @desc    Replace a job's application pipeline; no stages restores the
+//          default pipeline
+// @route   PUT /api/jobs/:id/pipeline
+// @access  Private (Job owner or organization member)
+exports.updatePipeline = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const job = req.job;
+    const stages = req.body.stages.map((stage) => ({
+      key: stage.key,
+      name: stage.name.trim(),
+      status: stage.status,
+      transitions: [...new Set(stage.transitions)],
+    }));
+    const nextStages = stages.length ? stages : DEFAULT_STAGES;
+
+    // Applications on the board must still have a stage to sit in
+    const groups = await Application.aggregate([
+      { $match: { job_id: job._id, status: { $in: STAGE_STATUSES } } },
+      {
+        $group: {
+          _id: { stage: "$stage", status: "$status" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+    const currentStages = getPipeline(job);
+    const stranded = groups.filter(
+      (group) =>
+        stageFor(group._id, currentStages) &&
+        !stageFor(group._id, nextStages)
+    );
+
+    if (stranded.length > 0) {
+      const statuses = [
+        ...new Set(stranded.map((group) => group._id.status)),
+      ];
+      return res.status(409).json({
+        success: false,
+        message: `Applications with status ${statuses.join(", ")} would have no stage. Keep a stage for each of these statuses.`,
+        stranded: stranded.map((group) => ({
+          status: group._id.status,
+          count: group.count,
+        })),
+      });
+    }
+
+    job.set("pipeline.stages", stages.length ? stages : undefined);
+    await job.save();
+
+    // Applications in removed stages fall back to the first stage with
+    // their status
+    await Application.updateMany(
+      {
+        job_id: job._id,
+        stage: { $nin: [...nextStages.map((stage) => stage.key), null] },
+      },
+      { $set: { stage: null } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: stages.length
+        ? "Pipeline updated"
+        : "Pipeline reset to the default stages",
+      data: pipelineResponse(job),
+    });
+  } catch (error) {
+    console.error("Error updating job pipeline:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => ({
+          field: err.path,
+          message: err.message,
+        })),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating pipeline",
+    });
+  }
+};
+
+// @desc    Applications of a job grouped by pipeline stage
+// @route   GET /api/jobs/:id/pipeline/board
+// @access  Private (Job owner or organization member)
+exports.getPipelineBoard = async (req, res) => {
+  try {
+    const stages = getPipeline(req.job);
+
+    const applications = await Application.find({
+      job_id: req.job._id,
+      status: { $in: STAGE_STATUSES },
+    })
+      .select(
+        "applicant_id status stage match_score submitted_at createdAt screening.outcome"
+      )
+      .populate("applicant_id", APPLICANT_FIELDS)
+      .sort({ match_score: -1, createdAt: 1 })
+      .lean();
+
+    const columns = stages.map((stage) => ({ ...stage, applications: [] }));
+    // Status set outside the pipeline with no stage to match, e.g. an
+    // interview booked for a job whose pipeline has no interview stage
+    const unstaged = [];
+    applications.forEach((application) => {
+      const stage = stageFor(application, stages);
+      if (!stage) {
+        unstaged.push(application);
+        return;
+      }
+      columns
+        .find((column) => column.key === stage.key)
+        .applications.push({ ...application, stage: stage.key });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stages: columns,
+        unstaged,
+        total: applications.length,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting pipeline board:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while getting pipeline board",
+    });
+  }
+};
@@ -0,0 +1,197 @@
+// server/controllers/jobTemplateController.js - Reusable Job Templates
+const { validationResult } = require("express-validator");
+const Job = require("../models/Job");
+const JobTemplate = require("../models/JobTemplate");
+
+const MAX_TEMPLATES = parseInt(process.env.JOB_TEMPLATE_LIMIT) || 20;
+
+// Send express-validator errors, returns true when the request was rejected
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// The caller's template or send a 404
+const findOwnTemplate = async (req, res) => {
+  const template = await JobTemplate.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: "Job template not found",
+    });
+  }
+
+  return template;
+};
+
+// Map save errors to a response, returns true when one was sent
+const handleSaveError = (error, res) => {
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      message: "You already have a template with this name",
+    });
+    return true;
+  }
+
+  if (error.name === "ValidationError") {
+    res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      })),
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    Get the current user's job templates
+// @route   GET /api/job-templates
+// @access  Private (Senior doctors)
+exports.getMyTemplates = async (req, res) => {
+  try {
+    const templates = await JobTemplate.find({ user: req.user._id })
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates,
+        limit: MAX_TEMPLATES,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching job templates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching job templates",
+    });
+  }
+};
+
+// @desc    Save a job template from form fields or an existing job
+// @route   POST /api/job-templates
+// @access  Private (Senior doctors)
+exports.createTemplate = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const count = await JobTemplate.countDocuments({ user: req.user._id });
+    if (count >= MAX_TEMPLATES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_TEMPLATES} job templates`,
+      });
+    }
+
+    let source = req.body.fields || {};
+    if (req.body.job) {
+      const job = await Job.findById(req.body.job).select(
+        "+screening_questions"
+      );
+      if (!job || !job.isManagedBy(req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: "Job not found",
+        });
+      }
+      source = job;
+    }
+
+    const template = await JobTemplate.create({
+      user: req.user._id,
+      name: req.body.name,
+      fields: JobTemplate.pickFields(source),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Job template saved",
+      data: template,
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+
+    console.error("Error creating job template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while saving job template",
+    });
+  }
+};
+
+// @desc    Rename a job template or replace its fields
+// @route   PUT /api/job-templates/:id
+// @access  Private (Template owner)
+exports.updateTemplate = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    if (req.body.name !== undefined) template.name = req.body.name;
+    if (req.body.fields !== undefined) {
+      template.fields = JobTemplate.pickFields(req.body.fields);
+    }
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Job template updated",
+      data: template,
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+
+    console.error("Error updating job template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating job template",
+    });
+  }
+};
+
+// @desc    Delete a job template
+// @route   DELETE /api/job-templates/:id
+// @access  Private (Template owner)
+exports.deleteTemplate = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Job template deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting job template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting job template",
+    });
+  }
+};
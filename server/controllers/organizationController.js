@@ -0,0 +1,762 @@
+// server/controllers/organizationController.js - Clinic / Organization Accounts
+const { validationResult } = require("express-validator");
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const Job = require("../models/Job");
+const mailService = require("../services/mailService");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+
+const INVITATION_TTL_DAYS =
+  parseInt(process.env.ORGANIZATION_INVITATION_DAYS) || 14;
+
+const MEMBER_FIELDS =
+  "firstName lastName email profilePhoto role primarySpecialty";
+
+// Members manage the organization's jobs, so only doctors who can post jobs
+// can join
+const NOT_ELIGIBLE_MESSAGE =
+  "Only doctors who can post jobs can join an organization";
+
+// Send express-validator errors, returns true when the request was rejected
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// The caller's organization with members populated
+const loadOrganization = (organizationId) =>
+  Organization.findById(organizationId)
+    .populate("members.user", MEMBER_FIELDS)
+    .populate("invitations.invitedBy", "firstName lastName");
+
+// Shape returned by the API; invitations are only shown to owners and admins
+const formatOrganization = (organization, userId) => {
+  const myRole = organization.getRole(userId);
+
+  return {
+    _id: organization._id,
+    name: organization.name,
+    slug: organization.slug,
+    description: organization.description,
+    website: organization.website,
+    location: organization.location,
+    owner: organization.owner,
+    members: organization.members
+      .filter((member) => member.user)
+      .map((member) => ({
+        user: member.user,
+        role: member.role,
+        joinedAt: member.joinedAt,
+      })),
+    invitations: organization.canManage(userId)
+      ? organization.getPendingInvitations().map((invitation) => ({
+          _id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          createdAt: invitation.createdAt,
+          expiresAt: invitation.expiresAt,
+        }))
+      : [],
+    myRole,
+    createdAt: organization.createdAt,
+  };
+};
+
+// Resolve the caller's organization or send the matching error response
+const requireOrganization = async (req, res, { manage = false } = {}) => {
+  if (!req.user.organization) {
+    res.status(404).json({
+      success: false,
+      message: "You are not a member of an organization",
+    });
+    return null;
+  }
+
+  const organization = await loadOrganization(req.user.organization);
+
+  if (!organization || !organization.getMember(req.user._id)) {
+    res.status(404).json({
+      success: false,
+      message: "Organization not found",
+    });
+    return null;
+  }
+
+  if (manage && !organization.canManage(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: "Only organization owners and admins can do this",
+    });
+    return null;
+  }
+
+  return organization;
+};
+
+// @desc    Create an organization owned by the current user
+// @route   POST /api/organizations
+// @access  Private (Senior doctors)
+exports.createOrganization = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    if (req.user.organization) {
+      return res.status(400).json({
+        success: false,
+        message: "You already belong to an organization",
+      });
+    }
+
+    const { name, description, website, location } = req.body;
+
+    const organization = await Organization.create({
+      name,
+      description,
+      website,
+      location,
+      owner: req.user._id,
+      members: [{ user: req.user._id, role: "owner" }],
+    });
+
+    // Guard against joining another organization in the meantime
+    const { modifiedCount } = await User.updateOne(
+      { _id: req.user._id, organization: null },
+      { $set: { organization: organization._id } }
+    );
+
+    if (modifiedCount === 0) {
+      await Organization.deleteOne({ _id: organization._id });
+      return res.status(400).json({
+        success: false,
+        message: "You already belong to an organization",
+      });
+    }
+
+    await organization.populate("members.user", MEMBER_FIELDS);
+
+    console.log(`🏥 Organization created: ${organization.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully",
+      data: formatOrganization(organization, req.user._id),
+    });
+  } catch (error) {
+    console.error("Create organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating organization",
+    });
+  }
+};
+
+// @desc    Get the current user's organization
+// @route   GET /api/organizations/mine
+// @access  Private
+exports.getMyOrganization = async (req, res) => {
+  try {
+    const organization = req.user.organization
+      ? await loadOrganization(req.user.organization)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data:
+        organization && organization.getMember(req.user._id)
+          ? formatOrganization(organization, req.user._id)
+          : null,
+    });
+  } catch (error) {
+    console.error("Get organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching organization",
+    });
+  }
+};
+
+// @desc    Update organization details
+// @route   PUT /api/organizations/mine
+// @access  Private (Organization owner or admin)
+exports.updateOrganization = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await requireOrganization(req, res, { manage: true });
+    if (!organization) return;
+
+    ["name", "description", "website", "location"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        organization[field] = req.body[field];
+      }
+    });
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Organization updated successfully",
+      data: formatOrganization(organization, req.user._id),
+    });
+  } catch (error) {
+    console.error("Update organization error:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => ({
+          field: err.path,
+          message: err.message,
+        })),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating organization",
+    });
+  }
+};
+
+// @desc    Delete the organization
+// @route   DELETE /api/organizations/mine
+// @access  Private (Organization owner)
+exports.deleteOrganization = async (req, res) => {
+  try {
+    const organization = await requireOrganization(req, res);
+    if (!organization) return;
+
+    if (organization.getRole(req.user._id) !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can delete the organization",
+      });
+    }
+
+    // Jobs stay with the doctor who posted them
+    await Job.updateMany(
+      { organization: organization._id },
+      { $set: { organization: null } }
+    );
+    await User.updateMany(
+      { organization: organization._id },
+      { $set: { organization: null } }
+    );
+    await Organization.deleteOne({ _id: organization._id });
+
+    console.log(`🏥 Organization deleted: ${organization.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Organization deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting organization",
+    });
+  }
+};
+
+// @desc    Invite a doctor by email
+// @route   POST /api/organizations/mine/invitations
+// @access  Private (Organization owner or admin)
+exports.inviteMember = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await requireOrganization(req, res, { manage: true });
+    if (!organization) return;
+
+    const email = req.body.email.toLowerCase();
+    const role = req.body.role || "member";
+
+    if (role === "admin" && organization.getRole(req.user._id) !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can invite admins",
+      });
+    }
+
+    const alreadyMember = organization.members.some(
+      (member) => member.user?.email === email
+    );
+    if (alreadyMember) {
+      return res.status(400).json({
+        success: false,
+        message: "This doctor is already a member of the organization",
+      });
+    }
+
+    // Invitees without an account yet are checked when they accept
+    const invitee = await User.findOne({ email }).select("role adminRole");
+    if (invitee && !hasPermission(invitee, PERMISSIONS.JOBS_CREATE)) {
+      return res.status(400).json({
+        success: false,
+        message: NOT_ELIGIBLE_MESSAGE,
+      });
+    }
+
+    // Inviting the same address again replaces the previous invitation
+    organization.invitations = organization.invitations.filter(
+      (invitation) =>
+        invitation.email !== email && invitation.expiresAt > new Date()
+    );
+
+    const expiresAt = new Date(
+      Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+    );
+    organization.invitations.push({
+      email,
+      role,
+      invitedBy: req.user._id,
+      expiresAt,
+    });
+    await organization.save();
+
+    const acceptUrl = `${
+      process.env.CLIENT_URL || "http://localhost:3000"
+    }/organization`;
+
+    await mailService
+      .sendOrganizationInvitationEmail(
+        email,
+        organization,
+        req.user,
+        acceptUrl,
+        expiresAt
+      )
+      .catch((error) =>
+        console.error("Error sending organization invitation:", error.message)
+      );
+
+    await organization.populate("invitations.invitedBy", "firstName lastName");
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data: formatOrganization(organization, req.user._id),
+    });
+  } catch (error) {
+    console.error("Invite member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while sending invitation",
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/organizations/mine/invitations/:invitationId
+// @access  Private (Organization owner or admin)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await requireOrganization(req, res, { manage: true });
+    if (!organization) return;
+
+    const invitation = organization.invitations.id(req.params.invitationId);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    invitation.deleteOne();
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked",
+      data: formatOrganization(organization, req.user._id),
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking invitation",
+    });
+  }
+};
+
+// @desc    Pending invitations for the current user's email address
+// @route   GET /api/organizations/invitations
+// @access  Private
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const organizations = await Organization.findInvitationsFor(req.user.email)
+      .select("name slug description invitations")
+      .populate("invitations.invitedBy", "firstName lastName");
+
+    const email = req.user.email.toLowerCase();
+    const invitations = organizations.flatMap((organization) =>
+      organization
+        .getPendingInvitations()
+        .filter((invitation) => invitation.email === email)
+        .map((invitation) => ({
+          _id: invitation._id,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          expiresAt: invitation.expiresAt,
+          organization: {
+            _id: organization._id,
+            name: organization.name,
+            slug: organization.slug,
+            description: organization.description,
+          },
+        }))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: invitations,
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching invitations",
+    });
+  }
+};
+
+// @desc    Accept an invitation
+// @route   POST /api/organizations/invitations/:invitationId/accept
+// @access  Private (Invited email address, verified)
+exports.acceptInvitation = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const email = req.user.email.toLowerCase();
+
+    // Only the confirmed owner of the address can claim its invitation
+    if (!req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before joining an organization",
+      });
+    }
+
+    if (!hasPermission(req.user, PERMISSIONS.JOBS_CREATE)) {
+      return res.status(403).json({
+        success: false,
+        message: NOT_ELIGIBLE_MESSAGE,
+      });
+    }
+
+    if (req.user.organization) {
+      return res.status(400).json({
+        success: false,
+        message: "Leave your current organization before joining another one",
+      });
+    }
+
+    const organization = await Organization.findOne({
+      invitations: {
+        $elemMatch: {
+          _id: req.params.invitationId,
+          email,
+          expiresAt: { $gt: new Date() },
+        },
+      },
+    });
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found or expired",
+      });
+    }
+
+    const invitation = organization.invitations.id(req.params.invitationId);
+
+    const { modifiedCount } = await User.updateOne(
+      { _id: req.user._id, organization: null },
+      { $set: { organization: organization._id } }
+    );
+
+    if (modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Leave your current organization before joining another one",
+      });
+    }
+
+    organization.members.push({
+      user: req.user._id,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy,
+    });
+    invitation.deleteOne();
+    await organization.save();
+
+    req.user.organization = organization._id;
+    await organization.populate([
+      { path: "members.user", select: MEMBER_FIELDS },
+      { path: "invitations.invitedBy", select: "firstName lastName" },
+    ]);
+
+    console.log(`🏥 ${req.user.email} joined ${organization.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: `You joined ${organization.name}`,
+      data: formatOrganization(organization, req.user._id),
+    });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while accepting invitation",
+    });
+  }
+};
+
+// @desc    Decline an invitation
+// @route   POST /api/organizations/invitations/:invitationId/decline
+// @access  Private (Invited email address)
+exports.declineInvitation = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { modifiedCount } = await Organization.updateOne(
+      {
+        invitations: {
+          $elemMatch: {
+            _id: req.params.invitationId,
+            email: req.user.email.toLowerCase(),
+          },
+        },
+      },
+      { $pull: { invitations: { _id: req.params.invitationId } } }
+    );
+
+    if (modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation declined",
+    });
+  } catch (error) {
+    console.error("Decline invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while declining invitation",
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/mine/members/:userId/role
+// @access  Private (Organization owner)
+exports.updateMemberRole = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await requireOrganization(req, res);
+    if (!organization) return;
+
+    if (organization.getRole(req.user._id) !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can change member roles",
+      });
+    }
+
+    const member = organization.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "Transfer ownership to change the owner's role",
+      });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Member role updated",
+      data: formatOrganization(organization, req.user._id),
+    });
+  } catch (error) {
+    console.error("Update member role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating member role",
+    });
+  }
+};
+
+// @desc    Transfer ownership to another member
+// @route   PUT /api/organizations/mine/owner
+// @access  Private (Organization owner)
+exports.transferOwnership = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await requireOrganization(req, res);
+    if (!organization) return;
+
+    if (organization.getRole(req.user._id) !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can transfer ownership",
+      });
+    }
+
+    const newOwner = organization.getMember(req.body.userId);
+
+    if (!newOwner || newOwner.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "Choose another member of the organization",
+      });
+    }
+
+    // The previous owner stays on as an admin
+    organization.getMember(req.user._id).role = "admin";
+    newOwner.role = "owner";
+    organization.owner = newOwner.user._id;
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Ownership transferred",
+      data: formatOrganization(organization, req.user._id),
+    });
+  } catch (error) {
+    console.error("Transfer ownership error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while transferring ownership",
+    });
+  }
+};
+
+// @desc    Remove a member
+// @route   DELETE /api/organizations/mine/members/:userId
+// @access  Private (Organization owner or admin)
+exports.removeMember = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await requireOrganization(req, res, { manage: true });
+    if (!organization) return;
+
+    const member = organization.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+
+    if (String(member.user._id) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Use leave to remove yourself from the organization",
+      });
+    }
+
+    // Admins manage members; only the owner can remove an admin
+    const myRole = organization.getRole(req.user._id);
+    if (
+      member.role === "owner" ||
+      (member.role === "admin" && myRole !== "owner")
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot remove this member",
+      });
+    }
+
+    // Jobs the member posted for the organization stay with the organization
+    organization.members = organization.members.filter(
+      (entry) => entry !== member
+    );
+    await organization.save();
+    await User.updateOne(
+      { _id: member.user._id, organization: organization._id },
+      { $set: { organization: null } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed",
+      data: formatOrganization(organization, req.user._id),
+    });
+  } catch (error) {
+    console.error("Remove member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while removing member",
+    });
+  }
+};
+
+// @desc    Leave the organization
+// @route   POST /api/organizations/mine/leave
+// @access  Private (Organization member or admin)
+exports.leaveOrganization = async (req, res) => {
+  try {
+    const organization = await requireOrganization(req, res);
+    if (!organization) return;
+
+    if (organization.getRole(req.user._id) === "owner") {
+      return res.status(400).json({
+        success: false,
+        message:
+          "The owner cannot leave. Transfer ownership or delete the organization.",
+      });
+    }
+
+    organization.members = organization.members.filter(
+      (member) => String(member.user?._id || member.user) !== String(req.user._id)
+    );
+    await organization.save();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { organization: null } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `You left ${organization.name}`,
+    });
+  } catch (error) {
+    console.error("Leave organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while leaving organization",
+    });
+  }
+};
@@ -0,0 +1,160 @@
+// server/controllers/paymentController.js - Payout Accounts & Escrow
+const { validationResult } = require("express-validator");
+const paymentService = require("../services/paymentService");
+
+// Send express-validator errors, returns true when the request was rejected
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: errors.array(),
+  });
+  return true;
+};
+
+const accountResponse = (account) => ({
+  ...account,
+  platformFeePercent: paymentService.feePercent,
+});
+
+// @desc    Get the payout account status of the current user
+// @route   GET /api/payments/account
+// @access  Private (Doctors who apply to jobs)
+exports.getPayoutAccount = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: accountResponse(paymentService.accountStatus(req.user)),
+    });
+  } catch (error) {
+    console.error("Error getting payout account:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while getting payout account",
+    });
+  }
+};
+
+// @desc    Create the payout account if needed and return the link to the
+//          provider's onboarding
+// @route   POST /api/payments/account/onboarding
+// @access  Private (Doctors who apply to jobs)
+exports.startOnboarding = async (req, res) => {
+  try {
+    const { url, account } = await paymentService.startOnboarding(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { url, account: accountResponse(account) },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error starting payout onboarding:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while starting payout onboarding",
+    });
+  }
+};
+
+// @desc    Reload the payout account from the provider; pays out approved
+//          milestones once it can receive money
+// @route   POST /api/payments/account/refresh
+// @access  Private (Doctors who apply to jobs)
+exports.refreshPayoutAccount = async (req, res) => {
+  try {
+    const account = await paymentService.refreshAccount(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: account.payoutsEnabled
+        ? "Payouts are enabled"
+        : "Payout setup is not complete yet",
+      data: accountResponse(account),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error refreshing payout account:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while refreshing payout account",
+    });
+  }
+};
+
+// @desc    Milestone payments the current user made or received
+// @route   GET /api/payments/escrows
+// @access  Private
+exports.getMyEscrows = async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { escrows, totals, pagination } = await paymentService.listEscrows(
+      req.user,
+      { page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: escrows,
+      totals,
+      pagination,
+    });
+  } catch (error) {
+    console.error("Error getting escrows:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while getting payments",
+    });
+  }
+};
+
+// @desc    Payment provider webhook (funding and payout account updates)
+// @route   POST /api/payments/webhook
+// @access  Public (verified by the provider's signature)
+exports.handleWebhook = async (req, res) => {
+  let event;
+  try {
+    event = paymentService
+      .getProvider()
+      .parseWebhook(req.body, req.headers["stripe-signature"]);
+  } catch (error) {
+    console.error("Payments webhook verification failed:", error.message);
+    return res.status(400).json({
+      success: false,
+      message: `Webhook Error: ${error.message}`,
+    });
+  }
+
+  try {
+    if (event) {
+      await paymentService.handleEvent(event);
+    }
+    res.json({ received: true });
+  } catch (error) {
+    console.error("Payments webhook processing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error processing webhook",
+    });
+  }
+};
@@ -3,6 +3,8 @@ const cloudinary = require("cloudinary").v2;
 const multer = require("multer");
 const { validationResult } = require("express-validator");
 const notificationService = require("../utils/notificationService");
+const DataExport = require("../models/DataExport");
+const dataExportService = require("../services/dataExportService");
 
 // Configure Cloudinary
 cloudinary.config({
@@ -243,6 +245,7 @@ exports.updateBasicProfile = async (req, res) => {
       languages,
       subspecialties,
       preferences,
+      job_preferences,
     } = req.body;
 
     const user = await User.findById(req.user.id);
@@ -262,6 +265,12 @@ exports.updateBasicProfile = async (req, res) => {
     if (languages) user.languages = languages;
     if (subspecialties) user.subspecialties = subspecialties;
     if (preferences) user.preferences = { ...user.preferences, ...preferences };
+    if (job_preferences) {
+      user.job_preferences = {
+        ...user.toObject().job_preferences,
+        ...job_preferences,
+      };
+    }
 
     await user.save();
 
@@ -971,3 +980,95 @@ exports.getAnalytics = async (req, res) => {
     });
   }
 };
+
+// @desc    Request a downloadable archive of all personal data
+// @route   GET /api/profile/export
+// @access  Private
+exports.requestDataExport = async (req, res) => {
+  try {
+    const { dataExport, created } = await dataExportService.requestExport(
+      req.user.id,
+      req
+    );
+
+    let message = "Your data export is already being prepared";
+    if (created) {
+      message =
+        "Your data export has been started. We'll notify you when it's ready.";
+    } else if (dataExport.isDownloadable) {
+      message = "Your latest data export is still available for download";
+    }
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      message,
+      data: dataExport.toClientJSON(),
+    });
+  } catch (error) {
+    console.error("Error requesting data export:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while requesting data export",
+    });
+  }
+};
+
+// @desc    Get the status of the latest personal data export
+// @route   GET /api/profile/export/latest
+// @access  Private
+exports.getDataExport = async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ user: req.user.id }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: dataExport ? dataExport.toClientJSON() : null,
+    });
+  } catch (error) {
+    console.error("Error fetching data export:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching data export",
+    });
+  }
+};
+
+// @desc    Download a completed personal data export
+// @route   GET /api/profile/export/:exportId/download
+// @access  Private (owner only)
+exports.downloadDataExport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: errors.array(),
+      });
+    }
+
+    const dataExport = await dataExportService.getDownload(
+      req.params.exportId,
+      req.user.id,
+      req
+    );
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: "Export not found or no longer available",
+      });
+    }
+
+    console.log(`📦 Data export downloaded by ${req.user.email}`);
+    res.download(dataExport.filePath, dataExport.fileName);
+  } catch (error) {
+    console.error("Error downloading data export:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while downloading data export",
+    });
+  }
+};
@@ -2,7 +2,9 @@
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const User = require("../models/User");
 const Subscription = require("../models/Subscription");
+const Organization = require("../models/Organization");
 const { validationResult } = require("express-validator");
+const auditLogService = require("../services/auditLogService");
 
 // ============================================================================
 // PLAN CONFIGURATION
@@ -429,6 +431,29 @@ exports.getCurrentSubscription = async (req, res) => {
       );
     }
 
+    // Organization members see the shared enterprise plan, without the
+    // owner's billing details
+    const effective = await Subscription.findForUser(req.user);
+
+    if (effective && !effective._id.equals(subscription._id)) {
+      const organization = await Organization.findById(
+        req.user.organization
+      ).select("name");
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...effective.formatForResponse(),
+          paymentMethod: undefined,
+          lastInvoice: null,
+          sharedByOrganization: {
+            id: organization._id,
+            name: organization.name,
+          },
+        },
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: subscription.formatForResponse(),
@@ -1115,9 +1140,7 @@ exports.trackUsage = async (req, res) => {
   try {
     const { usageType, amount = 1 } = req.body;
 
-    const subscription = await Subscription.findOne({
-      userId: req.user._id,
-    });
+    const subscription = await Subscription.findForUser(req.user);
 
     if (!subscription) {
       return res.status(404).json({
@@ -1184,9 +1207,7 @@ exports.checkFeatureAccess = async (req, res) => {
   try {
     const { featureName } = req.params;
 
-    const subscription = await Subscription.findOne({
-      userId: req.user._id,
-    });
+    const subscription = await Subscription.findForUser(req.user);
 
     if (!subscription) {
       return res.status(404).json({
@@ -1245,6 +1266,12 @@ exports.syncSubscriptionWithStripe = async (req, res) => {
       subscription.stripeSubscriptionId
     );
 
+    const before = {
+      status: subscription.status,
+      currentPeriodStart: subscription.currentPeriodStart,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+    };
+
     // Update local record
     subscription.status = stripeSubscription.status;
     subscription.currentPeriodStart = new Date(
@@ -1258,6 +1285,20 @@ exports.syncSubscriptionWithStripe = async (req, res) => {
 
     await subscription.save();
 
+    await auditLogService.record(req, {
+      action: "subscription.sync",
+      targetType: "Subscription",
+      targetId: subscription._id,
+      targetLabel: `User ${userId}`,
+      before,
+      after: {
+        status: subscription.status,
+        currentPeriodStart: subscription.currentPeriodStart,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+      },
+      metadata: { stripeSubscriptionId: subscription.stripeSubscriptionId },
+    });
+
     res.status(200).json({
       success: true,
       message: "Subscription synced successfully",
@@ -1272,10 +1313,114 @@ exports.syncSubscriptionWithStripe = async (req, res) => {
   }
 };
 
+// ============================================================================
+// ACCOUNT LIFECYCLE HELPERS (called by services, not routes)
+// ============================================================================
+
+/**
+ * Stop billing for a user's paid Stripe subscription
+ * Used by account deletion. The subscription is set to cancel at the end of
+ * the billing period, or cancelled right away when `immediately` is true.
+ * A cancellation already pending is left as it is. Test/seeded
+ * subscriptions have nothing to cancel in Stripe.
+ * @param {ObjectId} userId
+ * @param {Object} options - { immediately, reason }
+ * @returns {Boolean} Whether a Stripe subscription was cancelled
+ */
+exports.cancelSubscriptionForUser = async (
+  userId,
+  { immediately = false, reason = "Account deletion" } = {}
+) => {
+  const subscription = await Subscription.findOne({ userId });
+
+  if (
+    !subscription ||
+    subscription.planId === "free" ||
+    subscription.status === "canceled" ||
+    !hasRealStripeSubscription(subscription) ||
+    (!immediately && subscription.willCancelAt)
+  ) {
+    return false;
+  }
+
+  if (immediately) {
+    // Stripe sends customer.subscription.deleted, which downgrades to free
+    await stripe.subscriptions.cancel(subscription.stripeSubscriptionId);
+  } else {
+    await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+      cancel_at_period_end: true,
+    });
+
+    subscription.scheduledDowngrade = {
+      targetPlan: "free",
+      effectiveDate: subscription.currentPeriodEnd,
+      reason,
+    };
+    subscription.willCancelAt = subscription.currentPeriodEnd;
+  }
+
+  subscription.canceledAt = new Date();
+  subscription.cancelationReason = reason;
+  await subscription.save();
+
+  console.log(
+    `💳 Subscription ${
+      immediately ? "canceled" : "set to cancel at period end"
+    } for user ${userId}: ${reason}`
+  );
+  return true;
+};
+
+/**
+ * Undo cancelSubscriptionForUser while the billing period is still running.
+ * Only a cancellation made with the same reason is undone, so one the user
+ * made themselves stays.
+ * @param {ObjectId} userId
+ * @param {Object} options - { reason } given to cancelSubscriptionForUser
+ * @returns {Boolean} Whether the subscription was resumed
+ */
+exports.resumeSubscriptionForUser = async (
+  userId,
+  { reason = "Account deletion" } = {}
+) => {
+  const subscription = await Subscription.findOne({ userId });
+
+  if (
+    !subscription ||
+    !subscription.willCancelAt ||
+    subscription.cancelationReason !== reason ||
+    subscription.status !== "active" ||
+    !hasRealStripeSubscription(subscription)
+  ) {
+    return false;
+  }
+
+  await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+    cancel_at_period_end: false,
+  });
+
+  subscription.willCancelAt = null;
+  subscription.scheduledDowngrade = null;
+  subscription.canceledAt = null;
+  subscription.cancelationReason = null;
+  await subscription.save();
+
+  return true;
+};
+
 // ============================================================================
 // PRIVATE HELPER FUNCTIONS
 // ============================================================================
 
+// Seeded and placeholder subscriptions have no Stripe counterpart
+function hasRealStripeSubscription(subscription) {
+  return Boolean(
+    subscription.stripeSubscriptionId &&
+      !subscription.stripeSubscriptionId.startsWith("seed_") &&
+      !subscription.stripeSubscriptionId.startsWith("temp_")
+  );
+}
+
 async function handleSubscriptionCreated(stripeSubscription) {
   try {
     const userId = stripeSubscription.metadata.userId;
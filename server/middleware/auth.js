@@ -1,6 +1,8 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Subscription = require("../models/Subscription");
+const Session = require("../models/Session");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -41,6 +43,23 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Reject tokens issued before the last password change or reset
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: "Password was changed recently. Please log in again.",
+      });
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    if (!(await Session.isActiveSession(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired or was revoked. Please log in again.",
+      });
+    }
+    req.sessionId = decoded.sid;
+
     // Check if user account is accessible
     console.log("Account status:", user.accountStatus);
 
@@ -106,6 +125,12 @@ exports.protect = async (req, res, next) => {
       } else {
         user.subscription = subscription;
       }
+
+      // Organization members use the owner's enterprise plan when there is one
+      if (user.organization) {
+        user.subscription =
+          (await Subscription.findForUser(user)) || user.subscription;
+      }
     } catch (subError) {
       console.error("Error loading subscription:", subError);
       // Don't fail auth if subscription loading fails, just set to null
@@ -124,6 +149,34 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Identify the user on public routes when a valid token is sent
+// Never rejects: a missing or invalid token just leaves req.user unset
+exports.optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith("Bearer")) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(header.split(" ")[1], process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select("-password");
+
+    if (
+      user &&
+      !user.changedPasswordAfter(decoded.iat) &&
+      ["active", "pending"].includes(user.accountStatus) &&
+      (await Session.isActiveSession(decoded.sid))
+    ) {
+      req.user = user;
+      req.sessionId = decoded.sid;
+    }
+  } catch (error) {
+    // Treat the request as anonymous
+  }
+
+  next();
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -171,6 +224,43 @@ exports.requireActive = (req, res, next) => {
   next();
 };
 
+// Block accounts that haven't confirmed their email address.
+// Only enforced when REQUIRE_EMAIL_VERIFICATION=true. It is off by default
+// everywhere: accounts created before verification existed have
+// emailVerified=false, so switch it on once those have been verified or
+// backfilled. Admin staff are exempt.
+exports.requireEmailVerified = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== "true") {
+    return next();
+  }
+
+  if (
+    !hasPermission(req.user, PERMISSIONS.ADMIN_ACCESS) &&
+    !req.user.emailVerified
+  ) {
+    return res.status(403).json({
+      success: false,
+      message:
+        "Please verify your email address before using this feature. Check your inbox or request a new verification link.",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+  next();
+};
+
+// Admins must have two-factor authentication enabled before using admin tools
+exports.requireTwoFactor = (req, res, next) => {
+  if (req.user.role === "admin" && !req.user.twoFactor?.enabled) {
+    return res.status(403).json({
+      success: false,
+      message:
+        "Two-factor authentication is required for admin accounts. Enable it from your security settings.",
+      code: "TWO_FACTOR_REQUIRED",
+    });
+  }
+  next();
+};
+
 // ✅ NEW: Allow only verified accounts (for professional features)
 exports.requireVerifiedAccount = (req, res, next) => {
   // Check if user has overall verification status
@@ -189,15 +279,39 @@ exports.requireVerifiedAccount = (req, res, next) => {
   next();
 };
 
+// Require every listed permission from the registry in config/permissions.js.
+// Admin accounts must also have two-factor authentication enabled.
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(
+      (permission) => !hasPermission(req.user, permission)
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+        code: "PERMISSION_DENIED",
+        requiredPermissions: missing,
+      });
+    }
+
+    if (req.user.role === "admin") {
+      return exports.requireTwoFactor(req, res, next);
+    }
+    next();
+  };
+};
+
 // ✅ NEW: Check if user is admin (alternative to authorize for cleaner usage)
 exports.requireAdmin = (req, res, next) => {
-  if (req.user.role !== "admin") {
+  if (!hasPermission(req.user, PERMISSIONS.ADMIN_ACCESS)) {
     return res.status(403).json({
       success: false,
       message: "Admin access required",
     });
   }
-  next();
+  exports.requireTwoFactor(req, res, next);
 };
 
 // ✅ NEW: Check account status and provide appropriate guidance
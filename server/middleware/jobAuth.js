@@ -3,14 +3,16 @@ const Job = require("../models/Job");
 const Application = require("../models/Application");
 const User = require("../models/User");
 const Subscription = require("../models/Subscription");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
 
 // Check if user can post jobs (senior doctors only)
 exports.canPostJobs = (req, res, next) => {
-  if (req.user.role !== "senior") {
+  if (!hasPermission(req.user, PERMISSIONS.JOBS_CREATE)) {
     return res.status(403).json({
       success: false,
       message: "Only senior doctors can post jobs",
       requiredRole: "senior",
+      requiredPermission: PERMISSIONS.JOBS_CREATE,
       currentRole: req.user.role,
     });
   }
@@ -19,11 +21,12 @@ exports.canPostJobs = (req, res, next) => {
 
 // Check if user can apply to jobs (junior doctors only)
 exports.canApplyToJobs = (req, res, next) => {
-  if (req.user.role !== "junior") {
+  if (!hasPermission(req.user, PERMISSIONS.JOBS_APPLY)) {
     return res.status(403).json({
       success: false,
       message: "Only junior doctors can apply to jobs",
       requiredRole: "junior",
+      requiredPermission: PERMISSIONS.JOBS_APPLY,
       currentRole: req.user.role,
     });
   }
@@ -52,7 +55,10 @@ exports.canManageJob = async (req, res, next) => {
     }
 
     // Check job ownership
-    if (job.posted_by.toString() !== req.user.id && req.user.role !== "admin") {
+    if (
+      !job.isManagedBy(req.user) &&
+      !hasPermission(req.user, PERMISSIONS.JOBS_MODERATE)
+    ) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to manage this job",
@@ -86,7 +92,7 @@ exports.canManageApplication = async (req, res, next) => {
 
     const application = await Application.findById(applicationId).populate(
       "job_id",
-      "posted_by"
+      "posted_by organization"
     );
 
     if (!application) {
@@ -98,8 +104,8 @@ exports.canManageApplication = async (req, res, next) => {
 
     // Check if user is the applicant, job owner, or admin
     const isApplicant = application.applicant_id.toString() === req.user.id;
-    const isJobOwner = application.job_id.posted_by.toString() === req.user.id;
-    const isAdmin = req.user.role === "admin";
+    const isJobOwner = Job.isManagedBy(application.job_id, req.user);
+    const isAdmin = hasPermission(req.user, PERMISSIONS.APPLICATIONS_MODERATE);
 
     if (!isApplicant && !isJobOwner && !isAdmin) {
       return res.status(403).json({
@@ -129,10 +135,7 @@ exports.canManageApplication = async (req, res, next) => {
 exports.canViewJob = async (req, res, next) => {
   try {
     const jobId = req.params.id || req.params.jobId;
-    const job = await Job.findById(jobId).populate(
-      "posted_by",
-      "verificationStatus"
-    );
+    const job = await Job.findById(jobId).select("+invitations");
 
     if (!job) {
       return res.status(404).json({
@@ -141,46 +144,16 @@ exports.canViewJob = async (req, res, next) => {
       });
     }
 
-    // Public jobs can be viewed by anyone
-    if (job.visibility === "public") {
-      req.job = job;
-      return next();
-    }
-
-    // Check if user is authenticated for non-public jobs
-    if (!req.user) {
-      return res.status(401).json({
+    // verified_only needs a verified account, invited_only an invitation
+    const visibility = Job.checkVisibility(job, req.user);
+    if (!visibility.allowed) {
+      return res.status(visibility.status).json({
         success: false,
-        message: "Authentication required to view this job",
+        message: visibility.reason,
         jobVisibility: job.visibility,
       });
     }
 
-    // Verified only jobs require verified account
-    if (job.visibility === "verified_only") {
-      if (req.user.verificationStatus?.overall !== "verified") {
-        return res.status(403).json({
-          success: false,
-          message: "Verified account required to view this job",
-          userVerificationStatus:
-            req.user.verificationStatus?.overall || "unverified",
-        });
-      }
-    }
-
-    // Invited only jobs (future implementation for direct invitations)
-    if (job.visibility === "invited_only") {
-      const isJobOwner = job.posted_by._id.toString() === req.user.id;
-      const isAdmin = req.user.role === "admin";
-
-      if (!isJobOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: "This is a private job posting",
-        });
-      }
-    }
-
     req.job = job;
     next();
   } catch (error) {
@@ -196,7 +169,7 @@ exports.canViewJob = async (req, res, next) => {
 exports.canApplyToSpecificJob = async (req, res, next) => {
   try {
     // First check if user can apply to jobs in general
-    if (req.user.role !== "junior") {
+    if (!hasPermission(req.user, PERMISSIONS.JOBS_APPLY)) {
       return res.status(403).json({
         success: false,
         message: "Only junior doctors can apply to jobs",
@@ -204,7 +177,7 @@ exports.canApplyToSpecificJob = async (req, res, next) => {
     }
 
     const jobId = req.body.job_id || req.params.jobId;
-    const job = await Job.findById(jobId);
+    const job = await Job.findById(jobId).select("+invitations");
 
     if (!job) {
       return res.status(404).json({
@@ -213,6 +186,16 @@ exports.canApplyToSpecificJob = async (req, res, next) => {
       });
     }
 
+    // Only doctors who may see the job can apply to it
+    const visibility = Job.checkVisibility(job, req.user);
+    if (!visibility.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: visibility.reason,
+        jobVisibility: job.visibility,
+      });
+    }
+
     // Check if job is accepting applications
     if (job.status !== "active") {
       return res.status(400).json({
@@ -283,7 +266,7 @@ exports.requireActiveSubscription = (req, res, next) => {
 
 // Check if user can perform bulk operations
 exports.canPerformBulkOperations = (req, res, next) => {
-  const isAdmin = req.user.role === "admin";
+  const isAdmin = hasPermission(req.user, PERMISSIONS.ADMIN_ACCESS);
   const hasBulkOperations = req.user.subscription?.hasFeature("bulkOperations");
 
   if (!hasBulkOperations && !isAdmin) {
@@ -303,7 +286,8 @@ exports.checkJobPostingLimit = async (req, res, next) => {
   try {
     // Fetch fresh subscription data from database to ensure we have latest usage
     const Subscription = require("../models/Subscription");
-    const subscription = await Subscription.findOne({ userId: req.user.id });
+    // Organization members post against the shared organization plan
+    const subscription = await Subscription.findForUser(req.user);
 
     if (!subscription) {
       return res.status(403).json({
@@ -320,6 +304,11 @@ exports.checkJobPostingLimit = async (req, res, next) => {
       return next();
     }
 
+    // A null limit (enterprise) means unlimited postings
+    if (jobPostingsUsage.limit === null || jobPostingsUsage.limit === undefined) {
+      return next();
+    }
+
     const limit = jobPostingsUsage.limit || 0;
     const used = jobPostingsUsage.used || 0;
     const remaining = limit - used;
@@ -430,7 +419,7 @@ exports.requirePremiumAccess = (req, res, next) => {
   const isPremium =
     req.user.subscription?.planId === "professional" ||
     req.user.subscription?.planId === "enterprise";
-  const isAdmin = req.user.role === "admin";
+  const isAdmin = hasPermission(req.user, PERMISSIONS.ADMIN_ACCESS);
 
   if (!isPremium && !isAdmin) {
     return res.status(403).json({
@@ -468,32 +457,3 @@ exports.validateJobStatusTransition = (req, res, next) => {
 
   next();
 };
-
-// Validate application status transitions
-exports.validateApplicationStatusTransition = (req, res, next) => {
-  const { status } = req.body;
-  const currentStatus = req.application.status;
-
-  const validTransitions = {
-    draft: ["submitted", "withdrawn"],
-    submitted: ["under_review", "rejected", "withdrawn"],
-    under_review: ["shortlisted", "rejected"],
-    shortlisted: ["interview_scheduled", "accepted", "rejected"],
-    interview_scheduled: ["accepted", "rejected"],
-    accepted: ["completed"],
-    completed: [], // Final state
-    rejected: [], // Final state
-    withdrawn: [], // Final state
-  };
-
-  if (status && !validTransitions[currentStatus]?.includes(status)) {
-    return res.status(400).json({
-      success: false,
-      message: `Cannot change application status from ${currentStatus} to ${status}`,
-      currentStatus,
-      allowedTransitions: validTransitions[currentStatus] || [],
-    });
-  }
-
-  next();
-};
@@ -1,5 +1,86 @@
 // server/middleware/jobValidation.js - Complete Job Validation Rules
 const { body, query, param } = require("express-validator");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+const { DEAL_BREAKER_REQUIREMENTS } = require("../utils/applicationScreening");
+const { SUPPORTED_CURRENCIES } = require("../utils/currency");
+const { factorKeys } = require("../utils/matchingEngine");
+const {
+  STAGE_STATUSES,
+  validatePipeline,
+} = require("../utils/applicationPipeline");
+
+// Screening questions and deal-breakers, shared by create and update
+const validateScreening = [
+  body("screening_questions")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("A job can have up to 10 screening questions"),
+
+  body("screening_questions.*.question")
+    .trim()
+    .isLength({ min: 5, max: 300 })
+    .withMessage(
+      "Each screening question must be between 5 and 300 characters"
+    ),
+
+  body("screening_questions.*.type")
+    .isIn(["yes_no", "number", "multiple_choice"])
+    .withMessage(
+      "Question type must be one of: yes_no, number, multiple_choice"
+    ),
+
+  body("screening_questions.*.options")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("A question can have up to 10 options"),
+
+  body("screening_questions.*.required")
+    .optional()
+    .isBoolean()
+    .withMessage("Required must be a boolean value"),
+
+  body("screening_questions.*.knockout.answers")
+    .optional()
+    .isArray()
+    .withMessage("Knockout answers must be an array"),
+
+  body([
+    "screening_questions.*.knockout.min",
+    "screening_questions.*.knockout.max",
+  ])
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage("Knockout limits must be numbers"),
+
+  body("matching_criteria.deal_breakers.*")
+    .isIn(DEAL_BREAKER_REQUIREMENTS)
+    .withMessage(
+      `Deal breakers must be any of: ${DEAL_BREAKER_REQUIREMENTS.join(", ")}`
+    ),
+
+  body("matching_criteria.deal_breaker_action")
+    .optional()
+    .isIn(["flag", "reject"])
+    .withMessage("Deal breaker action must be flag or reject"),
+
+  body("matching_criteria.weights")
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage("Match weights must be an object")
+    .custom((weights) => {
+      Object.entries(weights).forEach(([key, value]) => {
+        if (!factorKeys().includes(key)) {
+          throw new Error(
+            `Unknown match factor "${key}". Use: ${factorKeys().join(", ")}`
+          );
+        }
+        if (typeof value !== "number" || value < 0 || value > 100) {
+          throw new Error("Match weights must be numbers from 0 to 100");
+        }
+      });
+      return true;
+    }),
+];
 
 // Job posting validation rules
 exports.validateJobCreation = [
@@ -86,8 +167,10 @@ exports.validateJobCreation = [
 
   body("budget.currency")
     .optional()
-    .isIn(["USD", "EUR", "GBP", "CAD", "AUD"])
-    .withMessage("Currency must be one of: USD, EUR, GBP, CAD, AUD"),
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(
+      `Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`
+    ),
 
   body("timeline.estimated_hours")
     .optional()
@@ -190,6 +273,11 @@ exports.validateJobCreation = [
       "Visibility must be one of: public, verified_only, invited_only"
     ),
 
+  body("organization")
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage("Invalid organization ID"),
+
   body("matching_criteria.auto_match")
     .optional()
     .isBoolean()
@@ -209,6 +297,8 @@ exports.validateJobCreation = [
     .optional()
     .isArray()
     .withMessage("Deal breakers must be an array"),
+
+  ...validateScreening,
 ];
 
 // Job update validation (similar to creation but with optional fields)
@@ -260,6 +350,8 @@ exports.validateJobUpdate = [
     .optional()
     .isIn(["draft", "active", "paused", "closed"])
     .withMessage("Status must be one of: draft, active, paused, closed"),
+
+  ...validateScreening,
 ];
 
 // Job search validation
@@ -317,6 +409,22 @@ exports.validateJobSearch = [
     .isBoolean()
     .withMessage("Remote only must be a boolean value"),
 
+  query("location_preference")
+    .optional()
+    .isIn(["remote", "onsite", "hybrid"])
+    .withMessage("Invalid location preference"),
+
+  query("currency")
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage("Invalid currency"),
+
+  // Currency of budget_min/budget_max and of converted amounts
+  query("display_currency")
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage("Invalid display currency"),
+
   query("deadline_days")
     .optional()
     .isInt({ min: 1, max: 365 })
@@ -340,6 +448,16 @@ exports.validateJobId = [
   param("id").isMongoId().withMessage("Invalid job ID format"),
 ];
 
+// Job view tracking: where the visitor came from
+exports.validateJobView = [
+  param("id").isMongoId().withMessage("Invalid job ID format"),
+
+  body("source")
+    .optional()
+    .isIn(["search", "recommendation", "direct", "referral"])
+    .withMessage("Invalid traffic source"),
+];
+
 // Application validation rules
 exports.validateApplication = [
   body("job_id").isMongoId().withMessage("Invalid job ID format"),
@@ -409,21 +527,28 @@ exports.validateApplication = [
     .withMessage(
       "Source must be one of: search, recommendation, direct, referral"
     ),
+
+  body("screening_answers")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Screening answers must be an array"),
+
+  body("screening_answers.*.question_id")
+    .isMongoId()
+    .withMessage("Invalid screening question ID"),
 ];
 
 // Application status update validation
 exports.validateApplicationStatusUpdate = [
+  body("stage")
+    .optional()
+    .isString()
+    .matches(/^[a-z][a-z0-9_]{0,39}$/)
+    .withMessage("Invalid pipeline stage"),
+
   body("status")
-    .isIn([
-      "submitted",
-      "under_review",
-      "shortlisted",
-      "interview_scheduled",
-      "accepted",
-      "rejected",
-      "withdrawn",
-      "completed",
-    ])
+    .optional()
+    .isIn(STAGE_STATUSES)
     .withMessage("Invalid application status"),
 
   body("employer_notes")
@@ -439,6 +564,21 @@ exports.validateApplicationStatusUpdate = [
     .withMessage("Rejection reason must be between 10 and 500 characters"),
 ];
 
+// Job pipeline update validation; an empty list restores the default stages
+exports.validatePipelineUpdate = [
+  body("stages")
+    .isArray()
+    .withMessage("Stages must be an array")
+    .bail()
+    .custom((stages) => {
+      const problems = stages.length ? validatePipeline(stages) : [];
+      if (problems.length > 0) {
+        throw new Error(problems.join("; "));
+      }
+      return true;
+    }),
+];
+
 // Interview scheduling validation
 exports.validateInterviewScheduling = [
   body("scheduled_date")
@@ -477,44 +617,115 @@ exports.validateInterviewScheduling = [
     .withMessage("Interview notes cannot exceed 2000 characters"),
 ];
 
-// Contract details validation
+// Contract terms sent when accepting an application; milestones become
+// proposals the doctor countersigns
 exports.validateContractDetails = [
-  body("agreed_budget")
+  body("contract_details")
+    .optional()
+    .isObject()
+    .withMessage("Contract details must be an object"),
+
+  body("contract_details.agreed_budget")
+    .optional()
     .isFloat({ min: 0, max: 1000000 })
     .withMessage("Agreed budget must be between 0 and 1,000,000"),
 
-  body("agreed_timeline")
+  body("contract_details.agreed_timeline")
+    .optional()
     .isInt({ min: 1, max: 365 })
     .withMessage("Agreed timeline must be between 1 and 365 days"),
 
-  body("milestones")
+  body("contract_details.milestones")
     .optional()
-    .isArray()
-    .withMessage("Milestones must be an array"),
+    .isArray({ max: 20 })
+    .withMessage("A contract can start with up to 20 milestones"),
 
-  body("milestones.*.description")
-    .optional()
+  body("contract_details.milestones.*.description")
     .trim()
     .isLength({ min: 5, max: 500 })
     .withMessage("Milestone description must be between 5 and 500 characters"),
 
-  body("milestones.*.due_date")
-    .optional()
+  body("contract_details.milestones.*.due_date")
     .isISO8601()
     .withMessage("Milestone due date must be a valid date"),
 
-  body("milestones.*.amount")
-    .optional()
-    .isFloat({ min: 0 })
+  body("contract_details.milestones.*.amount")
+    .isFloat({ min: 0.01, max: 1000000 })
     .withMessage("Milestone amount must be a positive number"),
 
-  body("contract_terms")
+  body("contract_details.contract_terms")
     .optional()
     .trim()
     .isLength({ max: 3000 })
     .withMessage("Contract terms cannot exceed 3000 characters"),
 ];
 
+// Milestone proposal validation
+exports.validateMilestoneProposal = [
+  body("description")
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage("Milestone description must be between 5 and 500 characters"),
+
+  body("due_date")
+    .isISO8601()
+    .withMessage("Milestone due date must be a valid date"),
+
+  body("amount")
+    .isFloat({ min: 0.01, max: 1000000 })
+    .withMessage("Milestone amount must be a positive number"),
+];
+
+// Work submitted against a milestone
+exports.validateMilestoneSubmission = [
+  body("message")
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Submission message must be between 1 and 2000 characters"),
+
+  body("attachments")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("A submission can have up to 10 attachments"),
+
+  body("attachments.*")
+    .isURL()
+    .withMessage("Attachments must be links to the delivered files"),
+];
+
+// Employer review of a milestone submission; revisions need feedback
+exports.validateMilestoneReview = [
+  body("feedback")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Feedback cannot exceed 2000 characters"),
+];
+
+exports.validateRevisionRequest = [
+  body("feedback")
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage("Describe the revision needed in 10 to 2000 characters"),
+];
+
+// Reason given when declining or withdrawing a milestone proposal
+exports.validateMilestoneDecline = [
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+];
+
+// Refund of a funded milestone
+exports.validateMilestoneRefund = [
+  body("reason")
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage("Refund reason must be between 5 and 500 characters"),
+];
+
 // Message validation
 exports.validateMessage = [
   body("message")
@@ -556,6 +767,7 @@ exports.validateApplicationSearch = [
       "under_review",
       "shortlisted",
       "interview_scheduled",
+      "interview_completed",
       "accepted",
       "rejected",
       "withdrawn",
@@ -577,8 +789,8 @@ exports.validateApplicationSearch = [
 // Bulk operations validation
 exports.validateBulkJobIds = [
   body("jobIds")
-    .isArray({ min: 1, max: 20 })
-    .withMessage("Job IDs must be an array with 1-20 items"),
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Job IDs must be an array with 1-100 items"),
 
   body("jobIds.*")
     .isMongoId()
@@ -617,7 +829,7 @@ exports.validateJobOwnership = async (req, res, next) => {
       });
     }
 
-    if (job.posted_by.toString() !== req.user.id) {
+    if (!job.isManagedBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to access this job",
@@ -637,9 +849,10 @@ exports.validateJobOwnership = async (req, res, next) => {
 exports.validateApplicationOwnership = async (req, res, next) => {
   try {
     const Application = require("../models/Application");
+    const Job = require("../models/Job");
     const application = await Application.findById(req.params.id).populate(
       "job_id",
-      "posted_by"
+      "posted_by organization"
     );
 
     if (!application) {
@@ -650,8 +863,11 @@ exports.validateApplicationOwnership = async (req, res, next) => {
     }
 
     const isApplicant = application.applicant_id.toString() === req.user.id;
-    const isJobOwner = application.job_id.posted_by.toString() === req.user.id;
-    const isAdmin = req.user.role === "admin";
+    const isJobOwner = Job.isManagedBy(application.job_id, req.user);
+    const isAdmin = hasPermission(
+      req.user,
+      PERMISSIONS.APPLICATIONS_MODERATE
+    );
 
     if (!isApplicant && !isJobOwner && !isAdmin) {
       return res.status(403).json({
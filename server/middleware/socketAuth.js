@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
 
 /**
  * Socket.io authentication middleware
@@ -24,6 +25,16 @@ const socketAuth = async (socket, next) => {
       return next(new Error("Authentication error: User not found"));
     }
 
+    // Reject tokens issued before the last password change or reset
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return next(new Error("Authentication error: Token expired"));
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    if (!(await Session.isActiveSession(decoded.sid))) {
+      return next(new Error("Authentication error: Session revoked"));
+    }
+
     // Check account status
     if (user.accountStatus !== "active") {
       return next(new Error("Authentication error: Account is not active"));
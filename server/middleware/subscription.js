@@ -6,9 +6,7 @@ const Subscription = require("../models/Subscription");
 exports.requireSubscription = (minPlanLevel = "basic") => {
   return async (req, res, next) => {
     try {
-      const subscription = await Subscription.findOne({
-        userId: req.user._id,
-      });
+      const subscription = await Subscription.findForUser(req.user);
 
       if (!subscription) {
         return res.status(403).json({
@@ -60,9 +58,7 @@ exports.requireSubscription = (minPlanLevel = "basic") => {
 exports.requireFeature = (featureName) => {
   return async (req, res, next) => {
     try {
-      const subscription = await Subscription.findOne({
-        userId: req.user._id,
-      });
+      const subscription = await Subscription.findForUser(req.user);
 
       if (!subscription) {
         return res.status(403).json({
@@ -98,9 +94,7 @@ exports.requireFeature = (featureName) => {
 exports.checkUsageLimit = (usageType) => {
   return async (req, res, next) => {
     try {
-      const subscription = await Subscription.findOne({
-        userId: req.user._id,
-      });
+      const subscription = await Subscription.findForUser(req.user);
 
       if (!subscription) {
         return res.status(403).json({
@@ -152,9 +146,7 @@ exports.checkUsageLimit = (usageType) => {
 exports.trackUsageMiddleware = (usageType, amount = 1) => {
   return async (req, res, next) => {
     try {
-      const subscription = await Subscription.findOne({
-        userId: req.user._id,
-      });
+      const subscription = await Subscription.findForUser(req.user);
 
       if (subscription && subscription.usage[usageType]) {
         await subscription.trackUsage(usageType, amount);
@@ -172,9 +164,7 @@ exports.trackUsageMiddleware = (usageType, amount = 1) => {
 // @desc    Attach subscription to request (optional)
 exports.attachSubscription = async (req, res, next) => {
   try {
-    const subscription = await Subscription.findOne({
-      userId: req.user._id,
-    });
+    const subscription = await Subscription.findForUser(req.user);
 
     req.subscription = subscription || null;
     next();
@@ -215,9 +205,7 @@ exports.requirePlan = (...planIds) => {
 // @desc    Check if subscription needs renewal warning
 exports.checkRenewalWarning = async (req, res, next) => {
   try {
-    const subscription = await Subscription.findOne({
-      userId: req.user._id,
-    });
+    const subscription = await Subscription.findForUser(req.user);
 
     if (
       subscription &&
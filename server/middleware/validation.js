@@ -68,3 +68,20 @@ exports.validateLogin = [
 
   body("password").exists().withMessage("Password is required"),
 ];
+
+exports.validateForgotPassword = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please enter a valid email"),
+];
+
+exports.validateResetPassword = [
+  body("password")
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      "Password must contain at least one uppercase letter, one lowercase letter, and one number"
+    ),
+];
@@ -1,5 +1,6 @@
 // server/models/Application.js - Complete Application Schema
 const mongoose = require("mongoose");
+const { evaluateMatch } = require("../utils/matchingEngine");
 
 const CommunicationLogSchema = new mongoose.Schema({
   date: {
@@ -24,6 +25,45 @@ const CommunicationLogSchema = new mongoose.Schema({
   },
 });
 
+// Work handed in for a milestone and the employer's review of it
+const MilestoneSubmissionSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, "Submission message cannot exceed 2000 characters"],
+  },
+  attachments: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+  submitted_at: {
+    type: Date,
+    default: Date.now,
+  },
+  review: {
+    decision: {
+      type: String,
+      enum: ["approved", "revision_requested"],
+    },
+    feedback: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Review feedback cannot exceed 2000 characters"],
+    },
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewed_at: Date,
+  },
+});
+
+// Part of the contract with its own deliverable, due date and payment.
+// Proposed by either party and binding once the other countersigns; see
+// services/contractService.js for the lifecycle.
 const MilestoneSchema = new mongoose.Schema({
   description: {
     type: String,
@@ -42,10 +82,31 @@ const MilestoneSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["pending", "in_progress", "completed", "overdue"],
-    default: "pending",
+    enum: [
+      "proposed",
+      "pending",
+      "in_progress",
+      "submitted",
+      "revision_requested",
+      "completed",
+      "overdue",
+      "cancelled",
+    ],
+    default: "proposed",
+  },
+  proposed_by: {
+    type: String,
+    enum: ["employer", "applicant"],
+  },
+  // When each party signed; both are set once the milestone is agreed
+  signatures: {
+    employer: Date,
+    applicant: Date,
   },
+  started_at: Date,
+  submissions: [MilestoneSubmissionSchema],
   completed_date: Date,
+  cancelled_at: Date,
   notes: {
     type: String,
     trim: true,
@@ -53,6 +114,35 @@ const MilestoneSchema = new mongoose.Schema({
   },
 });
 
+// Answer to one of the job's screening questions, with the question text
+// copied so it survives later edits to the job
+const ScreeningAnswerSchema = new mongoose.Schema(
+  {
+    question_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    question: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["yes_no", "number", "multiple_choice"],
+      required: true,
+    },
+    answer: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    knocked_out: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
 const ApplicationSchema = new mongoose.Schema(
   {
     job_id: {
@@ -74,6 +164,7 @@ const ApplicationSchema = new mongoose.Schema(
           "under_review",
           "shortlisted",
           "interview_scheduled",
+          "interview_completed",
           "accepted",
           "rejected",
           "withdrawn",
@@ -83,6 +174,12 @@ const ApplicationSchema = new mongoose.Schema(
       },
       default: "draft",
     },
+    // Key of the job's pipeline stage (see utils/applicationPipeline.js);
+    // null means the first stage with the application's status
+    stage: {
+      type: String,
+      default: null,
+    },
     proposal: {
       cover_letter: {
         type: String,
@@ -164,6 +261,20 @@ const ApplicationSchema = new mongoose.Schema(
       max: 100,
       default: 0,
     },
+    // Why match_score is what it is, per factor of utils/matchingEngine.js
+    match_breakdown: {
+      factors: mongoose.Schema.Types.Mixed,
+      bonuses: [
+        {
+          _id: false,
+          key: String,
+          label: String,
+          points: Number,
+          details: String,
+        },
+      ],
+      calculated_at: Date,
+    },
     appointmentId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Appointment",
@@ -180,6 +291,23 @@ const ApplicationSchema = new mongoose.Schema(
       maxlength: [2000, "Applicant notes cannot exceed 2000 characters"],
     },
     communication_log: [CommunicationLogSchema],
+    // Result of utils/applicationScreening.js at submission
+    screening: {
+      answers: [ScreeningAnswerSchema],
+      deal_breakers: [
+        {
+          _id: false,
+          source: { type: String, enum: ["question", "requirement"] },
+          reason: String,
+        },
+      ],
+      unmet_requirements: [String],
+      outcome: {
+        type: String,
+        enum: ["passed", "flagged", "rejected"],
+        default: "passed",
+      },
+    },
     interview_details: {
       scheduled_date: Date,
       meeting_link: {
@@ -253,6 +381,8 @@ const ApplicationSchema = new mongoose.Schema(
       },
       payment_schedule: [
         {
+          // Agreed milestone this payment is for
+          milestone: mongoose.Schema.Types.ObjectId,
           amount: Number,
           due_date: Date,
           paid: { type: Boolean, default: false },
@@ -285,6 +415,12 @@ ApplicationSchema.index({ applicant_id: 1, status: 1 });
 ApplicationSchema.index({ job_id: 1, match_score: -1 });
 ApplicationSchema.index({ job_id: 1, createdAt: -1 });
 ApplicationSchema.index({ status: 1, createdAt: -1 });
+ApplicationSchema.index({ job_id: 1, "screening.outcome": 1 });
+// Overdue milestone scan (services/contractService.js)
+ApplicationSchema.index({
+  "contract_details.milestones.status": 1,
+  "contract_details.milestones.due_date": 1,
+});
 
 // Virtual for days since application
 ApplicationSchema.virtual("daysSinceApplication").get(function () {
@@ -301,6 +437,7 @@ ApplicationSchema.virtual("progressPercentage").get(function () {
     under_review: 30,
     shortlisted: 50,
     interview_scheduled: 70,
+    interview_completed: 75,
     accepted: 85,
     completed: 100,
     rejected: 0,
@@ -347,6 +484,16 @@ ApplicationSchema.pre("save", function (next) {
   next();
 });
 
+// Status changes made outside the pipeline (accepting, withdrawing,
+// scheduling an interview) move the application to the first stage with
+// the new status
+ApplicationSchema.pre("save", function (next) {
+  if (this.isModified("status") && !this.isModified("stage")) {
+    this.stage = null;
+  }
+  next();
+});
+
 // Pre-save middleware to update job applications count
 ApplicationSchema.pre("save", async function (next) {
   if (this.isModified("status") && this.isNew === false) {
@@ -371,115 +518,61 @@ ApplicationSchema.methods.addCommunication = function (type, content, from) {
   return this.save();
 };
 
-// Method to calculate match score
+/**
+ * Store a screening result; deal-breakers are logged and, when the job
+ * says so, reject the application straight away. Call before saving.
+ * @param {Object} result - Return value of screenApplication
+ */
+ApplicationSchema.methods.applyScreening = function (result) {
+  this.screening = {
+    answers: result.answers,
+    deal_breakers: result.dealBreakers,
+    unmet_requirements: result.unmetRequirements,
+    outcome: result.outcome,
+  };
+
+  if (result.outcome === "passed") return;
+
+  const reasons = result.dealBreakers.map((item) => item.reason).join("; ");
+  this.communication_log.push({
+    type: "system",
+    content: `${
+      result.outcome === "rejected" ? "Automatically rejected" : "Flagged"
+    } by screening: ${reasons}`.slice(0, 1000),
+    from: "system",
+    date: new Date(),
+  });
+
+  if (result.outcome === "rejected") {
+    this.status = "rejected";
+  }
+};
+
+// Method to calculate match score (see utils/matchingEngine.js)
 ApplicationSchema.methods.calculateMatchScore = async function () {
   try {
     const Job = mongoose.model("Job");
     const User = mongoose.model("User");
 
-    const job = await Job.findById(this.job_id);
-    const applicant = await User.findById(this.applicant_id);
+    const [job, applicant] = await Promise.all([
+      Job.findById(this.job_id),
+      User.findById(this.applicant_id),
+    ]);
 
     if (!job || !applicant) {
       this.match_score = 0;
       return 0;
     }
 
-    let score = 0;
-    let maxScore = 100;
-
-    // Specialty alignment (40% weight)
-    if (
-      applicant.primarySpecialty.toLowerCase() === job.specialty.toLowerCase()
-    ) {
-      score += 40;
-    } else if (
-      applicant.subspecialties.some(
-        (sub) =>
-          sub.toLowerCase().includes(job.specialty.toLowerCase()) ||
-          job.specialty.toLowerCase().includes(sub.toLowerCase())
-      )
-    ) {
-      score += 20;
-    }
-
-    // Experience level match (25% weight)
-    const experienceLevels = {
-      resident: 1,
-      junior: 2,
-      "mid-level": 3,
-      senior: 4,
-      attending: 5,
+    const match = evaluateMatch(job, applicant);
+    this.match_score = match.score;
+    this.match_breakdown = {
+      factors: match.breakdown,
+      bonuses: match.bonuses,
+      calculated_at: new Date(),
     };
 
-    const applicantLevel =
-      applicant.yearsOfExperience < 2
-        ? "resident"
-        : applicant.yearsOfExperience < 5
-        ? "junior"
-        : applicant.yearsOfExperience < 10
-        ? "mid-level"
-        : applicant.yearsOfExperience < 20
-        ? "senior"
-        : "attending";
-
-    const requiredLevel = job.experience_required.level;
-    const applicantScore = experienceLevels[applicantLevel] || 1;
-    const requiredScore = experienceLevels[requiredLevel] || 1;
-
-    if (applicantScore >= requiredScore) {
-      score += 25;
-    } else if (applicantScore === requiredScore - 1) {
-      score += 15;
-    } else if (applicantScore === requiredScore - 2) {
-      score += 5;
-    }
-
-    // Skills overlap (20% weight)
-    if (
-      job.skills_required &&
-      job.skills_required.length > 0 &&
-      applicant.skills
-    ) {
-      const jobSkills = job.skills_required.map((skill) => skill.toLowerCase());
-      const applicantSkills = applicant.skills.map((skill) =>
-        skill.name.toLowerCase()
-      );
-      const matchingSkills = jobSkills.filter((skill) =>
-        applicantSkills.some(
-          (appSkill) => appSkill.includes(skill) || skill.includes(appSkill)
-        )
-      );
-      const skillsScore = (matchingSkills.length / jobSkills.length) * 20;
-      score += skillsScore;
-    } else {
-      score += 10; // Default partial score if no specific skills required
-    }
-
-    // Years of experience (10% weight)
-    if (applicant.yearsOfExperience >= job.experience_required.minimum_years) {
-      score += 10;
-    } else {
-      const experienceRatio =
-        applicant.yearsOfExperience / job.experience_required.minimum_years;
-      score += experienceRatio * 10;
-    }
-
-    // Location preference (5% weight)
-    if (
-      job.requirements.location_preference === "remote" ||
-      applicant.preferences?.remoteOnly === true
-    ) {
-      score += 5;
-    } else {
-      score += 2;
-    }
-
-    // Ensure score is within bounds
-    score = Math.max(0, Math.min(100, Math.round(score)));
-    this.match_score = score;
-
-    return score;
+    return match.score;
   } catch (error) {
     console.error("Error calculating match score:", error);
     this.match_score = 0;
@@ -517,10 +610,17 @@ ApplicationSchema.methods.getApplicantView = function () {
 
 // Static method to find applications by job with pagination
 ApplicationSchema.statics.findByJob = function (jobId, options = {}) {
-  const { page = 1, limit = 20, status, sortBy = "createdAt" } = options;
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    screening,
+    sortBy = "createdAt",
+  } = options;
 
   let query = { job_id: jobId };
   if (status) query.status = status;
+  if (screening) query["screening.outcome"] = screening;
 
   const sortOptions = {};
   if (sortBy === "match_score") {
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+// A single field changed by the audited action
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who performed the action. Name, email and role are copied so the entry
+    // stays readable after the account changes or is anonymised.
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    actorName: {
+      type: String,
+    },
+    actorEmail: {
+      type: String,
+    },
+    actorRole: {
+      type: String,
+    },
+    // Dotted action name, e.g. "verification.identity" or "job.approve"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["User", "Job", "Application", "Subscription", "AuditLog"],
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Human-readable description of the target (email, job title, ...)
+    targetLabel: {
+      type: String,
+    },
+    changes: [auditChangeSchema],
+    // Extra context such as notes, reasons or bulk counts
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for the admin audit viewer filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Append-only: entries can be created but never changed or removed
+const rejectModification = function (next) {
+  next(new Error("Audit log entries are immutable"));
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectModification(next);
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "findOneAndDelete",
+  "deleteOne",
+  "deleteMany",
+].forEach((operation) => {
+  // deleteOne/updateOne also exist as document methods
+  auditLogSchema.pre(
+    operation,
+    { document: true, query: true },
+    rejectModification
+  );
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
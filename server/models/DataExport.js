@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+
+// Audit trail entry - every state change and download of an export
+const exportEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["requested", "started", "completed", "failed", "downloaded"],
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    details: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  { _id: false }
+);
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"],
+      default: "pending",
+      index: true,
+    },
+    // Archive location on disk, never exposed to the client
+    filePath: {
+      type: String,
+      select: false,
+    },
+    fileName: {
+      type: String,
+    },
+    fileSize: {
+      type: Number,
+    },
+    // Number of records per collection included in the archive
+    recordCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Download link lifetime; the record itself is kept for the audit trail
+    expiresAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    events: [exportEventSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for finding a user's latest export
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for checking whether the archive can still be downloaded
+dataExportSchema.virtual("isDownloadable").get(function () {
+  return (
+    this.status === "completed" &&
+    Boolean(this.expiresAt) &&
+    this.expiresAt > new Date()
+  );
+});
+
+/**
+ * Append an audit trail entry
+ * @param {String} action - One of the event actions
+ * @param {Object} req - Express request (optional), used for IP and user agent
+ * @param {String} details - Extra context, e.g. an error message
+ */
+dataExportSchema.methods.logEvent = function (action, req = null, details) {
+  this.events.push({
+    action,
+    ipAddress: req?.ip,
+    userAgent: req ? (req.get("user-agent") || "").slice(0, 500) : undefined,
+    details: details ? String(details).slice(0, 500) : undefined,
+  });
+};
+
+// Shape returned by the API
+dataExportSchema.methods.toClientJSON = function () {
+  return {
+    _id: this._id,
+    status: this.status,
+    fileName: this.fileName,
+    fileSize: this.fileSize,
+    recordCounts: Object.fromEntries(this.recordCounts || []),
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    downloadCount: this.downloadCount,
+    isDownloadable: this.isDownloadable,
+    error: this.status === "failed" ? this.error : undefined,
+  };
+};
+
+module.exports = mongoose.model("DataExport", dataExportSchema);
@@ -0,0 +1,120 @@
+const mongoose = require("mongoose");
+
+// Escrows that hold a milestone's slot; another one can be opened only
+// after the checkout was abandoned (cancelled) or the money refunded.
+// releasing and refunding are claimed while the provider moves the money.
+const OPEN_ESCROW_STATUSES = [
+  "awaiting_funding",
+  "funded",
+  "releasing",
+  "refunding",
+  "released",
+];
+
+// Money an employer put up for one contract milestone. The platform holds
+// it until the milestone is approved, then pays the doctor's connected
+// account minus the platform fee, or refunds the employer. Moved by
+// services/paymentService.js; amounts are in the job's budget currency.
+const escrowSchema = new mongoose.Schema(
+  {
+    application_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: true,
+    },
+    milestone_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    job_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+    },
+    // Employer who funded the milestone
+    payer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Hired doctor
+    payee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    // Fixed when the escrow is created so later fee changes do not apply
+    platform_fee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    payout_amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: [...OPEN_ESCROW_STATUSES, "refunded", "cancelled"],
+      default: "awaiting_funding",
+    },
+    funding: {
+      session_id: String,
+      payment_id: String,
+      funded_at: Date,
+    },
+    release: {
+      // Set when the milestone is approved; the payout waits for the
+      // doctor's connected account when it cannot be sent yet
+      requested_at: Date,
+      transfer_id: String,
+      released_at: Date,
+      last_error: String,
+    },
+    refund: {
+      refund_id: String,
+      refunded_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: String,
+      refunded_at: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Escrows of a contract, oldest first
+escrowSchema.index({ application_id: 1, createdAt: 1 });
+// One open escrow per milestone, so a milestone is never charged twice
+escrowSchema.index(
+  { application_id: 1, milestone_id: 1 },
+  {
+    name: "one_open_escrow_per_milestone",
+    unique: true,
+    partialFilterExpression: { status: { $in: OPEN_ESCROW_STATUSES } },
+  }
+);
+escrowSchema.index({ payer: 1, createdAt: -1 });
+escrowSchema.index({ payee: 1, createdAt: -1 });
+// Approved milestones still waiting for their payout
+escrowSchema.index({ status: 1, "release.requested_at": 1 });
+
+escrowSchema.statics.OPEN_STATUSES = OPEN_ESCROW_STATUSES;
+
+module.exports = mongoose.model("Escrow", escrowSchema);
@@ -1,5 +1,121 @@
 // server/models/Job.js - Complete Job Posting Schema
 const mongoose = require("mongoose");
+const {
+  buildSpecialtyRegex,
+  expandSearchText,
+} = require("../utils/medicalVocabulary");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  RATES,
+  toBaseAmount,
+} = require("../utils/currency");
+const {
+  JOB_MATCH_FIELDS,
+  updateTouches,
+} = require("../utils/matchingEngine");
+const {
+  STAGE_STATUSES,
+  validatePipeline,
+} = require("../utils/applicationPipeline");
+
+const MAX_SCREENING_QUESTIONS = 10;
+
+// Direct invitation of a doctor to a job; the only way to see and apply to
+// invited_only jobs. Declining gives up access.
+const JobInvitationSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Invitation message cannot exceed 500 characters"],
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined"],
+    default: "pending",
+  },
+  invited_at: {
+    type: Date,
+    default: Date.now,
+  },
+  responded_at: {
+    type: Date,
+  },
+});
+
+// Question applicants answer when applying. Answers matching the knockout
+// rule are deal-breakers (see utils/applicationScreening.js).
+const ScreeningQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, "Screening question text is required"],
+    trim: true,
+    maxlength: [300, "Screening question cannot exceed 300 characters"],
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ["yes_no", "number", "multiple_choice"],
+      message: "Question type must be one of: yes_no, number, multiple_choice",
+    },
+    required: true,
+  },
+  // Choices for multiple_choice questions
+  options: {
+    type: [{ type: String, trim: true, maxlength: 100 }],
+    validate: {
+      validator: function (options) {
+        return this.type !== "multiple_choice" || options.length >= 2;
+      },
+      message: "Multiple choice questions need at least 2 options",
+    },
+  },
+  required: {
+    type: Boolean,
+    default: true,
+  },
+  knockout: {
+    // yes_no ("yes"/"no") and multiple_choice answers that disqualify
+    answers: [{ type: String, trim: true }],
+    // number answers below min or above max disqualify
+    min: Number,
+    max: Number,
+  },
+});
+
+// Stage of a custom hiring funnel (see utils/applicationPipeline.js)
+const PipelineStageSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, "Stage name cannot exceed 50 characters"],
+    },
+    status: {
+      type: String,
+      enum: STAGE_STATUSES,
+      required: true,
+    },
+    transitions: [{ type: String, trim: true }],
+  },
+  { _id: false }
+);
 
 const JobSchema = new mongoose.Schema(
   {
@@ -114,8 +230,12 @@ const JobSchema = new mongoose.Schema(
       },
       currency: {
         type: String,
-        default: "USD",
-        enum: ["USD", "EUR", "GBP", "CAD", "AUD"],
+        default: BASE_CURRENCY,
+        enum: SUPPORTED_CURRENCIES,
+      },
+      // amount in BASE_CURRENCY, for filtering and sorting across currencies
+      normalized_amount: {
+        type: Number,
       },
       negotiable: {
         type: Boolean,
@@ -191,6 +311,13 @@ const JobSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Set when posted on behalf of an organization; every member of the
+    // organization can then manage the job and its applications
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     status: {
       type: String,
       enum: {
@@ -200,6 +327,37 @@ const JobSchema = new mongoose.Schema(
       },
       default: "draft",
     },
+    // Lifecycle managed by services/jobSchedulerService.js
+    // Drafts with publish_at are published automatically at that time
+    publish_at: {
+      type: Date,
+      default: null,
+    },
+    published_at: {
+      type: Date,
+    },
+    // Why the last scheduled publish failed (e.g. the deadline had passed)
+    schedule_error: {
+      type: String,
+    },
+    expiry_reminder_sent_at: {
+      type: Date,
+    },
+    // Set when the job was closed because its deadline passed
+    expired_at: {
+      type: Date,
+    },
+    // Set once saved job alerts have been evaluated (services/jobAlertService.js)
+    alerts_sent_at: {
+      type: Date,
+      default: null,
+    },
+    // When match scores were last cached (services/matchIndexService.js);
+    // null while they are stale
+    matches_indexed_at: {
+      type: Date,
+      default: null,
+    },
     visibility: {
       type: String,
       enum: {
@@ -209,6 +367,32 @@ const JobSchema = new mongoose.Schema(
       },
       default: "public",
     },
+    // Not selected by default so job listings never reveal who was invited
+    invitations: {
+      type: [JobInvitationSchema],
+      select: false,
+    },
+    // Not selected by default so listings never reveal the knockout answers
+    screening_questions: {
+      type: [ScreeningQuestionSchema],
+      select: false,
+      validate: {
+        validator: (questions) => questions.length <= MAX_SCREENING_QUESTIONS,
+        message: `A job can have up to ${MAX_SCREENING_QUESTIONS} screening questions`,
+      },
+    },
+    // Custom hiring funnel; jobs without one use the default stages
+    pipeline: {
+      stages: {
+        type: [PipelineStageSchema],
+        default: undefined,
+        validate: {
+          validator: (stages) =>
+            !stages?.length || validatePipeline(stages).length === 0,
+          message: "Invalid application pipeline",
+        },
+      },
+    },
     featured: {
       type: Boolean,
       default: false,
@@ -223,6 +407,14 @@ const JobSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Cached trending score, recomputed by services/trendingService.js
+    trending: {
+      score: {
+        type: Number,
+        default: 0,
+      },
+      computed_at: Date,
+    },
     analytics: {
       average_proposal_amount: {
         type: Number,
@@ -255,12 +447,31 @@ const JobSchema = new mongoose.Schema(
           trim: true,
         },
       ],
+      // Per-factor weight overrides for utils/matchingEngine.js,
+      // e.g. { skills: 30, languages: 0 }
+      weights: {
+        type: Map,
+        of: {
+          type: Number,
+          min: [0, "Match weights cannot be negative"],
+          max: [100, "Match weights cannot exceed 100"],
+        },
+        default: undefined,
+      },
+      // Requirement groups that disqualify applicants who miss them:
+      // certifications, licenses, languages (see DEAL_BREAKER_REQUIREMENTS)
       deal_breakers: [
         {
           type: String,
           trim: true,
         },
       ],
+      // What happens to applications that hit a deal-breaker
+      deal_breaker_action: {
+        type: String,
+        enum: ["flag", "reject"],
+        default: "flag",
+      },
     },
     // SEO and Discovery
     slug: {
@@ -279,12 +490,18 @@ const JobSchema = new mongoose.Schema(
 
 // Indexes for performance
 JobSchema.index({ posted_by: 1 });
+JobSchema.index({ organization: 1, createdAt: -1 });
 JobSchema.index({ status: 1, createdAt: -1 });
 JobSchema.index({ category: 1, specialty: 1 });
 JobSchema.index({ "budget.amount": 1 });
+JobSchema.index({ status: 1, "budget.normalized_amount": -1 });
 JobSchema.index({ "timeline.deadline": 1 });
+JobSchema.index({ status: 1, publish_at: 1 });
+JobSchema.index({ status: 1, "timeline.deadline": 1 });
 JobSchema.index({ featured: -1, createdAt: -1 });
+JobSchema.index({ status: 1, "trending.score": -1 });
 JobSchema.index({ visibility: 1, status: 1 });
+JobSchema.index({ "invitations.doctor": 1, "invitations.status": 1 });
 
 // Text search index
 JobSchema.index({
@@ -346,6 +563,45 @@ JobSchema.pre("save", async function (next) {
   }
 });
 
+// Keep budget.normalized_amount in step with the budget
+JobSchema.pre("save", function (next) {
+  if (this.isModified("budget") || this.budget?.normalized_amount == null) {
+    this.budget.normalized_amount = toBaseAmount(
+      this.budget.amount,
+      this.budget.currency
+    );
+  }
+  next();
+});
+
+// Same for updates that replace the budget (PUT /api/jobs/:id)
+JobSchema.pre(["findOneAndUpdate", "updateOne"], function (next) {
+  const update = this.getUpdate() || {};
+  const budget = update.budget || update.$set?.budget;
+  if (budget && typeof budget === "object") {
+    budget.normalized_amount = toBaseAmount(
+      budget.amount,
+      budget.currency || BASE_CURRENCY
+    );
+  }
+  next();
+});
+
+// Mark cached match scores stale when a field they depend on changes
+JobSchema.pre("save", function (next) {
+  if (this.isNew || JOB_MATCH_FIELDS.some((field) => this.isModified(field))) {
+    this.matches_indexed_at = null;
+  }
+  next();
+});
+
+JobSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function (next) {
+  if (updateTouches(this.getUpdate(), JOB_MATCH_FIELDS)) {
+    this.set("matches_indexed_at", null);
+  }
+  next();
+});
+
 // Pre-save middleware to generate search keywords
 JobSchema.pre("save", function (next) {
   const keywords = [];
@@ -378,10 +634,24 @@ JobSchema.pre("save", function (next) {
   next();
 });
 
-// Method to track job view
-JobSchema.methods.addView = async function () {
-  this.views_count += 1;
-  await this.save();
+/**
+ * Track a job view
+ * Views are de-duplicated per visitor per day in JobView; views_count only
+ * grows for a visitor's first view of the day.
+ * @param {Object} req - Express request, used to identify the visitor
+ * @returns {Boolean} True when the view was counted
+ */
+JobSchema.methods.addView = async function (req) {
+  const JobView = mongoose.model("JobView");
+  const counted = await JobView.record(this._id, req);
+  if (counted) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $inc: { views_count: 1 } }
+    );
+    this.views_count += 1;
+  }
+  return counted;
 };
 
 // Method to update applications count
@@ -419,6 +689,162 @@ JobSchema.methods.updateAnalytics = async function () {
   await this.save();
 };
 
+/**
+ * Whether a user may manage a job: the poster, or a member of the
+ * organization the job was posted for who can post jobs. Works for
+ * documents and lean objects.
+ * @param {Object} job - Job document or lean object (populated or not)
+ * @param {User} user - Authenticated user
+ * @returns {Boolean}
+ */
+JobSchema.statics.isManagedBy = function (job, user) {
+  if (!job || !user) return false;
+
+  const id = (value) => String(value?._id || value);
+
+  if (id(job.posted_by) === id(user._id || user.id)) {
+    return true;
+  }
+
+  return Boolean(
+    job.organization &&
+      user.organization &&
+      id(job.organization) === id(user.organization) &&
+      hasPermission(user, PERMISSIONS.JOBS_CREATE)
+  );
+};
+
+JobSchema.methods.isManagedBy = function (user) {
+  return this.constructor.isManagedBy(this, user);
+};
+
+/**
+ * Query matching every job a user manages
+ * @param {User} user - Authenticated user
+ * @returns {Object} MongoDB filter
+ */
+JobSchema.statics.managedByFilter = function (user) {
+  const userId = user._id || user.id;
+
+  if (!user.organization || !hasPermission(user, PERMISSIONS.JOBS_CREATE)) {
+    return { posted_by: userId };
+  }
+
+  return {
+    $or: [{ posted_by: userId }, { organization: user.organization }],
+  };
+};
+
+// Invitation statuses that still grant access to the job
+const OPEN_INVITATION_STATUSES = ["pending", "accepted"];
+
+/**
+ * A doctor's invitation to a job
+ * @param {Job|Object} job - Job document or lean object
+ * @param {User} user - Doctor
+ * @returns {Object|null} Invitation subdocument
+ */
+JobSchema.statics.getInvitation = function (job, user) {
+  if (!job || !user) return null;
+
+  const userId = String(user._id || user.id);
+  return (
+    (job.invitations || []).find(
+      (invitation) =>
+        String(invitation.doctor?._id || invitation.doctor) === userId
+    ) || null
+  );
+};
+
+/**
+ * Whether a user may see (and so apply to) a job
+ * Posters, their organization and moderators always can. Otherwise
+ * verified_only jobs need a verified account and invited_only jobs an open
+ * invitation; an open invitation also overrides verified_only.
+ * @param {Job|Object} job - Job document or lean object
+ * @param {User} user - Authenticated user, or null
+ * @returns {Object} { allowed, status, reason }
+ */
+JobSchema.statics.checkVisibility = function (job, user) {
+  const visibility = job.visibility || "public";
+
+  if (visibility === "public") return { allowed: true };
+
+  if (!user) {
+    return {
+      allowed: false,
+      status: 401,
+      reason: "Sign in to view this job",
+    };
+  }
+
+  if (
+    this.isManagedBy(job, user) ||
+    hasPermission(user, PERMISSIONS.JOBS_MODERATE)
+  ) {
+    return { allowed: true };
+  }
+
+  const invitation = this.getInvitation(job, user);
+  if (invitation && OPEN_INVITATION_STATUSES.includes(invitation.status)) {
+    return { allowed: true };
+  }
+
+  if (
+    visibility === "verified_only" &&
+    user.verificationStatus?.overall === "verified"
+  ) {
+    return { allowed: true };
+  }
+
+  return {
+    allowed: false,
+    status: 403,
+    reason:
+      visibility === "verified_only"
+        ? "Verified account required to view this job"
+        : "This job is by invitation only",
+  };
+};
+
+/**
+ * Query matching every job a user may see, mirroring checkVisibility
+ * @param {User} user - Authenticated user, or null
+ * @returns {Object} MongoDB filter
+ */
+JobSchema.statics.visibilityFilter = function (user) {
+  if (!user) {
+    return { visibility: "public" };
+  }
+
+  if (hasPermission(user, PERMISSIONS.JOBS_MODERATE)) {
+    return {};
+  }
+
+  const userId = user._id || user.id;
+  const visible = [
+    { visibility: "public" },
+    { posted_by: userId },
+    {
+      invitations: {
+        $elemMatch: {
+          doctor: userId,
+          status: { $in: OPEN_INVITATION_STATUSES },
+        },
+      },
+    },
+  ];
+
+  if (user.organization) {
+    visible.push({ organization: user.organization });
+  }
+  if (user.verificationStatus?.overall === "verified") {
+    visible.push({ visibility: "verified_only" });
+  }
+
+  return { $or: visible };
+};
+
 // Static method to find active jobs
 JobSchema.statics.findActive = function () {
   return this.find({
@@ -427,54 +853,104 @@ JobSchema.statics.findActive = function () {
   });
 };
 
-// Static method for job search with filters
-JobSchema.statics.searchJobs = function (searchTerm, filters = {}) {
-  let query = { status: "active" };
+// Upper bounds of the budget ranges reported by the search facets, in the
+// viewer's display currency
+const BUDGET_BUCKETS = [0, 500, 1000, 2500, 5000, 10000];
 
-  if (searchTerm) {
-    query.$text = { $search: searchTerm };
-  }
+const displayCurrency = (filters) => filters.display_currency || BASE_CURRENCY;
+
+/**
+ * Query conditions for each search filter, keyed by the facet it narrows
+ * @param {Object} filters - Search filters
+ * @returns {Object} { category, specialty, ... } each a partial query
+ */
+const buildFilterConditions = (filters = {}) => {
+  const conditions = {};
 
   if (filters.category) {
-    query.category = filters.category;
+    conditions.category = { category: filters.category };
   }
 
+  // Synonym and typo aware: "cardiologist" also finds Cardiology jobs
   if (filters.specialty) {
-    query.$or = [
-      { specialty: { $regex: filters.specialty, $options: "i" } },
-      { subSpecialties: { $regex: filters.specialty, $options: "i" } },
-    ];
+    const pattern = buildSpecialtyRegex(filters.specialty);
+    conditions.specialty = {
+      $or: [{ specialty: pattern }, { subSpecialties: pattern }],
+    };
   }
 
   if (filters.experience_level) {
-    query["experience_required.level"] = filters.experience_level;
+    conditions.experience_level = {
+      "experience_required.level": filters.experience_level,
+    };
   }
 
+  // Budget bounds are in the viewer's display currency
   if (filters.budget_min || filters.budget_max) {
-    query["budget.amount"] = {};
-    if (filters.budget_min) query["budget.amount"].$gte = filters.budget_min;
-    if (filters.budget_max) query["budget.amount"].$lte = filters.budget_max;
+    const amount = {};
+    if (filters.budget_min) {
+      amount.$gte = toBaseAmount(filters.budget_min, displayCurrency(filters));
+    }
+    if (filters.budget_max) {
+      amount.$lte = toBaseAmount(filters.budget_max, displayCurrency(filters));
+    }
+    conditions.budget = { "budget.normalized_amount": amount };
+  }
+
+  if (filters.location_preference) {
+    conditions.location_preference = {
+      "requirements.location_preference": filters.location_preference,
+    };
+  } else if (filters.remote_only) {
+    conditions.location_preference = {
+      "requirements.location_preference": { $in: ["remote", "hybrid"] },
+    };
   }
 
-  if (filters.remote_only) {
-    query["requirements.location_preference"] = { $in: ["remote", "hybrid"] };
+  if (filters.currency) {
+    conditions.currency = { "budget.currency": filters.currency };
   }
 
   if (filters.deadline_days) {
     const futureDate = new Date();
     futureDate.setDate(futureDate.getDate() + parseInt(filters.deadline_days));
-    query["timeline.deadline"] = { $lte: futureDate };
+    conditions.deadline = { "timeline.deadline": { $lte: futureDate } };
+  }
+
+  return conditions;
+};
+
+// Query shared by searchJobs and getSearchFacets, before the filters
+const buildBaseSearchQuery = (Job, searchTerm, viewer) => {
+  // $and keeps the visibility $or apart from the specialty filter's $or
+  const query = { status: "active", $and: [Job.visibilityFilter(viewer)] };
+
+  // Keywords also match specialty synonyms ("ER" finds Emergency Medicine)
+  if (searchTerm) {
+    query.$text = { $search: expandSearchText(searchTerm) };
   }
 
+  return query;
+};
+
+// Static method for job search with filters
+// viewer is the signed-in user, or null; only jobs they may see are returned
+JobSchema.statics.searchJobs = function (searchTerm, filters = {}, viewer) {
+  const query = Object.assign(
+    buildBaseSearchQuery(this, searchTerm, viewer),
+    ...Object.values(buildFilterConditions(filters))
+  );
+
   // Sort options
   let sortOptions = {};
   if (searchTerm) {
     sortOptions.score = { $meta: "textScore" };
   }
+  // Budgets compare across currencies through their normalized amount
   if (filters.sortBy === "budget_high") {
-    sortOptions["budget.amount"] = -1;
+    sortOptions["budget.normalized_amount"] = -1;
   } else if (filters.sortBy === "budget_low") {
-    sortOptions["budget.amount"] = 1;
+    sortOptions["budget.normalized_amount"] = 1;
   } else if (filters.sortBy === "deadline") {
     sortOptions["timeline.deadline"] = 1;
   } else if (filters.sortBy === "recent") {
@@ -486,4 +962,125 @@ JobSchema.statics.searchJobs = function (searchTerm, filters = {}) {
   return this.find(query).sort(sortOptions);
 };
 
+/**
+ * Result counts per filter value for a search
+ * Each facet applies every active filter except its own, so the counts show
+ * how many jobs picking that value instead would return.
+ * @param {String} searchTerm - Text search, or null
+ * @param {Object} filters - Same filters as searchJobs
+ * @param {User} viewer - Signed-in user, or null
+ * @returns {Object} { category, specialty, experience_level,
+ *   location_preference, currency: [{ value, count }],
+ *   budget: [{ min, max, count }] in filters.display_currency }
+ */
+JobSchema.statics.getSearchFacets = async function (
+  searchTerm,
+  filters = {},
+  viewer
+) {
+  const conditions = buildFilterConditions(filters);
+  const bucketBoundaries = BUDGET_BUCKETS.map((min) =>
+    toBaseAmount(min, displayCurrency(filters))
+  );
+
+  const matchExcept = (facet) => ({
+    $match: Object.assign(
+      {},
+      ...Object.entries(conditions)
+        .filter(([key]) => key !== facet)
+        .map(([, condition]) => condition)
+    ),
+  });
+
+  const countBy = (facet, field, limit = 50) => [
+    matchExcept(facet),
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+  ];
+
+  const [result] = await this.aggregate([
+    // $text is only allowed in the first stage
+    { $match: buildBaseSearchQuery(this, searchTerm, viewer) },
+    {
+      $facet: {
+        category: countBy("category", "$category"),
+        specialty: countBy("specialty", "$specialty", 20),
+        experience_level: countBy(
+          "experience_level",
+          "$experience_required.level"
+        ),
+        location_preference: countBy(
+          "location_preference",
+          "$requirements.location_preference"
+        ),
+        currency: countBy("currency", "$budget.currency"),
+        budget: [
+          matchExcept("budget"),
+          {
+            $bucket: {
+              groupBy: "$budget.normalized_amount",
+              boundaries: [...bucketBoundaries, Number.MAX_VALUE],
+              default: "unspecified",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const toCounts = (buckets) =>
+    buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+  // Report every budget range, including empty ones, in ascending order
+  const budgetCounts = new Map(
+    result.budget.map(({ _id, count }) => [_id, count])
+  );
+  const budget = BUDGET_BUCKETS.map((min, index) => ({
+    min,
+    max: BUDGET_BUCKETS[index + 1] ?? null,
+    count: budgetCounts.get(bucketBoundaries[index]) || 0,
+  }));
+
+  return {
+    category: toCounts(result.category),
+    specialty: toCounts(result.specialty),
+    experience_level: toCounts(result.experience_level),
+    location_preference: toCounts(result.location_preference),
+    currency: toCounts(result.currency),
+    budget,
+    budget_unspecified: budgetCounts.get("unspecified") || 0,
+  };
+};
+
+/**
+ * Recompute budget.normalized_amount for every job
+ * Run at startup so existing jobs are backfilled and a changed rates table
+ * (CURRENCY_RATES) takes effect. One update per currency.
+ * @returns {Number} Number of jobs updated
+ */
+JobSchema.statics.refreshNormalizedBudgets = async function () {
+  let updated = 0;
+  for (const currency of SUPPORTED_CURRENCIES) {
+    const currencyFilter =
+      currency === BASE_CURRENCY ? { $in: [currency, null] } : currency;
+    const { modifiedCount } = await this.updateMany(
+      { "budget.currency": currencyFilter, "budget.amount": { $ne: null } },
+      [
+        {
+          $set: {
+            "budget.normalized_amount": {
+              $round: [{ $divide: ["$budget.amount", RATES[currency]] }, 2],
+            },
+          },
+        },
+      ]
+    );
+    updated += modifiedCount;
+  }
+  return updated;
+};
+
 module.exports = mongoose.model("Job", JobSchema);
@@ -0,0 +1,195 @@
+const mongoose = require("mongoose");
+const {
+  buildSpecialtyRegex,
+  expandSearchText,
+} = require("../utils/medicalVocabulary");
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  convert,
+} = require("../utils/currency");
+
+// Saved browse/search filters; the same fields Job.searchJobs accepts
+const jobAlertFiltersSchema = new mongoose.Schema(
+  {
+    q: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    category: {
+      type: String,
+    },
+    specialty: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    experience_level: {
+      type: String,
+    },
+    budget_min: {
+      type: Number,
+      min: 0,
+    },
+    budget_max: {
+      type: Number,
+      min: 0,
+    },
+    // Currency of budget_min and budget_max
+    display_currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+    },
+    remote_only: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const jobAlertSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Alert name is required"],
+      trim: true,
+      maxlength: [80, "Alert name cannot exceed 80 characters"],
+    },
+    filters: {
+      type: jobAlertFiltersSchema,
+      default: () => ({}),
+    },
+    // instant: one notification per job; daily: one digest per day
+    frequency: {
+      type: String,
+      enum: ["instant", "daily"],
+      default: "instant",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Jobs waiting for the next daily digest
+    pendingJobs: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Job",
+      },
+    ],
+    lastDigestAt: {
+      type: Date,
+    },
+    lastMatchedAt: {
+      type: Date,
+    },
+    matchCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for evaluating new jobs and sending digests
+jobAlertSchema.index({ active: 1, "filters.category": 1 });
+jobAlertSchema.index({ active: 1, frequency: 1, lastDigestAt: 1 });
+
+/**
+ * Whether a job satisfies the alert filters
+ * Mirrors Job.searchJobs so an alert fires for the jobs its search returns;
+ * the keyword filter requires every word (or a specialty synonym of it) in
+ * the title, description or skills.
+ * @param {Job} job
+ * @returns {Boolean}
+ */
+jobAlertSchema.methods.matches = function (job) {
+  const filters = this.filters || {};
+
+  if (filters.category && job.category !== filters.category) {
+    return false;
+  }
+
+  if (filters.specialty) {
+    const pattern = buildSpecialtyRegex(filters.specialty);
+    const specialties = [job.specialty, ...(job.subSpecialties || [])];
+    if (!specialties.some((specialty) => pattern.test(specialty || ""))) {
+      return false;
+    }
+  }
+
+  if (
+    filters.experience_level &&
+    job.experience_required?.level !== filters.experience_level
+  ) {
+    return false;
+  }
+
+  // Budget bounds are in the alert's currency; jobs without an amount fail
+  const amount =
+    convert(
+      job.budget?.amount,
+      job.budget?.currency || BASE_CURRENCY,
+      filters.display_currency || BASE_CURRENCY
+    ) ?? undefined;
+  if (filters.budget_min && !(amount >= filters.budget_min)) {
+    return false;
+  }
+  if (filters.budget_max && !(amount <= filters.budget_max)) {
+    return false;
+  }
+
+  if (
+    filters.remote_only &&
+    !["remote", "hybrid"].includes(job.requirements?.location_preference)
+  ) {
+    return false;
+  }
+
+  if (filters.q) {
+    const text = [job.title, job.description, ...(job.skills_required || [])]
+      .join(" ")
+      .toLowerCase();
+    const words = filters.q.split(/\s+/).filter(Boolean);
+    // Each word may also be matched by one of its specialty synonyms
+    const found = (word) =>
+      expandSearchText(word)
+        .toLowerCase()
+        .split(/\s+/)
+        .some((term) => text.includes(term));
+    if (!words.every(found)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Filters in the shape Job.searchJobs expects
+ * @returns {Object} { searchTerm, filters }
+ */
+jobAlertSchema.methods.toSearch = function () {
+  const { q, ...filters } = this.filters?.toObject
+    ? this.filters.toObject()
+    : this.filters || {};
+
+  Object.keys(filters).forEach(
+    (key) =>
+      (filters[key] === undefined || filters[key] === null) &&
+      delete filters[key]
+  );
+
+  return { searchTerm: q || null, filters };
+};
+
+module.exports = mongoose.model("JobAlert", jobAlertSchema);
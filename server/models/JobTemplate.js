@@ -0,0 +1,183 @@
+const mongoose = require("mongoose");
+
+// Job fields a template pre-fills; deadlines and status are chosen per job
+const TEMPLATE_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "specialty",
+  "subSpecialties",
+  "skills_required",
+  "experience_required",
+  "budget",
+  "timeline.estimated_hours",
+  "timeline.flexible",
+  "requirements",
+  "visibility",
+  "matching_criteria",
+  "screening_questions",
+  "pipeline",
+];
+
+// Same shape as the Job fields, without the required/deadline validators so
+// a template can be saved from a half-filled form
+const jobTemplateFieldsSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Description cannot exceed 2000 characters"],
+    },
+    category: {
+      type: String,
+      enum: [
+        "consultation",
+        "research",
+        "documentation",
+        "review",
+        "telemedicine",
+      ],
+    },
+    specialty: {
+      type: String,
+      trim: true,
+    },
+    subSpecialties: [{ type: String, trim: true }],
+    skills_required: [{ type: String, trim: true }],
+    experience_required: {
+      minimum_years: { type: Number, min: 0, max: 50 },
+      level: {
+        type: String,
+        enum: ["resident", "junior", "mid-level", "senior", "attending"],
+      },
+    },
+    budget: {
+      type: {
+        type: String,
+        enum: ["fixed", "hourly", "negotiable"],
+      },
+      amount: { type: Number, min: 0 },
+      currency: {
+        type: String,
+        enum: ["USD", "EUR", "GBP", "CAD", "AUD"],
+      },
+      negotiable: Boolean,
+    },
+    timeline: {
+      estimated_hours: { type: Number, min: 1, max: 1000 },
+      flexible: Boolean,
+    },
+    requirements: {
+      certifications: [{ type: String, trim: true }],
+      licenses: [{ type: String, trim: true }],
+      languages: [{ type: String, trim: true }],
+      location_preference: {
+        type: String,
+        enum: ["remote", "onsite", "hybrid"],
+      },
+      timezone_preference: String,
+      equipment_needed: [{ type: String, trim: true }],
+    },
+    visibility: {
+      type: String,
+      enum: ["public", "verified_only", "invited_only"],
+    },
+    matching_criteria: {
+      auto_match: Boolean,
+      match_threshold: { type: Number, min: 0, max: 100 },
+      preferred_experience: [{ type: String, trim: true }],
+      weights: { type: Map, of: Number, default: undefined },
+      deal_breakers: [{ type: String, trim: true }],
+      deal_breaker_action: { type: String, enum: ["flag", "reject"] },
+    },
+    screening_questions: [
+      {
+        _id: false,
+        question: { type: String, trim: true, maxlength: 300 },
+        type: {
+          type: String,
+          enum: ["yes_no", "number", "multiple_choice"],
+        },
+        options: [{ type: String, trim: true }],
+        required: Boolean,
+        knockout: {
+          answers: [{ type: String, trim: true }],
+          min: Number,
+          max: Number,
+        },
+      },
+    ],
+    pipeline: {
+      stages: {
+        type: [
+          {
+            _id: false,
+            key: { type: String, trim: true },
+            name: { type: String, trim: true, maxlength: 50 },
+            status: String,
+            transitions: [{ type: String, trim: true }],
+          },
+        ],
+        default: undefined,
+      },
+    },
+  },
+  { _id: false }
+);
+
+const jobTemplateSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [80, "Template name cannot exceed 80 characters"],
+    },
+    fields: {
+      type: jobTemplateFieldsSchema,
+      default: () => ({}),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One template per name for each user
+jobTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+/**
+ * Copy the template fields out of a job or request body
+ * @param {Object} source - Job document or plain object
+ * @returns {Object} Only the fields a template stores
+ */
+jobTemplateSchema.statics.pickFields = function (source = {}) {
+  const data = source.toObject ? source.toObject() : source;
+  const picked = {};
+
+  TEMPLATE_FIELDS.forEach((path) => {
+    const [parent, child] = path.split(".");
+    const value = child ? data[parent]?.[child] : data[parent];
+    if (value === undefined || value === null || value === "") return;
+
+    if (child) {
+      picked[parent] = { ...picked[parent], [child]: value };
+    } else {
+      picked[parent] = value;
+    }
+  });
+
+  return picked;
+};
+
+module.exports = mongoose.model("JobTemplate", jobTemplateSchema);
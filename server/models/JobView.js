@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Where a viewer came from; matches Application.source
+const VIEW_SOURCES = ["search", "recommendation", "direct", "referral"];
+
+const jobViewSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    // Signed-in viewer, if any
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // User id, or a hash of a signed-out visitor's IP address and user agent
+    visitor: {
+      type: String,
+      required: true,
+    },
+    // UTC calendar day (YYYY-MM-DD) the view counts towards
+    day: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: VIEW_SOURCES,
+      default: "direct",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One view per visitor per job per day
+jobViewSchema.index({ job: 1, visitor: 1, day: 1 }, { unique: true });
+
+// Index for daily and per-source breakdowns
+jobViewSchema.index({ job: 1, day: 1, source: 1 });
+
+// Index for the trending window (services/trendingService.js)
+jobViewSchema.index({ createdAt: -1 });
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Identify a visitor for de-duplication
+ * Signed-in users are identified by id. Anonymous visitors by a hash of IP
+ * address and user agent; an id sent by the client could be changed on
+ * every request to count the same visitor again.
+ * @param {Object} req - Express request
+ * @returns {String}
+ */
+const visitorKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(`${req.ip}|${req.get("user-agent") || ""}`)
+    .digest("hex");
+  return `ip:${fingerprint}`;
+};
+
+/**
+ * Record a view of a job, at most once per visitor per day
+ * @param {ObjectId} jobId
+ * @param {Object} req - Express request, used to identify the visitor
+ * @returns {Boolean} True when this is the visitor's first view today
+ */
+jobViewSchema.statics.record = async function (jobId, req) {
+  const source = VIEW_SOURCES.includes(req.body?.source)
+    ? req.body.source
+    : "direct";
+
+  try {
+    const result = await this.updateOne(
+      { job: jobId, visitor: visitorKey(req), day: toDay(new Date()) },
+      { $setOnInsert: { viewer: req.user?._id, source } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // Two concurrent first views; the other request counted it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Unique views and submitted applications per day, oldest first
+ * @param {ObjectId} jobId
+ * @param {Number} days - Number of days up to and including today
+ * @returns {Array<{date: String, views: Number, applications: Number}>}
+ */
+jobViewSchema.statics.getDailyActivity = async function (jobId, days) {
+  const Application = mongoose.model("Application");
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+  since.setUTCHours(0, 0, 0, 0);
+  const id = new mongoose.Types.ObjectId(jobId);
+
+  const [views, applications] = await Promise.all([
+    this.aggregate([
+      { $match: { job: id, day: { $gte: toDay(since) } } },
+      { $group: { _id: "$day", count: { $sum: 1 } } },
+    ]),
+    Application.aggregate([
+      { $match: { job_id: id, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+  const viewsByDay = new Map(views.map((item) => [item._id, item.count]));
+  const applicationsByDay = new Map(
+    applications.map((item) => [item._id, item.count])
+  );
+
+  return Array.from({ length: days }, (_, i) => {
+    const date = toDay(new Date(since.getTime() + i * 24 * 60 * 60 * 1000));
+    return {
+      date,
+      views: viewsByDay.get(date) || 0,
+      applications: applicationsByDay.get(date) || 0,
+    };
+  });
+};
+
+/**
+ * Unique views per traffic source
+ * @param {ObjectId} jobId
+ * @returns {Object} Counts keyed by source
+ */
+jobViewSchema.statics.getViewsBySource = async function (jobId) {
+  const counts = await this.aggregate([
+    { $match: { job: new mongoose.Types.ObjectId(jobId) } },
+    { $group: { _id: "$source", views: { $sum: 1 } } },
+  ]);
+  return counts.reduce((acc, item) => {
+    acc[item._id] = item.views;
+    return acc;
+  }, {});
+};
+
+module.exports = mongoose.model("JobView", jobViewSchema);
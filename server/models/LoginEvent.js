@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const Session = require("./Session");
+
+const loginEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: [
+        "success",
+        "invalid_password",
+        "invalid_two_factor",
+        "account_locked",
+        "account_suspended",
+      ],
+      required: true,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    deviceName: {
+      type: String,
+    },
+    // First successful sign-in from this device
+    newDevice: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for listing a user's recent history
+loginEventSchema.index({ user: 1, createdAt: -1 });
+
+// Index for new-device lookups
+loginEventSchema.index({ user: 1, success: 1, deviceName: 1 });
+
+// TTL index - history is kept for LOGIN_HISTORY_RETENTION_DAYS
+loginEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Record a sign-in attempt
+ * Successful attempts are flagged as a new device when the user has signed
+ * in before but never from this browser/platform combination.
+ * @param {ObjectId} userId
+ * @param {Object} req - Express request, used for IP and user agent
+ * @param {Object} outcome - { success, reason }
+ * @returns {LoginEvent}
+ */
+loginEventSchema.statics.record = async function (userId, req, outcome) {
+  const userAgent = (req.get("user-agent") || "").slice(0, 500);
+  const deviceName = Session.describeDevice(userAgent);
+  const retentionDays = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 90;
+
+  let newDevice = false;
+  if (outcome.success) {
+    const [hasHistory, knownDevice] = await Promise.all([
+      this.exists({ user: userId, success: true }),
+      this.exists({ user: userId, success: true, deviceName }),
+    ]);
+    newDevice = Boolean(hasHistory) && !knownDevice;
+  }
+
+  return this.create({
+    user: userId,
+    success: outcome.success,
+    reason: outcome.reason,
+    ipAddress: req.ip,
+    userAgent,
+    deviceName,
+    newDevice,
+    expiresAt: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000),
+  });
+};
+
+module.exports = mongoose.model("LoginEvent", loginEventSchema);
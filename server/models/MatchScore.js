@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+// Cached result of utils/matchingEngine.js for one doctor and one active
+// job. Kept up to date by services/matchIndexService.js so recommendations
+// and candidate lists are plain indexed queries.
+const matchScoreSchema = new mongoose.Schema(
+  {
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true,
+    },
+    level: {
+      type: String,
+      enum: ["excellent", "good", "fair", "poor"],
+    },
+    breakdown: mongoose.Schema.Types.Mixed,
+    bonuses: [
+      {
+        _id: false,
+        key: String,
+        label: String,
+        points: Number,
+        details: String,
+      },
+    ],
+    computed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+// One score per doctor and job
+matchScoreSchema.index({ doctor: 1, job: 1 }, { unique: true });
+
+// Indexes for recommendations (per doctor) and candidates (per job)
+matchScoreSchema.index({ doctor: 1, score: -1 });
+matchScoreSchema.index({ job: 1, score: -1 });
+
+/**
+ * bulkWrite operation storing an engine result
+ * @param {ObjectId} doctorId
+ * @param {ObjectId} jobId
+ * @param {Object} match - evaluateMatch() result
+ * @returns {Object} updateOne operation (upsert)
+ */
+matchScoreSchema.statics.upsertOperation = function (doctorId, jobId, match) {
+  return {
+    updateOne: {
+      filter: { doctor: doctorId, job: jobId },
+      update: {
+        $set: {
+          score: match.score,
+          level: match.level,
+          breakdown: match.breakdown,
+          bonuses: match.bonuses,
+          computed_at: new Date(),
+        },
+      },
+      upsert: true,
+    },
+  };
+};
+
+/**
+ * Response fields for a cached score, as returned by the matching endpoints
+ * @param {Object} entry - MatchScore document or plain object
+ * @returns {Object} { matchScore, matchLevel, breakdown, bonuses }
+ */
+matchScoreSchema.statics.toMatchFields = function (entry) {
+  return {
+    matchScore: entry.score,
+    matchLevel: entry.level,
+    breakdown: entry.breakdown,
+    bonuses: entry.bonuses,
+  };
+};
+
+module.exports = mongoose.model("MatchScore", matchScoreSchema);
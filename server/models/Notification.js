@@ -20,6 +20,12 @@ const notificationSchema = new mongoose.Schema(
         "subscription_update",
         "verification_status",
         "system_announcement",
+        "security_alert",
+        "data_export",
+        "job_lifecycle",
+        "job_invitation",
+        "contract_milestone",
+        "escrow_payment",
       ],
       required: true,
       index: true,
@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+
+const ORGANIZATION_ROLES = ["owner", "admin", "member"];
+
+// A doctor belonging to the organization
+const organizationMemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      default: "member",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Pending invitation, accepted by the verified owner of the email address
+const organizationInvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  // Owners are never invited; ownership is transferred instead
+  role: {
+    type: String,
+    enum: ["admin", "member"],
+    default: "member",
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      maxlength: [120, "Organization name cannot exceed 120 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Description cannot exceed 2000 characters"],
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      city: String,
+      state: String,
+      country: String,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    members: [organizationMemberSchema],
+    invitations: [organizationInvitationSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for resolving a user's organization and pending invitations
+organizationSchema.index({ "members.user": 1 });
+organizationSchema.index({ "invitations.email": 1 });
+
+// Generate a unique slug from the name
+organizationSchema.pre("save", async function (next) {
+  if (!this.isModified("name") && this.slug) {
+    return next();
+  }
+
+  const base =
+    this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/(^-|-$)/g, "") || "organization";
+
+  let slug = base;
+  let counter = 1;
+  while (
+    await this.constructor.exists({ slug, _id: { $ne: this._id } })
+  ) {
+    slug = `${base}-${counter++}`;
+  }
+
+  this.slug = slug;
+  next();
+});
+
+/**
+ * Find a member entry
+ * @param {ObjectId|String} userId
+ * @returns {Object|undefined} { user, role, joinedAt }
+ */
+organizationSchema.methods.getMember = function (userId) {
+  const id = String(userId);
+  return this.members.find(
+    (member) => String(member.user?._id || member.user) === id
+  );
+};
+
+/**
+ * Role of a user in this organization
+ * @param {ObjectId|String} userId
+ * @returns {String|null} owner | admin | member | null
+ */
+organizationSchema.methods.getRole = function (userId) {
+  return this.getMember(userId)?.role || null;
+};
+
+// Owners and admins manage members, invitations and organization details
+organizationSchema.methods.canManage = function (userId) {
+  return ["owner", "admin"].includes(this.getRole(userId));
+};
+
+// Invitations that have not expired yet
+organizationSchema.methods.getPendingInvitations = function () {
+  const now = new Date();
+  return this.invitations.filter((invitation) => invitation.expiresAt > now);
+};
+
+/**
+ * Organizations with a pending invitation for an email address
+ * @param {String} email
+ * @returns {Query}
+ */
+organizationSchema.statics.findInvitationsFor = function (email) {
+  return this.find({
+    invitations: {
+      $elemMatch: {
+        email: String(email).toLowerCase(),
+        expiresAt: { $gt: new Date() },
+      },
+    },
+  });
+};
+
+organizationSchema.statics.ROLES = ORGANIZATION_ROLES;
+
+module.exports = mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,271 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Seconds a just-rotated refresh token is still honoured, so two tabs
+// refreshing at the same moment are not mistaken for token theft
+const ROTATION_GRACE_SECONDS = 30;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // sha256 of the secret half of the current refresh token
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    deviceName: {
+      type: String,
+      default: "Unknown device",
+      maxlength: 100,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ipAddress: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "user_revoked",
+        "password_change",
+        "token_reuse",
+        "account_deletion",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for listing a user's active sessions
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// TTL index - MongoDB removes sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking whether the session can still be used
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const getRefreshLifetimeMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Derive a readable device label from a User-Agent header
+ * @param {String} userAgent
+ * @returns {String} e.g. "Chrome on Windows"
+ */
+sessionSchema.statics.describeDevice = function (userAgent = "") {
+  const browsers = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/Firefox\//, "Firefox"],
+    [/Chrome\//, "Chrome"],
+    [/Safari\//, "Safari"],
+  ];
+  const platforms = [
+    [/iPhone|iPad|iPod/, "iOS"],
+    [/Android/, "Android"],
+    [/Windows/, "Windows"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"],
+  ];
+
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    return "Unknown device";
+  }
+
+  return [browser?.[1] || "Browser", platform && `on ${platform[1]}`]
+    .filter(Boolean)
+    .join(" ");
+};
+
+/**
+ * Split a refresh token into its session id and secret
+ * Refresh tokens have the form "<sessionId>.<secret>"
+ */
+sessionSchema.statics.parseRefreshToken = function (refreshToken) {
+  if (typeof refreshToken !== "string") {
+    return null;
+  }
+
+  const [sessionId, secret] = refreshToken.split(".");
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+/**
+ * Start a new session for a user
+ * @param {ObjectId} userId
+ * @param {Object} req - Express request, used for device, IP and user agent
+ * @returns {Object} { session, refreshToken }
+ */
+sessionSchema.statics.createForUser = async function (userId, req) {
+  const secret = crypto.randomBytes(40).toString("hex");
+  const userAgent = (req.get("user-agent") || "").slice(0, 500);
+  const deviceName =
+    typeof req.body?.deviceName === "string" && req.body.deviceName.trim()
+      ? req.body.deviceName.trim()
+      : this.describeDevice(userAgent);
+
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashSecret(secret),
+    deviceName: deviceName.slice(0, 100),
+    userAgent,
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshLifetimeMs()),
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Check whether an access token's session is still valid
+ * @param {String} sessionId - The sid claim from the access token
+ */
+sessionSchema.statics.isActiveSession = async function (sessionId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  const session = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return Boolean(session);
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {ObjectId} userId
+ * @param {String} reason - One of the revokedReason values
+ * @param {ObjectId} exceptSessionId - Session to keep (e.g. the current one)
+ */
+sessionSchema.statics.revokeAllForUser = async function (
+  userId,
+  reason,
+  exceptSessionId = null
+) {
+  const filter = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Rotate the refresh token of this session
+ * The presented secret must match the current token; the swap is a single
+ * conditional update so concurrent refreshes cannot both rotate. A recently
+ * rotated token is accepted within the grace window without issuing a new
+ * one; anything older means the token family leaked, so the session is
+ * revoked.
+ * @param {String} secret - Secret half of the presented refresh token
+ * @param {Object} req - Express request, used to record the IP
+ * @returns {Object} { status: "rotated" | "grace" | "reused", refreshToken }
+ */
+sessionSchema.methods.rotate = async function (secret, req) {
+  const presentedHash = hashSecret(secret);
+  const newSecret = crypto.randomBytes(40).toString("hex");
+  const now = new Date();
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        tokenHash: hashSecret(newSecret),
+        rotatedAt: now,
+        lastUsedAt: now,
+        ipAddress: req.ip,
+      },
+    },
+    { new: true }
+  );
+
+  if (rotated) {
+    this.set({
+      rotatedAt: rotated.rotatedAt,
+      lastUsedAt: rotated.lastUsedAt,
+      ipAddress: rotated.ipAddress,
+    });
+    return { status: "rotated", refreshToken: `${this._id}.${newSecret}` };
+  }
+
+  // Another request may have rotated since this document was loaded
+  const current = await this.constructor
+    .findById(this._id)
+    .select("+previousTokenHash");
+
+  const withinGrace =
+    current &&
+    !current.revokedAt &&
+    current.previousTokenHash === presentedHash &&
+    current.rotatedAt &&
+    Date.now() - current.rotatedAt.getTime() <
+      ROTATION_GRACE_SECONDS * 1000;
+
+  if (withinGrace) {
+    return { status: "grace", refreshToken: null };
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: "token_reuse" } }
+  );
+  return { status: "reused", refreshToken: null };
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -526,6 +526,34 @@ SubscriptionSchema.statics.findActiveByUserId = function (userId) {
   });
 };
 
+/**
+ * Subscription that applies to a user. Members of an organization share the
+ * owner's subscription while it is an active enterprise plan; everyone else
+ * (including the owner) uses their own.
+ * @param {User} user - User document (needs _id and organization)
+ * @returns {Subscription|null}
+ */
+SubscriptionSchema.statics.findForUser = async function (user) {
+  const userId = user._id || user.id;
+
+  if (user.organization) {
+    const Organization = require("./Organization");
+    const organization = await Organization.findById(user.organization).select(
+      "owner"
+    );
+
+    if (organization && String(organization.owner) !== String(userId)) {
+      const shared = await this.findOne({ userId: organization.owner });
+
+      if (shared && shared.planId === "enterprise" && shared.isActive) {
+        return shared;
+      }
+    }
+  }
+
+  return this.findOne({ userId });
+};
+
 SubscriptionSchema.statics.findByStripeCustomerId = function (customerId) {
   return this.findOne({ stripeCustomerId: customerId });
 };
@@ -1,6 +1,26 @@
 // server/models/User.js - Enhanced User Model
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const totp = require("../utils/totp");
+const {
+  buildSpecialtyRegex,
+  expandSearchText,
+} = require("../utils/medicalVocabulary");
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  toBaseAmount,
+} = require("../utils/currency");
+const {
+  DOCTOR_MATCH_FIELDS,
+  updateTouches,
+} = require("../utils/matchingEngine");
+const {
+  ADMIN_ROLES,
+  getPermissionsForUser,
+  hasPermission,
+} = require("../config/permissions");
 
 const ExperienceSchema = new mongoose.Schema(
   {
@@ -329,11 +349,71 @@ const UserSchema = new mongoose.Schema(
       minlength: [8, "Password must be at least 8 characters"],
       select: false,
     },
+    passwordChangedAt: Date,
+    resetPasswordToken: {
+      type: String,
+      select: false,
+    },
+    resetPasswordExpire: {
+      type: Date,
+      select: false,
+    },
     role: {
       type: String,
       enum: ["senior", "junior", "admin"],
       default: "junior",
     },
+    // Admin sub-role, see config/permissions.js (unset = super_admin)
+    adminRole: {
+      type: String,
+      enum: [...ADMIN_ROLES, null],
+      default: null,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpire: {
+      type: Date,
+      select: false,
+    },
+
+    // Two-factor authentication (TOTP) - mandatory for admins
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated by setup, promoted to `secret` once confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            codeHash: { type: String, required: true },
+            usedAt: { type: Date, default: null },
+          },
+        ],
+        select: false,
+      },
+    },
 
     // Medical Professional Information (existing + enhanced)
     medicalLicenseNumber: {
@@ -506,6 +586,7 @@ const UserSchema = new mongoose.Schema(
           ],
         },
       ],
+      // In preferred_currency
       preferred_budget_range: {
         min: {
           type: Number,
@@ -516,6 +597,12 @@ const UserSchema = new mongoose.Schema(
           min: 0,
         },
       },
+      // Currency job budgets are shown, filtered and sorted in
+      preferred_currency: {
+        type: String,
+        enum: SUPPORTED_CURRENCIES,
+        default: BASE_CURRENCY,
+      },
       preferred_timeline: {
         type: String,
         enum: ["urgent", "flexible", "long_term"],
@@ -539,6 +626,13 @@ const UserSchema = new mongoose.Schema(
       },
     },
 
+    // When this doctor's match scores were last cached
+    // (services/matchIndexService.js); null while they are stale
+    matches_indexed_at: {
+      type: Date,
+      default: null,
+    },
+
     // Profile Analytics
     analytics: ProfileAnalyticsSchema,
 
@@ -615,9 +709,33 @@ const UserSchema = new mongoose.Schema(
     // Account Status and Subscription
     accountStatus: {
       type: String,
-      enum: ["active", "inactive", "suspended", "pending"],
+      enum: ["active", "inactive", "suspended", "pending", "deleted"],
       default: "pending",
     },
+
+    // Self-service account deletion. The account is inactive during the
+    // grace period and anonymised once scheduledFor has passed.
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: {
+        type: Date,
+        index: true,
+      },
+      reason: {
+        type: String,
+        maxlength: 500,
+      },
+      // accountStatus to restore if the deletion is cancelled
+      previousStatus: String,
+      completedAt: Date,
+    },
+    // Clinic or practice the user belongs to (one per user)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+      index: true,
+    },
     subscription: {
       plan: {
         type: String,
@@ -633,6 +751,20 @@ const UserSchema = new mongoose.Schema(
       currentPeriodEnd: Date,
     },
 
+    // Connected account receiving milestone payouts, see
+    // services/paymentService.js
+    payout_account: {
+      provider: String,
+      account_id: {
+        type: String,
+        index: true,
+        sparse: true,
+      },
+      details_submitted: { type: Boolean, default: false },
+      payouts_enabled: { type: Boolean, default: false },
+      updated_at: Date,
+    },
+
     // Privacy and Settings
     privacy: {
       profileVisibility: {
@@ -758,6 +890,11 @@ UserSchema.virtual("displayName").get(function () {
   return `Dr. ${this.firstName} ${this.lastName}, ${degree}`;
 });
 
+// Virtual for the permissions granted by role and admin sub-role
+UserSchema.virtual("permissions").get(function () {
+  return getPermissionsForUser(this);
+});
+
 // Virtual for profile completion percentage calculation
 UserSchema.virtual("calculatedProfileCompletion").get(function () {
   let completionScore = 0;
@@ -795,6 +932,12 @@ UserSchema.pre("save", async function (next) {
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Tokens issued before this moment are no longer accepted by protect.
+  // Backdated by a second so the token sent with this response stays valid.
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
@@ -839,6 +982,27 @@ UserSchema.pre("save", async function (next) {
   }
 });
 
+// Mark cached match scores stale when a field they depend on changes
+UserSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    DOCTOR_MATCH_FIELDS.some((field) => this.isModified(field))
+  ) {
+    this.matches_indexed_at = null;
+  }
+  next();
+});
+
+UserSchema.pre(
+  ["findOneAndUpdate", "updateOne", "updateMany"],
+  function (next) {
+    if (updateTouches(this.getUpdate(), DOCTOR_MATCH_FIELDS)) {
+      this.set("matches_indexed_at", null);
+    }
+    next();
+  }
+);
+
 // Pre-save middleware to update profile completion
 UserSchema.pre("save", function (next) {
   try {
@@ -864,11 +1028,145 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
 
 const jwt = require("jsonwebtoken");
 
-// Method to sign JWT and return
-UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "30d",
+// Access tokens are short-lived and tied to a Session so they can be revoked
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || "15m",
+  });
+};
+
+// Method to check whether the password changed after a JWT was issued
+UserSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return this.passwordChangedAt.getTime() > tokenIssuedAt * 1000;
+};
+
+// Static method to hash an emailed token for lookup
+UserSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Method to generate and hash a single-use password reset token
+UserSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  // Only the hash is stored; the raw token is emailed to the user
+  this.resetPasswordToken = this.constructor.hashToken(resetToken);
+
+  const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE) || 10;
+  this.resetPasswordExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Method to generate and hash an email verification token
+UserSchema.methods.getEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE) || 24;
+  this.emailVerificationExpire = new Date(
+    Date.now() + expireHours * 60 * 60 * 1000,
+  );
+
+  return verificationToken;
+};
+
+// Method to generate a fresh set of single-use 2FA recovery codes
+UserSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
   });
+
+  // Only hashes are stored; the plain codes are shown to the user once
+  this.twoFactor.recoveryCodes = codes.map((code) => ({
+    codeHash: this.constructor.hashToken(code.replace("-", "")),
+  }));
+
+  return codes;
+};
+
+// Method to check a TOTP or recovery code during sign-in
+// Requires +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes
+UserSchema.methods.verifyTwoFactorCode = function (code) {
+  const normalized = String(code || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+
+  if (/^\d{6}$/.test(normalized)) {
+    const step = totp.verifyCode(this.twoFactor.secret, normalized, {
+      afterStep: this.twoFactor.lastUsedStep ?? -1,
+    });
+
+    if (step === null) {
+      return { valid: false };
+    }
+
+    this.twoFactor.lastUsedStep = step;
+    return { valid: true, method: "totp" };
+  }
+
+  const codeHash = this.constructor.hashToken(normalized);
+  const recoveryCode = (this.twoFactor.recoveryCodes || []).find(
+    (entry) => entry.codeHash === codeHash && !entry.usedAt,
+  );
+
+  if (!recoveryCode) {
+    return { valid: false };
+  }
+
+  recoveryCode.usedAt = new Date();
+  return {
+    valid: true,
+    method: "recovery_code",
+    remainingRecoveryCodes: this.twoFactor.recoveryCodes.filter(
+      (entry) => !entry.usedAt,
+    ).length,
+  };
+};
+
+// Method to check a named permission from the role registry
+UserSchema.methods.hasPermission = function (permission) {
+  return hasPermission(this, permission);
+};
+
+// Virtual for an account deletion that can still be cancelled
+UserSchema.virtual("isPendingDeletion").get(function () {
+  return Boolean(this.deletion?.scheduledFor && !this.deletion.completedAt);
+});
+
+// Virtual for checking whether sign-in is temporarily blocked
+UserSchema.virtual("isLocked").get(function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Method to count a failed sign-in and apply progressive lockout.
+// Reaching LOGIN_MAX_ATTEMPTS locks the account for LOGIN_LOCKOUT_BASE_MINUTES;
+// every further failure doubles the lock, up to 24 hours.
+UserSchema.methods.registerFailedLogin = function () {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5;
+
+  this.loginAttempts = (this.loginAttempts || 0) + 1;
+
+  if (this.loginAttempts >= maxAttempts) {
+    const lockMinutes = Math.min(
+      baseMinutes * 2 ** (this.loginAttempts - maxAttempts),
+      24 * 60,
+    );
+    this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  }
+};
+
+// Method to clear failed attempts after a successful sign-in or unlock
+UserSchema.methods.resetLoginAttempts = function () {
+  this.loginAttempts = 0;
+  this.lockUntil = undefined;
 };
 
 // Method to calculate overall verification status
@@ -1075,6 +1373,17 @@ UserSchema.methods.calculateResponseTime = async function () {
   }
 };
 
+// Sum of released escrow payments matching a filter
+const sumReleasedEscrows = async (filter, field) => {
+  const [result] = await mongoose
+    .model("Escrow")
+    .aggregate([
+      { $match: { ...filter, status: "released" } },
+      { $group: { _id: null, total: { $sum: field } } },
+    ]);
+  return result?.total || 0;
+};
+
 // Method to update job statistics
 UserSchema.methods.updateJobStatistics = async function () {
   try {
@@ -1092,15 +1401,10 @@ UserSchema.methods.updateJobStatistics = async function () {
         status: "completed",
       });
 
-      // Calculate total spent (sum of completed job budgets)
-      const completedJobs = await Job.find({
-        posted_by: this._id,
-        status: "completed",
-      }).select("budget.amount");
-
-      this.job_statistics.total_spent = completedJobs.reduce(
-        (sum, job) => sum + (job.budget.amount || 0),
-        0,
+      // Total spent: milestone payments released to doctors
+      this.job_statistics.total_spent = await sumReleasedEscrows(
+        { payer: this._id },
+        "$amount",
       );
     } else if (this.role === "junior") {
       // Update job seeker statistics
@@ -1116,15 +1420,10 @@ UserSchema.methods.updateJobStatistics = async function () {
           status: "accepted",
         });
 
-      // Calculate total earnings from completed applications
-      const completedApplications = await Application.find({
-        applicant_id: this._id,
-        status: "completed",
-      }).select("proposal.proposed_budget");
-
-      this.job_statistics.total_earnings = completedApplications.reduce(
-        (sum, app) => sum + (app.proposal.proposed_budget || 0),
-        0,
+      // Total earnings: milestone payouts received, after platform fees
+      this.job_statistics.total_earnings = await sumReleasedEscrows(
+        { payee: this._id },
+        "$payout_amount",
       );
     }
 
@@ -1154,7 +1453,8 @@ UserSchema.methods.updateJobStatistics = async function () {
 UserSchema.methods.getJobRecommendations = function (limit = 10) {
   const Job = mongoose.model("Job");
 
-  let query = { status: "active" };
+  // $and keeps the visibility $or apart from the specialty $or below
+  let query = { status: "active", $and: [Job.visibilityFilter(this)] };
 
   // Filter by preferred categories
   if (
@@ -1166,19 +1466,22 @@ UserSchema.methods.getJobRecommendations = function (limit = 10) {
 
   // Filter by specialty match
   if (this.primarySpecialty) {
-    query.$or = [
-      { specialty: { $regex: this.primarySpecialty, $options: "i" } },
-      { subSpecialties: { $regex: this.primarySpecialty, $options: "i" } },
-    ];
+    const pattern = buildSpecialtyRegex(this.primarySpecialty);
+    query.$or = [{ specialty: pattern }, { subSpecialties: pattern }];
   }
 
-  // Filter by budget range
+  // Filter by budget range, compared across currencies
   if (this.job_preferences.preferred_budget_range) {
     const { min, max } = this.job_preferences.preferred_budget_range;
+    const currency = this.job_preferences.preferred_currency;
     if (min || max) {
-      query["budget.amount"] = {};
-      if (min) query["budget.amount"].$gte = min;
-      if (max) query["budget.amount"].$lte = max;
+      query["budget.normalized_amount"] = {};
+      if (min) {
+        query["budget.normalized_amount"].$gte = toBaseAmount(min, currency);
+      }
+      if (max) {
+        query["budget.normalized_amount"].$lte = toBaseAmount(max, currency);
+      }
     }
   }
 
@@ -1287,16 +1590,19 @@ UserSchema.statics.findVerified = function () {
 // Static method for search with filters
 UserSchema.statics.searchDoctors = function (searchTerm, filters = {}) {
   let query = { accountStatus: "active" };
+  const conditions = [];
 
   if (searchTerm) {
-    query.$text = { $search: searchTerm };
+    query.$text = { $search: expandSearchText(searchTerm) };
   }
 
-  if (filters.specialty) {
-    query.$or = [
-      { primarySpecialty: { $regex: filters.primarySpecialty, $options: "i" } },
-      { subspecialties: { $regex: filters.primarySpecialty, $options: "i" } },
-    ];
+  // Synonym and typo aware: "heart" also finds cardiologists
+  const specialty = filters.specialty || filters.primarySpecialty;
+  if (specialty) {
+    const pattern = buildSpecialtyRegex(specialty);
+    conditions.push({
+      $or: [{ primarySpecialty: pattern }, { subspecialties: pattern }],
+    });
   }
 
   if (filters.experience) {
@@ -1308,10 +1614,16 @@ UserSchema.statics.searchDoctors = function (searchTerm, filters = {}) {
   }
 
   if (filters.location) {
-    query.$or = [
-      { "location.city": { $regex: filters.location, $options: "i" } },
-      { "location.state": { $regex: filters.location, $options: "i" } },
-    ];
+    conditions.push({
+      $or: [
+        { "location.city": { $regex: filters.location, $options: "i" } },
+        { "location.state": { $regex: filters.location, $options: "i" } },
+      ],
+    });
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
   }
 
   if (filters.verified) {
@@ -1,7 +1,8 @@
 // server/routes/admin.js - Admin Verification Routes
 const express = require("express");
 const { body, query, param } = require("express-validator");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS, ADMIN_ROLES } = require("../config/permissions");
 const {
   getPendingVerifications,
   getProfileForVerification,
@@ -15,13 +16,28 @@ const {
   getVerificationStats,
   getLiveMetrics,
   getAdminDashboard,
+  getLockedAccounts,
+  unlockAccount,
+  getAdminUsers,
+  updateAdminRole,
+  getAuditLogs,
+  exportAuditLogs,
 } = require("../controllers/adminController");
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication, admin access and 2FA.
+// Individual routes additionally require the permission of an admin sub-role.
 router.use(protect);
-router.use(authorize("admin"));
+router.use(requirePermission(PERMISSIONS.ADMIN_ACCESS));
+
+const canViewVerifications = requirePermission(PERMISSIONS.VERIFICATION_VIEW);
+const canApproveVerifications = requirePermission(
+  PERMISSIONS.VERIFICATION_APPROVE,
+);
+const canManageUsers = requirePermission(PERMISSIONS.USERS_MANAGE);
+const canManageAdminRoles = requirePermission(PERMISSIONS.ADMIN_ROLES_MANAGE);
+const canViewAuditLog = requirePermission(PERMISSIONS.AUDIT_VIEW);
 
 // Validation middleware
 const validateVerificationStatus = [
@@ -76,6 +92,25 @@ const validateGetPending = [
     .withMessage("Limit must be between 1 and 100"),
 ];
 
+const validateAuditLogQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  query("actor").optional().isMongoId().withMessage("Invalid actor ID"),
+  query("targetId").optional().isMongoId().withMessage("Invalid target ID"),
+  query("targetType")
+    .optional()
+    .isIn(["User", "Job", "Application", "Subscription", "AuditLog"])
+    .withMessage("Invalid target type"),
+  query("from").optional().isISO8601().withMessage("Invalid start date"),
+  query("to").optional().isISO8601().withMessage("Invalid end date"),
+];
+
 const validateGetStats = [
   query("timeframe")
     .optional()
@@ -84,18 +119,33 @@ const validateGetStats = [
 ];
 
 // Dashboard and overview routes
-router.get("/dashboard", getAdminDashboard);
-router.get("/metrics/live", getLiveMetrics);
-router.get("/verification/stats", validateGetStats, getVerificationStats);
+router.get(
+  "/dashboard",
+  requirePermission(PERMISSIONS.ADMIN_DASHBOARD),
+  getAdminDashboard,
+);
+router.get(
+  "/metrics/live",
+  requirePermission(PERMISSIONS.ADMIN_DASHBOARD),
+  getLiveMetrics,
+);
+router.get(
+  "/verification/stats",
+  canViewVerifications,
+  validateGetStats,
+  getVerificationStats,
+);
 
 // Verification management routes
 router.get(
   "/verification/pending",
+  canViewVerifications,
   validateGetPending,
   getPendingVerifications,
 );
 router.get(
   "/verification/profile/:userId",
+  canViewVerifications,
   param("userId").isMongoId().withMessage("Invalid user ID"),
   getProfileForVerification,
 );
@@ -103,6 +153,7 @@ router.get(
 // Individual verification routes
 router.put(
   "/verification/identity/:userId",
+  canApproveVerifications,
   param("userId").isMongoId().withMessage("Invalid user ID"),
   validateVerificationStatus,
   verifyIdentity,
@@ -110,6 +161,7 @@ router.put(
 
 router.put(
   "/verification/medical-license/:userId",
+  canApproveVerifications,
   param("userId").isMongoId().withMessage("Invalid user ID"),
   [
     ...validateVerificationStatus,
@@ -123,6 +175,7 @@ router.put(
 
 router.put(
   "/verification/background-check/:userId",
+  canApproveVerifications,
   param("userId").isMongoId().withMessage("Invalid user ID"),
   [
     ...validateVerificationStatus,
@@ -135,14 +188,15 @@ router.put(
 );
 
 // Get verified/approved doctors
-router.get("/verification/approved", getVerifiedUsers);
+router.get("/verification/approved", canViewVerifications, getVerifiedUsers);
 
 // Get rejected users
-router.get("/verification/rejected", getRejectedUsers);
+router.get("/verification/rejected", canViewVerifications, getRejectedUsers);
 
 // Revoke verification
 router.put(
   "/verification/revoke/:userId",
+  canApproveVerifications,
   param("userId").isMongoId().withMessage("Invalid user ID"),
   [
     body("verificationType")
@@ -158,6 +212,41 @@ router.put(
 );
 
 // Bulk operations
-router.put("/verification/bulk", validateBulkVerification, bulkVerification);
+router.put(
+  "/verification/bulk",
+  canApproveVerifications,
+  validateBulkVerification,
+  bulkVerification,
+);
+
+// Account lockout management
+router.get("/users/locked", canManageUsers, getLockedAccounts);
+router.put(
+  "/users/:userId/unlock",
+  canManageUsers,
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+  unlockAccount,
+);
+
+// Admin sub-role management
+router.get("/admins", canManageAdminRoles, getAdminUsers);
+router.put(
+  "/admins/:userId/role",
+  canManageAdminRoles,
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+  body("adminRole")
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Admin role must be one of: ${ADMIN_ROLES.join(", ")}`),
+  updateAdminRole,
+);
+
+// Audit log viewer and compliance export
+router.get("/audit-logs", canViewAuditLog, validateAuditLogQuery, getAuditLogs);
+router.get(
+  "/audit-logs/export",
+  canViewAuditLog,
+  validateAuditLogQuery,
+  exportAuditLogs,
+);
 
 module.exports = router;
@@ -1,5 +1,6 @@
 // server/routes/applications.js - Complete Application Management Routes - FIXED
 const express = require("express");
+const { param } = require("express-validator");
 const {
   submitApplication,
   getMyApplications,
@@ -22,12 +23,28 @@ const {
   bulkCalculateMatches,
 } = require("../controllers/matchingController");
 
+const {
+  getContract,
+  proposeMilestone,
+  signMilestone,
+  declineMilestone,
+  startMilestone,
+  submitMilestone,
+  approveMilestone,
+  requestMilestoneRevision,
+  fundMilestone,
+  refundMilestone,
+} = require("../controllers/contractController");
+
 const {
   protect,
   requireActive,
+  requireEmailVerified,
   requireVerifiedAccount,
-  requireAdmin,
+  requirePermission,
 } = require("../middleware/auth");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+const auditLogService = require("../services/auditLogService");
 
 const {
   canApplyToJobs,
@@ -36,7 +53,6 @@ const {
   canApplyToSpecificJob,
   canPerformBulkOperations,
   checkApplicationLimit,
-  validateApplicationStatusTransition,
 } = require("../middleware/jobAuth");
 
 const {
@@ -44,6 +60,12 @@ const {
   validateApplicationStatusUpdate,
   validateInterviewScheduling,
   validateContractDetails,
+  validateMilestoneProposal,
+  validateMilestoneSubmission,
+  validateMilestoneReview,
+  validateRevisionRequest,
+  validateMilestoneDecline,
+  validateMilestoneRefund,
   validateMessage,
   validateRating,
   validateApplicationSearch,
@@ -64,6 +86,7 @@ router.post(
   "/submit",
   protect,
   requireActive,
+  requireEmailVerified,
   canApplyToJobs,
   canApplyToSpecificJob,
   checkApplicationLimit,
@@ -97,7 +120,7 @@ router.get(
 router.get(
   "/matching/recommendations",
   protect,
-  canApplyToJobs,
+  requirePermission(PERMISSIONS.MATCHING_RECOMMENDATIONS),
   getJobRecommendations
 );
 
@@ -105,7 +128,7 @@ router.get(
 router.post(
   "/matching/bulk",
   protect,
-  canApplyToJobs,
+  requirePermission(PERMISSIONS.MATCHING_RECOMMENDATIONS),
   canPerformBulkOperations,
   validateBulkJobIds,
   bulkCalculateMatches
@@ -150,6 +173,7 @@ router.post(
         },
         {
           status: "withdrawn",
+          stage: null,
           $push: {
             communication_log: {
               type: "status_change",
@@ -182,8 +206,12 @@ router.post(
 // ADMIN ROUTES - LITERAL PATHS
 // ======================
 
+const canModerateApplications = requirePermission(
+  PERMISSIONS.APPLICATIONS_MODERATE
+);
+
 // Get all applications for admin management
-router.get("/admin/all", protect, requireAdmin, async (req, res) => {
+router.get("/admin/all", protect, canModerateApplications, async (req, res) => {
   try {
     const { page = 1, limit = 20, status, search } = req.query;
     const Application = require("../models/Application");
@@ -252,14 +280,16 @@ router.get("/statistics/overview", protect, async (req, res) => {
     const Application = require("../models/Application");
     let query = {};
 
-    // Filter by user role
-    if (req.user.role === "junior") {
+    // Filter by what the user can do
+    if (hasPermission(req.user, PERMISSIONS.JOBS_APPLY)) {
       query.applicant_id = req.user.id;
-    } else if (req.user.role === "senior") {
+    } else if (hasPermission(req.user, PERMISSIONS.JOBS_CREATE)) {
       const Job = require("../models/Job");
-      const userJobs = await Job.find({ posted_by: req.user.id }).select("_id");
+      const userJobs = await Job.find(Job.managedByFilter(req.user)).select(
+        "_id"
+      );
       query.job_id = { $in: userJobs.map((job) => job._id) };
-    } else if (req.user.role !== "admin") {
+    } else if (!hasPermission(req.user, PERMISSIONS.APPLICATIONS_MODERATE)) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
@@ -310,7 +340,7 @@ router.get("/statistics/overview", protect, async (req, res) => {
 router.post(
   "/matching/calculate/:jobId",
   protect,
-  canApplyToJobs,
+  requirePermission(PERMISSIONS.MATCHING_RECOMMENDATIONS),
   calculateJobMatch
 );
 
@@ -318,12 +348,17 @@ router.post(
 router.get(
   "/candidates/:jobId",
   protect,
-  canPostJobs,
+  requirePermission(PERMISSIONS.MATCHING_CANDIDATES),
   getCandidateRecommendations
 );
 
 // Get match analytics for a job - HAS :jobId PARAM
-router.get("/analytics/:jobId", protect, canPostJobs, getMatchAnalytics);
+router.get(
+  "/analytics/:jobId",
+  protect,
+  requirePermission(PERMISSIONS.MATCHING_CANDIDATES),
+  getMatchAnalytics
+);
 
 // Get application details (role-based view) - HAS :id PARAM
 router.get("/:id", protect, canManageApplication, getApplicationDetails);
@@ -409,7 +444,6 @@ router.put(
   protect,
   requireActive,
   canManageApplication,
-  validateApplicationStatusTransition,
   validateApplicationStatusUpdate,
   updateApplicationStatus
 );
@@ -434,6 +468,98 @@ router.post(
   acceptApplication
 );
 
+// Milestone contract of an accepted application - HAS :id PARAM
+router.get("/:id/contract", protect, canManageApplication, getContract);
+
+// Propose a milestone (employer or hired doctor)
+router.post(
+  "/:id/milestones",
+  protect,
+  requireActive,
+  canManageApplication,
+  validateMilestoneProposal,
+  proposeMilestone
+);
+
+// Milestone lifecycle: countersign or decline a proposal, start and submit
+// work (doctor), approve or request a revision (employer)
+const validateMilestoneId = param("milestoneId")
+  .isMongoId()
+  .withMessage("Invalid milestone ID");
+
+router.post(
+  "/:id/milestones/:milestoneId/sign",
+  protect,
+  requireActive,
+  canManageApplication,
+  validateMilestoneId,
+  signMilestone
+);
+router.post(
+  "/:id/milestones/:milestoneId/decline",
+  protect,
+  requireActive,
+  canManageApplication,
+  validateMilestoneId,
+  validateMilestoneDecline,
+  declineMilestone
+);
+router.post(
+  "/:id/milestones/:milestoneId/start",
+  protect,
+  requireActive,
+  canManageApplication,
+  validateMilestoneId,
+  startMilestone
+);
+router.post(
+  "/:id/milestones/:milestoneId/submit",
+  protect,
+  requireActive,
+  canManageApplication,
+  validateMilestoneId,
+  validateMilestoneSubmission,
+  submitMilestone
+);
+router.post(
+  "/:id/milestones/:milestoneId/approve",
+  protect,
+  requireActive,
+  canManageApplication,
+  validateMilestoneId,
+  validateMilestoneReview,
+  approveMilestone
+);
+router.post(
+  "/:id/milestones/:milestoneId/request-revision",
+  protect,
+  requireActive,
+  canManageApplication,
+  validateMilestoneId,
+  validateRevisionRequest,
+  requestMilestoneRevision
+);
+
+// Milestone escrow: the employer funds an agreed milestone; approval
+// releases the money, a refund returns it and cancels the milestone
+router.post(
+  "/:id/milestones/:milestoneId/fund",
+  protect,
+  requireActive,
+  canManageApplication,
+  validateMilestoneId,
+  fundMilestone
+);
+router.post(
+  "/:id/milestones/:milestoneId/refund",
+  protect,
+  requireActive,
+  canManageApplication,
+  validateMilestoneId,
+  validateMilestoneRefund,
+  refundMilestone
+);
+
 // Reject application - HAS :id PARAM
 router.post(
   "/:id/reject",
@@ -492,7 +618,7 @@ router.post(
 router.put(
   "/admin/:id/resolve-dispute",
   protect,
-  requireAdmin,
+  canModerateApplications,
   async (req, res) => {
     try {
       const { resolution, notes } = req.body;
@@ -509,6 +635,8 @@ router.put(
         });
       }
 
+      const previousStatus = application.status;
+
       // Add admin resolution to communication log
       await application.addCommunication(
         "system",
@@ -525,6 +653,17 @@ router.put(
 
       await application.save();
 
+      await auditLogService.record(req, {
+        action: "application.resolve_dispute",
+        targetType: "Application",
+        targetId: application._id,
+        targetLabel: `${application.applicant_id?.email} → ${application.job_id?.title}`,
+        changes: [
+          { field: "status", before: previousStatus, after: application.status },
+        ],
+        metadata: { resolution, notes },
+      });
+
       res.status(200).json({
         success: true,
         message: "Dispute resolved successfully",
@@ -5,7 +5,22 @@ const {
   getMe,
   updateDetails,
   updatePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refresh,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getLoginHistory,
+  requestAccountDeletion,
 } = require("../controllers/authController");
 
 const {
@@ -13,7 +28,12 @@ const {
   requireActive,
   checkAccountStatus,
 } = require("../middleware/auth");
-const { validateRegister, validateLogin } = require("../middleware/validation");
+const {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+} = require("../middleware/validation");
 
 // Import for email check
 const { body, validationResult } = require("express-validator");
@@ -77,8 +97,30 @@ router.post(
 // Public routes - no authentication required
 router.post("/register", validateRegister, register);
 router.post("/login", validateLogin, login);
+router.post("/login/2fa", verifyTwoFactorLogin);
 router.get("/logout", logout);
 
+// Session management - access token renewal uses the refresh token cookie
+router.post("/refresh", refresh);
+router.post("/logout-all", protect, logoutAll);
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions/:id", protect, revokeSession);
+router.get("/login-history", protect, getLoginHistory);
+
+// Password recovery - public, token delivered by email
+router.post("/forgotpassword", validateForgotPassword, forgotPassword);
+router.put("/resetpassword/:token", validateResetPassword, resetPassword);
+
+// Email verification - link from the verification email is public
+router.put("/verifyemail/:token", verifyEmail);
+router.post("/resendverification", protect, resendVerification);
+
+// Two-factor authentication management
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/enable", protect, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+
 // Basic protected routes - accessible to pending + active users
 router.get("/me", protect, checkAccountStatus, getMe);
 
@@ -88,4 +130,7 @@ router.put("/updatedetails", protect, updateDetails);
 // Sensitive operations - require active account
 router.put("/updatepassword", protect, requireActive, updatePassword);
 
+// Account deletion - signing in again during the grace period cancels it
+router.post("/delete-account", protect, requestAccountDeletion);
+
 module.exports = router;
@@ -0,0 +1,72 @@
+// server/routes/jobAlerts.js - Saved Searches & Job Alerts Routes
+const express = require("express");
+const { body, param } = require("express-validator");
+const { protect, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
+const Job = require("../models/Job");
+const {
+  getMyAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  getAlertJobs,
+} = require("../controllers/jobAlertController");
+
+const router = express.Router();
+
+// Alerts are for doctors who apply to jobs
+router.use(protect, requirePermission(PERMISSIONS.JOBS_APPLY));
+
+// Validation middleware
+const validateAlert = (optional = false) => {
+  const name = body("name").trim();
+  return [
+    (optional ? name.optional() : name)
+      .isLength({ min: 1, max: 80 })
+      .withMessage("Alert name must be between 1 and 80 characters"),
+    body("frequency")
+      .optional()
+      .isIn(["instant", "daily"])
+      .withMessage("Frequency must be instant or daily"),
+    body("active").optional().isBoolean().toBoolean(),
+    body("filters").optional().isObject(),
+    body("filters.q")
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Search term must be between 2 and 100 characters"),
+    body("filters.category")
+      .optional({ checkFalsy: true })
+      .isIn(Job.schema.path("category").enumValues)
+      .withMessage("Invalid category"),
+    body("filters.specialty")
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 100 }),
+    body("filters.experience_level")
+      .optional({ checkFalsy: true })
+      .isIn(Job.schema.path("experience_required.level").enumValues)
+      .withMessage("Invalid experience level"),
+    body(["filters.budget_min", "filters.budget_max"])
+      .optional({ checkFalsy: true })
+      .isFloat({ min: 0 })
+      .withMessage("Budget must be a positive number"),
+    body("filters.display_currency")
+      .optional({ checkFalsy: true })
+      .isIn(Job.schema.path("budget.currency").enumValues)
+      .withMessage("Invalid currency"),
+    body("filters.remote_only").optional().isBoolean(),
+  ];
+};
+
+const validateAlertId = [
+  param("id").isMongoId().withMessage("Invalid alert ID"),
+];
+
+router.get("/", getMyAlerts);
+router.post("/", validateAlert(), createAlert);
+router.put("/:id", validateAlertId, validateAlert(true), updateAlert);
+router.delete("/:id", validateAlertId, deleteAlert);
+router.get("/:id/jobs", validateAlertId, getAlertJobs);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// server/routes/jobTemplates.js - Reusable Job Template Routes
+const express = require("express");
+const { body, param } = require("express-validator");
+const { protect, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
+const {
+  getMyTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} = require("../controllers/jobTemplateController");
+
+const router = express.Router();
+
+// Templates are for doctors who post jobs
+router.use(protect, requirePermission(PERMISSIONS.JOBS_CREATE));
+
+// Validation middleware
+const validateTemplate = (optional = false) => {
+  const name = body("name").trim();
+  return [
+    (optional ? name.optional() : name)
+      .isLength({ min: 1, max: 80 })
+      .withMessage("Template name must be between 1 and 80 characters"),
+    body("fields").optional().isObject(),
+    body("job").optional().isMongoId().withMessage("Invalid job ID"),
+  ];
+};
+
+const validateTemplateId = [
+  param("id").isMongoId().withMessage("Invalid template ID"),
+];
+
+router.get("/", getMyTemplates);
+router.post("/", validateTemplate(), createTemplate);
+router.put("/:id", validateTemplateId, validateTemplate(true), updateTemplate);
+router.delete("/:id", validateTemplateId, deleteTemplate);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 // server/routes/jobs.js - Complete Job API Routes
 const express = require("express");
+const { body, param } = require("express-validator");
 const {
   createJob,
   getJob,
@@ -11,20 +12,43 @@ const {
   getRecommendations,
   getJobCategories,
   getTrendingJobs,
+  getCurrencies,
+  getTrendingBySpecialty,
   getJobStatistics,
   trackJobView,
   pauseJob,
   activateJob,
+  scheduleJob,
+  cancelJobSchedule,
+  extendJobDeadline,
+  duplicateJob,
   getJobApplications,
   getJobAnalytics,
 } = require("../controllers/jobController");
+const {
+  inviteDoctors,
+  getJobInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+} = require("../controllers/jobInvitationController");
+const {
+  getPipeline,
+  updatePipeline,
+  getPipelineBoard,
+} = require("../controllers/jobPipelineController");
 
 const {
   protect,
   requireActive,
+  requireEmailVerified,
   requireVerifiedAccount,
-  requireAdmin,
+  requirePermission,
+  optionalAuth,
 } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
+const auditLogService = require("../services/auditLogService");
 
 const {
   canPostJobs,
@@ -46,8 +70,10 @@ const {
   validateJobUpdate,
   validateJobSearch,
   validateJobId,
+  validateJobView,
   validateBulkJobIds,
   validateStatsQuery,
+  validatePipelineUpdate,
 } = require("../middleware/jobValidation");
 
 const router = express.Router();
@@ -57,16 +83,23 @@ const router = express.Router();
 // ======================
 
 // Browse available jobs (public access)
-router.get("/browse", validateJobSearch, browseJobs);
+// Signed-in users also see verified_only and invited_only jobs open to them
+router.get("/browse", optionalAuth, validateJobSearch, browseJobs);
 
 // Advanced job search (public access)
-router.get("/search", searchJobs); // ✅ FIX: Removed validateJobSearch if it's causing issues
+router.get("/search", optionalAuth, searchJobs); // ✅ FIX: Removed validateJobSearch if it's causing issues
 
 // Get job categories and statistics (public access)
 router.get("/categories", getJobCategories);
 
-// Get trending jobs (public access)
-router.get("/trending", getTrendingJobs);
+// Supported currencies and exchange rates (public access)
+router.get("/currencies", optionalAuth, getCurrencies);
+
+// Get trending jobs (public access), optionally for one specialty
+router.get("/trending", optionalAuth, getTrendingJobs);
+
+// Get trending jobs grouped by specialty (public access)
+router.get("/trending/specialties", optionalAuth, getTrendingBySpecialty);
 
 // Get platform job statistics (public access)
 router.get("/statistics", validateStatsQuery, getJobStatistics);
@@ -80,6 +113,7 @@ router.post(
   "/create",
   protect,
   requireActive,
+  requireEmailVerified,
   canPostJobs,
   checkJobPostingLimit,
   validateJobCreation,
@@ -92,12 +126,15 @@ router.get("/my-jobs", protect, canPostJobs, getMyJobs); // ✅ FIX: Moved befor
 // Get personalized job recommendations (junior doctors only)
 router.get("/recommendations", protect, canApplyToJobs, getRecommendations);
 
+// Job invitations sent to the current user (junior doctors only)
+router.get("/invitations/mine", protect, canApplyToJobs, getMyInvitations);
+
 // ======================
 // ROUTES WITH :id PARAMETER (MUST COME AFTER SPECIFIC ROUTES)
 // ======================
 
 // Get specific job details (public but with visibility checks)
-router.get("/:id", validateJobId, getJob); // ✅ FIX: Removed canViewJob if it's causing issues
+router.get("/:id", optionalAuth, validateJobId, getJob); // ✅ FIX: Removed canViewJob if it's causing issues
 
 // ✅ FIX: Add BOTH update endpoints for compatibility
 // Standard REST update
@@ -166,8 +203,157 @@ router.put(
   activateJob
 );
 
+// Schedule a draft to publish later (scheduledPosting feature)
+router.put(
+  "/:id/schedule",
+  protect,
+  requireActive,
+  requireFeature("scheduledPosting"),
+  validateJobId,
+  canManageJob,
+  body("publish_at")
+    .isISO8601()
+    .withMessage("publish_at must be a valid date"),
+  scheduleJob
+);
+
+// Cancel a scheduled publish
+router.delete(
+  "/:id/schedule",
+  protect,
+  requireActive,
+  requireFeature("scheduledPosting"),
+  validateJobId,
+  canManageJob,
+  cancelJobSchedule
+);
+
+// Extend the deadline, reopening jobs closed by expiry
+router.put(
+  "/:id/extend-deadline",
+  protect,
+  requireActive,
+  requireFeature("scheduledPosting"),
+  validateJobId,
+  canManageJob,
+  [
+    body("deadline")
+      .optional()
+      .isISO8601()
+      .withMessage("deadline must be a valid date"),
+    body("days")
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .withMessage("days must be between 1 and 90"),
+  ],
+  extendJobDeadline
+);
+
+// Copy a job into a new draft with a fresh deadline
+router.post(
+  "/:id/duplicate",
+  protect,
+  requireActive,
+  requireEmailVerified,
+  canPostJobs,
+  checkJobPostingLimit,
+  validateJobId,
+  canManageJob,
+  body("deadline")
+    .optional()
+    .isISO8601()
+    .withMessage("deadline must be a valid date"),
+  duplicateJob
+);
+
+// Invite doctors to apply; the only way into invited_only jobs
+router.post(
+  "/:id/invitations",
+  protect,
+  requireActive,
+  validateJobId,
+  canManageJob,
+  [
+    body("doctorIds")
+      .isArray({ min: 1, max: 50 })
+      .withMessage("doctorIds must list 1 to 50 doctors"),
+    body("doctorIds.*").isMongoId().withMessage("Invalid doctor ID"),
+    body("message")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Message cannot exceed 500 characters"),
+  ],
+  inviteDoctors
+);
+
+// Invitations sent for a job
+router.get(
+  "/:id/invitations",
+  protect,
+  validateJobId,
+  canManageJob,
+  getJobInvitations
+);
+
+// Withdraw an invitation
+router.delete(
+  "/:id/invitations/:doctorId",
+  protect,
+  requireActive,
+  validateJobId,
+  canManageJob,
+  param("doctorId").isMongoId().withMessage("Invalid doctor ID"),
+  revokeInvitation
+);
+
+// Invited doctor accepts or declines
+router.post(
+  "/:id/invitation/accept",
+  protect,
+  requireActive,
+  canApplyToJobs,
+  validateJobId,
+  acceptInvitation
+);
+router.post(
+  "/:id/invitation/decline",
+  protect,
+  requireActive,
+  canApplyToJobs,
+  validateJobId,
+  declineInvitation
+);
+
+// Application pipeline (hiring funnel) of a job
+router.get(
+  "/:id/pipeline",
+  protect,
+  validateJobId,
+  canManageJob,
+  getPipeline
+);
+router.put(
+  "/:id/pipeline",
+  protect,
+  requireActive,
+  validateJobId,
+  canManageJob,
+  validatePipelineUpdate,
+  updatePipeline
+);
+
+// Applications grouped by pipeline stage, for the kanban board
+router.get(
+  "/:id/pipeline/board",
+  protect,
+  validateJobId,
+  canManageJob,
+  getPipelineBoard
+);
+
 // Track job view for analytics (public access)
-router.post("/:id/view", validateJobId, trackJobView);
+router.post("/:id/view", optionalAuth, validateJobView, trackJobView);
 
 // Get applications for specific job (employer only)
 router.get(
@@ -271,11 +457,11 @@ router.post(
         });
       }
 
-      // Verify all jobs belong to the user
+      // Verify all jobs belong to the user or their organization
       const Job = require("../models/Job");
       const jobs = await Job.find({
+        ...Job.managedByFilter(req.user),
         _id: { $in: jobIds.slice(0, 20) }, // Limit to 20 jobs
-        posted_by: req.user.id,
       });
 
       if (jobs.length !== Math.min(jobIds.length, 20)) {
@@ -288,8 +474,8 @@ router.post(
       // Update all jobs
       const updateResult = await Job.updateMany(
         {
+          ...Job.managedByFilter(req.user),
           _id: { $in: jobIds.slice(0, 20) },
-          posted_by: req.user.id,
         },
         { status }
       );
@@ -315,8 +501,10 @@ router.post(
 // ADMIN ROUTES
 // ======================
 
+const canModerateJobs = requirePermission(PERMISSIONS.JOBS_MODERATE);
+
 // Get all jobs for admin management
-router.get("/admin/all", protect, requireAdmin, async (req, res) => {
+router.get("/admin/all", protect, canModerateJobs, async (req, res) => {
   try {
     const { page = 1, limit = 20, status, search } = req.query;
     const Job = require("../models/Job");
@@ -359,7 +547,7 @@ router.get("/admin/all", protect, requireAdmin, async (req, res) => {
 router.put(
   "/admin/:id/action",
   protect,
-  requireAdmin,
+  canModerateJobs,
   validateJobId,
   async (req, res) => {
     try {
@@ -378,6 +566,8 @@ router.put(
         });
       }
 
+      const before = { status: job.status, featured: job.featured };
+
       switch (action) {
         case "approve":
           job.status = "active";
@@ -400,6 +590,16 @@ router.put(
 
       await job.save();
 
+      await auditLogService.record(req, {
+        action: `job.${action}`,
+        targetType: "Job",
+        targetId: job._id,
+        targetLabel: job.title,
+        before,
+        after: { status: job.status, featured: job.featured },
+        metadata: { reason, postedBy: job.posted_by?.email },
+      });
+
       res.status(200).json({
         success: true,
         message: `Job ${action}d successfully`,
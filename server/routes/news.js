@@ -1,7 +1,8 @@
 // news.js - News Routes
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
 const { getHealthNews, clearCache } = require("../controllers/newsController");
 
 /**
@@ -16,6 +17,11 @@ router.get("/health", protect, getHealthNews);
  * @desc    Clear news cache (admin utility)
  * @access  Protected (Admin only)
  */
-router.post("/clear-cache", protect, authorize("admin"), clearCache);
+router.post(
+  "/clear-cache",
+  protect,
+  requirePermission(PERMISSIONS.SYSTEM_MANAGE),
+  clearCache
+);
 
 module.exports = router;
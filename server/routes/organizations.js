@@ -0,0 +1,115 @@
+// server/routes/organizations.js - Clinic / Organization Routes
+const express = require("express");
+const { body, param } = require("express-validator");
+const { protect, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
+const {
+  createOrganization,
+  getMyOrganization,
+  updateOrganization,
+  deleteOrganization,
+  inviteMember,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  transferOwnership,
+  removeMember,
+  leaveOrganization,
+} = require("../controllers/organizationController");
+
+const router = express.Router();
+
+router.use(protect);
+
+// Validation middleware
+const validateOrganizationDetails = (optional = false) => {
+  const name = body("name").trim();
+  return [
+    (optional ? name.optional() : name)
+      .isLength({ min: 2, max: 120 })
+      .withMessage("Organization name must be between 2 and 120 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage("Description cannot exceed 2000 characters"),
+    body("website")
+      .optional({ checkFalsy: true })
+      .trim()
+      .isURL()
+      .withMessage("Website must be a valid URL"),
+    body("location.city").optional().trim().isLength({ max: 100 }),
+    body("location.state").optional().trim().isLength({ max: 100 }),
+    body("location.country").optional().trim().isLength({ max: 100 }),
+  ];
+};
+
+const validateInvitation = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+  body("role")
+    .optional()
+    .isIn(["admin", "member"])
+    .withMessage("Role must be admin or member"),
+];
+
+const validateMemberRole = [
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+  body("role")
+    .isIn(["admin", "member"])
+    .withMessage("Role must be admin or member"),
+];
+
+const validateInvitationId = [
+  param("invitationId").isMongoId().withMessage("Invalid invitation ID"),
+];
+
+const validateTransfer = [
+  body("userId").isMongoId().withMessage("Invalid user ID"),
+];
+
+// Organizations post jobs, so they are created by doctors who can post jobs
+router.post(
+  "/",
+  requirePermission(PERMISSIONS.JOBS_CREATE),
+  validateOrganizationDetails(),
+  createOrganization
+);
+
+// Invitations addressed to the current user
+router.get("/invitations", getMyInvitations);
+router.post(
+  "/invitations/:invitationId/accept",
+  validateInvitationId,
+  acceptInvitation
+);
+router.post(
+  "/invitations/:invitationId/decline",
+  validateInvitationId,
+  declineInvitation
+);
+
+// The current user's organization
+router.get("/mine", getMyOrganization);
+router.put("/mine", validateOrganizationDetails(true), updateOrganization);
+router.delete("/mine", deleteOrganization);
+router.post("/mine/leave", leaveOrganization);
+router.put("/mine/owner", validateTransfer, transferOwnership);
+router.post("/mine/invitations", validateInvitation, inviteMember);
+router.delete(
+  "/mine/invitations/:invitationId",
+  validateInvitationId,
+  revokeInvitation
+);
+router.put("/mine/members/:userId/role", validateMemberRole, updateMemberRole);
+router.delete(
+  "/mine/members/:userId",
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+  removeMember
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+// server/routes/payments.js - Payout Accounts & Escrow Routes
+const express = require("express");
+const { query } = require("express-validator");
+const { protect, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
+const {
+  getPayoutAccount,
+  startOnboarding,
+  refreshPayoutAccount,
+  getMyEscrows,
+} = require("../controllers/paymentController");
+
+// POST /webhook is mounted in server.js, before the JSON body parser,
+// because the signature is checked against the raw body
+
+const router = express.Router();
+
+// ============================================================================
+// PROTECTED ROUTES
+// ============================================================================
+
+router.use(protect);
+
+// Payout accounts are for doctors who get hired
+router.get(
+  "/account",
+  requirePermission(PERMISSIONS.JOBS_APPLY),
+  getPayoutAccount
+);
+router.post(
+  "/account/onboarding",
+  requirePermission(PERMISSIONS.JOBS_APPLY),
+  startOnboarding
+);
+router.post(
+  "/account/refresh",
+  requirePermission(PERMISSIONS.JOBS_APPLY),
+  refreshPayoutAccount
+);
+
+// Milestone payments made or received
+router.get(
+  "/escrows",
+  [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  getMyEscrows
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 // server/routes/profile.js - Profile Management Routes
 const express = require("express");
 const { body, query, param } = require("express-validator");
+const { SUPPORTED_CURRENCIES } = require("../utils/currency");
 
 const {
   protect,
@@ -28,6 +29,9 @@ const {
   updatePrivacy,
   searchProfiles,
   getAnalytics,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
 } = require("../controllers/profileController");
 
 const router = express.Router();
@@ -130,6 +134,10 @@ const validateBasicProfile = [
     .optional()
     .isInt({ min: 1, max: 10 })
     .withMessage("Max simultaneous projects must be between 1 and 10"),
+  body("job_preferences.preferred_currency")
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage("Unsupported currency"),
 ];
 
 const validateExperience = [
@@ -372,6 +380,16 @@ router.use(protect); // All routes below require authentication
 router.get("/me", checkAccountStatus, getMyProfile);
 router.put("/basic", validateBasicProfile, updateBasicProfile);
 
+// Personal data export (GDPR/HIPAA access requests). GET /export starts an
+// export, or returns the one in progress or still downloadable
+router.get("/export", requestDataExport);
+router.get("/export/latest", getDataExport);
+router.get(
+  "/export/:exportId/download",
+  param("exportId").isMongoId().withMessage("Invalid export ID"),
+  downloadDataExport
+);
+
 // Document management (pending users need to upload documents for verification)
 router.post("/documents", uploadDocuments);
 router.delete(
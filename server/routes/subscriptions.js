@@ -1,7 +1,12 @@
 // server/routes/subscriptions.js - Subscription Management Routes
 const express = require("express");
 const { body, query, param } = require("express-validator");
-const { protect, requireActive, requireAdmin } = require("../middleware/auth");
+const {
+  protect,
+  requireActive,
+  requirePermission,
+} = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
 
 const {
   createCheckoutSession,
@@ -144,7 +149,7 @@ router.get(
 // Admin: Sync subscription with Stripe
 router.post(
   "/admin/sync",
-  requireAdmin,
+  requirePermission(PERMISSIONS.BILLING_MANAGE),
   body("userId").isMongoId().withMessage("Invalid user ID"),
   syncSubscriptionWithStripe
 );
@@ -371,7 +371,14 @@ const seedUsers = async () => {
       },
     ];
 
-    const createdUsers = await User.insertMany(users);
+    // Seed accounts skip the email confirmation step
+    const createdUsers = await User.insertMany(
+      users.map((user) => ({
+        ...user,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      }))
+    );
     console.log(`✅ Created ${createdUsers.length} users`);
     return createdUsers;
   } catch (error) {
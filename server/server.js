@@ -6,6 +6,7 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
+const cookieParser = require("cookie-parser");
 
 // Load environment-specific .env file
 const path = require("path");
@@ -146,6 +147,8 @@ app.use(
         ? process.env.CLIENT_URL || "https://your-production-domain.com"
         : "http://localhost:3000",
     credentials: true,
+    // Lets the admin dashboard warn when an audit CSV export was capped
+    exposedHeaders: ["X-Audit-Export-Truncated"],
   })
 );
 
@@ -162,6 +165,8 @@ const generalLimiter = rateLimit({
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10, // limit each IP to 10 auth requests per windowMs
+  // Silent token refreshes happen on every page load and are not login attempts
+  skip: (req) => req.path === "/refresh",
   message: {
     success: false,
     message: "Too many authentication attempts, please try again later.",
@@ -206,12 +211,22 @@ app.post(
   subscriptionRoutes
 );
 
+// Milestone escrow webhooks (funding and payout accounts)
+// Mounted directly: the payments router requires authentication
+const paymentController = require("./controllers/paymentController");
+app.post(
+  "/api/payments/webhook",
+  express.raw({ type: "application/json" }),
+  paymentController.handleWebhook
+);
+
 // ============================================================================
 // REGULAR BODY PARSING (Keep existing setup)
 // ============================================================================
 
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // MongoDB connection with enhanced options
 mongoose
@@ -246,6 +261,8 @@ mongoose
           password: "Admin@123", // Will be hashed automatically by pre-save hook
           role: "admin",
           accountStatus: "active",
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
           medicalLicenseNumber: "ADMIN-000000", // Required field
           licenseState: "System", // Required field
           primarySpecialty: "Administration", // Required field
@@ -274,6 +291,39 @@ mongoose
       // Don't exit - let the app continue even if admin creation fails
     }
     // ============================================
+
+    // Anonymise accounts whose deletion grace period has ended
+    require("./services/accountDeletionService").start();
+
+    // Publish scheduled drafts and expire jobs past their deadline
+    require("./services/jobSchedulerService").start();
+
+    // Daily digests of saved job alerts
+    require("./services/jobAlertService").start();
+
+    // Periodically recompute cached trending job scores
+    require("./services/trendingService").start();
+
+    // Keep cached match scores in step with jobs and doctor profiles
+    require("./services/matchIndexService").start();
+
+    // Flag contract milestones that are past their due date
+    require("./services/contractService").start();
+
+    // Retry milestone payouts and check unpaid escrow checkouts
+    require("./services/paymentService").start();
+
+    // Backfill budget.normalized_amount and apply the current CURRENCY_RATES
+    require("./models/Job")
+      .refreshNormalizedBudgets()
+      .then((updated) => {
+        if (updated > 0) {
+          console.log(`💱 Normalized budgets updated for ${updated} job(s)`);
+        }
+      })
+      .catch((error) =>
+        console.error("❌ Budget normalization error:", error.message)
+      );
   })
   .catch((err) => {
     console.error("❌ MongoDB connection failed:", err.message);
@@ -432,6 +482,10 @@ const messageRoutes = require("./routes/messages");
 const notificationRoutes = require("./routes/notifications");
 const newsRoutes = require("./routes/news");
 const appointmentRoutes = require("./routes/appointments");
+const organizationRoutes = require("./routes/organizations");
+const jobAlertRoutes = require("./routes/jobAlerts");
+const jobTemplateRoutes = require("./routes/jobTemplates");
+const paymentRoutes = require("./routes/payments");
 
 // ============================================================================
 // MOUNT SUBSCRIPTION ROUTES (Add with other routes)
@@ -450,6 +504,10 @@ app.use("/api/messages", messageRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/news", newsRoutes);
 app.use("/api/appointments", appointmentRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/job-alerts", jobAlertRoutes);
+app.use("/api/job-templates", jobTemplateRoutes);
+app.use("/api/payments", paymentRoutes);
 
 // 404 handler for API routes
 app.all(/^\/api\/.*$/, (req, res) => {
@@ -470,6 +528,9 @@ app.all(/^\/api\/.*$/, (req, res) => {
       "/api/notifications/*",
       "/api/news/*",
       "/api/appointments/*",
+      "/api/organizations/*",
+      "/api/job-alerts/*",
+      "/api/job-templates/*",
     ],
   });
 });
@@ -0,0 +1,418 @@
+// server/services/accountDeletionService.js
+const crypto = require("crypto");
+const fs = require("fs");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const LoginEvent = require("../models/LoginEvent");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const Notification = require("../models/Notification");
+const DataExport = require("../models/DataExport");
+const Application = require("../models/Application");
+const Appointment = require("../models/Appointment");
+const Job = require("../models/Job");
+const Organization = require("../models/Organization");
+const JobAlert = require("../models/JobAlert");
+const JobTemplate = require("../models/JobTemplate");
+const MatchScore = require("../models/MatchScore");
+const cloudinary = require("../config/cloudinary");
+const mailService = require("./mailService");
+const auditLogService = require("./auditLogService");
+const {
+  cancelSubscriptionForUser,
+  resumeSubscriptionForUser,
+} = require("../controllers/subscriptionController");
+
+const REMOVED_MESSAGE = "[Message removed - account deleted]";
+
+// Marks the subscription cancellations this service makes and may undo
+const DELETION_CANCEL_REASON = "Account deletion requested";
+
+// Applications that are still open when the applicant leaves
+const OPEN_APPLICATION_STATUSES = [
+  "draft",
+  "submitted",
+  "under_review",
+  "shortlisted",
+  "interview_scheduled",
+];
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Account Deletion Service
+ * Self-service account closure. A deletion request deactivates the account
+ * for ACCOUNT_DELETION_GRACE_DAYS; signing in again during that period
+ * cancels it. Once the grace period has passed the account is anonymised:
+ * personal data and uploaded files are removed, while records other users
+ * or the business rely on (applications, invoices, appointments, reviews
+ * left on other profiles) are kept and point to an anonymous "Deleted User".
+ */
+class AccountDeletionService {
+  constructor() {
+    this.graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    this.timer = null;
+  }
+
+  /**
+   * Start the grace period for a user's account
+   * @param {User} user - User document
+   * @param {Object} options - { reason }
+   * @returns {Date} When the account will be anonymised
+   */
+  async scheduleDeletion(user, { reason } = {}) {
+    const scheduledFor = new Date(
+      Date.now() + this.graceDays * 24 * 60 * 60 * 1000
+    );
+
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor,
+      reason: reason ? String(reason).slice(0, 500) : undefined,
+      previousStatus: user.accountStatus,
+    };
+    user.accountStatus = "inactive";
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id, "account_deletion");
+
+    // Stop renewals now; access lasts until the end of the paid period
+    try {
+      await cancelSubscriptionForUser(user._id, {
+        reason: DELETION_CANCEL_REASON,
+      });
+    } catch (error) {
+      console.error("Error cancelling subscription for deletion:", error);
+    }
+
+    await mailService
+      .sendAccountDeletionEmail(user, scheduledFor)
+      .catch((error) =>
+        console.error("Error sending account deletion email:", error.message)
+      );
+
+    console.log(
+      `🗑️ Account deletion scheduled for ${user.email} on ${scheduledFor.toISOString()}`
+    );
+    return scheduledFor;
+  }
+
+  /**
+   * Abort a pending deletion and restore the account
+   * @param {User} user - User document
+   * @returns {Boolean} Whether a deletion was cancelled
+   */
+  async cancelDeletion(user) {
+    if (!user.isPendingDeletion) {
+      return false;
+    }
+
+    user.accountStatus = user.deletion.previousStatus || "active";
+    user.deletion = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await resumeSubscriptionForUser(user._id, {
+        reason: DELETION_CANCEL_REASON,
+      });
+    } catch (error) {
+      console.error("Error resuming subscription after cancellation:", error);
+    }
+
+    await auditLogService.record(null, {
+      action: "account.deletion_cancel",
+      actor: user,
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+    });
+
+    console.log(`↩️ Account deletion cancelled for ${user.email}`);
+    return true;
+  }
+
+  /**
+   * Anonymise every account whose grace period has ended
+   * @returns {Number} Number of accounts anonymised
+   */
+  async purgeDueAccounts() {
+    const due = await User.find({
+      "deletion.scheduledFor": { $lte: new Date() },
+      "deletion.completedAt": { $exists: false },
+    }).select("_id");
+
+    let purged = 0;
+    for (const { _id } of due) {
+      try {
+        await this.anonymiseUser(_id);
+        purged++;
+      } catch (error) {
+        console.error(`❌ Failed to anonymise account ${_id}:`, error);
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Remove personal data while keeping records that must be retained
+   * @param {ObjectId} userId
+   */
+  async anonymiseUser(userId) {
+    const user = await User.findById(userId);
+
+    if (!user || user.deletion?.completedAt) {
+      return;
+    }
+
+    await this.removeUploadedFiles(user);
+
+    // Subscription must not renew for an account nobody can sign in to
+    try {
+      await cancelSubscriptionForUser(userId, {
+        immediately: true,
+        reason: "Account deleted",
+      });
+    } catch (error) {
+      console.error("Error cancelling subscription for deleted account:", error);
+    }
+
+    // Messages stay in the other participant's history without their content
+    await Message.updateMany(
+      { sender: userId },
+      {
+        $set: { content: REMOVED_MESSAGE, messageType: "text" },
+        $unset: { fileUrl: "", fileName: "", fileSize: "" },
+      }
+    );
+    await Conversation.updateMany(
+      { "lastMessage.sender": userId },
+      { $set: { "lastMessage.content": REMOVED_MESSAGE } }
+    );
+
+    // Reviews left on other profiles keep their rating but lose their text
+    await User.updateMany(
+      { "reviews.reviewer": userId },
+      {
+        $set: {
+          "reviews.$[review].title": "Review by a deleted user",
+          "reviews.$[review].comment": "This reviewer has deleted their account.",
+        },
+      },
+      { arrayFilters: [{ "review.reviewer": userId }] }
+    );
+    await User.updateMany(
+      { "reviews.helpful": userId },
+      { $pull: { "reviews.$[].helpful": userId } }
+    );
+
+    // Retained records: applications, jobs, appointments and invoices are
+    // kept for the other party and for accounting, but nothing stays open
+    await Application.updateMany(
+      { applicant_id: userId, status: { $in: OPEN_APPLICATION_STATUSES } },
+      { $set: { status: "withdrawn", stage: null } }
+    );
+    await Job.updateMany(
+      { posted_by: userId, status: { $in: ["draft", "active", "paused"] } },
+      { $set: { status: "closed" } }
+    );
+    await Job.updateMany(
+      { "invitations.doctor": userId },
+      { $pull: { invitations: { doctor: userId } } }
+    );
+    await Appointment.updateMany(
+      {
+        $or: [{ doctorInitiator: userId }, { doctorInvitee: userId }],
+        status: { $in: ["pending", "confirmed"] },
+        startTime: { $gt: new Date() },
+      },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledBy: userId,
+          cancellationReason: "Participant deleted their account",
+          cancelledAt: new Date(),
+        },
+      }
+    );
+
+    if (user.organization) {
+      await this.leaveOrganization(user);
+    }
+
+    // Data that only ever concerned this user
+    const dataExports = await DataExport.find({ user: userId }).select("+filePath");
+    for (const dataExport of dataExports) {
+      if (dataExport.filePath) {
+        await fs.promises.rm(dataExport.filePath, { force: true });
+      }
+    }
+    await Promise.all([
+      DataExport.deleteMany({ user: userId }),
+      Notification.deleteMany({ recipient: userId }),
+      Session.deleteMany({ user: userId }),
+      LoginEvent.deleteMany({ user: userId }),
+      JobAlert.deleteMany({ user: userId }),
+      JobTemplate.deleteMany({ user: userId }),
+      MatchScore.deleteMany({ doctor: userId }),
+    ]);
+
+    // updateOne bypasses the save hooks (slug regeneration, password hashing)
+    // and the required-field validation that no longer applies
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          firstName: "Deleted",
+          lastName: "User",
+          email: `deleted-${userId}@deleted.doconnect.invalid`,
+          phone: "0000000000",
+          password: crypto.randomBytes(32).toString("hex"),
+          medicalLicenseNumber: `DELETED-${userId}`,
+          licenseState: "N/A",
+          slug: `deleted-user-${userId}`,
+          accountStatus: "deleted",
+          "onlineStatus.status": "offline",
+          subspecialties: [],
+          languages: [],
+          experiences: [],
+          certifications: [],
+          skills: [],
+          documents: [],
+          reviews: [],
+          searchKeywords: [],
+          featuredProfile: false,
+          organization: null,
+          "deletion.completedAt": new Date(),
+        },
+        $unset: {
+          profilePhoto: "",
+          bio: "",
+          location: "",
+          "medicalSchool.name": "",
+          "medicalSchool.location": "",
+          "deletion.reason": "",
+          socketId: "",
+          twoFactor: "",
+          resetPasswordToken: "",
+          resetPasswordExpire: "",
+          emailVerificationToken: "",
+          emailVerificationExpire: "",
+          lockUntil: "",
+        },
+      }
+    );
+
+    // Recorded by the system; the label no longer identifies the person
+    await auditLogService.record(null, {
+      action: "account.anonymise",
+      targetType: "User",
+      targetId: userId,
+      targetLabel: `deleted-${userId}`,
+      metadata: { requestedAt: user.deletion?.requestedAt },
+    });
+
+    console.log(`🗑️ Account ${userId} anonymised`);
+  }
+
+  /**
+   * Remove a deleted user from their organization
+   * An organization owned by the user alone is dissolved; otherwise the
+   * longest-standing admin (or member) becomes the new owner.
+   * @param {User} user - User document
+   */
+  async leaveOrganization(user) {
+    const organization = await Organization.findById(user.organization);
+
+    if (!organization) {
+      return;
+    }
+
+    const remaining = organization.members.filter(
+      (member) => String(member.user) !== String(user._id)
+    );
+
+    if (remaining.length === 0) {
+      await Job.updateMany(
+        { organization: organization._id },
+        { $set: { organization: null } }
+      );
+      await Organization.deleteOne({ _id: organization._id });
+      return;
+    }
+
+    if (organization.getRole(user._id) === "owner") {
+      const successor =
+        remaining
+          .filter((member) => member.role === "admin")
+          .sort((a, b) => a.joinedAt - b.joinedAt)[0] ||
+        [...remaining].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+
+      successor.role = "owner";
+      organization.owner = successor.user;
+    }
+
+    organization.members = remaining;
+    await organization.save();
+  }
+
+  /**
+   * Delete the profile photo and documents from Cloudinary
+   * Failures are logged and do not stop the anonymisation.
+   * @param {User} user - User document
+   */
+  async removeUploadedFiles(user) {
+    // PDFs are uploaded as raw files, which destroy() only finds when asked
+    // for that resource type
+    const files = [
+      { publicId: user.profilePhoto?.publicId, resourceType: "image" },
+      ...(user.documents || []).map((document) => ({
+        publicId: document.publicId,
+        resourceType:
+          document.mimeType === "application/pdf" ? "raw" : "image",
+      })),
+    ].filter((file) => file.publicId);
+
+    for (const { publicId, resourceType } of files) {
+      try {
+        const result = await cloudinary.uploader.destroy(publicId, {
+          resource_type: resourceType,
+        });
+        if (result?.result !== "ok") {
+          console.error(
+            `Cloudinary deletion of ${publicId} returned: ${result?.result}`
+          );
+        }
+      } catch (error) {
+        console.error(`Cloudinary deletion error for ${publicId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Run purgeDueAccounts every hour
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () =>
+      this.purgeDueAccounts()
+        .then((count) => {
+          if (count > 0) {
+            console.log(`🗑️ Anonymised ${count} deleted account(s)`);
+          }
+        })
+        .catch((error) =>
+          console.error("❌ Account deletion purge error:", error)
+        );
+
+    run();
+    this.timer = setInterval(run, PURGE_INTERVAL_MS);
+    this.timer.unref();
+  }
+}
+
+// Export singleton instance
+module.exports = new AccountDeletionService();
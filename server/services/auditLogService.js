@@ -0,0 +1,255 @@
+// server/services/auditLogService.js
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+// Rows per CSV export; larger reviews should narrow the date range
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  ["timestamp", (log) => new Date(log.createdAt).toISOString()],
+  ["actorName", (log) => log.actorName],
+  ["actorEmail", (log) => log.actorEmail],
+  ["actorRole", (log) => log.actorRole],
+  ["action", (log) => log.action],
+  ["targetType", (log) => log.targetType],
+  ["targetId", (log) => log.targetId],
+  ["targetLabel", (log) => log.targetLabel],
+  [
+    "changes",
+    (log) =>
+      (log.changes || [])
+        .map(
+          (change) =>
+            `${change.field}: ${formatValue(change.before)} -> ${formatValue(
+              change.after
+            )}`
+        )
+        .join("; "),
+  ],
+  ["metadata", (log) => (log.metadata ? JSON.stringify(log.metadata) : "")],
+  ["ipAddress", (log) => log.ipAddress],
+  ["userAgent", (log) => log.userAgent],
+];
+
+const formatValue = (value) =>
+  value === undefined || value === null ? "(empty)" : JSON.stringify(value);
+
+// Quote a CSV field and neutralise spreadsheet formula injection
+const escapeCsv = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Flatten a plain object into dotted paths
+ * @param {Object} value
+ * @param {String} prefix
+ * @returns {Object} { "a.b": 1, ... }
+ */
+const flatten = (value, prefix = "") => {
+  const result = {};
+
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (
+      child &&
+      typeof child === "object" &&
+      !Array.isArray(child) &&
+      !(child instanceof Date) &&
+      !mongoose.isValidObjectId(child)
+    ) {
+      Object.assign(result, flatten(child, path));
+    } else {
+      result[path] = child;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Audit Log Service
+ * Append-only trail of admin and security-sensitive actions. Controllers
+ * call record() after a change has been saved; entries can be browsed and
+ * exported as CSV from the admin dashboard.
+ */
+class AuditLogService {
+  /**
+   * Compare two snapshots and list the fields that changed
+   * @param {Object} before - Plain object before the change
+   * @param {Object} after - Plain object after the change
+   * @returns {Array} [{ field, before, after }]
+   */
+  diff(before = {}, after = {}) {
+    const flatBefore = flatten(before);
+    const flatAfter = flatten(after);
+    const fields = new Set([
+      ...Object.keys(flatBefore),
+      ...Object.keys(flatAfter),
+    ]);
+
+    return [...fields]
+      .filter(
+        (field) =>
+          JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field])
+      )
+      .map((field) => ({
+        field,
+        before: flatBefore[field],
+        after: flatAfter[field],
+      }));
+  }
+
+  /**
+   * Append an entry to the audit log
+   * Recording never fails the action being audited; errors are logged.
+   * @param {Object} req - Express request; req.user is the actor
+   * @param {Object} entry - { action, targetType, targetId, targetLabel, before, after, changes, metadata, actor }
+   *   actor overrides req.user, e.g. on public routes such as password reset
+   * @returns {AuditLog|null}
+   */
+  async record(req, entry) {
+    const actor = entry.actor || req?.user;
+    const {
+      action,
+      targetType,
+      targetId,
+      targetLabel,
+      before,
+      after,
+      changes,
+      metadata,
+    } = entry;
+
+    try {
+      return await AuditLog.create({
+        actor: actor?._id,
+        actorName: actor ? `${actor.firstName} ${actor.lastName}` : "System",
+        actorEmail: actor?.email,
+        actorRole: actor ? actor.adminRole || actor.role : "system",
+        action,
+        targetType,
+        targetId,
+        targetLabel,
+        changes: changes || (before || after ? this.diff(before, after) : []),
+        metadata,
+        ipAddress: req?.ip,
+        userAgent: req ? (req.get("user-agent") || "").slice(0, 500) : undefined,
+      });
+    } catch (error) {
+      console.error(`❌ Failed to write audit log (${action}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build a MongoDB filter from audit viewer query parameters
+   * @param {Object} filters - { action, actor, targetType, targetId, search, from, to }
+   * @returns {Object}
+   */
+  buildFilter({ action, actor, targetType, targetId, search, from, to } = {}) {
+    const filter = {};
+
+    if (action) {
+      // "verification" matches every verification.* action
+      filter.action = action.includes(".")
+        ? action
+        : { $regex: `^${escapeRegex(action)}(\\.|$)` };
+    }
+    if (actor && mongoose.isValidObjectId(actor)) {
+      filter.actor = actor;
+    }
+    if (targetType) {
+      filter.targetType = targetType;
+    }
+    if (targetId && mongoose.isValidObjectId(targetId)) {
+      filter.targetId = targetId;
+    }
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: "i" };
+      filter.$or = [
+        { actorEmail: pattern },
+        { actorName: pattern },
+        { targetLabel: pattern },
+      ];
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    return filter;
+  }
+
+  /**
+   * Page through entries, newest first
+   * @param {Object} filters - See buildFilter
+   * @param {Object} pagination - { page, limit }
+   * @returns {Object} { logs, pagination }
+   */
+  async list(filters, { page = 1, limit = 50 } = {}) {
+    const filter = this.buildFilter(filters);
+    const skip = (page - 1) * limit;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Distinct action names, for the viewer's filter dropdown
+   * @returns {String[]}
+   */
+  async getActions() {
+    return (await AuditLog.distinct("action")).sort();
+  }
+
+  /**
+   * Render matching entries as CSV
+   * @param {Object} filters - See buildFilter
+   * @returns {Object} { csv, count, truncated }
+   */
+  async exportCsv(filters) {
+    const logs = await AuditLog.find(this.buildFilter(filters))
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS + 1)
+      .lean();
+
+    const truncated = logs.length > MAX_EXPORT_ROWS;
+    const rows = logs.slice(0, MAX_EXPORT_ROWS);
+
+    const csv = [
+      CSV_COLUMNS.map(([name]) => name).join(","),
+      ...rows.map((log) =>
+        CSV_COLUMNS.map(([, getValue]) => escapeCsv(getValue(log))).join(",")
+      ),
+    ].join("\r\n");
+
+    return { csv, count: rows.length, truncated };
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditLogService();
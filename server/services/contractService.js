@@ -0,0 +1,575 @@
+// server/services/contractService.js
+const Application = require("../models/Application");
+const Job = require("../models/Job");
+const notificationService = require("../utils/notificationService");
+const paymentService = require("./paymentService");
+
+// Agreed milestones that are still waiting for work
+const OPEN_STATUSES = ["pending", "in_progress", "revision_requested"];
+
+// Milestones that count towards the contract total
+const ACTIVE_STATUSES = [
+  "proposed",
+  ...OPEN_STATUSES,
+  "submitted",
+  "completed",
+  "overdue",
+];
+
+// Agreed milestones that are not done yet; these can be funded
+const FUNDABLE_STATUSES = [...OPEN_STATUSES, "submitted", "overdue"];
+
+const PARTY_LABELS = {
+  employer: "The employer",
+  applicant: "The doctor",
+};
+
+/**
+ * Contract Service
+ * Milestone contracts between the poster of a job and the doctor they hired.
+ * Either party proposes a milestone and the other countersigns or declines
+ * it. The employer funds agreed milestones through services/paymentService.js.
+ * The doctor starts work and submits it; the employer approves the
+ * submission, which releases the funds, or asks for a revision. Every
+ * CONTRACT_OVERDUE_INTERVAL_MINUTES agreed milestones past their due date
+ * that have not been handed in are marked overdue.
+ */
+class ContractService {
+  constructor() {
+    this.intervalMs =
+      (parseInt(process.env.CONTRACT_OVERDUE_INTERVAL_MINUTES) || 15) *
+      60 *
+      1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Side of the contract a user is on. A user on both sides is on neither:
+   * they could approve and pay for their own work.
+   * @param {Application} application - With job_id populated
+   * @param {User} user
+   * @returns {String|null} "employer", "applicant" or null
+   */
+  partyOf(application, user) {
+    const applicantId =
+      application.applicant_id?._id || application.applicant_id;
+    const isApplicant = String(applicantId) === String(user._id || user.id);
+    const isEmployer = Job.isManagedBy(application.job_id, user);
+
+    if (isApplicant && isEmployer) return null;
+    if (isEmployer) return "employer";
+    return isApplicant ? "applicant" : null;
+  }
+
+  /**
+   * Agreed amounts, payments and milestone counts of a contract
+   * @param {Application} application
+   * @returns {Object}
+   */
+  summary(application) {
+    const milestones = application.contract_details?.milestones || [];
+    const agreed = milestones.filter(
+      (milestone) => !["proposed", "cancelled"].includes(milestone.status)
+    );
+    const agreedTotal = agreed.reduce((sum, m) => sum + m.amount, 0);
+    const amountPaid = application.payment_details?.amount_paid || 0;
+
+    const byStatus = {};
+    milestones.forEach((milestone) => {
+      byStatus[milestone.status] = (byStatus[milestone.status] || 0) + 1;
+    });
+
+    return {
+      agreed_budget: application.contract_details?.agreed_budget ?? null,
+      agreed_total: agreedTotal,
+      amount_paid: amountPaid,
+      amount_remaining: Math.max(agreedTotal - amountPaid, 0),
+      milestones: byStatus,
+    };
+  }
+
+  /**
+   * Add a milestone proposal without saving; signed by the proposer
+   * @param {Application} application - Accepted application
+   * @param {String} party - "employer" or "applicant"
+   * @param {Object} data - { description, due_date, amount }
+   * @returns {Object} The new milestone
+   */
+  addProposal(application, party, { description, due_date, amount }) {
+    if (application.status !== "accepted") {
+      throw this.error("Milestones can only be added to an active contract");
+    }
+
+    const dueDate = new Date(due_date);
+    if (!(dueDate > new Date())) {
+      throw this.error("Milestone due date must be in the future");
+    }
+
+    const budget = application.contract_details?.agreed_budget;
+    if (budget != null) {
+      const committed = application.contract_details.milestones
+        .filter((milestone) => ACTIVE_STATUSES.includes(milestone.status))
+        .reduce((sum, milestone) => sum + milestone.amount, 0);
+      if (committed + amount > budget) {
+        throw this.error(
+          `Milestones would total ${committed + amount}, above the agreed budget of ${budget}`
+        );
+      }
+    }
+
+    const now = new Date();
+    application.contract_details.milestones.push({
+      description,
+      due_date: dueDate,
+      amount,
+      status: "proposed",
+      proposed_by: party,
+      signatures: { [party]: now },
+    });
+
+    const milestones = application.contract_details.milestones;
+    return milestones[milestones.length - 1];
+  }
+
+  /**
+   * Propose a milestone
+   * @param {Application} application - With job_id populated
+   * @param {String} party
+   * @param {Object} data - { description, due_date, amount }
+   * @returns {Object} The new milestone
+   */
+  async proposeMilestone(application, party, data) {
+    const milestone = this.addProposal(application, party, data);
+    await this.record(
+      application,
+      party,
+      milestone,
+      "proposed",
+      `${PARTY_LABELS[party]} proposed milestone "${
+        milestone.description
+      }" (${milestone.amount}, due ${milestone.due_date.toDateString()})`
+    );
+    return milestone;
+  }
+
+  /**
+   * Countersign a milestone the other party proposed
+   * @returns {Object} The agreed milestone
+   */
+  async signMilestone(application, party, milestoneId) {
+    const milestone = this.findMilestone(application, milestoneId, [
+      "proposed",
+    ]);
+    if (milestone.proposed_by === party) {
+      throw this.error("The other party has to countersign this milestone");
+    }
+
+    const now = new Date();
+    milestone.signatures[party] = now;
+    milestone.status = "pending";
+
+    const { contract_details, payment_details } = application;
+    if (!contract_details.signed_date) {
+      contract_details.signed_date = now;
+    }
+    payment_details.payment_schedule.push({
+      milestone: milestone._id,
+      amount: milestone.amount,
+      due_date: milestone.due_date,
+      paid: false,
+    });
+    payment_details.total_amount = this.summary(application).agreed_total;
+
+    await this.record(
+      application,
+      party,
+      milestone,
+      "signed",
+      `Milestone "${milestone.description}" agreed by both parties`
+    );
+    return milestone;
+  }
+
+  /**
+   * Decline a proposal, or withdraw one's own
+   * @returns {Object} The cancelled milestone
+   */
+  async declineMilestone(application, party, milestoneId, { reason } = {}) {
+    const milestone = this.findMilestone(application, milestoneId, [
+      "proposed",
+    ]);
+    milestone.status = "cancelled";
+    milestone.cancelled_at = new Date();
+    if (reason) milestone.notes = reason;
+
+    const verb = milestone.proposed_by === party ? "withdrew" : "declined";
+    await this.record(
+      application,
+      party,
+      milestone,
+      "declined",
+      `${PARTY_LABELS[party]} ${verb} milestone "${milestone.description}"${
+        reason ? `: ${reason}` : ""
+      }`
+    );
+    return milestone;
+  }
+
+  /**
+   * Doctor starts work on an agreed milestone
+   * @returns {Object} The milestone
+   */
+  async startMilestone(application, party, milestoneId) {
+    this.requireParty(party, "applicant", "Only the doctor can start work");
+    const milestone = this.findMilestone(application, milestoneId, [
+      "pending",
+      "overdue",
+    ]);
+    if (milestone.started_at) {
+      throw this.error("Work on this milestone has already started");
+    }
+
+    milestone.started_at = new Date();
+    // Overdue milestones stay overdue until the work is handed in
+    if (milestone.status === "pending") {
+      milestone.status = "in_progress";
+    }
+
+    await this.record(
+      application,
+      party,
+      milestone,
+      "started",
+      `Work started on milestone "${milestone.description}"`
+    );
+    return milestone;
+  }
+
+  /**
+   * Doctor hands in work for review
+   * @param {Object} work - { message, attachments }
+   * @returns {Object} The milestone
+   */
+  async submitMilestone(application, party, milestoneId, work) {
+    this.requireParty(party, "applicant", "Only the doctor can submit work");
+    const milestone = this.findMilestone(application, milestoneId, [
+      "in_progress",
+      "revision_requested",
+      "overdue",
+    ]);
+    if (!milestone.started_at) {
+      throw this.error("Start the milestone before submitting work");
+    }
+
+    milestone.submissions.push({
+      message: work.message,
+      attachments: work.attachments || [],
+    });
+    milestone.status = "submitted";
+
+    await this.record(
+      application,
+      party,
+      milestone,
+      "submitted",
+      `Work submitted for milestone "${milestone.description}"`
+    );
+    return milestone;
+  }
+
+  /**
+   * Employer approves the latest submission; its escrow is released to the
+   * doctor
+   * @param {Object} review - { feedback }
+   * @param {User} reviewer
+   * @returns {Object} The milestone
+   */
+  async approveMilestone(application, party, milestoneId, review, reviewer) {
+    this.requireParty(party, "employer", "Only the employer can approve work");
+    const milestone = this.findMilestone(application, milestoneId, [
+      "submitted",
+    ]);
+    const funded = await paymentService.findFunded(application, milestone);
+    if (!funded) {
+      throw this.error("Fund this milestone before approving it");
+    }
+    // Fails when a refund took the money first; nothing is saved then
+    const escrow = await paymentService.requestRelease(funded);
+
+    const now = new Date();
+    this.reviewLatest(milestone, "approved", review, reviewer, now);
+    milestone.status = "completed";
+    milestone.completed_date = now;
+
+    await this.record(
+      application,
+      party,
+      milestone,
+      "approved",
+      `Milestone "${milestone.description}" approved`
+    );
+    // The payment is booked on the application once the money is sent
+    if (await paymentService.transfer(escrow)) {
+      const paid = await Application.findById(application._id).select(
+        "payment_details"
+      );
+      application.payment_details = paid.payment_details;
+    }
+    return milestone;
+  }
+
+  /**
+   * Employer puts the money for an agreed milestone in escrow
+   * @param {Object} input - Unused
+   * @param {User} payer
+   * @returns {Object} { escrow, url } - url is the provider's checkout,
+   *   null when the milestone was funded at once
+   */
+  async fundMilestone(application, party, milestoneId, input, payer) {
+    this.requireParty(party, "employer", "Only the employer can fund work");
+    const milestone = this.findMilestone(
+      application,
+      milestoneId,
+      FUNDABLE_STATUSES
+    );
+
+    return paymentService.fundMilestone(
+      application,
+      milestone,
+      payer,
+      application.job_id.budget?.currency || "USD"
+    );
+  }
+
+  /**
+   * Refund a funded milestone to the employer and cancel it. The doctor
+   * and moderators can refund at any time before approval, the employer
+   * only while work has not started.
+   * @param {String|null} party - null for moderators
+   * @param {Object} input - { reason }
+   * @param {User} user
+   * @returns {Object} The cancelled milestone
+   */
+  async refundMilestone(application, party, milestoneId, { reason }, user) {
+    const milestone = this.findMilestone(
+      application,
+      milestoneId,
+      FUNDABLE_STATUSES
+    );
+    if (party === "employer" && milestone.started_at) {
+      throw this.error(
+        "Work has started; ask the doctor or a moderator for a refund",
+        403
+      );
+    }
+
+    const escrow = await paymentService.findFunded(application, milestone);
+    if (!escrow) {
+      throw this.error("This milestone has no funds to refund");
+    }
+    await paymentService.refund(escrow, user, reason);
+
+    milestone.status = "cancelled";
+    milestone.cancelled_at = new Date();
+    milestone.notes = reason;
+
+    const { payment_details } = application;
+    payment_details.payment_schedule = payment_details.payment_schedule.filter(
+      (item) => String(item.milestone) !== String(milestone._id)
+    );
+    payment_details.total_amount = this.summary(application).agreed_total;
+
+    // The payment service already told both parties about the refund
+    await application.save();
+    return milestone;
+  }
+
+  /**
+   * Employer sends the latest submission back
+   * @param {Object} review - { feedback }
+   * @param {User} reviewer
+   * @returns {Object} The milestone
+   */
+  async requestRevision(application, party, milestoneId, review, reviewer) {
+    this.requireParty(
+      party,
+      "employer",
+      "Only the employer can request a revision"
+    );
+    const milestone = this.findMilestone(application, milestoneId, [
+      "submitted",
+    ]);
+
+    this.reviewLatest(milestone, "revision_requested", review, reviewer);
+    milestone.status =
+      milestone.due_date < new Date() ? "overdue" : "revision_requested";
+
+    await this.record(
+      application,
+      party,
+      milestone,
+      "revision_requested",
+      `Revision requested for milestone "${milestone.description}": ${review.feedback}`
+    );
+    return milestone;
+  }
+
+  /**
+   * Mark agreed milestones past their due date as overdue and tell both
+   * parties
+   * @returns {Number} Number of milestones marked overdue
+   */
+  async markOverdueMilestones() {
+    const now = new Date();
+    const applications = await Application.find({
+      "contract_details.milestones": {
+        $elemMatch: { status: { $in: OPEN_STATUSES }, due_date: { $lt: now } },
+      },
+    })
+      .select("job_id applicant_id contract_details.milestones")
+      .populate("job_id", "title posted_by");
+
+    let marked = 0;
+    for (const application of applications) {
+      const due = application.contract_details.milestones.filter(
+        (milestone) =>
+          OPEN_STATUSES.includes(milestone.status) && milestone.due_date < now
+      );
+
+      for (const milestone of due) {
+        // Skip milestones handed in since they were loaded
+        const { modifiedCount } = await Application.updateOne(
+          {
+            _id: application._id,
+            "contract_details.milestones": {
+              $elemMatch: {
+                _id: milestone._id,
+                status: { $in: OPEN_STATUSES },
+              },
+            },
+          },
+          { $set: { "contract_details.milestones.$.status": "overdue" } }
+        );
+        if (modifiedCount === 0) continue;
+
+        milestone.status = "overdue";
+        marked++;
+        const parties = [
+          application.applicant_id,
+          application.job_id?.posted_by,
+        ].filter(Boolean);
+        for (const userId of parties) {
+          await notificationService
+            .notifyMilestoneUpdate(userId, application, milestone, "overdue")
+            .catch((error) =>
+              console.error("Error sending milestone overdue notice:", error)
+            );
+        }
+      }
+    }
+
+    return marked;
+  }
+
+  /**
+   * Check for overdue milestones now and every
+   * CONTRACT_OVERDUE_INTERVAL_MINUTES
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = async () => {
+      // Skip a tick while the previous run is still going
+      if (this.running) return;
+      this.running = true;
+
+      try {
+        const marked = await this.markOverdueMilestones();
+        if (marked > 0) {
+          console.log(`⏰ ${marked} contract milestone(s) marked overdue`);
+        }
+      } catch (error) {
+        console.error("❌ Contract overdue check error:", error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  // Milestone of the application in one of the given statuses
+  findMilestone(application, milestoneId, statuses) {
+    if (application.status !== "accepted") {
+      throw this.error("This contract is no longer active");
+    }
+
+    const milestone = application.contract_details.milestones.id(milestoneId);
+    if (!milestone) {
+      throw this.error("Milestone not found", 404);
+    }
+    if (!statuses.includes(milestone.status)) {
+      throw this.error(
+        `Cannot do this while the milestone is ${milestone.status.replace(
+          "_",
+          " "
+        )}`
+      );
+    }
+    return milestone;
+  }
+
+  requireParty(party, expected, message) {
+    if (party !== expected) {
+      throw this.error(message, 403);
+    }
+  }
+
+  // Store the review on the submission being reviewed
+  reviewLatest(milestone, decision, { feedback } = {}, reviewer, now) {
+    const submission = milestone.submissions[milestone.submissions.length - 1];
+    submission.review = {
+      decision,
+      feedback,
+      reviewed_by: reviewer?._id,
+      reviewed_at: now || new Date(),
+    };
+  }
+
+  // Save, log the change on the application and notify the other party
+  async record(application, party, milestone, event, content) {
+    application.communication_log.push({
+      type: "system",
+      content: content.slice(0, 1000),
+      from: party,
+      date: new Date(),
+    });
+    await application.save();
+
+    const recipient =
+      party === "employer"
+        ? application.applicant_id?._id || application.applicant_id
+        : application.job_id?.posted_by;
+
+    await notificationService
+      .notifyMilestoneUpdate(recipient, application, milestone, event)
+      .catch((error) =>
+        console.error("Error sending milestone notification:", error)
+      );
+  }
+
+  // Error carrying an HTTP status for the controller
+  error(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+// Export singleton instance
+module.exports = new ContractService();
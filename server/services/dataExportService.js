@@ -0,0 +1,374 @@
+// server/services/dataExportService.js
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const DataExport = require("../models/DataExport");
+const User = require("../models/User");
+const Application = require("../models/Application");
+const Job = require("../models/Job");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const Appointment = require("../models/Appointment");
+const Notification = require("../models/Notification");
+const Subscription = require("../models/Subscription");
+const Session = require("../models/Session");
+const LoginEvent = require("../models/LoginEvent");
+const JobAlert = require("../models/JobAlert");
+const JobTemplate = require("../models/JobTemplate");
+const notificationService = require("../utils/notificationService");
+
+// An export still pending/processing after this long was interrupted
+// (e.g. by a server restart) and may be requested again
+const STALE_AFTER_MS = 30 * 60 * 1000;
+
+// Files in the archive, in the order they are listed in README.txt
+const ARCHIVE_FILES = [
+  ["profile.json", "Your account and professional profile"],
+  ["applications.json", "Job applications you submitted"],
+  ["jobs.json", "Jobs you posted"],
+  ["conversations.json", "Conversations you take part in"],
+  ["messages.json", "Messages you sent or received"],
+  ["appointments.json", "Appointments you scheduled or were invited to"],
+  ["notifications.json", "Notifications sent to you"],
+  ["subscription.json", "Your subscription and invoices"],
+  ["security.json", "Sessions and sign-in history"],
+  ["job-alerts.json", "Your saved job alerts"],
+  ["job-templates.json", "Job templates you saved"],
+];
+
+/**
+ * Data Export Service
+ * Builds a ZIP archive of everything stored about a user (GDPR/HIPAA-style
+ * subject access request). Archives are generated in the background, kept on
+ * disk for DATA_EXPORT_RETENTION_HOURS and every step is recorded on the
+ * DataExport document as an audit trail.
+ */
+class DataExportService {
+  constructor() {
+    this.exportDir =
+      process.env.DATA_EXPORT_DIR ||
+      path.join(__dirname, "..", "uploads", "exports");
+    this.retentionHours =
+      parseInt(process.env.DATA_EXPORT_RETENTION_HOURS) || 48;
+  }
+
+  /**
+   * Start an export for a user, reusing one that is still running or ready
+   * @param {ObjectId} userId
+   * @param {Object} req - Express request, recorded in the audit trail
+   * @returns {Object} { dataExport, created }
+   */
+  async requestExport(userId, req) {
+    // Archives past their download window are removed lazily
+    this.removeExpiredArchives().catch((error) =>
+      console.error("Error removing expired data exports:", error)
+    );
+
+    const latest = await DataExport.findOne({ user: userId }).sort({
+      createdAt: -1,
+    });
+
+    if (latest) {
+      const inProgress = ["pending", "processing"].includes(latest.status);
+      const stale = Date.now() - latest.createdAt.getTime() > STALE_AFTER_MS;
+
+      if (inProgress && !stale) {
+        return { dataExport: latest, created: false };
+      }
+
+      if (inProgress && stale) {
+        latest.status = "failed";
+        latest.error = "Export was interrupted";
+        latest.logEvent("failed", null, latest.error);
+        await latest.save();
+      } else if (latest.isDownloadable) {
+        return { dataExport: latest, created: false };
+      }
+    }
+
+    const dataExport = new DataExport({ user: userId });
+    dataExport.logEvent("requested", req);
+    await dataExport.save();
+
+    // Generate after the response has been sent
+    setImmediate(() => {
+      this.processExport(dataExport._id).catch((error) =>
+        console.error("❌ Data export processing error:", error)
+      );
+    });
+
+    return { dataExport, created: true };
+  }
+
+  /**
+   * Build the archive for a pending export and notify the user
+   * @param {ObjectId} exportId
+   */
+  async processExport(exportId) {
+    const dataExport = await DataExport.findById(exportId);
+
+    if (!dataExport || dataExport.status !== "pending") {
+      return;
+    }
+
+    dataExport.status = "processing";
+    dataExport.startedAt = new Date();
+    dataExport.logEvent("started");
+    await dataExport.save();
+
+    try {
+      const { files, counts, user } = await this.collectUserData(
+        dataExport.user
+      );
+
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+
+      const fileName = `doconnect-data-export-${
+        new Date().toISOString().split("T")[0]
+      }.zip`;
+      const filePath = path.join(this.exportDir, `${dataExport._id}.zip`);
+      const summary = this.buildSummary(user, counts);
+
+      const fileSize = await this.writeArchive(filePath, files, summary);
+
+      dataExport.status = "completed";
+      dataExport.filePath = filePath;
+      dataExport.fileName = fileName;
+      dataExport.fileSize = fileSize;
+      dataExport.recordCounts = counts;
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(
+        Date.now() + this.retentionHours * 60 * 60 * 1000
+      );
+      dataExport.logEvent("completed");
+      await dataExport.save();
+
+      console.log(
+        `📦 Data export ready for ${user.email} (${Math.round(
+          fileSize / 1024
+        )} KB)`
+      );
+
+      await notificationService
+        .notifyDataExportReady(dataExport.user, dataExport)
+        .catch((error) =>
+          console.error("Error sending data export notification:", error)
+        );
+    } catch (error) {
+      console.error("❌ Data export failed:", error);
+      dataExport.status = "failed";
+      dataExport.error = "The export could not be generated";
+      dataExport.logEvent("failed", null, error.message);
+      await dataExport.save();
+    }
+  }
+
+  /**
+   * Gather every record that belongs to the user
+   * Secrets (password hash, token hashes, 2FA secret) are select:false on
+   * their models and are therefore never included.
+   * @param {ObjectId} userId
+   * @returns {Object} { files, counts, user }
+   */
+  async collectUserData(userId) {
+    const user = await User.findById(userId).lean();
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    const [
+      applications,
+      jobs,
+      conversations,
+      messages,
+      appointments,
+      notifications,
+      subscription,
+      sessions,
+      loginHistory,
+      jobAlerts,
+      jobTemplates,
+    ] = await Promise.all([
+      Application.find({ applicant_id: userId })
+        .populate("job_id", "title category")
+        .lean(),
+      Job.find({ posted_by: userId }).lean(),
+      Conversation.find({ participants: userId })
+        .populate("participants", "firstName lastName")
+        .lean(),
+      Message.find({ $or: [{ sender: userId }, { recipient: userId }] })
+        .sort({ createdAt: 1 })
+        .lean(),
+      Appointment.find({
+        $or: [{ doctorInitiator: userId }, { doctorInvitee: userId }],
+      }).lean(),
+      Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean(),
+      Subscription.findOne({ userId }).lean(),
+      Session.find({ user: userId })
+        .select("deviceName userAgent ipAddress lastUsedAt createdAt revokedAt")
+        .lean(),
+      LoginEvent.find({ user: userId })
+        .select("success reason ipAddress userAgent deviceName createdAt")
+        .sort({ createdAt: -1 })
+        .lean(),
+      JobAlert.find({ user: userId }).select("-pendingJobs").lean(),
+      JobTemplate.find({ user: userId }).lean(),
+    ]);
+
+    const files = {
+      "profile.json": user,
+      "applications.json": applications,
+      "jobs.json": jobs,
+      "conversations.json": conversations,
+      "messages.json": messages,
+      "appointments.json": appointments,
+      "notifications.json": notifications,
+      "subscription.json": subscription,
+      "security.json": { sessions, loginHistory },
+      "job-alerts.json": jobAlerts,
+      "job-templates.json": jobTemplates,
+    };
+
+    const counts = {
+      applications: applications.length,
+      jobs: jobs.length,
+      conversations: conversations.length,
+      messages: messages.length,
+      appointments: appointments.length,
+      notifications: notifications.length,
+      invoices: subscription?.invoices?.length || 0,
+      sessions: sessions.length,
+      loginEvents: loginHistory.length,
+      jobAlerts: jobAlerts.length,
+      jobTemplates: jobTemplates.length,
+    };
+
+    return { files, counts, user };
+  }
+
+  /**
+   * Human-readable README.txt placed at the root of the archive
+   * @param {Object} user - Lean user document
+   * @param {Object} counts - Records per collection
+   * @returns {String}
+   */
+  buildSummary(user, counts) {
+    const describe = {
+      "applications.json": `${counts.applications} application(s)`,
+      "jobs.json": `${counts.jobs} job(s)`,
+      "conversations.json": `${counts.conversations} conversation(s)`,
+      "messages.json": `${counts.messages} message(s)`,
+      "appointments.json": `${counts.appointments} appointment(s)`,
+      "notifications.json": `${counts.notifications} notification(s)`,
+      "subscription.json": `${counts.invoices} invoice(s)`,
+      "security.json": `${counts.sessions} session(s), ${counts.loginEvents} sign-in(s)`,
+      "job-alerts.json": `${counts.jobAlerts} saved job alert(s)`,
+      "job-templates.json": `${counts.jobTemplates} job template(s)`,
+    };
+
+    return [
+      "DOCONNECT PERSONAL DATA EXPORT",
+      "==============================",
+      "",
+      `Generated:    ${new Date().toISOString()}`,
+      `Account:      Dr. ${user.firstName} ${user.lastName} <${user.email}>`,
+      `Role:         ${user.role}`,
+      `Member since: ${new Date(user.createdAt).toISOString().split("T")[0]}`,
+      "",
+      "CONTENTS",
+      "--------",
+      ...ARCHIVE_FILES.map(([name, description]) =>
+        [
+          `${name.padEnd(20)}${description}`,
+          describe[name] ? ` - ${describe[name]}` : "",
+        ].join("")
+      ),
+      "",
+      "All files are UTF-8 encoded JSON. Dates are in UTC (ISO 8601).",
+      "Uploaded documents and photos are referenced by URL in profile.json.",
+      "",
+      "Questions about your data? Contact support@doconnect.com.",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Write the JSON files and summary into a ZIP archive
+   * @param {String} filePath - Destination path
+   * @param {Object} files - Map of file name to data
+   * @param {String} summary - README.txt contents
+   * @returns {Promise<Number>} Archive size in bytes
+   */
+  writeArchive(filePath, files, summary) {
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver("zip", { zlib: { level: 9 } });
+
+      output.on("close", () => resolve(archive.pointer()));
+      output.on("error", reject);
+      archive.on("error", reject);
+
+      archive.pipe(output);
+      archive.append(summary, { name: "README.txt" });
+      for (const [name, data] of Object.entries(files)) {
+        archive.append(JSON.stringify(data, null, 2), { name });
+      }
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Resolve a downloadable archive and record the download
+   * @param {ObjectId} exportId
+   * @param {ObjectId} userId - Only the owner may download
+   * @param {Object} req - Express request, recorded in the audit trail
+   * @returns {DataExport|null} Export with filePath selected, or null
+   */
+  async getDownload(exportId, userId, req) {
+    const dataExport = await DataExport.findOne({
+      _id: exportId,
+      user: userId,
+    }).select("+filePath");
+
+    if (!dataExport || !dataExport.isDownloadable) {
+      return null;
+    }
+
+    try {
+      await fs.promises.access(dataExport.filePath);
+    } catch (error) {
+      return null;
+    }
+
+    dataExport.downloadCount += 1;
+    dataExport.logEvent("downloaded", req);
+    await dataExport.save();
+
+    return dataExport;
+  }
+
+  /**
+   * Delete archives whose download window has passed
+   * The DataExport documents are kept as the audit trail.
+   * @returns {Number} Number of files removed
+   */
+  async removeExpiredArchives() {
+    const expired = await DataExport.find({
+      status: "completed",
+      expiresAt: { $lte: new Date() },
+      filePath: { $exists: true },
+    }).select("+filePath");
+
+    for (const dataExport of expired) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+      dataExport.filePath = undefined;
+      await dataExport.save();
+    }
+
+    return expired.length;
+  }
+}
+
+// Export singleton instance
+module.exports = new DataExportService();
@@ -0,0 +1,199 @@
+// server/services/jobAlertService.js
+const Job = require("../models/Job");
+const JobAlert = require("../models/JobAlert");
+const notificationService = require("../utils/notificationService");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Job Alert Service
+ * Matches jobs against the saved searches of junior doctors. Every job is
+ * evaluated once, the first time it becomes active (created, activated or
+ * published by the scheduler). Instant alerts notify straight away; daily
+ * alerts collect matches into one digest per day. Users who turned off
+ * job_preferences.notification_preferences.new_jobs receive neither.
+ */
+class JobAlertService {
+  constructor() {
+    this.maxAlertsPerUser = parseInt(process.env.JOB_ALERT_LIMIT) || 10;
+    this.timer = null;
+  }
+
+  /**
+   * Evaluate a newly active job against saved alerts, once per job
+   * Safe to call without awaiting; errors are logged, not thrown.
+   * @param {Job} job - Job document
+   * @returns {Number} Number of alerts matched
+   */
+  async processJob(job) {
+    try {
+      // Claim the job so re-activating it never alerts twice
+      const { modifiedCount } = await Job.updateOne(
+        { _id: job._id, status: "active", alerts_sent_at: null },
+        { $set: { alerts_sent_at: new Date() } }
+      );
+      if (modifiedCount === 0) return 0;
+
+      return await this.evaluateJob(job);
+    } catch (error) {
+      console.error(`❌ Job alert evaluation failed for job ${job._id}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Notify or queue every alert the job matches
+   * @param {Job} job - Active job document
+   * @returns {Number} Number of alerts matched
+   */
+  async evaluateJob(job) {
+    const alerts = await JobAlert.find({
+      active: true,
+      user: { $ne: job.posted_by },
+      $or: [
+        { "filters.category": null },
+        { "filters.category": "" },
+        { "filters.category": job.category },
+      ],
+    }).populate(
+      "user",
+      "role adminRole accountStatus verificationStatus.overall job_preferences.notification_preferences"
+    );
+
+    let matched = 0;
+    for (const alert of alerts) {
+      if (!this.canReceive(alert.user, job) || !alert.matches(job)) continue;
+
+      matched++;
+      const now = new Date();
+
+      if (alert.frequency === "daily") {
+        await JobAlert.updateOne(
+          { _id: alert._id },
+          {
+            $addToSet: { pendingJobs: job._id },
+            $set: { lastMatchedAt: now },
+            $inc: { matchCount: 1 },
+          }
+        );
+        continue;
+      }
+
+      await JobAlert.updateOne(
+        { _id: alert._id },
+        { $set: { lastMatchedAt: now }, $inc: { matchCount: 1 } }
+      );
+      await notificationService
+        .notifyJobMatch(alert.user._id, job, null, alert)
+        .catch((error) =>
+          console.error("Error sending job alert notification:", error)
+        );
+    }
+
+    return matched;
+  }
+
+  /**
+   * Whether an alert owner may be told about a job
+   * @param {User} user - Populated alert owner
+   * @param {Job} job - Job document
+   * @returns {Boolean}
+   */
+  canReceive(user, job) {
+    if (!user || user.accountStatus !== "active") return false;
+    if (!hasPermission(user, PERMISSIONS.JOBS_APPLY)) return false;
+
+    const preferences = user.job_preferences?.notification_preferences;
+    if (preferences?.new_jobs === false) return false;
+
+    if (job.visibility === "invited_only") return false;
+    if (
+      job.visibility === "verified_only" &&
+      user.verificationStatus?.overall !== "verified"
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Send the daily digest of every alert that has pending matches
+   * @returns {Number} Number of digests sent
+   */
+  async sendDigests() {
+    const now = new Date();
+    const alerts = await JobAlert.find({
+      active: true,
+      frequency: "daily",
+      "pendingJobs.0": { $exists: true },
+      $or: [
+        { lastDigestAt: null },
+        { lastDigestAt: { $lte: new Date(now.getTime() - DAY_MS) } },
+      ],
+    })
+      .populate("pendingJobs", "title status visibility")
+      .populate(
+        "user",
+        "role adminRole accountStatus verificationStatus.overall job_preferences.notification_preferences"
+      );
+
+    let sent = 0;
+    for (const alert of alerts) {
+      // The stored ids; populate drops jobs that were deleted, and those
+      // must leave the queue too
+      const pendingIds = alert.populated("pendingJobs");
+
+      // Clear the queue first so a failing notification never repeats
+      await JobAlert.updateOne(
+        { _id: alert._id },
+        { $pullAll: { pendingJobs: pendingIds }, $set: { lastDigestAt: now } }
+      );
+
+      // Jobs can close or be deleted while they wait for the digest
+      const jobs = alert.pendingJobs.filter(
+        (job) =>
+          job &&
+          job.status === "active" &&
+          this.canReceive(alert.user, job)
+      );
+      if (jobs.length === 0) continue;
+
+      await notificationService
+        .notifyJobAlertDigest(alert.user._id, alert, jobs)
+        .catch((error) =>
+          console.error("Error sending job alert digest:", error)
+        );
+      sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Check for due digests every hour
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () =>
+      this.sendDigests()
+        .then((sent) => {
+          if (sent > 0) {
+            console.log(`🔔 Sent ${sent} job alert digest(s)`);
+          }
+        })
+        .catch((error) => console.error("❌ Job alert digest error:", error));
+
+    run();
+    this.timer = setInterval(run, DIGEST_INTERVAL_MS);
+    this.timer.unref();
+  }
+}
+
+// Export singleton instance
+module.exports = new JobAlertService();
@@ -0,0 +1,296 @@
+// server/services/jobSchedulerService.js
+const Job = require("../models/Job");
+const notificationService = require("../utils/notificationService");
+const jobAlertService = require("./jobAlertService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses whose jobs are closed once the deadline passes
+const EXPIRING_STATUSES = ["active", "paused"];
+
+// Longest a deadline can be pushed out in one extension
+const MAX_EXTENSION_DAYS = 90;
+
+/**
+ * Job Scheduler Service
+ * Drives the job lifecycle in the background: drafts with a publish_at are
+ * published when that time arrives, posters are reminded
+ * JOB_EXPIRY_REMINDER_HOURS before a deadline, and jobs whose deadline has
+ * passed are closed. Scheduling and extending deadlines are part of the
+ * scheduledPosting subscription feature.
+ */
+class JobSchedulerService {
+  constructor() {
+    this.intervalMs =
+      (parseInt(process.env.JOB_SCHEDULER_INTERVAL_MINUTES) || 5) * 60 * 1000;
+    this.reminderHours = parseInt(process.env.JOB_EXPIRY_REMINDER_HOURS) || 48;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Schedule a draft to be published later
+   * The draft must already pass the validation an active job needs.
+   * @param {Job} job - Draft job document
+   * @param {Date} publishAt - When to publish
+   * @returns {Job}
+   */
+  async schedulePublish(job, publishAt) {
+    if (job.status !== "draft") {
+      throw this.error("Only drafts can be scheduled for publishing");
+    }
+
+    if (!(publishAt > new Date())) {
+      throw this.error("Publish time must be in the future");
+    }
+
+    if (job.timeline?.deadline && job.timeline.deadline <= publishAt) {
+      throw this.error("The deadline must be after the publish time");
+    }
+
+    // Catch incomplete drafts now rather than when the scheduler runs
+    job.status = "active";
+    const validationError = job.validateSync();
+    job.status = "draft";
+
+    if (validationError) {
+      const error = this.error("Complete the job before scheduling it");
+      error.errors = Object.values(validationError.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+      throw error;
+    }
+
+    job.publish_at = publishAt;
+    job.schedule_error = undefined;
+    await job.save();
+
+    return job;
+  }
+
+  /**
+   * Cancel a scheduled publish; the job stays a draft
+   * @param {Job} job - Job document
+   * @returns {Job}
+   */
+  async cancelSchedule(job) {
+    job.publish_at = null;
+    await job.save({ validateBeforeSave: false });
+    return job;
+  }
+
+  /**
+   * Move a job's deadline, reopening it if it was closed by expiry
+   * @param {Job} job - Job document
+   * @param {Object} options - { deadline } or { days } added to the later of now and the current deadline
+   * @returns {Job}
+   */
+  async extendDeadline(job, { deadline, days } = {}) {
+    if (!["active", "paused", "closed"].includes(job.status)) {
+      throw this.error(`Cannot extend the deadline of a ${job.status} job`);
+    }
+
+    if (job.status === "closed" && !job.expired_at) {
+      throw this.error("Only jobs closed by their deadline can be reopened");
+    }
+
+    const now = Date.now();
+    const current = job.timeline?.deadline?.getTime() || now;
+    const newDeadline = deadline
+      ? new Date(deadline)
+      : new Date(Math.max(now, current) + days * DAY_MS);
+
+    if (!(newDeadline.getTime() > now)) {
+      throw this.error("The new deadline must be in the future");
+    }
+
+    if (newDeadline.getTime() > now + MAX_EXTENSION_DAYS * DAY_MS) {
+      throw this.error(
+        `The deadline can be at most ${MAX_EXTENSION_DAYS} days from now`
+      );
+    }
+
+    job.timeline.deadline = newDeadline;
+    job.expiry_reminder_sent_at = undefined;
+
+    if (job.status === "closed") {
+      job.status = "active";
+      job.expired_at = undefined;
+    }
+
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Publish every draft whose publish_at has arrived
+   * @returns {Number} Number of jobs published
+   */
+  async publishDueJobs() {
+    let published = 0;
+
+    // Claim one job at a time so overlapping runs never publish twice
+    for (;;) {
+      const job = await Job.findOneAndUpdate(
+        { status: "draft", publish_at: { $ne: null, $lte: new Date() } },
+        { $set: { publish_at: null } },
+        { new: true }
+      );
+
+      if (!job) break;
+
+      job.status = "active";
+      job.published_at = new Date();
+
+      try {
+        await job.save();
+        published++;
+        await jobAlertService.processJob(job);
+        await notificationService
+          .notifyJobPublished(job.posted_by, job)
+          .catch((error) =>
+            console.error("Error sending job published notification:", error)
+          );
+      } catch (error) {
+        const reason =
+          error.name === "ValidationError"
+            ? Object.values(error.errors)
+                .map((err) => err.message)
+                .join("; ")
+            : "Unexpected error";
+
+        await Job.updateOne(
+          { _id: job._id },
+          { $set: { schedule_error: reason } }
+        );
+        console.error(`❌ Scheduled publish failed for job ${job._id}:`, reason);
+        await notificationService
+          .notifyJobPublished(job.posted_by, job, reason)
+          .catch((notifyError) =>
+            console.error("Error sending publish failure notification:", notifyError)
+          );
+      }
+    }
+
+    return published;
+  }
+
+  /**
+   * Remind posters of jobs that expire within reminderHours
+   * @returns {Number} Number of reminders sent
+   */
+  async sendExpiryReminders() {
+    const now = new Date();
+    const jobs = await Job.find({
+      status: { $in: EXPIRING_STATUSES },
+      "timeline.deadline": {
+        $gt: now,
+        $lte: new Date(now.getTime() + this.reminderHours * 60 * 60 * 1000),
+      },
+      expiry_reminder_sent_at: null,
+    }).select("title posted_by timeline.deadline");
+
+    let sent = 0;
+    for (const job of jobs) {
+      // updateOne skips the deadline validator on expiring jobs
+      const { modifiedCount } = await Job.updateOne(
+        { _id: job._id, expiry_reminder_sent_at: null },
+        { $set: { expiry_reminder_sent_at: now } }
+      );
+      if (modifiedCount === 0) continue;
+
+      await notificationService
+        .notifyJobExpiring(job.posted_by, job)
+        .catch((error) =>
+          console.error("Error sending job expiry reminder:", error)
+        );
+      sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Close every job whose deadline has passed
+   * @returns {Number} Number of jobs closed
+   */
+  async closeExpiredJobs() {
+    const now = new Date();
+    const jobs = await Job.find({
+      status: { $in: EXPIRING_STATUSES },
+      "timeline.deadline": { $lte: now },
+    }).select("title posted_by");
+
+    let closed = 0;
+    for (const job of jobs) {
+      const { modifiedCount } = await Job.updateOne(
+        { _id: job._id, status: { $in: EXPIRING_STATUSES } },
+        { $set: { status: "closed", expired_at: now } }
+      );
+      if (modifiedCount === 0) continue;
+
+      await notificationService
+        .notifyJobExpired(job.posted_by, job)
+        .catch((error) =>
+          console.error("Error sending job expired notification:", error)
+        );
+      closed++;
+    }
+
+    return closed;
+  }
+
+  /**
+   * One pass of every lifecycle step
+   * @returns {Object} { published, reminded, closed }
+   */
+  async runOnce() {
+    const published = await this.publishDueJobs();
+    const reminded = await this.sendExpiryReminders();
+    const closed = await this.closeExpiredJobs();
+    return { published, reminded, closed };
+  }
+
+  /**
+   * Run the lifecycle every JOB_SCHEDULER_INTERVAL_MINUTES
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = async () => {
+      // Skip a tick while the previous run is still going
+      if (this.running) return;
+      this.running = true;
+
+      try {
+        const { published, reminded, closed } = await this.runOnce();
+        if (published || reminded || closed) {
+          console.log(
+            `🗓️ Job scheduler: ${published} published, ${reminded} reminded, ${closed} expired`
+          );
+        }
+      } catch (error) {
+        console.error("❌ Job scheduler error:", error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  // Error carrying an HTTP status for the controller
+  error(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+// Export singleton instance
+module.exports = new JobSchedulerService();
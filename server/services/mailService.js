@@ -0,0 +1,270 @@
+// server/services/mailService.js
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Built-in mail transports
+ * Every transport exposes send(message) and resolves once the message is handed off
+ */
+const createConsoleTransport = () => ({
+  name: "console",
+  async send(message) {
+    console.log("📧 ================ OUTGOING EMAIL ================");
+    console.log(`   To:      ${message.to}`);
+    console.log(`   From:    ${message.from}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log("   ------------------------------------------------");
+    console.log(message.text);
+    console.log("📧 ================================================");
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+const createFileTransport = (
+  outboxDir = process.env.MAIL_OUTBOX_DIR ||
+    path.join(__dirname, "..", "logs", "mail")
+) => ({
+  name: "file",
+  async send(message) {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(outboxDir, `${messageId}.json`);
+
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    console.log(`📧 Email to ${message.to} written to ${filePath}`);
+    return { messageId, filePath };
+  },
+});
+
+const createSmtpTransport = () => {
+  const nodemailer = require("nodemailer");
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: process.env.EMAIL_USER
+      ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+/**
+ * Render a plain-text email as simple HTML, turning the action link into an anchor
+ */
+const textToHtml = (text, link) =>
+  text
+    .split("\n")
+    .map((line) => (line === link ? `<a href="${link}">${link}</a>` : line))
+    .join("<br>");
+
+/**
+ * Mail Service
+ * Sends transactional emails through a pluggable transport.
+ * MAIL_TRANSPORT selects "smtp", "file" or "console"; defaults to smtp when
+ * EMAIL_HOST is configured and to console otherwise.
+ */
+class MailService {
+  constructor() {
+    this.factories = new Map([
+      ["console", createConsoleTransport],
+      ["file", createFileTransport],
+      ["smtp", createSmtpTransport],
+    ]);
+    this.transport = null;
+    this.from = process.env.EMAIL_FROM || "noreply@doconnect.com";
+  }
+
+  /**
+   * Register an additional transport factory (e.g. a provider SDK)
+   * @param {String} name - Transport name used in MAIL_TRANSPORT
+   * @param {Function} factory - Returns an object with an async send(message)
+   */
+  registerTransport(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  /**
+   * Replace the active transport instance (useful for tests)
+   * @param {Object} transport - Object with an async send(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Lazily resolve the configured transport
+   */
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    const name =
+      process.env.MAIL_TRANSPORT || (process.env.EMAIL_HOST ? "smtp" : "console");
+    const factory = this.factories.get(name);
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    this.transport = factory();
+    console.log(`✅ Mail transport initialized: ${this.transport.name || name}`);
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} options - { to, subject, text, html }
+   * @returns {Object} Transport result including messageId
+   */
+  async sendMail({ to, subject, text, html }) {
+    const message = { from: this.from, to, subject, text, html };
+
+    try {
+      return await this.getTransport().send(message);
+    } catch (error) {
+      console.error(`❌ Failed to send email to ${to}:`, error.message);
+      throw new Error("Email could not be sent");
+    }
+  }
+
+  /**
+   * Send password reset instructions
+   * @param {Object} user - User document
+   * @param {String} resetUrl - Client URL containing the raw reset token
+   * @param {Number} expiresInMinutes - Token lifetime shown to the user
+   */
+  async sendPasswordResetEmail(user, resetUrl, expiresInMinutes) {
+    const text = [
+      `Hello Dr. ${user.lastName},`,
+      "",
+      "We received a request to reset the password for your Doconnect account.",
+      `Use the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "",
+      resetUrl,
+      "",
+      "If you did not request a password reset, you can ignore this email — your password will not change.",
+    ].join("\n");
+
+    return this.sendMail({
+      to: user.email,
+      subject: "Reset your Doconnect password",
+      text,
+      html: textToHtml(text, resetUrl),
+    });
+  }
+
+  /**
+   * Send the email address confirmation link
+   * @param {Object} user - User document
+   * @param {String} verifyUrl - Client URL containing the raw verification token
+   * @param {Number} expiresInHours - Token lifetime shown to the user
+   */
+  async sendEmailVerificationEmail(user, verifyUrl, expiresInHours) {
+    const text = [
+      `Hello Dr. ${user.lastName},`,
+      "",
+      "Please confirm that this email address belongs to you to finish setting up your Doconnect account.",
+      `The link below expires in ${expiresInHours} hours.`,
+      "",
+      verifyUrl,
+      "",
+      "If you did not create a Doconnect account, you can ignore this email.",
+    ].join("\n");
+
+    return this.sendMail({
+      to: user.email,
+      subject: "Confirm your Doconnect email address",
+      text,
+      html: textToHtml(text, verifyUrl),
+    });
+  }
+
+  /**
+   * Confirm an account deletion request and explain how to undo it
+   * @param {Object} user - User document
+   * @param {Date} scheduledFor - When the account will be anonymised
+   */
+  async sendAccountDeletionEmail(user, scheduledFor) {
+    const date = scheduledFor.toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+    const text = [
+      `Hello Dr. ${user.lastName},`,
+      "",
+      "We received a request to delete your Doconnect account. Your account has been deactivated and you have been signed out on every device.",
+      `Your personal data will be permanently removed on ${date}. Any paid subscription will not renew.`,
+      "",
+      "Changed your mind? Simply sign in again before that date and the deletion will be cancelled.",
+      "",
+      "If you did not request this, sign in now and change your password.",
+    ].join("\n");
+
+    return this.sendMail({
+      to: user.email,
+      subject: "Your Doconnect account is scheduled for deletion",
+      text,
+      html: textToHtml(text),
+    });
+  }
+
+  /**
+   * Invite a doctor to join an organization
+   * @param {String} email - Invited address
+   * @param {Object} organization - Organization document
+   * @param {Object} inviter - User who sent the invitation
+   * @param {String} acceptUrl - Client page listing the invitation
+   * @param {Date} expiresAt - When the invitation lapses
+   */
+  async sendOrganizationInvitationEmail(
+    email,
+    organization,
+    inviter,
+    acceptUrl,
+    expiresAt
+  ) {
+    const date = expiresAt.toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+    const text = [
+      "Hello,",
+      "",
+      `Dr. ${inviter.firstName} ${inviter.lastName} has invited you to join ${organization.name} on Doconnect.`,
+      "Members can post jobs on behalf of the organization, manage its applications and share its subscription.",
+      "",
+      `Sign in (or create an account with this email address) and accept the invitation before ${date}:`,
+      "",
+      acceptUrl,
+      "",
+      "If you were not expecting this invitation, you can ignore this email.",
+    ].join("\n");
+
+    return this.sendMail({
+      to: email,
+      subject: `You have been invited to join ${organization.name} on Doconnect`,
+      text,
+      html: textToHtml(text, acceptUrl),
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new MailService();
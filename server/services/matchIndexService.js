@@ -0,0 +1,247 @@
+// server/services/matchIndexService.js
+const Job = require("../models/Job");
+const User = require("../models/User");
+const MatchScore = require("../models/MatchScore");
+const { evaluateMatch } = require("../utils/matchingEngine");
+const {
+  PERMISSIONS,
+  hasPermission,
+  permissionFilter,
+} = require("../config/permissions");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Operations per bulkWrite
+const WRITE_CHUNK = 500;
+
+// Doctor fields utils/matchingEngine.js reads
+const DOCTOR_FIELDS =
+  "role adminRole accountStatus primarySpecialty subspecialties yearsOfExperience skills certifications licenseState languages experiences availability job_preferences verificationStatus rating";
+
+/**
+ * Match Index Service
+ * Keeps the MatchScore collection in step with jobs and doctor profiles.
+ * Job and User save/update hooks clear matches_indexed_at when a field the
+ * matching engine reads changes. Every MATCH_INDEX_INTERVAL_SECONDS this
+ * service rescores each stale job against all active doctors who get
+ * recommendations and each stale doctor against all active jobs. Scores of
+ * active jobs are also refreshed every MATCH_INDEX_REFRESH_HOURS, since
+ * availability depends on the time left before the deadline.
+ */
+class MatchIndexService {
+  constructor() {
+    this.intervalMs =
+      (parseInt(process.env.MATCH_INDEX_INTERVAL_SECONDS) || 30) * 1000;
+    this.refreshHours = parseInt(process.env.MATCH_INDEX_REFRESH_HOURS) || 24;
+    this.batchSize = parseInt(process.env.MATCH_INDEX_BATCH_SIZE) || 25;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Doctors who get recommendations and appear as candidates; derived from
+  // the permission the matching endpoints check
+  doctorFilter() {
+    return {
+      ...permissionFilter(PERMISSIONS.MATCHING_RECOMMENDATIONS),
+      accountStatus: "active",
+    };
+  }
+
+  isIndexedDoctor(doctor) {
+    return (
+      doctor.accountStatus === "active" &&
+      hasPermission(doctor, PERMISSIONS.MATCHING_RECOMMENDATIONS)
+    );
+  }
+
+  // Record the indexing time, unless the document changed while it was
+  // being scored; it then stays stale for the next run
+  async markIndexed(Model, doc, indexedAt) {
+    await Model.updateOne(
+      { _id: doc._id, updatedAt: doc.updatedAt ?? null },
+      { $set: { matches_indexed_at: indexedAt } },
+      { timestamps: false }
+    );
+  }
+
+  async writeChunked(operations) {
+    for (let i = 0; i < operations.length; i += WRITE_CHUNK) {
+      await MatchScore.bulkWrite(operations.slice(i, i + WRITE_CHUNK), {
+        ordered: false,
+      });
+    }
+  }
+
+  /**
+   * Rescore one job against every doctor, or drop its scores when the job
+   * is no longer active
+   * @param {Job} job - Job document or plain object
+   * @returns {Number} Scores written
+   */
+  async indexJob(job) {
+    const indexedAt = new Date();
+    let written = 0;
+
+    if (job.status !== "active") {
+      await MatchScore.deleteMany({ job: job._id });
+    } else {
+      const doctors = await User.find(this.doctorFilter())
+        .select(DOCTOR_FIELDS)
+        .lean();
+      const operations = doctors.map((doctor) =>
+        MatchScore.upsertOperation(
+          doctor._id,
+          job._id,
+          evaluateMatch(job, doctor, { now: indexedAt })
+        )
+      );
+      await this.writeChunked(operations);
+      written = operations.length;
+    }
+
+    await this.markIndexed(Job, job, indexedAt);
+    return written;
+  }
+
+  /**
+   * Rescore one doctor against every active job, or drop their scores when
+   * they no longer qualify
+   * @param {User} doctor - User document or plain object
+   * @returns {Number} Scores written
+   */
+  async indexDoctor(doctor) {
+    const indexedAt = new Date();
+    let written = 0;
+
+    if (!this.isIndexedDoctor(doctor)) {
+      await MatchScore.deleteMany({ doctor: doctor._id });
+    } else {
+      const jobs = await Job.find({ status: "active" }).lean();
+      const operations = jobs.map((job) =>
+        MatchScore.upsertOperation(
+          doctor._id,
+          job._id,
+          evaluateMatch(job, doctor, { now: indexedAt })
+        )
+      );
+      await this.writeChunked(operations);
+      await MatchScore.deleteMany({
+        doctor: doctor._id,
+        job: { $nin: jobs.map((job) => job._id) },
+      });
+      written = operations.length;
+    }
+
+    await this.markIndexed(User, doctor, indexedAt);
+    return written;
+  }
+
+  /**
+   * Score one doctor against one job now and cache the result
+   * Used when a score is needed before the index has caught up.
+   * @param {Job} job
+   * @param {User} doctor
+   * @returns {Object} evaluateMatch() result
+   */
+  async scoreNow(job, doctor) {
+    const match = evaluateMatch(job, doctor);
+    if (job.status === "active") {
+      await MatchScore.bulkWrite([
+        MatchScore.upsertOperation(doctor._id, job._id, match),
+      ]);
+    }
+    return match;
+  }
+
+  // Run handler on every document of a query, in _id order and in batches,
+  // so documents that stay stale are not picked up twice in one run
+  async forEachStale(query, handler) {
+    let lastId = null;
+    let count = 0;
+
+    for (;;) {
+      const batch = await query
+        .clone()
+        .where(lastId ? { _id: { $gt: lastId } } : {})
+        .sort({ _id: 1 })
+        .limit(this.batchSize)
+        .lean();
+      for (const doc of batch) {
+        await handler(doc);
+      }
+      count += batch.length;
+      if (batch.length < this.batchSize) return count;
+      lastId = batch[batch.length - 1]._id;
+    }
+  }
+
+  /**
+   * Index every stale job and doctor
+   * @returns {{jobs: Number, doctors: Number}} Number indexed
+   */
+  async processStale() {
+    const counts = { jobs: 0, doctors: 0 };
+
+    // Scores depend on the time left before deadlines; refresh them daily
+    await Job.updateMany(
+      {
+        status: "active",
+        matches_indexed_at: {
+          $lt: new Date(Date.now() - this.refreshHours * HOUR_MS),
+        },
+      },
+      { $set: { matches_indexed_at: null } },
+      { timestamps: false }
+    );
+
+    counts.jobs = await this.forEachStale(
+      Job.find({ matches_indexed_at: null }),
+      (job) => this.indexJob(job)
+    );
+    // Doctors who stopped qualifying still need their scores dropped
+    counts.doctors = await this.forEachStale(
+      User.find({
+        ...permissionFilter(PERMISSIONS.MATCHING_RECOMMENDATIONS),
+        matches_indexed_at: null,
+      }).select(`${DOCTOR_FIELDS} updatedAt`),
+      (doctor) => this.indexDoctor(doctor)
+    );
+
+    return counts;
+  }
+
+  /**
+   * Index stale jobs and doctors now and every MATCH_INDEX_INTERVAL_SECONDS
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = async () => {
+      // Skip a tick while the previous run is still going
+      if (this.running) return;
+      this.running = true;
+
+      try {
+        const { jobs, doctors } = await this.processStale();
+        if (jobs > 0 || doctors > 0) {
+          console.log(
+            `🎯 Match index updated for ${jobs} job(s) and ${doctors} doctor(s)`
+          );
+        }
+      } catch (error) {
+        console.error("❌ Match index error:", error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+}
+
+// Export singleton instance
+module.exports = new MatchIndexService();
@@ -0,0 +1,352 @@
+// server/services/paymentProviders.js
+
+/**
+ * Built-in payment providers
+ * Every provider exposes the same methods; amounts are integers in the
+ * currency's minor unit (cents) and currencies are lowercase ISO codes.
+ *
+ *   createAccount({ email, metadata })            -> account
+ *   createAccountLink(accountId, { refreshUrl, returnUrl }) -> { url }
+ *   retrieveAccount(accountId)                    -> account
+ *   createFunding({ amount, currency, description, customerEmail,
+ *                   transferGroup, metadata, successUrl, cancelUrl })
+ *                                                 -> funding
+ *   retrieveFunding(fundingId)                    -> funding
+ *   createTransfer({ amount, currency, destination, paymentId,
+ *                    transferGroup, metadata, idempotencyKey }) -> { id }
+ *   createRefund({ paymentId, amount, metadata, idempotencyKey })
+ *                                                 -> { id }
+ *   parseWebhook(rawBody, signature)              -> event or null
+ *                                   (throws when the signature is invalid)
+ *
+ * account: { id, detailsSubmitted, payoutsEnabled }
+ * funding: { id, url, status, paymentId, metadata } where status is
+ *          "pending", "succeeded" or "failed"
+ * event:   { type: "funding.succeeded" | "funding.failed", funding } or
+ *          { type: "account.updated", account }
+ *
+ * Calls repeated with the same idempotencyKey return the first result
+ * instead of moving the money again.
+ */
+
+const createStripeProvider = () => {
+  const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+  const toAccount = (account) => ({
+    id: account.id,
+    detailsSubmitted: Boolean(account.details_submitted),
+    payoutsEnabled: Boolean(account.payouts_enabled),
+  });
+
+  const toFunding = (session, status) => ({
+    id: session.id,
+    url: session.url,
+    status:
+      status ||
+      (session.payment_status === "paid"
+        ? "succeeded"
+        : session.status === "expired"
+        ? "failed"
+        : "pending"),
+    paymentId:
+      typeof session.payment_intent === "string"
+        ? session.payment_intent
+        : session.payment_intent?.id || null,
+    metadata: session.metadata || {},
+  });
+
+  return {
+    name: "stripe",
+
+    async createAccount({ email, metadata }) {
+      const account = await stripe.accounts.create({
+        type: "express",
+        email,
+        capabilities: { transfers: { requested: true } },
+        metadata,
+      });
+      return toAccount(account);
+    },
+
+    async createAccountLink(accountId, { refreshUrl, returnUrl }) {
+      const link = await stripe.accountLinks.create({
+        account: accountId,
+        refresh_url: refreshUrl,
+        return_url: returnUrl,
+        type: "account_onboarding",
+      });
+      return { url: link.url };
+    },
+
+    async retrieveAccount(accountId) {
+      return toAccount(await stripe.accounts.retrieve(accountId));
+    },
+
+    // Hosted checkout charging the platform account; the money stays
+    // there until it is transferred to the doctor
+    async createFunding({
+      amount,
+      currency,
+      description,
+      customerEmail,
+      transferGroup,
+      metadata,
+      successUrl,
+      cancelUrl,
+    }) {
+      const session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        customer_email: customerEmail,
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency,
+              unit_amount: amount,
+              product_data: { name: description },
+            },
+          },
+        ],
+        payment_intent_data: { transfer_group: transferGroup, metadata },
+        metadata,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+      });
+      return toFunding(session);
+    },
+
+    async retrieveFunding(fundingId) {
+      return toFunding(await stripe.checkout.sessions.retrieve(fundingId));
+    },
+
+    async createTransfer({
+      amount,
+      currency,
+      destination,
+      paymentId,
+      transferGroup,
+      metadata,
+      idempotencyKey,
+    }) {
+      // Tie the transfer to the funding charge so it waits for those
+      // funds to settle instead of failing on the available balance
+      const intent = await stripe.paymentIntents.retrieve(paymentId);
+      const transfer = await stripe.transfers.create(
+        {
+          amount,
+          currency,
+          destination,
+          transfer_group: transferGroup,
+          source_transaction: intent.latest_charge,
+          metadata,
+        },
+        { idempotencyKey }
+      );
+      return { id: transfer.id };
+    },
+
+    async createRefund({ paymentId, amount, metadata, idempotencyKey }) {
+      const refund = await stripe.refunds.create(
+        { payment_intent: paymentId, amount, metadata },
+        { idempotencyKey }
+      );
+      return { id: refund.id };
+    },
+
+    // Checkout events come from the platform endpoint and account events
+    // from the Connect endpoint, each with its own signing secret
+    parseWebhook(rawBody, signature) {
+      const secrets = [
+        process.env.STRIPE_PAYMENTS_WEBHOOK_SECRET,
+        process.env.STRIPE_CONNECT_WEBHOOK_SECRET,
+      ].filter(Boolean);
+
+      let event;
+      let lastError = new Error("No payments webhook secret configured");
+      for (const secret of secrets) {
+        try {
+          event = stripe.webhooks.constructEvent(rawBody, signature, secret);
+          break;
+        } catch (error) {
+          lastError = error;
+        }
+      }
+      if (!event) throw lastError;
+
+      const object = event.data.object;
+
+      switch (event.type) {
+        case "checkout.session.completed":
+          // Delayed payment methods complete unpaid and settle later
+          return object.payment_status === "paid"
+            ? { type: "funding.succeeded", funding: toFunding(object) }
+            : null;
+        case "checkout.session.async_payment_succeeded":
+          return {
+            type: "funding.succeeded",
+            funding: toFunding(object, "succeeded"),
+          };
+        case "checkout.session.async_payment_failed":
+        case "checkout.session.expired":
+          return {
+            type: "funding.failed",
+            funding: toFunding(object, "failed"),
+          };
+        case "account.updated":
+          return { type: "account.updated", account: toAccount(object) };
+        default:
+          return null;
+      }
+    },
+  };
+};
+
+/**
+ * In-process provider for development and tests. Onboarding and checkout
+ * complete at once, and balances are checked like the real provider would.
+ * Its accounts, payments, transfers and refunds are exposed for
+ * assertions.
+ */
+const createFakeProvider = () => {
+  const accounts = new Map();
+  const fundings = new Map();
+  const payments = new Map();
+  const transfers = [];
+  const refunds = [];
+  const idempotent = new Map();
+  let sequence = 0;
+
+  const nextId = (prefix) => `${prefix}_fake_${++sequence}`;
+
+  const findAccount = (accountId) => {
+    const account = accounts.get(accountId);
+    if (!account) throw new Error(`No such account: ${accountId}`);
+    return account;
+  };
+
+  const findPayment = (paymentId) => {
+    const payment = payments.get(paymentId);
+    if (!payment) throw new Error(`No such payment: ${paymentId}`);
+    return payment;
+  };
+
+  // Run a money movement once per idempotency key
+  const once = (key, move) => {
+    if (key && idempotent.has(key)) return idempotent.get(key);
+    const result = move();
+    if (key) idempotent.set(key, result);
+    return result;
+  };
+
+  // Money of a payment not yet transferred or refunded
+  const unspent = (payment) =>
+    payment.amount - payment.transferred - payment.refunded;
+
+  return {
+    name: "fake",
+    accounts,
+    fundings,
+    payments,
+    transfers,
+    refunds,
+
+    async createAccount({ email, metadata }) {
+      const account = {
+        id: nextId("acct"),
+        email,
+        metadata,
+        detailsSubmitted: false,
+        payoutsEnabled: false,
+      };
+      accounts.set(account.id, account);
+      return { ...account };
+    },
+
+    async createAccountLink(accountId, { returnUrl }) {
+      const account = findAccount(accountId);
+      account.detailsSubmitted = true;
+      account.payoutsEnabled = true;
+      return { url: returnUrl };
+    },
+
+    async retrieveAccount(accountId) {
+      return { ...findAccount(accountId) };
+    },
+
+    async createFunding({ amount, currency, metadata, successUrl }) {
+      const payment = {
+        id: nextId("pay"),
+        amount,
+        currency,
+        transferred: 0,
+        refunded: 0,
+      };
+      payments.set(payment.id, payment);
+
+      const funding = {
+        id: nextId("fund"),
+        url: successUrl,
+        status: "succeeded",
+        paymentId: payment.id,
+        metadata: metadata || {},
+      };
+      fundings.set(funding.id, funding);
+      return { ...funding };
+    },
+
+    async retrieveFunding(fundingId) {
+      const funding = fundings.get(fundingId);
+      if (!funding) throw new Error(`No such funding: ${fundingId}`);
+      return { ...funding };
+    },
+
+    async createTransfer({
+      amount,
+      currency,
+      destination,
+      paymentId,
+      idempotencyKey,
+    }) {
+      return once(idempotencyKey, () => {
+        const account = findAccount(destination);
+        if (!account.payoutsEnabled) {
+          throw new Error("Destination account cannot receive payouts");
+        }
+        const payment = findPayment(paymentId);
+        if (payment.currency !== currency || amount > unspent(payment)) {
+          throw new Error("Insufficient funds for this transfer");
+        }
+
+        payment.transferred += amount;
+        const transfer = { id: nextId("tr"), amount, currency, destination };
+        transfers.push(transfer);
+        return { id: transfer.id };
+      });
+    },
+
+    async createRefund({ paymentId, amount, idempotencyKey }) {
+      return once(idempotencyKey, () => {
+        const payment = findPayment(paymentId);
+        const refundAmount = amount ?? unspent(payment);
+        if (refundAmount > unspent(payment)) {
+          throw new Error("Refund is larger than the remaining payment");
+        }
+
+        payment.refunded += refundAmount;
+        const refund = { id: nextId("re"), paymentId, amount: refundAmount };
+        refunds.push(refund);
+        return { id: refund.id };
+      });
+    },
+
+    // Events are posted as already normalised JSON
+    parseWebhook(rawBody) {
+      return JSON.parse(rawBody.toString());
+    },
+  };
+};
+
+module.exports = {
+  createStripeProvider,
+  createFakeProvider,
+};
@@ -0,0 +1,812 @@
+// server/services/paymentService.js
+const Application = require("../models/Application");
+const Escrow = require("../models/Escrow");
+const User = require("../models/User");
+const notificationService = require("../utils/notificationService");
+const {
+  createStripeProvider,
+  createFakeProvider,
+} = require("./paymentProviders");
+
+// Funding sessions left unpaid this long are checked with the provider in
+// case their webhook never arrived
+const FUNDING_SYNC_AFTER_MS = 10 * 60 * 1000;
+
+// Releases and refunds still claimed after this long were interrupted;
+// they are put back to funded and retried with the same idempotency key
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Payment Service
+ * Escrow for contract milestones through a pluggable payment provider.
+ * The employer funds an agreed milestone and the platform holds the money.
+ * Approving the milestone releases it to the doctor's connected account,
+ * minus PLATFORM_FEE_PERCENT; otherwise it is refunded. PAYMENT_PROVIDER
+ * selects "stripe" (Stripe Connect) or "fake" (in-process); defaults to
+ * stripe when STRIPE_SECRET_KEY is configured and to fake otherwise.
+ * Every PAYMENT_SYNC_INTERVAL_MINUTES approved milestones waiting for a
+ * payout are retried and unpaid funding sessions are checked.
+ */
+class PaymentService {
+  constructor() {
+    this.factories = new Map([
+      ["stripe", createStripeProvider],
+      ["fake", createFakeProvider],
+    ]);
+    this.provider = null;
+
+    const fee = parseFloat(process.env.PLATFORM_FEE_PERCENT);
+    this.feePercent = fee >= 0 && fee < 100 ? fee : 10;
+    this.intervalMs =
+      (parseInt(process.env.PAYMENT_SYNC_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Register an additional provider factory
+   * @param {String} name - Provider name used in PAYMENT_PROVIDER
+   * @param {Function} factory - Returns an object implementing the
+   *   interface described in services/paymentProviders.js
+   */
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  /**
+   * Replace the active provider instance (useful for tests)
+   * @param {Object} provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Lazily resolve the configured provider
+   */
+  getProvider() {
+    if (this.provider) {
+      return this.provider;
+    }
+
+    const name =
+      process.env.PAYMENT_PROVIDER ||
+      (process.env.STRIPE_SECRET_KEY ? "stripe" : "fake");
+    const factory = this.factories.get(name);
+
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    // It moves no real money and accepts unsigned webhooks
+    if (name === "fake" && process.env.NODE_ENV === "production") {
+      throw new Error("The fake payment provider cannot run in production");
+    }
+
+    this.provider = factory();
+    console.log(`✅ Payment provider initialized: ${this.provider.name}`);
+    return this.provider;
+  }
+
+  /**
+   * Fee the platform keeps from a milestone payment
+   * @param {Number} amount
+   * @returns {Object} { platform_fee, payout_amount }
+   */
+  fees(amount) {
+    const platformFee = roundMoney((amount * this.feePercent) / 100);
+    return {
+      platform_fee: platformFee,
+      payout_amount: roundMoney(amount - platformFee),
+    };
+  }
+
+  // ==========================================================================
+  // PAYOUT ACCOUNTS
+  // ==========================================================================
+
+  /**
+   * Payout account status shown to its owner
+   * @param {User} user
+   * @returns {Object} { connected, detailsSubmitted, payoutsEnabled }
+   */
+  accountStatus(user) {
+    const account = user.payout_account;
+    const connected = Boolean(
+      account?.account_id && account.provider === this.getProvider().name
+    );
+    return {
+      connected,
+      detailsSubmitted: connected && Boolean(account.details_submitted),
+      payoutsEnabled: connected && Boolean(account.payouts_enabled),
+    };
+  }
+
+  /**
+   * Create the user's connected account if needed and a link to the
+   * provider's onboarding
+   * @param {User} user - Full user document
+   * @returns {Object} { url, account }
+   */
+  async startOnboarding(user) {
+    const provider = this.getProvider();
+    const clientUrl = process.env.CLIENT_URL;
+
+    try {
+      if (!this.accountStatus(user).connected) {
+        const account = await provider.createAccount({
+          email: user.email,
+          metadata: { user_id: String(user._id) },
+        });
+        await this.applyAccount(user, account);
+      }
+
+      const link = await provider.createAccountLink(
+        user.payout_account.account_id,
+        {
+          refreshUrl: `${clientUrl}/applications?payouts=refresh`,
+          returnUrl: `${clientUrl}/applications?payouts=return`,
+        }
+      );
+      return { url: link.url, account: this.accountStatus(user) };
+    } catch (error) {
+      throw this.providerError("start payout onboarding", error);
+    }
+  }
+
+  /**
+   * Reload the user's connected account from the provider and pay out
+   * approved milestones once it can receive money
+   * @param {User} user - Full user document
+   * @returns {Object} accountStatus()
+   */
+  async refreshAccount(user) {
+    if (!this.accountStatus(user).connected) {
+      return this.accountStatus(user);
+    }
+
+    let account;
+    try {
+      account = await this.getProvider().retrieveAccount(
+        user.payout_account.account_id
+      );
+    } catch (error) {
+      throw this.providerError("load the payout account", error);
+    }
+    await this.applyAccount(user, account);
+    return this.accountStatus(user);
+  }
+
+  /**
+   * Store a provider account on its user
+   * @param {User} user
+   * @param {Object} account - Provider account
+   */
+  async applyAccount(user, account) {
+    const wasEnabled = Boolean(user.payout_account?.payouts_enabled);
+    user.payout_account = {
+      provider: this.getProvider().name,
+      account_id: account.id,
+      details_submitted: account.detailsSubmitted,
+      payouts_enabled: account.payoutsEnabled,
+      updated_at: new Date(),
+    };
+    await user.save({ validateBeforeSave: false });
+
+    if (account.payoutsEnabled && !wasEnabled) {
+      await this.releasePending({ payee: user._id });
+    }
+  }
+
+  // ==========================================================================
+  // ESCROW
+  // ==========================================================================
+
+  /**
+   * Start funding a milestone. With providers that charge at once the
+   * escrow comes back funded; otherwise the employer pays at `url`.
+   * A unique index allows one open escrow per milestone, so concurrent
+   * requests share a single checkout.
+   * @param {Application} application - With job_id populated
+   * @param {Object} milestone - Agreed milestone that is not completed
+   * @param {User} payer - Employer paying
+   * @param {String} currency - Contract currency
+   * @returns {Object} { escrow, url }
+   */
+  async fundMilestone(application, milestone, payer, currency) {
+    const payeeId = application.applicant_id._id || application.applicant_id;
+    if (String(payer._id) === String(payeeId)) {
+      throw this.error("You cannot pay yourself for a milestone", 403);
+    }
+
+    const resumed = await this.resumeFunding(application, milestone);
+    if (resumed) return resumed;
+
+    const provider = this.getProvider();
+    const escrow = new Escrow({
+      application_id: application._id,
+      milestone_id: milestone._id,
+      job_id: application.job_id._id || application.job_id,
+      payer: payer._id,
+      payee: payeeId,
+      provider: provider.name,
+      currency,
+      amount: milestone.amount,
+      ...this.fees(milestone.amount),
+    });
+
+    // Take the milestone's slot before anything is charged
+    try {
+      await escrow.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const concurrent = await this.resumeFunding(application, milestone);
+      if (concurrent) return concurrent;
+      throw this.error(
+        "A payment for this milestone is being started. Please try again.",
+        409
+      );
+    }
+
+    const clientUrl = process.env.CLIENT_URL;
+    let funding;
+    try {
+      funding = await provider.createFunding({
+        amount: Math.round(milestone.amount * 100),
+        currency: currency.toLowerCase(),
+        description: `Milestone: ${milestone.description}`.slice(0, 250),
+        customerEmail: payer.email,
+        transferGroup: `application_${application._id}`,
+        metadata: {
+          escrow_id: String(escrow._id),
+          application_id: String(application._id),
+          milestone_id: String(milestone._id),
+        },
+        successUrl: `${clientUrl}/applications?funding=success`,
+        cancelUrl: `${clientUrl}/applications?funding=cancelled`,
+      });
+    } catch (error) {
+      await this.cancelFunding(escrow);
+      throw this.providerError("start the payment", error);
+    }
+
+    escrow.funding.session_id = funding.id;
+    await escrow.save();
+
+    if (funding.status === "succeeded") {
+      return {
+        escrow: (await this.markFunded(escrow, funding)) || escrow,
+        url: null,
+      };
+    }
+    return { escrow, url: funding.url };
+  }
+
+  /**
+   * The milestone's open checkout, if it has one
+   * @returns {Object|null} { escrow, url }, null when the milestone can be
+   *   funded again
+   */
+  async resumeFunding(application, milestone) {
+    const existing = await Escrow.findOne({
+      application_id: application._id,
+      milestone_id: milestone._id,
+      status: { $in: Escrow.OPEN_STATUSES },
+    });
+    if (!existing) return null;
+
+    if (existing.status !== "awaiting_funding") {
+      throw this.error("This milestone is already funded", 409);
+    }
+    if (!existing.funding.session_id) {
+      throw this.error(
+        "A payment for this milestone is being started. Please try again.",
+        409
+      );
+    }
+
+    // Reuse the open checkout rather than risk charging twice
+    const funding = await this.syncFunding(existing);
+    if (!funding) {
+      throw this.error(
+        "Could not check the open payment for this milestone. Please try again.",
+        502
+      );
+    }
+    if (funding.status === "pending") {
+      return { escrow: existing, url: funding.url };
+    }
+    if (funding.status === "succeeded") {
+      throw this.error("This milestone is already funded", 409);
+    }
+    return null;
+  }
+
+  /**
+   * Check an unpaid escrow's funding with the provider
+   * @param {Escrow} escrow - awaiting_funding
+   * @returns {Object|null} Provider funding, null if it could not be loaded
+   */
+  async syncFunding(escrow) {
+    // The checkout was never created, e.g. the server stopped first
+    if (!escrow.funding.session_id) {
+      await this.cancelFunding(escrow);
+      return null;
+    }
+
+    let funding;
+    try {
+      funding = await this.getProvider().retrieveFunding(
+        escrow.funding.session_id
+      );
+    } catch (error) {
+      console.error(`Error loading funding of escrow ${escrow._id}:`, error);
+      return null;
+    }
+
+    if (funding.status === "succeeded") {
+      await this.markFunded(escrow, funding);
+    } else if (funding.status === "failed") {
+      await this.cancelFunding(escrow);
+    }
+    return funding;
+  }
+
+  /**
+   * Record a successful payment; does nothing when already recorded
+   * @param {Escrow} escrow
+   * @param {Object} funding - Provider funding
+   * @returns {Escrow|null} The funded escrow
+   */
+  async markFunded(escrow, funding) {
+    const funded = await Escrow.findOneAndUpdate(
+      { _id: escrow._id, status: "awaiting_funding" },
+      {
+        $set: {
+          status: "funded",
+          "funding.payment_id": funding.paymentId,
+          "funding.funded_at": new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!funded) return null;
+
+    await this.record(funded, "funded", "employer");
+    return funded;
+  }
+
+  // Abandoned or failed checkout; the milestone can be funded again
+  async cancelFunding(escrow) {
+    await Escrow.updateOne(
+      { _id: escrow._id, status: "awaiting_funding" },
+      { $set: { status: "cancelled" } }
+    );
+  }
+
+  /**
+   * Funded escrow of a milestone
+   * @returns {Escrow|null}
+   */
+  async findFunded(application, milestone) {
+    return Escrow.findOne({
+      application_id: application._id,
+      milestone_id: milestone._id,
+      status: "funded",
+    });
+  }
+
+  /**
+   * Mark a funded escrow's milestone as approved. Refunds are refused from
+   * then on; call transfer() to send the money. Requesting again, e.g.
+   * when saving the approval failed, keeps the first request.
+   * @param {Escrow} escrow - Funded escrow
+   * @returns {Escrow} The escrow with release requested
+   */
+  async requestRelease(escrow) {
+    if (String(escrow.payer) === String(escrow.payee)) {
+      throw this.error("You cannot release a payment to yourself", 403);
+    }
+
+    const requested =
+      (await Escrow.findOneAndUpdate(
+        { _id: escrow._id, status: "funded", "release.requested_at": null },
+        { $set: { "release.requested_at": new Date() } },
+        { new: true }
+      )) ||
+      (await Escrow.findOne({
+        _id: escrow._id,
+        status: "funded",
+        "release.requested_at": { $ne: null },
+      }));
+    if (!requested) {
+      throw this.error("This milestone's funds were already moved", 409);
+    }
+    return requested;
+  }
+
+  /**
+   * Send an approved escrow to the payee and book the payment. The payout
+   * is retried later when the doctor cannot receive it yet.
+   * @param {Escrow} escrow - Funded escrow with release requested
+   * @returns {Boolean} True when the money was sent
+   */
+  async transfer(escrow) {
+    // Never release money to the user who paid it in
+    if (String(escrow.payer) === String(escrow.payee)) {
+      await this.releaseFailed(escrow, "The payer cannot receive this payout");
+      return false;
+    }
+
+    const payee = await User.findById(escrow.payee).select("payout_account");
+    if (!payee || !this.accountStatus(payee).payoutsEnabled) {
+      await this.releaseFailed(
+        escrow,
+        "Waiting for the doctor to set up payouts"
+      );
+      return false;
+    }
+
+    // Claim the escrow so no refund or other release moves it meanwhile
+    const claimed = await Escrow.findOneAndUpdate(
+      {
+        _id: escrow._id,
+        status: "funded",
+        "release.requested_at": { $ne: null },
+      },
+      { $set: { status: "releasing" } }
+    );
+    if (!claimed) return false;
+
+    let transfer;
+    try {
+      transfer = await this.getProvider().createTransfer({
+        amount: Math.round(escrow.payout_amount * 100),
+        currency: escrow.currency.toLowerCase(),
+        destination: payee.payout_account.account_id,
+        paymentId: escrow.funding.payment_id,
+        transferGroup: `application_${escrow.application_id}`,
+        metadata: { escrow_id: String(escrow._id) },
+        idempotencyKey: `escrow_release_${escrow._id}`,
+      });
+    } catch (error) {
+      console.error(`Error releasing escrow ${escrow._id}:`, error);
+      await this.unclaim(escrow, "releasing");
+      await this.releaseFailed(escrow, error.message);
+      return false;
+    }
+
+    const now = new Date();
+    const released = await Escrow.findOneAndUpdate(
+      { _id: escrow._id, status: "releasing" },
+      {
+        $set: {
+          status: "released",
+          "release.transfer_id": transfer.id,
+          "release.released_at": now,
+          "release.last_error": null,
+        },
+      },
+      { new: true }
+    );
+    // Put back by the claim timeout; booked by the retry instead
+    if (!released) return true;
+
+    await Application.updateOne(
+      {
+        _id: escrow.application_id,
+        "payment_details.payment_schedule.milestone": escrow.milestone_id,
+      },
+      {
+        $set: {
+          "payment_details.payment_schedule.$.paid": true,
+          "payment_details.payment_schedule.$.paid_date": now,
+          "payment_details.payment_schedule.$.payment_method":
+            escrow.provider,
+        },
+        $inc: { "payment_details.amount_paid": escrow.amount },
+      }
+    );
+    await User.updateOne(
+      { _id: escrow.payee },
+      { $inc: { "job_statistics.total_earnings": escrow.payout_amount } }
+    );
+    await User.updateOne(
+      { _id: escrow.payer },
+      { $inc: { "job_statistics.total_spent": escrow.amount } }
+    );
+
+    await this.record(released, "released", "system");
+    return true;
+  }
+
+  // Give up a claim after the provider refused the money movement
+  async unclaim(escrow, claimStatus) {
+    await Escrow.updateOne(
+      { _id: escrow._id, status: claimStatus },
+      { $set: { status: "funded" } }
+    );
+  }
+
+  async releaseFailed(escrow, message) {
+    escrow.release.last_error = message.slice(0, 500);
+    await Escrow.updateOne(
+      { _id: escrow._id },
+      { $set: { "release.last_error": escrow.release.last_error } }
+    );
+  }
+
+  /**
+   * Retry payouts of approved milestones
+   * @param {Object} filter - Extra Escrow filter, e.g. { payee }
+   * @returns {Number} Number of escrows released
+   */
+  async releasePending(filter = {}) {
+    const escrows = await Escrow.find({
+      ...filter,
+      status: "funded",
+      "release.requested_at": { $ne: null },
+    })
+      .sort({ "release.requested_at": 1 })
+      .limit(100);
+
+    let released = 0;
+    for (const escrow of escrows) {
+      if (await this.transfer(escrow)) released++;
+    }
+    return released;
+  }
+
+  /**
+   * Give a funded, unapproved escrow back to the employer
+   * @param {Escrow} escrow
+   * @param {User} user - Who asked for the refund
+   * @param {String} reason
+   * @returns {Escrow} The refunded escrow
+   */
+  async refund(escrow, user, reason) {
+    // Claim the escrow first so an approval cannot release it meanwhile
+    const claimed = await Escrow.findOneAndUpdate(
+      { _id: escrow._id, status: "funded", "release.requested_at": null },
+      { $set: { status: "refunding" } }
+    );
+    if (!claimed) {
+      const current = await Escrow.findById(escrow._id).select(
+        "status release.requested_at"
+      );
+      throw this.error(
+        current?.status === "funded"
+          ? "Approved milestones cannot be refunded"
+          : "This milestone's funds were already moved",
+        409
+      );
+    }
+
+    let refund;
+    try {
+      refund = await this.getProvider().createRefund({
+        paymentId: escrow.funding.payment_id,
+        amount: Math.round(escrow.amount * 100),
+        metadata: { escrow_id: String(escrow._id) },
+        idempotencyKey: `escrow_refund_${escrow._id}`,
+      });
+    } catch (error) {
+      await this.unclaim(escrow, "refunding");
+      throw this.providerError("refund the payment", error);
+    }
+
+    const refunded = await Escrow.findOneAndUpdate(
+      { _id: escrow._id, status: "refunding" },
+      {
+        $set: {
+          status: "refunded",
+          "refund.refund_id": refund.id,
+          "refund.refunded_by": user._id,
+          "refund.reason": reason,
+          "refund.refunded_at": new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!refunded) {
+      throw this.error(
+        "The refund took too long to confirm. Please try again.",
+        409
+      );
+    }
+
+    await this.record(refunded, "refunded", "system");
+    return refunded;
+  }
+
+  /**
+   * Handle a normalised provider webhook event
+   * @param {Object} event - See services/paymentProviders.js
+   */
+  async handleEvent(event) {
+    if (event.type === "account.updated") {
+      const user = await User.findOne({
+        "payout_account.account_id": event.account.id,
+      });
+      if (user) await this.applyAccount(user, event.account);
+      return;
+    }
+
+    const escrow = await Escrow.findOne({
+      "funding.session_id": event.funding.id,
+    });
+    if (!escrow) return;
+
+    if (event.type === "funding.succeeded") {
+      await this.markFunded(escrow, event.funding);
+    } else if (event.type === "funding.failed") {
+      await this.cancelFunding(escrow);
+    }
+  }
+
+  /**
+   * Escrows a user pays or receives, newest first
+   * @param {User} user
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { escrows, totals, pagination }
+   */
+  async listEscrows(user, { page = 1, limit = 20 } = {}) {
+    const filter = {
+      $or: [{ payer: user._id }, { payee: user._id }],
+      status: { $ne: "cancelled" },
+    };
+
+    const [escrows, total, totals] = await Promise.all([
+      Escrow.find(filter)
+        .populate("job_id", "title")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Escrow.countDocuments(filter),
+      Escrow.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: {
+              currency: "$currency",
+              status: "$status",
+              role: {
+                $cond: [{ $eq: ["$payer", user._id] }, "payer", "payee"],
+              },
+            },
+            amount: { $sum: "$amount" },
+            payout: { $sum: "$payout_amount" },
+          },
+        },
+      ]),
+    ]);
+
+    return {
+      escrows: escrows.map((escrow) => ({
+        ...escrow,
+        role: String(escrow.payer) === String(user._id) ? "payer" : "payee",
+      })),
+      totals: totals.map((group) => ({
+        ...group._id,
+        // Payees see what reaches them, payers what they paid
+        amount: group._id.role === "payee" ? group.payout : group.amount,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Retry payouts and check unpaid checkouts now and every
+   * PAYMENT_SYNC_INTERVAL_MINUTES
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = async () => {
+      // Skip a tick while the previous run is still going
+      if (this.running) return;
+      this.running = true;
+
+      try {
+        // Claims left by a server that stopped mid-way; retries reuse the
+        // idempotency keys, so the money still moves only once
+        await Escrow.updateMany(
+          {
+            status: { $in: ["releasing", "refunding"] },
+            updatedAt: { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) },
+          },
+          { $set: { status: "funded" } }
+        );
+
+        const released = await this.releasePending();
+        if (released > 0) {
+          console.log(`💸 ${released} milestone payout(s) released`);
+        }
+
+        const unpaid = await Escrow.find({
+          status: "awaiting_funding",
+          createdAt: { $lt: new Date(Date.now() - FUNDING_SYNC_AFTER_MS) },
+        }).limit(100);
+        for (const escrow of unpaid) {
+          await this.syncFunding(escrow);
+        }
+      } catch (error) {
+        console.error("❌ Payment sync error:", error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  // Log a money movement on the application and tell both parties
+  async record(escrow, event, from) {
+    const application = await Application.findById(escrow.application_id)
+      .select("job_id applicant_id contract_details.milestones")
+      .populate("job_id", "title");
+    const milestone = application?.contract_details.milestones.id(
+      escrow.milestone_id
+    );
+    if (!milestone) return;
+
+    const amount = `${escrow.amount} ${escrow.currency}`;
+    const content = {
+      funded: `Employer funded milestone "${milestone.description}" (${amount})`,
+      released: `Payment for milestone "${milestone.description}" released to the doctor (${escrow.payout_amount} ${escrow.currency} after fees)`,
+      refunded: `Funds for milestone "${milestone.description}" refunded to the employer (${amount})`,
+    }[event];
+
+    await Application.updateOne(
+      { _id: application._id },
+      {
+        $push: {
+          communication_log: {
+            type: "system",
+            content: content.slice(0, 1000),
+            from,
+            date: new Date(),
+          },
+        },
+      }
+    );
+
+    for (const userId of [escrow.payer, escrow.payee]) {
+      await notificationService
+        .notifyEscrowUpdate(userId, application, milestone, escrow, event)
+        .catch((error) =>
+          console.error("Error sending escrow notification:", error)
+        );
+    }
+  }
+
+  // Provider failures surface as 502 with the provider's message logged
+  providerError(action, error) {
+    console.error(`Payment provider error (${action}):`, error);
+    return this.error(
+      `Could not ${action} with the payment provider. Please try again.`,
+      502
+    );
+  }
+
+  // Error carrying an HTTP status for the controller
+  error(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+// Export singleton instance
+module.exports = new PaymentService();
@@ -0,0 +1,173 @@
+// server/services/trendingService.js
+const Job = require("../models/Job");
+const JobView = require("../models/JobView");
+const Application = require("../models/Application");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// An application says far more about a job than a view does
+const VIEW_WEIGHT = 1;
+const APPLICATION_WEIGHT = 5;
+
+// How much the last day's growth adds on top of the decayed engagement
+const VELOCITY_WEIGHT = 0.5;
+
+/**
+ * Trending Service
+ * Ranks active jobs by recent engagement. Every unique view and application
+ * counts with a weight that halves every TRENDING_HALF_LIFE_HOURS, so an old
+ * viral job fades and fresh jobs can surface. Jobs gaining engagement faster
+ * today than yesterday get a velocity bonus, and featured jobs a boost.
+ * Scores are recomputed every TRENDING_INTERVAL_MINUTES and cached on
+ * job.trending, so GET /api/jobs/trending is a plain indexed query.
+ */
+class TrendingService {
+  constructor() {
+    this.intervalMs =
+      (parseInt(process.env.TRENDING_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.halfLifeHours = parseInt(process.env.TRENDING_HALF_LIFE_HOURS) || 24;
+    this.windowDays = parseInt(process.env.TRENDING_WINDOW_DAYS) || 14;
+    this.featuredBoost = parseFloat(process.env.TRENDING_FEATURED_BOOST) || 1.5;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Decayed and day-over-day engagement per job from one event collection
+   * @param {Model} Model - JobView or Application
+   * @param {String} jobField - Field holding the job id
+   * @param {Date} now
+   * @returns {Array<{_id, decayed, lastDay, previousDay}>}
+   */
+  async engagementByJob(Model, jobField, now) {
+    const since = new Date(now.getTime() - this.windowDays * 24 * HOUR_MS);
+    const ageHours = {
+      $divide: [{ $subtract: [now, "$createdAt"] }, HOUR_MS],
+    };
+
+    return Model.aggregate([
+      { $match: { createdAt: { $gte: since, $lte: now } } },
+      { $project: { job: `$${jobField}`, age: ageHours } },
+      {
+        $group: {
+          _id: "$job",
+          decayed: {
+            $sum: { $pow: [0.5, { $divide: ["$age", this.halfLifeHours] }] },
+          },
+          lastDay: { $sum: { $cond: [{ $lt: ["$age", 24] }, 1, 0] } },
+          previousDay: {
+            $sum: {
+              $cond: [
+                { $and: [{ $gte: ["$age", 24] }, { $lt: ["$age", 48] }] },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Score from weighted engagement
+   * @param {Object} views - engagementByJob entry for views, or undefined
+   * @param {Object} applications - Same for applications
+   * @param {Boolean} featured
+   * @returns {Number}
+   */
+  score(views = {}, applications = {}, featured = false) {
+    const weighted = (field) =>
+      (views[field] || 0) * VIEW_WEIGHT +
+      (applications[field] || 0) * APPLICATION_WEIGHT;
+
+    const velocity = Math.max(
+      0,
+      weighted("lastDay") - weighted("previousDay")
+    );
+    const score =
+      (weighted("decayed") + VELOCITY_WEIGHT * velocity) *
+      (featured ? this.featuredBoost : 1);
+
+    return Math.round(score * 1000) / 1000;
+  }
+
+  /**
+   * Recompute the trending score of every active job
+   * @returns {Number} Number of jobs with engagement in the window
+   */
+  async recompute() {
+    const now = new Date();
+    const [views, applications, jobs] = await Promise.all([
+      this.engagementByJob(JobView, "job", now),
+      this.engagementByJob(Application, "job_id", now),
+      Job.find({ status: "active" }).select("featured trending.score").lean(),
+    ]);
+
+    const viewsByJob = new Map(views.map((item) => [String(item._id), item]));
+    const applicationsByJob = new Map(
+      applications.map((item) => [String(item._id), item])
+    );
+
+    let engaged = 0;
+    const operations = [];
+    for (const job of jobs) {
+      const id = String(job._id);
+      const score = this.score(
+        viewsByJob.get(id),
+        applicationsByJob.get(id),
+        job.featured
+      );
+      if (score > 0) engaged++;
+
+      // Jobs that stay at zero need no write
+      if (score === 0 && !job.trending?.score) continue;
+      operations.push({
+        updateOne: {
+          filter: { _id: job._id },
+          update: {
+            $set: { "trending.score": score, "trending.computed_at": now },
+          },
+        },
+      });
+    }
+
+    if (operations.length > 0) {
+      await Job.bulkWrite(operations, { ordered: false });
+    }
+    return engaged;
+  }
+
+  /**
+   * Recompute scores now and every TRENDING_INTERVAL_MINUTES
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = async () => {
+      // Skip a tick while the previous run is still going
+      if (this.running) return;
+      this.running = true;
+
+      try {
+        const engaged = await this.recompute();
+        if (engaged > 0) {
+          console.log(`🔥 Trending scores updated for ${engaged} job(s)`);
+        }
+      } catch (error) {
+        console.error("❌ Trending score error:", error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+}
+
+// Export singleton instance
+module.exports = new TrendingService();
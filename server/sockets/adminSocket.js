@@ -2,7 +2,9 @@
 const User = require("../models/User");
 const Job = require("../models/Job");
 const Application = require("../models/Application");
+const Session = require("../models/Session");
 const jwt = require("jsonwebtoken");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
 
 /**
  * Admin Socket.IO Namespace Handler
@@ -43,13 +45,23 @@ module.exports = (io) => {
 
       console.log("✅ User found:", user.email, "Role:", user.role);
 
+      if (user.changedPasswordAfter(decoded.iat)) {
+        console.error("❌ Token issued before password change:", user.email);
+        return next(new Error("Token expired"));
+      }
+
+      if (!(await Session.isActiveSession(decoded.sid))) {
+        console.error("❌ Session revoked:", user.email);
+        return next(new Error("Session revoked"));
+      }
+
       if (user.accountStatus !== "active") {
         console.error("❌ Account not active:", user.email);
         return next(new Error("Account not active"));
       }
 
-      // Check if user is admin
-      if (user.role !== "admin") {
+      // Check if user can see the admin dashboard
+      if (!hasPermission(user, PERMISSIONS.ADMIN_DASHBOARD)) {
         console.error("❌ Not an admin:", user.email, "Role:", user.role);
         return next(new Error("Unauthorized: Admin access required"));
       }
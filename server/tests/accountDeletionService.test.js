@@ -0,0 +1,79 @@
+const mockStripe = {
+  subscriptions: { update: jest.fn(), cancel: jest.fn() },
+};
+jest.mock("stripe", () => () => mockStripe);
+
+const User = require("../models/User");
+const Session = require("../models/Session");
+const Subscription = require("../models/Subscription");
+const mailService = require("../services/mailService");
+const auditLogService = require("../services/auditLogService");
+const accountDeletionService = require("../services/accountDeletionService");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("account deletion and the subscription", () => {
+  let user;
+  let subscription;
+
+  beforeEach(() => {
+    user = new User({
+      firstName: "Ada",
+      lastName: "Doctor",
+      email: "ada@example.com",
+      role: "senior",
+      accountStatus: "active",
+    });
+    subscription = new Subscription({
+      userId: user._id,
+      stripeCustomerId: "cus_123",
+      stripeSubscriptionId: "sub_123",
+      planId: "professional",
+      status: "active",
+      currentPeriodEnd: new Date(Date.now() + 10 * DAY),
+    });
+
+    jest.spyOn(user, "save").mockResolvedValue(user);
+    jest.spyOn(subscription, "save").mockResolvedValue(subscription);
+    jest.spyOn(Subscription, "findOne").mockResolvedValue(subscription);
+    jest.spyOn(Session, "revokeAllForUser").mockResolvedValue(0);
+    jest.spyOn(mailService, "sendAccountDeletionEmail").mockResolvedValue();
+    jest.spyOn(auditLogService, "record").mockResolvedValue();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    mockStripe.subscriptions.update.mockReset().mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("stops renewals and resumes them when the deletion is cancelled", async () => {
+    await accountDeletionService.scheduleDeletion(user);
+
+    expect(user.accountStatus).toBe("inactive");
+    expect(subscription.willCancelAt).toEqual(subscription.currentPeriodEnd);
+    expect(mockStripe.subscriptions.update).toHaveBeenLastCalledWith(
+      "sub_123",
+      { cancel_at_period_end: true }
+    );
+
+    expect(await accountDeletionService.cancelDeletion(user)).toBe(true);
+
+    expect(user.accountStatus).toBe("active");
+    expect(subscription.willCancelAt).toBeNull();
+    expect(mockStripe.subscriptions.update).toHaveBeenLastCalledWith(
+      "sub_123",
+      { cancel_at_period_end: false }
+    );
+  });
+
+  it("keeps a cancellation the user made before asking for deletion", async () => {
+    subscription.willCancelAt = subscription.currentPeriodEnd;
+    subscription.cancelationReason = "Too expensive";
+
+    await accountDeletionService.scheduleDeletion(user);
+    await accountDeletionService.cancelDeletion(user);
+
+    expect(mockStripe.subscriptions.update).not.toHaveBeenCalled();
+    expect(subscription.willCancelAt).toEqual(subscription.currentPeriodEnd);
+    expect(subscription.cancelationReason).toBe("Too expensive");
+  });
+});
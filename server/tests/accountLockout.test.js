@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const LoginEvent = require("../models/LoginEvent");
+
+const MINUTE = 60 * 1000;
+
+describe("progressive account lockout", () => {
+  let user;
+
+  // Minutes left on the lock, rounded
+  const lockedFor = () => Math.round((user.lockUntil - Date.now()) / MINUTE);
+
+  const fail = (times) => {
+    for (let i = 0; i < times; i++) user.registerFailedLogin();
+  };
+
+  beforeEach(() => {
+    user = new User({ email: "ada@example.com" });
+  });
+
+  it("locks the account after five failed sign-ins", () => {
+    fail(4);
+    expect(user.isLocked).toBe(false);
+
+    fail(1);
+    expect(user.isLocked).toBe(true);
+    expect(lockedFor()).toBe(5);
+  });
+
+  it("doubles the lock with every further failure, up to a day", () => {
+    fail(6);
+    expect(lockedFor()).toBe(10);
+
+    fail(1);
+    expect(lockedFor()).toBe(20);
+
+    fail(20);
+    expect(lockedFor()).toBe(24 * 60);
+  });
+
+  it("unlocks once the attempts are reset", () => {
+    fail(5);
+
+    user.resetLoginAttempts();
+
+    expect(user.isLocked).toBe(false);
+    expect(user.loginAttempts).toBe(0);
+    fail(4);
+    expect(user.isLocked).toBe(false);
+  });
+});
+
+describe("LoginEvent.record", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const req = (userAgent) => ({ ip: "203.0.113.7", get: () => userAgent });
+  const CHROME = "Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36";
+
+  beforeEach(() => {
+    jest.spyOn(LoginEvent, "create").mockImplementation(async (data) => data);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("flags a successful sign-in from a device not seen before", async () => {
+    jest
+      .spyOn(LoginEvent, "exists")
+      .mockImplementation(async (filter) => !filter.deviceName);
+
+    const event = await LoginEvent.record(userId, req(CHROME), {
+      success: true,
+      reason: "success",
+    });
+
+    expect(event).toMatchObject({
+      deviceName: "Chrome on Windows",
+      newDevice: true,
+    });
+  });
+
+  it("does not flag the first sign-in or a failed one", async () => {
+    jest.spyOn(LoginEvent, "exists").mockResolvedValue(null);
+
+    const first = await LoginEvent.record(userId, req(CHROME), {
+      success: true,
+      reason: "success",
+    });
+    const failed = await LoginEvent.record(userId, req(CHROME), {
+      success: false,
+      reason: "invalid_password",
+    });
+
+    expect(first.newDevice).toBe(false);
+    expect(failed.newDevice).toBe(false);
+    expect(LoginEvent.exists).toHaveBeenCalledTimes(2);
+  });
+});
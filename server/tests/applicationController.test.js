@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+const applicationController = require("../controllers/applicationController");
+const { mockResponse } = require("./helpers/response");
+
+describe("applicationController.submitApplication", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("refuses applications to a job the applicant manages", async () => {
+    const doctor = { _id: new mongoose.Types.ObjectId(), role: "junior" };
+    const job = new Job({ posted_by: doctor._id, status: "active" });
+    jest.spyOn(Job, "findById").mockReturnValue({ select: async () => job });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const res = mockResponse();
+
+    await applicationController.submitApplication(
+      { user: doctor, body: { job_id: String(job._id) } },
+      res
+    );
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("You cannot apply to a job you manage");
+  });
+});
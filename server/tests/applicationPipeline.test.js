@@ -0,0 +1,106 @@
+const {
+  getPipeline,
+  resolveMove,
+} = require("../utils/applicationPipeline");
+
+const CUSTOM_STAGES = [
+  {
+    key: "new",
+    name: "New",
+    status: "submitted",
+    transitions: ["credential_check", "rejected"],
+  },
+  {
+    key: "credential_check",
+    name: "Credential check",
+    status: "under_review",
+    transitions: ["hired", "rejected"],
+  },
+  {
+    key: "hired",
+    name: "Hired",
+    status: "accepted",
+    transitions: [],
+  },
+  {
+    key: "rejected",
+    name: "Not selected",
+    status: "rejected",
+    transitions: [],
+  },
+];
+
+describe("resolveMove", () => {
+  const stages = getPipeline({ pipeline: { stages: CUSTOM_STAGES } });
+
+  it("cannot skip a stage of a custom pipeline", () => {
+    const application = { status: "submitted", stage: "new" };
+
+    const { error, currentStage } = resolveMove(application, stages, {
+      status: "accepted",
+    });
+
+    expect(error).toBe("Cannot move application from New to Hired");
+    expect(currentStage.key).toBe("new");
+  });
+
+  it("moves along a transition by status", () => {
+    const application = {
+      status: "under_review",
+      stage: "credential_check",
+    };
+
+    const { error, targetStage } = resolveMove(application, stages, {
+      status: "accepted",
+    });
+
+    expect(error).toBeNull();
+    expect(targetStage.key).toBe("hired");
+  });
+
+  it("rejects from any open stage", () => {
+    const application = { status: "submitted", stage: "new" };
+
+    expect(
+      resolveMove(application, stages, { status: "rejected" }).targetStage.key
+    ).toBe("rejected");
+  });
+
+  it("does not move applications out of a final stage", () => {
+    const application = { status: "rejected", stage: "rejected" };
+
+    expect(
+      resolveMove(application, stages, { status: "accepted" }).error
+    ).toBe("Cannot move application from Not selected to Hired");
+  });
+
+  it("places an application whose status has no stage anywhere", () => {
+    const application = { status: "interview_scheduled", stage: null };
+
+    const { error, targetStage } = resolveMove(application, stages, {
+      status: "accepted",
+    });
+
+    expect(error).toBeNull();
+    expect(targetStage.key).toBe("hired");
+  });
+
+  it("reports stages that are not in the pipeline", () => {
+    const application = { status: "submitted", stage: "new" };
+
+    expect(
+      resolveMove(application, stages, { stage: "phone_screen" }).error
+    ).toBe('Stage "phone_screen" is not part of this job\'s pipeline');
+  });
+
+  it("accepts from under review in the default pipeline", () => {
+    const application = { status: "under_review", stage: null };
+
+    const { error, targetStage } = resolveMove(application, getPipeline(), {
+      status: "accepted",
+    });
+
+    expect(error).toBeNull();
+    expect(targetStage.key).toBe("accepted");
+  });
+});
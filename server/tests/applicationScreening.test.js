@@ -0,0 +1,185 @@
+const {
+  matchesAny,
+  findUnmetRequirements,
+  screenApplication,
+  publicScreeningQuestions,
+} = require("../utils/applicationScreening");
+
+describe("matchesAny", () => {
+  it("matches a held credential against a longer requirement", () => {
+    expect(matchesAny("BLS Certification", ["BLS"])).toBe(true);
+    expect(matchesAny("CA License", ["CA"])).toBe(true);
+  });
+
+  it("matches a longer held credential against a short requirement", () => {
+    expect(matchesAny("BLS", ["BLS Certification"])).toBe(true);
+    expect(matchesAny("CA", ["CA License"])).toBe(true);
+  });
+
+  it("ignores case and punctuation", () => {
+    expect(matchesAny("acls", ["ACLS-Certified"])).toBe(true);
+  });
+
+  it("does not match on part of a word", () => {
+    expect(matchesAny("BLS", ["ACLS"])).toBe(false);
+    expect(matchesAny("CA License", ["NY License"])).toBe(false);
+  });
+
+  it("ignores empty candidates", () => {
+    expect(matchesAny("BLS", [null, ""])).toBe(false);
+  });
+});
+
+describe("findUnmetRequirements", () => {
+  const job = {
+    requirements: {
+      licenses: ["CA License"],
+      certifications: ["BLS Certification"],
+      languages: ["Spanish"],
+    },
+  };
+
+  it("accepts a license state and a short certification name", () => {
+    const user = {
+      licenseState: "CA",
+      certifications: [{ name: "BLS" }],
+      languages: [{ language: "Spanish" }],
+    };
+
+    expect(findUnmetRequirements(job, user)).toEqual([]);
+  });
+
+  it("lists requirements the applicant does not meet", () => {
+    const user = {
+      licenseState: "NY",
+      certifications: [{ name: "ACLS" }],
+      languages: [{ language: "English" }],
+    };
+
+    expect(findUnmetRequirements(job, user)).toEqual([
+      { group: "certifications", value: "BLS Certification" },
+      { group: "licenses", value: "CA License" },
+      { group: "languages", value: "Spanish" },
+    ]);
+  });
+
+  it("ignores expired certifications", () => {
+    const user = {
+      licenseState: "CA",
+      certifications: [
+        { name: "BLS", expirationDate: new Date(Date.now() - 1000) },
+      ],
+      languages: [{ language: "Spanish" }],
+    };
+
+    expect(findUnmetRequirements(job, user)).toEqual([
+      { group: "certifications", value: "BLS Certification" },
+    ]);
+  });
+});
+
+describe("screenApplication", () => {
+  const questions = [
+    {
+      _id: "q1",
+      question: "Are you board certified?",
+      type: "yes_no",
+      required: true,
+      knockout: { answers: ["no"] },
+    },
+    {
+      _id: "q2",
+      question: "Years of experience",
+      type: "number",
+      required: true,
+      knockout: { min: 3 },
+    },
+    {
+      _id: "q3",
+      question: "Preferred shift",
+      type: "multiple_choice",
+      options: ["Day", "Night"],
+      required: false,
+    },
+  ];
+  const job = { screening_questions: questions, requirements: {} };
+  const user = { certifications: [], languages: [] };
+
+  const answer = (q1, q2, q3) =>
+    [
+      { question_id: "q1", answer: q1 },
+      { question_id: "q2", answer: q2 },
+      { question_id: "q3", answer: q3 },
+    ].filter((entry) => entry.answer !== undefined);
+
+  it("passes answers that hit no knockout", () => {
+    const result = screenApplication(job, user, answer(true, "5", "night"));
+
+    expect(result.errors).toEqual([]);
+    expect(result.outcome).toBe("passed");
+    expect(result.answers.map((entry) => entry.answer)).toEqual([
+      "yes",
+      5,
+      "Night",
+    ]);
+  });
+
+  it("requires the required questions and valid answers", () => {
+    const result = screenApplication(job, user, answer("maybe"));
+
+    expect(result.errors).toEqual([
+      { field: "screening_answers.q1", message: "Answer must be yes or no" },
+      {
+        field: "screening_answers.q2",
+        message: "Please answer: Years of experience",
+      },
+    ]);
+  });
+
+  it("flags knockout answers by default", () => {
+    const result = screenApplication(job, user, answer("no", 1));
+
+    expect(result.outcome).toBe("flagged");
+    expect(result.dealBreakers).toEqual([
+      {
+        source: "question",
+        reason: 'Answered "no" to "Are you board certified?"',
+      },
+      { source: "question", reason: 'Answered "1" to "Years of experience"' },
+    ]);
+  });
+
+  it("rejects knockouts when the job says so", () => {
+    const result = screenApplication(
+      { ...job, matching_criteria: { deal_breaker_action: "reject" } },
+      user,
+      answer("yes", 2)
+    );
+
+    expect(result.outcome).toBe("rejected");
+  });
+
+  it("enforces only the requirements marked as deal-breakers", () => {
+    const strictJob = {
+      requirements: { certifications: ["BLS"], languages: ["Spanish"] },
+      matching_criteria: { deal_breakers: ["languages"] },
+    };
+
+    const result = screenApplication(strictJob, user);
+
+    expect(result.unmetRequirements).toEqual([
+      "certifications: BLS",
+      "languages: Spanish",
+    ]);
+    expect(result.dealBreakers).toEqual([
+      { source: "requirement", reason: "Missing required language: Spanish" },
+    ]);
+    expect(result.outcome).toBe("flagged");
+  });
+
+  it("hides the knockout rules from applicants", () => {
+    expect(publicScreeningQuestions(questions)[0]).not.toHaveProperty(
+      "knockout"
+    );
+  });
+});
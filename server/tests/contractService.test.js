@@ -0,0 +1,154 @@
+const mongoose = require("mongoose");
+
+jest.mock("../utils/notificationService", () => ({
+  notifyMilestoneUpdate: jest.fn().mockResolvedValue(null),
+}));
+
+const Application = require("../models/Application");
+const contractService = require("../services/contractService");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("contractService.partyOf", () => {
+  const employer = { _id: new mongoose.Types.ObjectId(), role: "senior" };
+  const doctor = { _id: new mongoose.Types.ObjectId(), role: "junior" };
+  const application = {
+    job_id: { posted_by: employer._id },
+    applicant_id: doctor._id,
+  };
+
+  it("resolves the job's manager as the employer", () => {
+    expect(contractService.partyOf(application, employer)).toBe("employer");
+  });
+
+  it("resolves the hired doctor as the applicant", () => {
+    expect(contractService.partyOf(application, doctor)).toBe("applicant");
+    expect(
+      contractService.partyOf(
+        { ...application, applicant_id: { _id: doctor._id } },
+        doctor
+      )
+    ).toBe("applicant");
+  });
+
+  it("puts everyone else on neither side", () => {
+    const stranger = { _id: new mongoose.Types.ObjectId(), role: "senior" };
+    expect(contractService.partyOf(application, stranger)).toBeNull();
+  });
+
+  it("puts a user on both sides on neither", () => {
+    expect(
+      contractService.partyOf(
+        { ...application, applicant_id: employer._id },
+        employer
+      )
+    ).toBeNull();
+  });
+});
+
+describe("contractService milestones", () => {
+  let application;
+
+  const propose = (party, amount = 100) =>
+    contractService.proposeMilestone(application, party, {
+      description: "Chart review",
+      due_date: new Date(Date.now() + 7 * DAY),
+      amount,
+    });
+  const signAsDoctor = (milestone) =>
+    contractService.signMilestone(application, "applicant", milestone._id);
+  const startAsDoctor = (milestone) =>
+    contractService.startMilestone(application, "applicant", milestone._id);
+
+  beforeEach(() => {
+    application = new Application({
+      job_id: new mongoose.Types.ObjectId(),
+      applicant_id: new mongoose.Types.ObjectId(),
+      status: "accepted",
+      contract_details: { agreed_budget: 250, milestones: [] },
+    });
+    jest.spyOn(application, "save").mockResolvedValue(application);
+  });
+
+  it("makes a milestone binding once the other party signs it", async () => {
+    const milestone = await propose("employer");
+
+    await expect(
+      contractService.signMilestone(application, "employer", milestone._id)
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    await signAsDoctor(milestone);
+
+    expect(milestone.status).toBe("pending");
+    expect(application.contract_details.signed_date).toBeInstanceOf(Date);
+    expect(application.payment_details.payment_schedule).toHaveLength(1);
+    expect(application.payment_details.total_amount).toBe(100);
+  });
+
+  it("keeps proposals within the agreed budget", async () => {
+    await propose("applicant", 200);
+
+    await expect(propose("employer", 100)).rejects.toMatchObject({
+      message: "Milestones would total 300, above the agreed budget of 250",
+    });
+  });
+
+  it("lets only the doctor start and submit work", async () => {
+    const milestone = await propose("employer");
+    await signAsDoctor(milestone);
+
+    await expect(
+      contractService.startMilestone(application, "employer", milestone._id)
+    ).rejects.toMatchObject({ statusCode: 403 });
+
+    await startAsDoctor(milestone);
+    await contractService.submitMilestone(
+      application,
+      "applicant",
+      milestone._id,
+      { message: "Done" }
+    );
+
+    expect(milestone.status).toBe("submitted");
+    expect(milestone.submissions).toHaveLength(1);
+  });
+
+  it("sends submitted work back for a revision", async () => {
+    const milestone = await propose("employer");
+    await signAsDoctor(milestone);
+    await startAsDoctor(milestone);
+    await contractService.submitMilestone(
+      application,
+      "applicant",
+      milestone._id,
+      { message: "Done" }
+    );
+
+    await expect(
+      contractService.requestRevision(application, "applicant", milestone._id, {
+        feedback: "More detail",
+      })
+    ).rejects.toMatchObject({ statusCode: 403 });
+
+    await contractService.requestRevision(
+      application,
+      "employer",
+      milestone._id,
+      { feedback: "More detail" }
+    );
+
+    expect(milestone.status).toBe("revision_requested");
+    expect(milestone.submissions[0].review.decision).toBe(
+      "revision_requested"
+    );
+  });
+
+  it("refuses changes once the contract has ended", async () => {
+    const milestone = await propose("employer");
+    application.status = "withdrawn";
+
+    await expect(
+      contractService.signMilestone(application, "applicant", milestone._id)
+    ).rejects.toMatchObject({ message: "This contract is no longer active" });
+  });
+});
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const dataExportService = require("../services/dataExportService");
+
+// Query returning the same result whatever is chained onto it
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  ["populate", "select", "sort", "limit", "lean"].forEach((method) => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+describe("dataExportService.buildSummary", () => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    firstName: "Ada",
+    lastName: "Doctor",
+    email: "ada@example.com",
+    role: "junior",
+    createdAt: new Date("2024-01-15"),
+  };
+
+  beforeEach(() => {
+    jest.spyOn(mongoose.Model, "find").mockImplementation(() => query([]));
+    jest
+      .spyOn(mongoose.Model, "findOne")
+      .mockImplementation(() => query(null));
+    jest
+      .spyOn(mongoose.Model, "findById")
+      .mockImplementation(() => query(user));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("lists every file of the archive", async () => {
+    const { files, counts } = await dataExportService.collectUserData(
+      user._id
+    );
+
+    const summary = dataExportService.buildSummary(user, counts);
+
+    Object.keys(files).forEach((name) => {
+      expect(summary).toMatch(new RegExp(`^${name} +\\S`, "m"));
+    });
+  });
+});
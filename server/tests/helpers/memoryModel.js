@@ -0,0 +1,245 @@
+// server/tests/helpers/memoryModel.js
+// In-memory stand-in for a Mongoose model, for unit tests that run without
+// a database. Supports the filters and updates the services use: dotted
+// paths, $in, $ne, $lt, $or, $set and $inc, and unique indexes.
+const mongoose = require("mongoose");
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+// Deep copy that keeps ObjectIds and dates
+const clone = (value) => {
+  if (value === null || typeof value !== "object" || isObjectId(value)) {
+    return value;
+  }
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, clone(item)])
+  );
+};
+
+// Ids and dates compare by value, undefined like null
+const same = (a, b) => {
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  if (isObjectId(a) || isObjectId(b)) return String(a) === String(b);
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  return a === b;
+};
+
+const matchesCondition = (value, condition) => {
+  const isOperator =
+    condition &&
+    typeof condition === "object" &&
+    !isObjectId(condition) &&
+    !(condition instanceof Date) &&
+    Object.keys(condition).every((key) => key.startsWith("$"));
+  if (!isOperator) return same(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$in":
+        return operand.some((item) => same(value, item));
+      case "$ne":
+        return !same(value, operand);
+      case "$lt":
+        return value !== undefined && value !== null && value < operand;
+      default:
+        throw new Error(`Unsupported operator in test model: ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) =>
+    path === "$or"
+      ? condition.some((branch) => matches(doc, branch))
+      : matchesCondition(getPath(doc, path), condition)
+  );
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    if (operator === "$set") {
+      Object.entries(fields).forEach(([path, value]) =>
+        setPath(doc, path, value)
+      );
+    } else if (operator === "$inc") {
+      Object.entries(fields).forEach(([path, value]) =>
+        setPath(doc, path, (getPath(doc, path) || 0) + value)
+      );
+    } else {
+      throw new Error(`Unsupported update in test model: ${operator}`);
+    }
+  });
+  doc.updatedAt = new Date();
+};
+
+// Chainable, awaitable query over a result computed on demand
+class Query {
+  constructor(run) {
+    this.run = run;
+    this.order = null;
+    this.max = null;
+  }
+
+  select() {
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  lean() {
+    return this;
+  }
+
+  sort(order) {
+    this.order = order;
+    return this;
+  }
+
+  limit(max) {
+    this.max = max;
+    return this;
+  }
+
+  exec() {
+    let result = this.run();
+    if (Array.isArray(result)) {
+      if (this.order) {
+        const [[path, direction]] = Object.entries(this.order);
+        result = [...result].sort(
+          (a, b) => (getPath(a, path) > getPath(b, path) ? 1 : -1) * direction
+        );
+      }
+      if (this.max) result = result.slice(0, this.max);
+    }
+    return Promise.resolve(result);
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+/**
+ * Build a model class backed by an array
+ * @param {Object} options
+ * @param {Function} options.defaults - Fields of a new document
+ * @param {Array} options.unique - [{ fields, where }] unique indexes, where
+ *   limits one to the documents it returns true for (partial index)
+ * @returns {Function} Model class; Model.docs holds the stored documents
+ */
+const createMemoryModel = ({ defaults = () => ({}), unique = [] } = {}) => {
+  class MemoryModel {
+    constructor(data = {}) {
+      Object.assign(this, defaults(), data);
+      if (!this._id) this._id = new mongoose.Types.ObjectId();
+    }
+
+    // Copy of the stored state, like a freshly loaded document
+    static load(stored) {
+      return stored ? new MemoryModel(clone(stored)) : null;
+    }
+
+    static checkUnique(candidate) {
+      unique.forEach(({ fields, where = () => true }) => {
+        if (!where(candidate)) return;
+        const duplicate = MemoryModel.docs.some(
+          (doc) =>
+            !same(doc._id, candidate._id) &&
+            where(doc) &&
+            fields.every((field) =>
+              same(getPath(doc, field), getPath(candidate, field))
+            )
+        );
+        if (duplicate) {
+          const error = new Error("E11000 duplicate key error");
+          error.code = 11000;
+          throw error;
+        }
+      });
+    }
+
+    async save() {
+      const stored = clone({ ...this });
+      stored.updatedAt = new Date();
+      if (!stored.createdAt) stored.createdAt = stored.updatedAt;
+      MemoryModel.checkUnique(stored);
+
+      const index = MemoryModel.docs.findIndex((doc) =>
+        same(doc._id, this._id)
+      );
+      if (index === -1) {
+        MemoryModel.docs.push(stored);
+      } else {
+        MemoryModel.docs[index] = stored;
+      }
+      this.createdAt = stored.createdAt;
+      this.updatedAt = stored.updatedAt;
+      return this;
+    }
+
+    static find(filter) {
+      return new Query(() =>
+        MemoryModel.docs
+          .filter((doc) => matches(doc, filter))
+          .map((doc) => MemoryModel.load(doc))
+      );
+    }
+
+    static findOne(filter) {
+      return new Query(() =>
+        MemoryModel.load(MemoryModel.docs.find((doc) => matches(doc, filter)))
+      );
+    }
+
+    static findById(id) {
+      return MemoryModel.findOne({ _id: id });
+    }
+
+    static async findOneAndUpdate(filter, update, options = {}) {
+      const doc = MemoryModel.docs.find((item) => matches(item, filter));
+      if (!doc) return null;
+
+      const before = MemoryModel.load(doc);
+      const next = clone(doc);
+      applyUpdate(next, update);
+      MemoryModel.checkUnique(next);
+      Object.assign(doc, next);
+      return options.new ? MemoryModel.load(doc) : before;
+    }
+
+    static async updateOne(filter, update) {
+      const doc = await MemoryModel.findOneAndUpdate(filter, update);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    }
+
+    static async updateMany(filter, update) {
+      const docs = MemoryModel.docs.filter((doc) => matches(doc, filter));
+      docs.forEach((doc) => applyUpdate(doc, update));
+      return { matchedCount: docs.length, modifiedCount: docs.length };
+    }
+  }
+
+  MemoryModel.docs = [];
+  return MemoryModel;
+};
+
+module.exports = { createMemoryModel };
@@ -0,0 +1,29 @@
+// server/tests/helpers/response.js
+// Minimal Express response for calling controllers directly
+
+/**
+ * Response recording the status and JSON body a controller sends
+ * @returns {Object} res with statusCode and body after the call
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200, body: undefined, cookies: {} };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.cookie = jest.fn((name, value) => {
+    res.cookies[name] = value;
+    return res;
+  });
+  res.clearCookie = jest.fn((name) => {
+    delete res.cookies[name];
+    return res;
+  });
+  return res;
+};
+
+module.exports = { mockResponse };
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+const User = require("../models/User");
+const MatchScore = require("../models/MatchScore");
+const matchIndexService = require("../services/matchIndexService");
+const {
+  updateTouches,
+  DOCTOR_MATCH_FIELDS,
+} = require("../utils/matchingEngine");
+
+// Query resolving to a fixed result
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  ["select", "lean"].forEach((method) => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+const makeJob = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: "active",
+  specialty: "Cardiology",
+  updatedAt: new Date(),
+  ...overrides,
+});
+
+const makeDoctor = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role: "junior",
+  accountStatus: "active",
+  primarySpecialty: "Cardiology",
+  updatedAt: new Date(),
+  ...overrides,
+});
+
+describe("matchIndexService", () => {
+  beforeEach(() => {
+    jest.spyOn(MatchScore, "bulkWrite").mockResolvedValue({});
+    jest.spyOn(MatchScore, "deleteMany").mockResolvedValue({});
+    jest.spyOn(Job, "updateOne").mockResolvedValue({});
+    jest.spyOn(User, "updateOne").mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("scores an active job against every indexed doctor", async () => {
+    const doctors = [makeDoctor(), makeDoctor()];
+    jest.spyOn(User, "find").mockReturnValue(query(doctors));
+    const job = makeJob();
+
+    expect(await matchIndexService.indexJob(job)).toBe(2);
+
+    expect(User.find).toHaveBeenCalledWith(matchIndexService.doctorFilter());
+    const [operations] = MatchScore.bulkWrite.mock.calls[0];
+    expect(operations.map((op) => op.updateOne.filter)).toEqual(
+      doctors.map((doctor) => ({ doctor: doctor._id, job: job._id }))
+    );
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, updatedAt: job.updatedAt },
+      { $set: { matches_indexed_at: expect.any(Date) } },
+      { timestamps: false }
+    );
+  });
+
+  it("drops the scores of a job that closed", async () => {
+    const job = makeJob({ status: "closed" });
+
+    expect(await matchIndexService.indexJob(job)).toBe(0);
+
+    expect(MatchScore.deleteMany).toHaveBeenCalledWith({ job: job._id });
+    expect(MatchScore.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it("rescores a doctor and drops scores for jobs no longer active", async () => {
+    const jobs = [makeJob(), makeJob()];
+    jest.spyOn(Job, "find").mockReturnValue(query(jobs));
+    const doctor = makeDoctor();
+
+    expect(await matchIndexService.indexDoctor(doctor)).toBe(2);
+
+    expect(MatchScore.deleteMany).toHaveBeenCalledWith({
+      doctor: doctor._id,
+      job: { $nin: jobs.map((job) => job._id) },
+    });
+  });
+
+  it("keeps doctors without recommendations out of the index", async () => {
+    const senior = makeDoctor({ role: "senior" });
+    const suspended = makeDoctor({ accountStatus: "suspended" });
+
+    expect(matchIndexService.isIndexedDoctor(senior)).toBe(false);
+    expect(matchIndexService.isIndexedDoctor(suspended)).toBe(false);
+    expect(matchIndexService.isIndexedDoctor(makeDoctor())).toBe(true);
+
+    await matchIndexService.indexDoctor(senior);
+    expect(MatchScore.deleteMany).toHaveBeenCalledWith({ doctor: senior._id });
+  });
+});
+
+describe("updateTouches", () => {
+  const touches = (update) => updateTouches(update, DOCTOR_MATCH_FIELDS);
+
+  it("detects updates to fields the matching engine reads", () => {
+    expect(touches({ $set: { "skills.0.name": "ECG" } })).toBe(true);
+    expect(touches({ primarySpecialty: "Cardiology" })).toBe(true);
+    expect(touches({ $set: { lastActive: new Date() } })).toBe(false);
+  });
+});
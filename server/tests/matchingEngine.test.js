@@ -0,0 +1,158 @@
+const {
+  FACTORS,
+  registerFactor,
+  resolveWeights,
+  getMatchLevel,
+  evaluateMatch,
+} = require("../utils/matchingEngine");
+
+const now = new Date("2025-03-01T00:00:00Z");
+
+const job = {
+  category: "consultation",
+  specialty: "Cardiology",
+  experience_required: { level: "senior", minimum_years: 10 },
+  skills_required: ["Echocardiography", "Cardiac Catheterization"],
+  requirements: {
+    certifications: ["BLS"],
+    languages: ["Spanish"],
+    location_preference: "remote",
+  },
+};
+
+const doctor = {
+  primarySpecialty: "Cardiology",
+  yearsOfExperience: 12,
+  skills: [{ name: "Echocardiography" }, { name: "Cardiac Catheterization" }],
+  certifications: [{ name: "BLS Certification" }],
+  languages: [{ language: "Spanish", proficiency: "fluent" }],
+  job_preferences: { remote_work_preference: "remote_only" },
+};
+
+describe("evaluateMatch", () => {
+  it("scores a doctor who meets everything at 100", () => {
+    const match = evaluateMatch(job, doctor, { now });
+
+    expect(match.score).toBe(100);
+    expect(match.level).toBe("excellent");
+    expect(match.breakdown.specialty).toMatchObject({
+      ratio: 1,
+      applicable: true,
+      details: "Perfect specialty match",
+    });
+  });
+
+  it("shares the weight of factors the job does not use", () => {
+    const match = evaluateMatch(
+      { specialty: "Cardiology" },
+      { primarySpecialty: "Dermatology" },
+      { now }
+    );
+
+    expect(match.breakdown.skills).toMatchObject({
+      applicable: false,
+      weight: 0,
+      details: "Not required for this job",
+    });
+    // Only specialty (30) and location (5) apply
+    expect(match.breakdown.specialty.weight).toBe(85.7);
+    expect(match.score).toBe(14);
+  });
+
+  it("explains what is missing", () => {
+    const match = evaluateMatch(
+      job,
+      { ...doctor, certifications: [], languages: [] },
+      { now }
+    );
+
+    expect(match.breakdown.certifications).toMatchObject({
+      ratio: 0,
+      details: "Missing BLS",
+    });
+    expect(match.breakdown.languages.details).toBe("does not list Spanish");
+    expect(match.score).toBeLessThan(100);
+  });
+
+  it("applies a job's own weights", () => {
+    const weighted = {
+      ...job,
+      matching_criteria: { weights: new Map([["specialty", 0]]) },
+    };
+
+    expect(resolveWeights(weighted).specialty).toBe(0);
+    expect(resolveWeights(weighted).skills).toBe(15);
+    const dermatologist = { ...doctor, primarySpecialty: "Dermatology" };
+    expect(evaluateMatch(weighted, dermatologist, { now }).score).toBe(100);
+  });
+
+  it("adds bonus points without going over 100", () => {
+    const match = evaluateMatch(
+      job,
+      {
+        ...doctor,
+        verificationStatus: { overall: "verified" },
+        rating: { average: 4.8 },
+      },
+      { now }
+    );
+
+    expect(match.bonuses.map((bonus) => bonus.key)).toEqual([
+      "verified",
+      "rating",
+    ]);
+    expect(match.score).toBe(100);
+  });
+
+  describe("registered factors", () => {
+    const defaults = [...FACTORS];
+
+    afterEach(() => {
+      FACTORS.splice(0, FACTORS.length, ...defaults);
+      jest.restoreAllMocks();
+    });
+
+    it("scores with a registered factor", () => {
+      registerFactor({
+        key: "night_shifts",
+        label: "Night shifts",
+        // As much as the 90 points of factors that apply to the job
+        weight: 90,
+        score: () => ({ ratio: 0, details: "No night shifts" }),
+      });
+
+      const match = evaluateMatch(job, doctor, { now });
+
+      expect(match.breakdown.night_shifts.weight).toBe(50);
+      expect(match.score).toBe(50);
+    });
+
+    it("skips a factor that throws", () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      registerFactor({
+        key: "skills",
+        label: "Skills",
+        weight: 15,
+        score: () => {
+          throw new Error("boom");
+        },
+      });
+
+      const match = evaluateMatch(job, doctor, { now });
+
+      expect(match.breakdown.skills.applicable).toBe(false);
+      expect(match.score).toBe(100);
+    });
+  });
+});
+
+describe("getMatchLevel", () => {
+  it.each([
+    [80, "excellent"],
+    [60, "good"],
+    [40, "fair"],
+    [39, "poor"],
+  ])("rates %i as %s", (score, level) => {
+    expect(getMatchLevel(score)).toBe(level);
+  });
+});
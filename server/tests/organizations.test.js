@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const organizationController = require("../controllers/organizationController");
+const { mockResponse } = require("./helpers/response");
+
+const organizationId = new mongoose.Types.ObjectId();
+
+const makeUser = (role, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: `${role}@example.com`,
+  role,
+  emailVerified: true,
+  organization: organizationId,
+  ...overrides,
+});
+
+describe("organization job management", () => {
+  const poster = makeUser("senior");
+  const job = {
+    posted_by: poster._id,
+    organization: organizationId,
+  };
+
+  it("lets senior members manage the organization's jobs", () => {
+    expect(Job.isManagedBy(job, makeUser("senior"))).toBe(true);
+    expect(Job.managedByFilter(makeUser("senior"))).toEqual({
+      $or: [
+        { posted_by: expect.any(mongoose.Types.ObjectId) },
+        { organization: organizationId },
+      ],
+    });
+  });
+
+  it("does not let a junior member manage the organization's jobs", () => {
+    const junior = makeUser("junior");
+
+    expect(Job.isManagedBy(job, junior)).toBe(false);
+    expect(Job.managedByFilter(junior)).toEqual({ posted_by: junior._id });
+  });
+
+  it("keeps jobs of other organizations out of reach", () => {
+    const outsider = makeUser("senior", {
+      organization: new mongoose.Types.ObjectId(),
+    });
+
+    expect(Job.isManagedBy(job, outsider)).toBe(false);
+    expect(Job.isManagedBy({ posted_by: poster._id }, makeUser("senior"))).toBe(
+      false
+    );
+  });
+
+  it("lets the poster manage a job without an organization", () => {
+    expect(
+      Job.isManagedBy(
+        { posted_by: poster._id },
+        { ...poster, organization: null }
+      )
+    ).toBe(true);
+  });
+});
+
+describe("organization invitations", () => {
+  const owner = makeUser("senior");
+  let organization;
+
+  beforeEach(() => {
+    organization = new Organization({
+      _id: organizationId,
+      name: "Riverside Clinic",
+      owner: owner._id,
+      members: [{ user: owner._id, role: "owner" }],
+    });
+    const query = {
+      populate: () => query,
+      then: (resolve) => resolve(organization),
+    };
+    jest.spyOn(Organization, "findById").mockReturnValue(query);
+    jest.spyOn(Organization, "findOne").mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("refuses to invite a doctor who cannot post jobs", async () => {
+    jest.spyOn(User, "findOne").mockReturnValue({
+      select: async () => ({ role: "junior" }),
+    });
+    const saveSpy = jest.spyOn(organization, "save");
+    const res = mockResponse();
+
+    await organizationController.inviteMember(
+      { user: owner, body: { email: "junior@example.com" } },
+      res
+    );
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "Only doctors who can post jobs can join an organization"
+    );
+    expect(saveSpy).not.toHaveBeenCalled();
+  });
+
+  it("refuses an invitation accepted by a doctor who cannot post jobs", async () => {
+    const res = mockResponse();
+
+    await organizationController.acceptInvitation(
+      {
+        user: makeUser("junior", { organization: null }),
+        params: { invitationId: String(new mongoose.Types.ObjectId()) },
+      },
+      res
+    );
+
+    expect(res.statusCode).toBe(403);
+    expect(Organization.findOne).not.toHaveBeenCalled();
+  });
+
+  it("looks up the invitation for a doctor who can post jobs", async () => {
+    const res = mockResponse();
+
+    await organizationController.acceptInvitation(
+      {
+        user: makeUser("senior", { organization: null }),
+        params: { invitationId: String(new mongoose.Types.ObjectId()) },
+      },
+      res
+    );
+
+    expect(Organization.findOne).toHaveBeenCalled();
+    expect(res.statusCode).toBe(404);
+  });
+});
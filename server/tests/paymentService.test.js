@@ -0,0 +1,272 @@
+const mongoose = require("mongoose");
+
+jest.mock("../models/Escrow", () => {
+  const { createMemoryModel } = require("./helpers/memoryModel");
+  const { OPEN_STATUSES } = jest.requireActual("../models/Escrow");
+
+  const Escrow = createMemoryModel({
+    defaults: () => ({
+      status: "awaiting_funding",
+      funding: {},
+      release: {},
+      refund: {},
+    }),
+    // Same partial unique index as the model
+    unique: [
+      {
+        fields: ["application_id", "milestone_id"],
+        where: (escrow) => OPEN_STATUSES.includes(escrow.status),
+      },
+    ],
+  });
+  Escrow.OPEN_STATUSES = OPEN_STATUSES;
+  return Escrow;
+});
+
+jest.mock("../models/User", () => {
+  const { createMemoryModel } = require("./helpers/memoryModel");
+  return createMemoryModel();
+});
+
+jest.mock("../models/Application", () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({}),
+}));
+
+jest.mock("../utils/notificationService", () => ({
+  notifyEscrowUpdate: jest.fn().mockResolvedValue(null),
+}));
+
+const Escrow = require("../models/Escrow");
+const User = require("../models/User");
+const Application = require("../models/Application");
+const paymentService = require("../services/paymentService");
+const { createFakeProvider } = require("../services/paymentProviders");
+
+describe("paymentService with the fake provider", () => {
+  let provider;
+  let employer;
+  let doctor;
+  let application;
+  let milestone;
+
+  // Connected account the doctor finished onboarding for
+  const enablePayouts = async (user) => {
+    const account = await provider.createAccount({ email: user.email });
+    await provider.createAccountLink(account.id, { returnUrl: "/" });
+    user.payout_account = {
+      provider: "fake",
+      account_id: account.id,
+      payouts_enabled: true,
+    };
+    await user.save();
+  };
+
+  const fund = () =>
+    paymentService.fundMilestone(application, milestone, employer, "USD");
+
+  beforeEach(async () => {
+    Escrow.docs.length = 0;
+    User.docs.length = 0;
+    jest.clearAllMocks();
+
+    provider = createFakeProvider();
+    paymentService.setProvider(provider);
+
+    employer = new User({ email: "employer@example.com" });
+    doctor = new User({ email: "doctor@example.com" });
+    await employer.save();
+    await doctor.save();
+
+    milestone = {
+      _id: new mongoose.Types.ObjectId(),
+      description: "Chart review",
+      amount: 200,
+    };
+    application = {
+      _id: new mongoose.Types.ObjectId(),
+      job_id: new mongoose.Types.ObjectId(),
+      applicant_id: doctor._id,
+    };
+
+    Application.findById.mockReturnValue({
+      select: () => ({
+        populate: async () => ({
+          _id: application._id,
+          contract_details: { milestones: { id: () => milestone } },
+        }),
+      }),
+    });
+  });
+
+  it("funds, approves and releases a milestone minus the fee", async () => {
+    await enablePayouts(doctor);
+
+    const { escrow, url } = await fund();
+    expect(url).toBeNull();
+    expect(escrow.status).toBe("funded");
+    expect(escrow.platform_fee).toBe(20);
+    expect(escrow.payout_amount).toBe(180);
+
+    const requested = await paymentService.requestRelease(escrow);
+    expect(await paymentService.transfer(requested)).toBe(true);
+
+    const released = await Escrow.findById(escrow._id);
+    expect(released.status).toBe("released");
+    expect(provider.transfers).toEqual([
+      expect.objectContaining({
+        amount: 18000,
+        destination: doctor.payout_account.account_id,
+      }),
+    ]);
+    expect(
+      (await User.findById(doctor._id)).job_statistics.total_earnings
+    ).toBe(180);
+    expect((await User.findById(employer._id)).job_statistics.total_spent).toBe(
+      200
+    );
+  });
+
+  it("refunds a funded milestone", async () => {
+    const { escrow } = await fund();
+
+    const refunded = await paymentService.refund(escrow, doctor, "Cancelled");
+
+    expect(refunded.status).toBe("refunded");
+    expect(provider.refunds).toEqual([
+      expect.objectContaining({ amount: 20000 }),
+    ]);
+  });
+
+  it("refuses to refund an approved milestone", async () => {
+    const { escrow } = await fund();
+    await paymentService.requestRelease(escrow);
+
+    await expect(
+      paymentService.refund(escrow, doctor, "Too late")
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      message: "Approved milestones cannot be refunded",
+    });
+    expect(provider.refunds).toHaveLength(0);
+  });
+
+  it("moves the money once when a refund races a release", async () => {
+    await enablePayouts(doctor);
+    const { escrow } = await fund();
+    const requested = await paymentService.requestRelease(escrow);
+    // The refund was loaded before the approval was saved
+    const stale = await Escrow.findById(escrow._id);
+    stale.release.requested_at = null;
+
+    const [sent, refund] = await Promise.allSettled([
+      paymentService.transfer(requested),
+      paymentService.refund(stale, doctor, "Changed my mind"),
+    ]);
+
+    expect(sent.value).toBe(true);
+    expect(refund.status).toBe("rejected");
+    expect(provider.transfers).toHaveLength(1);
+    expect(provider.refunds).toHaveLength(0);
+  });
+
+  it("does not fund a milestone twice", async () => {
+    await fund();
+
+    await expect(fund()).rejects.toMatchObject({ statusCode: 409 });
+    expect(provider.payments.size).toBe(1);
+  });
+
+  it("opens one escrow for concurrent funding requests", async () => {
+    const results = await Promise.allSettled([fund(), fund()]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(provider.payments.size).toBe(1);
+    expect(Escrow.docs).toHaveLength(1);
+  });
+
+  it("funds again after the checkout was abandoned", async () => {
+    const { escrow } = await fund();
+    await Escrow.updateOne(
+      { _id: escrow._id },
+      { $set: { status: "cancelled" } }
+    );
+
+    const again = await fund();
+
+    expect(again.escrow.status).toBe("funded");
+    expect(provider.payments.size).toBe(2);
+  });
+
+  it("refuses to fund a milestone the payer would be paid for", async () => {
+    await expect(
+      paymentService.fundMilestone(
+        { ...application, applicant_id: employer._id },
+        milestone,
+        employer,
+        "USD"
+      )
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(provider.payments.size).toBe(0);
+  });
+
+  it("never releases money to the user who paid it", async () => {
+    await enablePayouts(employer);
+    const { escrow } = await fund();
+    // Escrow that names the payer as the payee too
+    await Escrow.updateOne(
+      { _id: escrow._id },
+      { $set: { payee: employer._id, "release.requested_at": new Date() } }
+    );
+    const selfPaid = await Escrow.findById(escrow._id);
+
+    await expect(
+      paymentService.requestRelease(selfPaid)
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(await paymentService.transfer(selfPaid)).toBe(false);
+    expect(await paymentService.releasePending()).toBe(0);
+
+    const held = await Escrow.findById(escrow._id);
+    expect(held.status).toBe("funded");
+    expect(held.release.last_error).toBe(
+      "The payer cannot receive this payout"
+    );
+    expect(provider.transfers).toHaveLength(0);
+  });
+
+  it("holds the payout until the doctor can receive it", async () => {
+    const { escrow } = await fund();
+    const requested = await paymentService.requestRelease(escrow);
+
+    expect(await paymentService.transfer(requested)).toBe(false);
+    const waiting = await Escrow.findById(escrow._id);
+    expect(waiting.status).toBe("funded");
+    expect(waiting.release.last_error).toBe(
+      "Waiting for the doctor to set up payouts"
+    );
+
+    await enablePayouts(doctor);
+    expect(await paymentService.releasePending({ payee: doctor._id })).toBe(1);
+    expect((await Escrow.findById(escrow._id)).status).toBe("released");
+    expect(provider.transfers).toHaveLength(1);
+  });
+
+  it("puts a failed transfer back to funded for a retry", async () => {
+    await enablePayouts(doctor);
+    const { escrow } = await fund();
+    const requested = await paymentService.requestRelease(escrow);
+    provider.accounts.get(doctor.payout_account.account_id).payoutsEnabled =
+      false;
+
+    expect(await paymentService.transfer(requested)).toBe(false);
+    expect((await Escrow.findById(escrow._id)).status).toBe("funded");
+
+    provider.accounts.get(doctor.payout_account.account_id).payoutsEnabled =
+      true;
+    expect(await paymentService.releasePending()).toBe(1);
+    expect(provider.transfers).toHaveLength(1);
+  });
+});
@@ -0,0 +1,45 @@
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ADMIN_ROLES,
+  hasPermission,
+  permissionFilter,
+} = require("../config/permissions");
+
+// Evaluate the subset of MongoDB filters permissionFilter() produces
+const matchesFilter = (user, filter) => {
+  if (filter.$or) {
+    return filter.$or.some((condition) => matchesFilter(user, condition));
+  }
+  return Object.entries(filter).every(([field, expected]) => {
+    const value = user[field] ?? null;
+    return expected && expected.$in
+      ? expected.$in.includes(value)
+      : value === expected;
+  });
+};
+
+const USERS = [
+  { role: "junior" },
+  { role: "senior" },
+  { role: "admin" },
+  ...ADMIN_ROLES.map((adminRole) => ({ role: "admin", adminRole })),
+];
+
+describe("permissionFilter", () => {
+  it.each(ALL_PERMISSIONS)("selects the users holding %s", (permission) => {
+    const filter = permissionFilter(permission);
+
+    USERS.forEach((user) => {
+      expect(matchesFilter(user, filter)).toBe(
+        hasPermission(user, permission)
+      );
+    });
+  });
+
+  it("selects junior doctors for recommendations", () => {
+    expect(permissionFilter(PERMISSIONS.MATCHING_RECOMMENDATIONS)).toEqual({
+      $or: [{ role: { $in: ["junior"] } }],
+    });
+  });
+});
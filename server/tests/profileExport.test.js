@@ -0,0 +1,71 @@
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+
+const mockUser = { id: String(new mongoose.Types.ObjectId()), role: "junior" };
+
+jest.mock("../middleware/auth", () => ({
+  ...jest.requireActual("../middleware/auth"),
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+}));
+
+const DataExport = require("../models/DataExport");
+const dataExportService = require("../services/dataExportService");
+const profileRoutes = require("../routes/profile");
+
+const app = express();
+app.use(express.json());
+app.use("/api/profile", profileRoutes);
+
+describe("GET /api/profile/export", () => {
+  let dataExport;
+
+  beforeEach(() => {
+    dataExport = new DataExport({ user: mockUser.id });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("starts an export", async () => {
+    jest
+      .spyOn(dataExportService, "requestExport")
+      .mockResolvedValue({ dataExport, created: true });
+
+    const res = await request(app).get("/api/profile/export");
+
+    expect(res.status).toBe(202);
+    expect(res.body.data).toMatchObject({ status: "pending" });
+    expect(dataExportService.requestExport).toHaveBeenCalledWith(
+      mockUser.id,
+      expect.anything()
+    );
+  });
+
+  it("returns the export already in progress", async () => {
+    jest
+      .spyOn(dataExportService, "requestExport")
+      .mockResolvedValue({ dataExport, created: false });
+
+    const res = await request(app).get("/api/profile/export");
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Your data export is already being prepared");
+  });
+
+  it("reads the latest export without starting one", async () => {
+    jest.spyOn(dataExportService, "requestExport");
+    jest
+      .spyOn(DataExport, "findOne")
+      .mockReturnValue({ sort: async () => null });
+
+    const res = await request(app).get("/api/profile/export/latest");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toBeNull();
+    expect(dataExportService.requestExport).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+const Session = require("../models/Session");
+const { createMemoryModel } = require("./helpers/memoryModel");
+
+const req = {
+  ip: "203.0.113.7",
+  body: {},
+  get: () => "Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36",
+};
+
+describe("Session refresh tokens", () => {
+  let store;
+
+  // Split "<sessionId>.<secret>" and load the session it names
+  const load = (refreshToken) => {
+    const { sessionId, secret } = Session.parseRefreshToken(refreshToken);
+    const stored = store.docs.find((doc) => String(doc._id) === sessionId);
+    return { session: new Session(stored), secret };
+  };
+
+  const rotate = async (refreshToken) => {
+    const { session, secret } = load(refreshToken);
+    return session.rotate(secret, req);
+  };
+
+  const stored = () => store.docs[0];
+
+  beforeEach(() => {
+    store = createMemoryModel();
+    jest.spyOn(Session, "create").mockImplementation(async (data) => {
+      const session = new Session(data);
+      store.docs.push(session.toObject());
+      return session;
+    });
+    jest
+      .spyOn(Session, "findOneAndUpdate")
+      .mockImplementation((...args) => store.findOneAndUpdate(...args));
+    jest
+      .spyOn(Session, "findById")
+      .mockImplementation((...args) => store.findById(...args));
+    jest
+      .spyOn(Session, "updateOne")
+      .mockImplementation((...args) => store.updateOne(...args));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("names the device the session was started from", async () => {
+    const { session, refreshToken } = await Session.createForUser(
+      "65a1b2c3d4e5f6789abcdef0",
+      req
+    );
+
+    expect(session.deviceName).toBe("Chrome on Windows");
+    expect(refreshToken.startsWith(`${session._id}.`)).toBe(true);
+    expect(stored().tokenHash).not.toContain(refreshToken.split(".")[1]);
+  });
+
+  it("issues a new refresh token on every rotation", async () => {
+    const { refreshToken } = await Session.createForUser(
+      "65a1b2c3d4e5f6789abcdef0",
+      req
+    );
+
+    const first = await rotate(refreshToken);
+    const second = await rotate(first.refreshToken);
+
+    expect(first.status).toBe("rotated");
+    expect(second.status).toBe("rotated");
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(stored().revokedAt).toBeNull();
+  });
+
+  it("honours the previous token briefly for concurrent refreshes", async () => {
+    const { refreshToken } = await Session.createForUser(
+      "65a1b2c3d4e5f6789abcdef0",
+      req
+    );
+
+    const results = await Promise.all([
+      rotate(refreshToken),
+      rotate(refreshToken),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      "grace",
+      "rotated",
+    ]);
+    expect(stored().revokedAt).toBeNull();
+  });
+
+  it("revokes the session when an old token is reused", async () => {
+    const { refreshToken } = await Session.createForUser(
+      "65a1b2c3d4e5f6789abcdef0",
+      req
+    );
+    const { refreshToken: current } = await rotate(refreshToken);
+    stored().rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    const reused = await rotate(refreshToken);
+
+    expect(reused).toEqual({ status: "reused", refreshToken: null });
+    expect(stored().revokedReason).toBe("token_reuse");
+    expect((await rotate(current)).status).toBe("reused");
+  });
+
+  it("rejects malformed refresh tokens", () => {
+    expect(Session.parseRefreshToken("not-a-token")).toBeNull();
+    expect(Session.parseRefreshToken("123.secret")).toBeNull();
+    expect(Session.parseRefreshToken(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,7 @@
+// server/tests/setup.js - Jest setup
+// Unit tests run without a database or external services, against a
+// predictable environment.
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.MAIL_TRANSPORT = "console";
+process.env.PAYMENT_PROVIDER = "fake";
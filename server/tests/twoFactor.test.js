@@ -0,0 +1,109 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const totp = require("../utils/totp");
+const authController = require("../controllers/authController");
+const { mockResponse } = require("./helpers/response");
+
+const STEP_MS = 30 * 1000;
+
+describe("totp", () => {
+  // RFC 6238 appendix B, SHA-1 secret "12345678901234567890"
+  const RFC_SECRET = totp.base32Encode(Buffer.from("12345678901234567890"));
+
+  it("matches the RFC 6238 test vectors", () => {
+    expect(RFC_SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(totp.generateCode(RFC_SECRET, 1)).toBe("287082");
+    expect(totp.generateCode(RFC_SECRET, 37037036)).toBe("081804");
+  });
+
+  it("accepts codes one step either side of now", () => {
+    const secret = totp.generateSecret();
+    const step = Math.floor(Date.now() / STEP_MS);
+
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 1))).toBe(
+      step - 1
+    );
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 3))).toBe(
+      null
+    );
+    expect(totp.verifyCode(secret, "12345")).toBeNull();
+  });
+});
+
+describe("User.verifyTwoFactorCode", () => {
+  let user;
+  let recoveryCodes;
+
+  beforeEach(() => {
+    user = new User({
+      email: "ada@example.com",
+      twoFactor: { enabled: true, secret: totp.generateSecret() },
+    });
+    recoveryCodes = user.generateRecoveryCodes();
+  });
+
+  it("accepts the current authenticator code once", () => {
+    const code = totp.generateCode(user.twoFactor.secret);
+
+    expect(user.verifyTwoFactorCode(code)).toEqual({
+      valid: true,
+      method: "totp",
+    });
+    expect(user.verifyTwoFactorCode(code)).toEqual({ valid: false });
+  });
+
+  it("accepts each recovery code once, however it is typed", () => {
+    const result = user.verifyTwoFactorCode(
+      ` ${recoveryCodes[0].toUpperCase()} `
+    );
+
+    expect(result).toEqual({
+      valid: true,
+      method: "recovery_code",
+      remainingRecoveryCodes: recoveryCodes.length - 1,
+    });
+    expect(user.verifyTwoFactorCode(recoveryCodes[0])).toEqual({
+      valid: false,
+    });
+  });
+
+  it("stores only hashes of the recovery codes", () => {
+    const stored = user.twoFactor.recoveryCodes.map((entry) => entry.codeHash);
+
+    recoveryCodes.forEach((code) => {
+      expect(stored).not.toContain(code);
+      expect(stored).not.toContain(code.replace("-", ""));
+    });
+  });
+
+  it("rejects wrong codes", () => {
+    const expired = totp.generateCode(
+      user.twoFactor.secret,
+      Math.floor(Date.now() / STEP_MS) - 10
+    );
+
+    expect(user.verifyTwoFactorCode(expired)).toEqual({ valid: false });
+    expect(user.verifyTwoFactorCode("abcde-12345")).toEqual({ valid: false });
+    expect(user.verifyTwoFactorCode("")).toEqual({ valid: false });
+  });
+});
+
+describe("authController.verifyTwoFactorLogin", () => {
+  it("refuses tokens that are not a 2FA challenge", async () => {
+    const accessToken = jwt.sign(
+      { id: "65a1b2c3d4e5f6789abcdef0", sid: "session" },
+      process.env.JWT_SECRET
+    );
+    const res = mockResponse();
+
+    await authController.verifyTwoFactorLogin(
+      { body: { challengeToken: accessToken, code: "123456" } },
+      res
+    );
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe(
+      "Login session has expired. Please sign in again."
+    );
+  });
+});
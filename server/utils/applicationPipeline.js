@@ -0,0 +1,294 @@
+// server/utils/applicationPipeline.js - Per-job hiring funnels
+//
+// A pipeline is an ordered list of stages. Every stage maps onto one of the
+// system statuses of Application.status, which search filters, notifications
+// and contracts keep reading, and lists the stages an application may move
+// to next. Jobs without a pipeline of their own use DEFAULT_STAGES.
+
+// System statuses a stage can map onto; draft and withdrawn belong to the
+// applicant and never appear in a pipeline
+const STAGE_STATUSES = [
+  "submitted",
+  "under_review",
+  "shortlisted",
+  "interview_scheduled",
+  "interview_completed",
+  "accepted",
+  "rejected",
+  "completed",
+];
+
+// Statuses that end the funnel; their stages have no transitions
+const FINAL_STATUSES = ["rejected", "completed"];
+
+const MAX_STAGES = 12;
+
+const STAGE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const DEFAULT_STAGES = [
+  {
+    key: "submitted",
+    name: "Submitted",
+    status: "submitted",
+    transitions: ["under_review", "rejected"],
+  },
+  {
+    key: "under_review",
+    name: "Under Review",
+    status: "under_review",
+    transitions: ["shortlisted", "accepted", "rejected"],
+  },
+  {
+    key: "shortlisted",
+    name: "Shortlisted",
+    status: "shortlisted",
+    transitions: ["interview_scheduled", "accepted", "rejected"],
+  },
+  {
+    key: "interview_scheduled",
+    name: "Interview Scheduled",
+    status: "interview_scheduled",
+    transitions: ["interview_completed", "accepted", "rejected"],
+  },
+  {
+    key: "interview_completed",
+    name: "Interview Completed",
+    status: "interview_completed",
+    transitions: ["accepted", "rejected"],
+  },
+  {
+    key: "accepted",
+    name: "Accepted",
+    status: "accepted",
+    transitions: ["completed"],
+  },
+  {
+    key: "completed",
+    name: "Completed",
+    status: "completed",
+    transitions: [],
+  },
+  {
+    key: "rejected",
+    name: "Rejected",
+    status: "rejected",
+    transitions: [],
+  },
+];
+
+const toPlainStage = (stage) => ({
+  key: stage.key,
+  name: stage.name,
+  status: stage.status,
+  transitions: [...(stage.transitions || [])],
+});
+
+/**
+ * Stages of a job's pipeline
+ * @param {Object} job - Job document or plain object
+ * @returns {Array} Plain stage objects, the default pipeline when the job
+ *   has none
+ */
+const getPipeline = (job) => {
+  const stages = job?.pipeline?.stages;
+  return (stages?.length ? stages : DEFAULT_STAGES).map(toPlainStage);
+};
+
+/**
+ * Check a pipeline definition
+ * @param {Array} stages - [{ key, name, status, transitions }]
+ * @returns {Array<String>} Problems found, empty when the pipeline is valid
+ */
+const validatePipeline = (stages) => {
+  if (!Array.isArray(stages) || stages.length < 2) {
+    return ["A pipeline needs at least 2 stages"];
+  }
+  if (stages.length > MAX_STAGES) {
+    return [`A pipeline can have up to ${MAX_STAGES} stages`];
+  }
+
+  const errors = [];
+  const keys = new Set();
+
+  stages.forEach((stage, index) => {
+    const label = `Stage ${index + 1}`;
+    if (!stage || typeof stage !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof stage.key !== "string" || !STAGE_KEY_PATTERN.test(stage.key)) {
+      errors.push(
+        `${label} key must start with a letter and use only lowercase letters, digits and underscores`
+      );
+    } else if (keys.has(stage.key)) {
+      errors.push(`${label} key "${stage.key}" is used more than once`);
+    } else {
+      keys.add(stage.key);
+    }
+    const name = typeof stage.name === "string" ? stage.name.trim() : "";
+    if (!name || name.length > 50) {
+      errors.push(`${label} name must be between 1 and 50 characters`);
+    }
+    if (!STAGE_STATUSES.includes(stage.status)) {
+      errors.push(
+        `${label} status must be one of: ${STAGE_STATUSES.join(", ")}`
+      );
+    }
+    if (!Array.isArray(stage.transitions)) {
+      errors.push(`${label} transitions must be an array of stage keys`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (stages[0].status !== "submitted") {
+    errors.push("The first stage must have status submitted");
+  }
+  ["accepted", "rejected"].forEach((status) => {
+    if (!stages.some((stage) => stage.status === status)) {
+      errors.push(`The pipeline needs a stage with status ${status}`);
+    }
+  });
+
+  stages.forEach((stage) => {
+    if (
+      FINAL_STATUSES.includes(stage.status) &&
+      stage.transitions.length > 0
+    ) {
+      errors.push(
+        `"${stage.key}" is a ${stage.status} stage and cannot move on`
+      );
+    }
+    stage.transitions.forEach((target) => {
+      if (target === stage.key) {
+        errors.push(`"${stage.key}" cannot move to itself`);
+      } else if (!keys.has(target)) {
+        errors.push(`"${stage.key}" moves to unknown stage "${target}"`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // Every stage must be reachable from the first one
+  const reached = new Set([stages[0].key]);
+  const queue = [stages[0]];
+  while (queue.length > 0) {
+    queue.shift().transitions.forEach((target) => {
+      if (!reached.has(target)) {
+        reached.add(target);
+        queue.push(stages.find((stage) => stage.key === target));
+      }
+    });
+  }
+  stages
+    .filter((stage) => !reached.has(stage.key))
+    .forEach((stage) =>
+      errors.push(`"${stage.key}" cannot be reached from the first stage`)
+    );
+
+  return errors;
+};
+
+/**
+ * Stage an application is in
+ * Falls back to the first stage with the application's status when it has
+ * no stage of its own, or its stage is no longer in the pipeline.
+ * @param {Object} application - Needs status and stage
+ * @param {Array} stages - getPipeline() result
+ * @returns {Object|null} Stage, null for drafts and withdrawn applications
+ */
+const stageFor = (application, stages) =>
+  stages.find((stage) => stage.key === application.stage) ||
+  stages.find((stage) => stage.status === application.status) ||
+  null;
+
+/**
+ * Resolve the stage a move targets
+ * A stage key is looked up directly. A bare status picks the first stage
+ * with that status the application may move to, so clients that only know
+ * system statuses keep working with custom pipelines.
+ * @param {Array} stages - getPipeline() result
+ * @param {Object} current - Current stage
+ * @param {{stage: String, status: String}} target
+ * @returns {Object|null} Target stage
+ */
+const findTargetStage = (stages, current, { stage, status }) => {
+  if (stage) {
+    return stages.find((candidate) => candidate.key === stage) || null;
+  }
+
+  const withStatus = stages.filter((candidate) => candidate.status === status);
+  return (
+    withStatus.find((candidate) =>
+      current?.transitions.includes(candidate.key)
+    ) ||
+    withStatus[0] ||
+    null
+  );
+};
+
+/**
+ * @param {Object} from - Current stage
+ * @param {Object} to - Target stage
+ * @returns {Boolean} Whether the pipeline allows the move
+ */
+const canTransition = (from, to) =>
+  Boolean(from && to && from.transitions.includes(to.key));
+
+/**
+ * Check a move of an application within its job's pipeline
+ * Applications whose status has no stage in the pipeline, e.g. after an
+ * interview was booked, can be placed in any stage.
+ * @param {Object} application - Needs status and stage
+ * @param {Array} stages - getPipeline() result
+ * @param {{stage: String, status: String}} target - See findTargetStage()
+ * @returns {Object} { currentStage, targetStage, error } where error
+ *   explains why the move is not allowed
+ */
+const resolveMove = (application, stages, target) => {
+  const currentStage = stageFor(application, stages);
+  const targetStage = findTargetStage(stages, currentStage, target);
+
+  if (!targetStage) {
+    return {
+      currentStage,
+      targetStage: null,
+      error: target.stage
+        ? `Stage "${target.stage}" is not part of this job's pipeline`
+        : `No stage in this job's pipeline has status ${target.status}`,
+    };
+  }
+
+  const unstaged =
+    !currentStage && STAGE_STATUSES.includes(application.status);
+
+  if (!unstaged && !canTransition(currentStage, targetStage)) {
+    return {
+      currentStage,
+      targetStage,
+      error: currentStage
+        ? `Cannot move application from ${currentStage.name} to ${targetStage.name}`
+        : `Cannot change the stage of a ${application.status} application`,
+    };
+  }
+
+  return { currentStage, targetStage, error: null };
+};
+
+module.exports = {
+  STAGE_STATUSES,
+  FINAL_STATUSES,
+  MAX_STAGES,
+  DEFAULT_STAGES,
+  getPipeline,
+  validatePipeline,
+  stageFor,
+  findTargetStage,
+  canTransition,
+  resolveMove,
+};
@@ -0,0 +1,220 @@
+// server/utils/applicationScreening.js - Application screening
+// Checks an application against the job's screening questions and its
+// deal-breaker requirements when submitApplication runs.
+
+// Requirement groups a poster can mark as deal-breakers in
+// job.matching_criteria.deal_breakers
+const DEAL_BREAKER_REQUIREMENTS = ["certifications", "licenses", "languages"];
+
+const normalize = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Words that only say what kind of credential a name is
+const GENERIC_WORDS = new Set([
+  "certification",
+  "certificate",
+  "certified",
+  "license",
+  "licence",
+  "licensed",
+  "language",
+]);
+
+// Distinctive words of a credential name, all of them when none stand out
+const significantWords = (value) => {
+  const words = normalize(value).split(" ").filter(Boolean);
+  const significant = words.filter((word) => !GENERIC_WORDS.has(word));
+  return significant.length > 0 ? significant : words;
+};
+
+// Loose match in both directions, so "BLS" meets "BLS Certification" and a
+// "CA" license state meets "CA License", while "BLS" never meets "ACLS"
+const matchesAny = (required, candidates) => {
+  const wanted = significantWords(required);
+  if (wanted.length === 0) return true;
+
+  return candidates.some((candidate) => {
+    const have = significantWords(candidate);
+    return (
+      have.length > 0 &&
+      (wanted.every((word) => have.includes(word)) ||
+        have.every((word) => wanted.includes(word)))
+    );
+  });
+};
+
+/**
+ * Requirements from job.requirements the applicant does not meet
+ * @param {Object} job - Job document or plain object
+ * @param {Object} user - Applicant
+ * @returns {Array<{group: String, value: String}>}
+ */
+const findUnmetRequirements = (job, user) => {
+  const requirements = job.requirements || {};
+  const now = new Date();
+
+  const certifications = (user.certifications || [])
+    .filter((cert) => !cert.expirationDate || cert.expirationDate > now)
+    .map((cert) => cert.name);
+  const languages = (user.languages || []).map((entry) => entry.language);
+
+  const held = {
+    certifications,
+    // A license may be recorded as the license state or as a certification
+    licenses: [user.licenseState, ...certifications],
+    languages,
+  };
+
+  const unmet = [];
+  DEAL_BREAKER_REQUIREMENTS.forEach((group) => {
+    (requirements[group] || []).forEach((value) => {
+      if (!matchesAny(value, held[group])) {
+        unmet.push({ group, value });
+      }
+    });
+  });
+  return unmet;
+};
+
+/**
+ * Validate one answer against its question
+ * @returns {{value: *, error: String}} Normalized answer or an error
+ */
+const normalizeAnswer = (question, raw) => {
+  if (question.type === "yes_no") {
+    if (raw === true || normalize(raw) === "yes") return { value: "yes" };
+    if (raw === false || normalize(raw) === "no") return { value: "no" };
+    return { error: "Answer must be yes or no" };
+  }
+
+  if (question.type === "number") {
+    const value = Number(raw);
+    return isSet(raw) && raw !== "" && Number.isFinite(value)
+      ? { value }
+      : { error: "Answer must be a number" };
+  }
+
+  const value = (question.options || []).find(
+    (option) => normalize(option) === normalize(raw)
+  );
+  return value ? { value } : { error: "Answer must be one of the options" };
+};
+
+const isKnockout = (question, value) => {
+  const knockout = question.knockout || {};
+  if (question.type === "number") {
+    return (
+      (isSet(knockout.min) && value < knockout.min) ||
+      (isSet(knockout.max) && value > knockout.max)
+    );
+  }
+  return (knockout.answers || []).some(
+    (answer) => normalize(answer) === normalize(value)
+  );
+};
+
+/**
+ * Screen an application against the job's questions and deal-breakers
+ * @param {Object} job - Job with screening_questions selected
+ * @param {Object} user - Applicant
+ * @param {Array<{question_id: String, answer: *}>} submitted - Answers
+ * @returns {Object} errors (invalid or missing answers), answers to store,
+ *   dealBreakers hit, unmetRequirements and the outcome
+ *   (passed, flagged or rejected)
+ */
+const screenApplication = (job, user, submitted = []) => {
+  const errors = [];
+  const answers = [];
+  const dealBreakers = [];
+
+  (job.screening_questions || []).forEach((question) => {
+    const entry = submitted.find(
+      (item) => String(item?.question_id) === String(question._id)
+    );
+    const raw = entry?.answer;
+
+    if (!isSet(raw) || raw === "") {
+      if (question.required) {
+        errors.push({
+          field: `screening_answers.${question._id}`,
+          message: `Please answer: ${question.question}`,
+        });
+      }
+      return;
+    }
+
+    const { value, error } = normalizeAnswer(question, raw);
+    if (error) {
+      errors.push({
+        field: `screening_answers.${question._id}`,
+        message: error,
+      });
+      return;
+    }
+
+    const knockedOut = isKnockout(question, value);
+    answers.push({
+      question_id: question._id,
+      question: question.question,
+      type: question.type,
+      answer: value,
+      knocked_out: knockedOut,
+    });
+    if (knockedOut) {
+      dealBreakers.push({
+        source: "question",
+        reason: `Answered "${value}" to "${question.question}"`,
+      });
+    }
+  });
+
+  const unmetRequirements = findUnmetRequirements(job, user);
+  const enforced = job.matching_criteria?.deal_breakers || [];
+  unmetRequirements
+    .filter(({ group }) => enforced.includes(group))
+    .forEach(({ group, value }) => {
+      dealBreakers.push({
+        source: "requirement",
+        reason: `Missing required ${group.replace(/s$/, "")}: ${value}`,
+      });
+    });
+
+  let outcome = "passed";
+  if (dealBreakers.length > 0) {
+    outcome =
+      job.matching_criteria?.deal_breaker_action === "reject"
+        ? "rejected"
+        : "flagged";
+  }
+
+  return {
+    errors,
+    answers,
+    dealBreakers,
+    unmetRequirements: unmetRequirements.map(
+      ({ group, value }) => `${group}: ${value}`
+    ),
+    outcome,
+  };
+};
+
+/**
+ * Hide the knockout rules from applicants
+ * @param {Array} questions - Job screening questions (plain objects)
+ * @returns {Array} Questions without their knockout answers
+ */
+const publicScreeningQuestions = (questions = []) =>
+  questions.map(({ knockout, ...question }) => question);
+
+module.exports = {
+  DEAL_BREAKER_REQUIREMENTS,
+  matchesAny,
+  findUnmetRequirements,
+  screenApplication,
+  publicScreeningQuestions,
+};
@@ -0,0 +1,119 @@
+// server/utils/currency.js - Currency conversion
+// Job budgets keep the currency they were posted in. For filtering and
+// sorting every budget is also stored as budget.normalized_amount in
+// BASE_CURRENCY, and amounts are converted to the viewer's currency for
+// display. Rates are configured locally, never fetched.
+
+const BASE_CURRENCY = "USD";
+
+const SUPPORTED_CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD"];
+
+// Units of each currency per 1 BASE_CURRENCY
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.36,
+  AUD: 1.52,
+};
+
+/**
+ * Rates table, with CURRENCY_RATES overrides ("EUR=0.91,GBP=0.78")
+ * Malformed or unsupported entries are ignored.
+ * @returns {Object} Rate per currency
+ */
+const loadRates = () => {
+  const rates = { ...DEFAULT_RATES };
+
+  (process.env.CURRENCY_RATES || "").split(",").forEach((entry) => {
+    const [code, value] = entry.split("=").map((part) => part.trim());
+    const rate = parseFloat(value);
+    const currency = (code || "").toUpperCase();
+    if (
+      SUPPORTED_CURRENCIES.includes(currency) &&
+      currency !== BASE_CURRENCY &&
+      rate > 0
+    ) {
+      rates[currency] = rate;
+    }
+  });
+
+  return rates;
+};
+
+const RATES = loadRates();
+
+const isSupportedCurrency = (currency) =>
+  SUPPORTED_CURRENCIES.includes(currency);
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Convert an amount between supported currencies
+ * @param {Number} amount
+ * @param {String} from - Currency of amount (defaults to BASE_CURRENCY)
+ * @param {String} to - Target currency (defaults to BASE_CURRENCY)
+ * @returns {Number|null} Rounded to cents; null without an amount
+ */
+const convert = (amount, from = BASE_CURRENCY, to = BASE_CURRENCY) => {
+  if (amount === undefined || amount === null || isNaN(amount)) return null;
+
+  const fromRate = RATES[from] || RATES[BASE_CURRENCY];
+  const toRate = RATES[to] || RATES[BASE_CURRENCY];
+  return roundAmount((Number(amount) / fromRate) * toRate);
+};
+
+/**
+ * Amount in BASE_CURRENCY, as stored in budget.normalized_amount
+ * @param {Number} amount
+ * @param {String} currency
+ * @returns {Number|null}
+ */
+const toBaseAmount = (amount, currency) =>
+  convert(amount, currency, BASE_CURRENCY);
+
+/**
+ * Currency to show amounts in: an explicit request, else the viewer's
+ * preference, else BASE_CURRENCY
+ * @param {String} requested - e.g. the display_currency query parameter
+ * @param {Object} viewer - Signed-in user, or null
+ * @returns {String}
+ */
+const resolveDisplayCurrency = (requested, viewer) => {
+  const candidates = [
+    requested && String(requested).toUpperCase(),
+    viewer?.job_preferences?.preferred_currency,
+  ];
+  return candidates.find(isSupportedCurrency) || BASE_CURRENCY;
+};
+
+/**
+ * Add budget.converted ({ amount, currency }) to a plain job object
+ * @param {Object} job - Lean job
+ * @param {String} currency - Display currency
+ * @returns {Object} The same job
+ */
+const withConvertedBudget = (job, currency) => {
+  if (job?.budget && job.budget.amount !== undefined) {
+    job.budget.converted = {
+      amount: convert(
+        job.budget.amount,
+        job.budget.currency || BASE_CURRENCY,
+        currency
+      ),
+      currency,
+    };
+  }
+  return job;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  RATES,
+  isSupportedCurrency,
+  convert,
+  toBaseAmount,
+  resolveDisplayCurrency,
+  withConvertedBudget,
+};
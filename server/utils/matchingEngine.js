@@ -0,0 +1,538 @@
+// server/utils/matchingEngine.js - Doctor-to-job match scoring
+// The one place match scores are computed. A score is the weighted average
+// of the factors that apply to the job, scaled to 100, plus bonus points.
+// Factors are pluggable (registerFactor) and a job can override their
+// weights in matching_criteria.weights. Every score comes with a breakdown
+// saying what each factor contributed and why.
+
+const {
+  levenshteinDistance,
+  compareSpecialties,
+} = require("./medicalVocabulary");
+const { findUnmetRequirements, matchesAny } = require("./applicationScreening");
+const { convert } = require("./currency");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPERIENCE_LEVELS = {
+  resident: 1,
+  junior: 2,
+  "mid-level": 3,
+  senior: 4,
+  attending: 5,
+};
+
+// Partial credit for a required language by proficiency
+const LANGUAGE_PROFICIENCY = {
+  native: 1,
+  fluent: 1,
+  conversational: 0.75,
+  basic: 0.5,
+};
+
+const normalize = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const levelForYears = (years = 0) => {
+  if (years < 2) return "resident";
+  if (years < 5) return "junior";
+  if (years < 10) return "mid-level";
+  if (years < 20) return "senior";
+  return "attending";
+};
+
+// Synonyms ("cardiologist", "heart") and typos resolve through the medical
+// vocabulary; sub-specialties count towards their parent specialty
+const scoreSpecialty = ({ job, user }) => {
+  const relation = compareSpecialties(user.primarySpecialty, job.specialty);
+  if (relation === "same") {
+    return { ratio: 1, details: "Perfect specialty match" };
+  }
+
+  if (
+    relation === "parent" ||
+    (user.subspecialties || []).some(
+      (sub) => compareSpecialties(sub, job.specialty) === "same"
+    )
+  ) {
+    return { ratio: 0.625, details: "Subspecialty match" };
+  }
+
+  if (
+    (job.subSpecialties || []).some(
+      (sub) => compareSpecialties(sub, user.primarySpecialty) === "same"
+    )
+  ) {
+    return { ratio: 0.5, details: "Matches a listed subspecialty" };
+  }
+
+  if (relation === "sibling") {
+    return { ratio: 0.25, details: "Related subspecialty" };
+  }
+
+  return { ratio: 0, details: "No specialty match" };
+};
+
+const scoreExperienceLevel = ({ job, user }) => {
+  const required = job.experience_required?.level;
+  if (!required) return null;
+
+  const level = levelForYears(user.yearsOfExperience);
+  const gap = EXPERIENCE_LEVELS[required] - EXPERIENCE_LEVELS[level];
+  const ratio = gap <= 0 ? 1 : gap === 1 ? 0.6 : gap === 2 ? 0.2 : 0;
+  return {
+    ratio,
+    details:
+      gap <= 0
+        ? `${level} meets ${required} level`
+        : `${level}, job asks for ${required}`,
+  };
+};
+
+const scoreExperienceYears = ({ job, user }) => {
+  const required = job.experience_required?.minimum_years;
+  if (!required) return null;
+
+  const years = user.yearsOfExperience || 0;
+  if (years >= required) {
+    return {
+      ratio: 1,
+      details: `${years} years (meets ${required} requirement)`,
+    };
+  }
+  return {
+    ratio: years / required,
+    details: `${years} years (needs ${required})`,
+  };
+};
+
+const scoreSkills = ({ job, user }) => {
+  const jobSkills = (job.skills_required || []).map((skill) =>
+    skill.toLowerCase()
+  );
+  if (jobSkills.length === 0) return null;
+
+  const userSkills = (user.skills || []).map((skill) =>
+    skill.name.toLowerCase()
+  );
+  const matching = jobSkills.filter((skill) =>
+    userSkills.some(
+      (userSkill) =>
+        userSkill.includes(skill) ||
+        skill.includes(userSkill) ||
+        levenshteinDistance(userSkill, skill) <= 2
+    )
+  );
+  return {
+    ratio: matching.length / jobSkills.length,
+    details: `${matching.length}/${jobSkills.length} skills match`,
+  };
+};
+
+const scoreCertifications = ({ job, user }) => {
+  const required = [
+    ...(job.requirements?.certifications || []),
+    ...(job.requirements?.licenses || []),
+  ];
+  if (required.length === 0) return null;
+
+  const unmet = findUnmetRequirements(job, user).filter(
+    (item) => item.group === "certifications" || item.group === "licenses"
+  );
+  const met = required.length - unmet.length;
+  return {
+    ratio: met / required.length,
+    details:
+      unmet.length === 0
+        ? "Holds every required certification and license"
+        : `Missing ${unmet.map((item) => item.value).join(", ")}`,
+  };
+};
+
+const scoreLanguages = ({ job, user }) => {
+  const required = job.requirements?.languages || [];
+  if (required.length === 0) return null;
+
+  const spoken = user.languages || [];
+  const found = [];
+  const missing = [];
+  const credit = required.reduce((sum, language) => {
+    const entry = spoken.find((item) => matchesAny(language, [item.language]));
+    if (!entry) {
+      missing.push(language);
+      return sum;
+    }
+    found.push(`${language} (${entry.proficiency})`);
+    return sum + (LANGUAGE_PROFICIENCY[entry.proficiency] || 0.5);
+  }, 0);
+
+  return {
+    ratio: credit / required.length,
+    details: [
+      found.length > 0 && `Speaks ${found.join(", ")}`,
+      missing.length > 0 && `does not list ${missing.join(", ")}`,
+    ]
+      .filter(Boolean)
+      .join("; "),
+  };
+};
+
+// Preferred experience is free text ("ICU rotations", "clinical trials"),
+// found in the doctor's experience entries, skills and certifications
+const scorePreferredExperience = ({ job, user }) => {
+  const preferred = job.matching_criteria?.preferred_experience || [];
+  if (preferred.length === 0) return null;
+
+  const profileText = normalize(
+    [
+      ...(user.experiences || []).flatMap((item) => [
+        item.title,
+        item.institution,
+        item.type,
+        item.description,
+      ]),
+      ...(user.skills || []).map((skill) => skill.name),
+      ...(user.certifications || []).map((cert) => cert.name),
+      ...(user.subspecialties || []),
+    ].join(" ")
+  );
+  const profileWords = new Set(profileText.split(" "));
+
+  const found = preferred.filter((item) => {
+    const wanted = normalize(item);
+    if (!wanted) return false;
+    if (profileText.includes(wanted)) return true;
+    const words = wanted.split(" ").filter((word) => word.length > 2);
+    return words.length > 0 && words.every((word) => profileWords.has(word));
+  });
+
+  return {
+    ratio: found.length / preferred.length,
+    details: `${found.length}/${preferred.length} preferred experience found`,
+  };
+};
+
+// Hours the doctor can give before the deadline, minus blackout dates,
+// against the job's estimated hours
+const scoreAvailability = ({ job, user, now }) => {
+  const needed = job.timeline?.estimated_hours;
+  if (!needed) return null;
+
+  const weekly =
+    user.availability?.hoursPerWeek ??
+    user.job_preferences?.availability_hours_per_week;
+  if (weekly === undefined || weekly === null) {
+    return { ratio: 0.5, details: "Availability not set" };
+  }
+
+  const start = Math.max(
+    now.getTime(),
+    new Date(job.timeline.start_date || now).getTime()
+  );
+  const end = job.timeline.deadline
+    ? new Date(job.timeline.deadline).getTime()
+    : start + 7 * DAY_MS;
+  const windowDays = Math.max(1, (end - start) / DAY_MS);
+
+  const blackoutDays = (user.availability?.blackoutDates || []).reduce(
+    (sum, blackout) => {
+      const overlap =
+        Math.min(end, new Date(blackout.endDate).getTime()) -
+        Math.max(start, new Date(blackout.startDate).getTime());
+      return sum + Math.max(0, overlap / DAY_MS);
+    },
+    0
+  );
+
+  const capacity = (weekly * Math.max(0, windowDays - blackoutDays)) / 7;
+  let ratio = Math.min(1, capacity / needed);
+  if (job.timeline.flexible) ratio = Math.max(ratio, 0.5);
+
+  return {
+    ratio,
+    details:
+      `${Math.round(capacity)}h available before the deadline ` +
+      `for ${needed}h of work` +
+      (blackoutDays > 0 ? ` (${Math.ceil(blackoutDays)} blackout days)` : ""),
+  };
+};
+
+const scoreLocation = ({ job, user }) => {
+  const preference = user.job_preferences?.remote_work_preference;
+  const location = job.requirements?.location_preference || "remote";
+
+  if (location === "remote") {
+    return preference === "onsite_only"
+      ? { ratio: 0.4, details: "Remote job, prefers on-site work" }
+      : { ratio: 1, details: "Remote job" };
+  }
+  if (location === "hybrid") {
+    return preference === "onsite_only" || preference === "remote_only"
+      ? { ratio: 0.5, details: "Hybrid job, prefers one mode of work" }
+      : { ratio: 1, details: "Hybrid job" };
+  }
+  return preference === "remote_only"
+    ? { ratio: 0, details: "On-site job, prefers remote work" }
+    : { ratio: 0.6, details: "On-site job" };
+};
+
+/**
+ * Scoring factors. score(context) returns { ratio (0-1), details }, or
+ * null when the factor does not apply to the job (for example no required
+ * skills); its weight is then shared among the other factors.
+ * Default weights add up to 100.
+ */
+const FACTORS = [
+  { key: "specialty", label: "Specialty", weight: 30, score: scoreSpecialty },
+  {
+    key: "experience_level",
+    label: "Experience level",
+    weight: 15,
+    score: scoreExperienceLevel,
+  },
+  {
+    key: "experience_years",
+    label: "Years of experience",
+    weight: 10,
+    score: scoreExperienceYears,
+  },
+  { key: "skills", label: "Skills", weight: 15, score: scoreSkills },
+  {
+    key: "certifications",
+    label: "Certifications and licenses",
+    weight: 8,
+    score: scoreCertifications,
+  },
+  { key: "languages", label: "Languages", weight: 7, score: scoreLanguages },
+  {
+    key: "preferred_experience",
+    label: "Preferred experience",
+    weight: 5,
+    score: scorePreferredExperience,
+  },
+  {
+    key: "availability",
+    label: "Availability",
+    weight: 5,
+    score: scoreAvailability,
+  },
+  { key: "location", label: "Work location", weight: 5, score: scoreLocation },
+];
+
+/**
+ * Bonus points added on top of the weighted score (capped at 100).
+ * applies(context) returns { points, details } or null.
+ */
+const BONUSES = [
+  {
+    key: "verified",
+    label: "Verified profile",
+    applies: ({ user }) =>
+      user.verificationStatus?.overall === "verified"
+        ? { points: 5, details: "Verified doctor" }
+        : null,
+  },
+  {
+    key: "rating",
+    label: "Rating",
+    applies: ({ user }) => {
+      const average = user.rating?.average || 0;
+      if (average >= 4.5) return { points: 3, details: `Rated ${average}` };
+      if (average >= 4) return { points: 2, details: `Rated ${average}` };
+      return null;
+    },
+  },
+  {
+    key: "preferred_category",
+    label: "Preferred category",
+    applies: ({ job, user }) =>
+      (user.job_preferences?.preferred_categories || []).includes(
+        job.category
+      )
+        ? { points: 5, details: `Prefers ${job.category} jobs` }
+        : null,
+  },
+  {
+    key: "budget",
+    label: "Budget",
+    // In the doctor's preferred currency
+    applies: ({ job, user }) => {
+      const range = user.job_preferences?.preferred_budget_range;
+      if (!range || !job.budget?.amount) return null;
+
+      const amount = convert(
+        job.budget.amount,
+        job.budget.currency,
+        user.job_preferences.preferred_currency
+      );
+      return (!range.min || amount >= range.min) &&
+        (!range.max || amount <= range.max)
+        ? { points: 3, details: "Budget in preferred range" }
+        : null;
+    },
+  },
+];
+
+/**
+ * Add or replace a scoring factor
+ * @param {Object} factor - { key, label, weight, score(context) }
+ */
+const registerFactor = (factor) => {
+  if (!factor?.key || typeof factor.score !== "function") {
+    throw new Error("A matching factor needs a key and a score function");
+  }
+  const index = FACTORS.findIndex((item) => item.key === factor.key);
+  if (index >= 0) {
+    FACTORS[index] = factor;
+  } else {
+    FACTORS.push(factor);
+  }
+};
+
+const factorKeys = () => FACTORS.map((factor) => factor.key);
+
+/**
+ * Factor weights for a job: defaults with matching_criteria.weights applied
+ * @param {Object} job - Job document or plain object
+ * @returns {Object} Weight per factor key
+ */
+const resolveWeights = (job) => {
+  const overrides = job?.matching_criteria?.weights;
+  const custom =
+    overrides instanceof Map ? Object.fromEntries(overrides) : overrides || {};
+
+  return Object.fromEntries(
+    FACTORS.map((factor) => [
+      factor.key,
+      typeof custom[factor.key] === "number"
+        ? custom[factor.key]
+        : factor.weight,
+    ])
+  );
+};
+
+// Fields the factors and bonuses read. A change to any of them makes the
+// cached scores of that job or doctor stale (services/matchIndexService.js).
+const JOB_MATCH_FIELDS = [
+  "status",
+  "category",
+  "specialty",
+  "subSpecialties",
+  "experience_required",
+  "skills_required",
+  "requirements",
+  "matching_criteria",
+  "timeline",
+  "budget",
+];
+
+const DOCTOR_MATCH_FIELDS = [
+  "role",
+  "accountStatus",
+  "primarySpecialty",
+  "subspecialties",
+  "yearsOfExperience",
+  "skills",
+  "certifications",
+  "licenseState",
+  "languages",
+  "experiences",
+  "availability",
+  "job_preferences",
+  "verificationStatus",
+  "rating",
+];
+
+/**
+ * Whether a query update changes any of the given fields
+ * @param {Object} update - Query#getUpdate(), with or without operators
+ * @param {Array<String>} fields - Top-level field names
+ * @returns {Boolean}
+ */
+const updateTouches = (update, fields) => {
+  const paths = Object.entries(update || {}).flatMap(([key, value]) =>
+    key.startsWith("$") ? Object.keys(value || {}) : [key]
+  );
+  return paths.some((path) => fields.includes(path.split(".")[0]));
+};
+
+const getMatchLevel = (score) => {
+  if (score >= 80) return "excellent";
+  if (score >= 60) return "good";
+  if (score >= 40) return "fair";
+  return "poor";
+};
+
+/**
+ * Score a doctor against a job
+ * @param {Object} job - Job document or plain object
+ * @param {Object} user - Doctor (document or plain object)
+ * @param {Object} options - { now } for a fixed clock
+ * @returns {Object} score (0-100), level, breakdown per factor key
+ *   ({ label, weight, score, ratio, applicable, details }, where weight and
+ *   score are points out of 100) and bonuses ([{ key, label, points,
+ *   details }])
+ */
+const evaluateMatch = (job, user, { now = new Date() } = {}) => {
+  const context = { job, user, now };
+  const weights = resolveWeights(job);
+
+  const results = FACTORS.map((factor) => {
+    let result = null;
+    try {
+      result = factor.score(context);
+    } catch (error) {
+      console.error(`Error scoring match factor ${factor.key}:`, error);
+    }
+    return { factor, result, weight: weights[factor.key] };
+  });
+
+  const totalWeight = results.reduce(
+    (sum, { result, weight }) => sum + (result ? weight : 0),
+    0
+  );
+
+  let base = 0;
+  const breakdown = {};
+  results.forEach(({ factor, result, weight }) => {
+    const share = result && totalWeight > 0 ? (weight / totalWeight) * 100 : 0;
+    const ratio = result ? Math.max(0, Math.min(1, result.ratio)) : null;
+    base += share * (ratio || 0);
+
+    breakdown[factor.key] = {
+      label: factor.label,
+      weight: round1(share),
+      score: round1(share * (ratio || 0)),
+      ratio: ratio === null ? null : round1(ratio * 100) / 100,
+      applicable: Boolean(result),
+      details: result ? result.details : "Not required for this job",
+    };
+  });
+
+  const bonuses = BONUSES.map((bonus) => {
+    const result = bonus.applies(context);
+    return result && { key: bonus.key, label: bonus.label, ...result };
+  }).filter(Boolean);
+  const bonusPoints = bonuses.reduce((sum, bonus) => sum + bonus.points, 0);
+
+  const score = Math.min(100, Math.max(0, Math.round(base + bonusPoints)));
+  return { score, level: getMatchLevel(score), breakdown, bonuses };
+};
+
+module.exports = {
+  FACTORS,
+  BONUSES,
+  JOB_MATCH_FIELDS,
+  DOCTOR_MATCH_FIELDS,
+  updateTouches,
+  registerFactor,
+  factorKeys,
+  resolveWeights,
+  getMatchLevel,
+  evaluateMatch,
+};
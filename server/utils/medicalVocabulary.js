@@ -0,0 +1,550 @@
+// server/utils/medicalVocabulary.js - Medical specialty vocabulary
+// Shared by job search, doctor search, job alerts and the matching engine so
+// that "cardiologist", "cardiology" and "heart", "ER" and "emergency
+// medicine", or a typo like "cardiolgy" all resolve to the same specialty.
+
+/**
+ * Specialties and sub-specialties
+ * name: canonical name; aliases: synonyms and lay terms; abbreviations are
+ * matched as whole words only; parent links a sub-specialty to its specialty.
+ */
+const SPECIALTIES = [
+  {
+    name: "Anesthesiology",
+    aliases: ["anesthesia", "anaesthesia", "anaesthesiology", "anaesthetics"],
+    abbreviations: ["ANES", "ANESTH"],
+  },
+  {
+    name: "Cardiology",
+    aliases: ["cardiac medicine", "heart", "cardiovascular medicine"],
+    abbreviations: ["CARDS"],
+  },
+  {
+    name: "Interventional Cardiology",
+    aliases: ["cardiac catheterization", "cath lab"],
+    parent: "Cardiology",
+  },
+  {
+    name: "Electrophysiology",
+    aliases: ["cardiac electrophysiology", "arrhythmia"],
+    abbreviations: ["EP"],
+    parent: "Cardiology",
+  },
+  {
+    name: "Pediatric Cardiology",
+    aliases: ["paediatric cardiology"],
+    parent: "Cardiology",
+  },
+  {
+    name: "Dermatology",
+    aliases: ["skin", "dermatologic surgery"],
+    abbreviations: ["DERM"],
+  },
+  {
+    name: "Emergency Medicine",
+    aliases: [
+      "emergency",
+      "emergency room",
+      "emergency department",
+      "accident and emergency",
+      "casualty",
+    ],
+    abbreviations: ["ER", "EM", "ED", "A&E"],
+  },
+  {
+    name: "Endocrinology",
+    aliases: ["diabetes", "hormones", "metabolism"],
+    abbreviations: ["ENDO"],
+  },
+  {
+    name: "Family Medicine",
+    aliases: [
+      "general practice",
+      "general practitioner",
+      "primary care",
+      "family practice",
+    ],
+    abbreviations: ["GP", "FM"],
+  },
+  {
+    name: "Gastroenterology",
+    aliases: ["digestive", "gut", "hepatology", "liver"],
+    abbreviations: ["GI", "GASTRO"],
+  },
+  {
+    name: "Hematology",
+    aliases: ["haematology", "blood disorders"],
+    abbreviations: ["HEME"],
+  },
+  {
+    name: "Infectious Disease",
+    aliases: ["infectious diseases", "infection"],
+    abbreviations: ["ID"],
+  },
+  {
+    name: "Internal Medicine",
+    aliases: ["general medicine", "internist"],
+    abbreviations: ["IM"],
+  },
+  {
+    name: "Geriatric Medicine",
+    aliases: ["geriatrics", "elderly care"],
+    parent: "Internal Medicine",
+  },
+  {
+    name: "Critical Care Medicine",
+    aliases: ["critical care", "intensive care", "intensivist"],
+    abbreviations: ["ICU", "CCM"],
+    parent: "Internal Medicine",
+  },
+  {
+    name: "Hospice & Palliative Medicine",
+    aliases: ["palliative care", "hospice", "palliative medicine"],
+    parent: "Internal Medicine",
+  },
+  {
+    name: "Nephrology",
+    aliases: ["kidney", "renal", "dialysis"],
+    abbreviations: ["NEPH"],
+  },
+  {
+    name: "Neurology",
+    aliases: ["brain", "nervous system", "stroke"],
+    abbreviations: ["NEURO"],
+  },
+  {
+    name: "Obstetrics & Gynecology",
+    aliases: [
+      "obstetrics",
+      "gynecology",
+      "gynaecology",
+      "obstetrics and gynecology",
+      "womens health",
+      "maternity",
+    ],
+    abbreviations: ["OBGYN", "OB/GYN", "OB", "GYN"],
+  },
+  {
+    name: "Oncology",
+    aliases: ["cancer", "tumor", "tumour"],
+    abbreviations: ["ONC"],
+  },
+  {
+    name: "Medical Oncology",
+    aliases: ["chemotherapy"],
+    parent: "Oncology",
+  },
+  {
+    name: "Radiation Oncology",
+    aliases: ["radiotherapy", "radiation therapy"],
+    parent: "Oncology",
+  },
+  {
+    name: "Ophthalmology",
+    aliases: ["eye", "eyes", "vision"],
+    abbreviations: ["OPHTH"],
+  },
+  {
+    name: "Orthopedics",
+    aliases: ["orthopaedics", "orthopedic", "bones", "musculoskeletal"],
+    abbreviations: ["ORTHO"],
+  },
+  {
+    name: "Sports Medicine",
+    aliases: ["sports injuries", "sport medicine"],
+    parent: "Orthopedics",
+  },
+  {
+    name: "Otolaryngology",
+    aliases: ["ear nose and throat", "ear nose throat", "otorhinolaryngology"],
+    abbreviations: ["ENT", "ORL"],
+  },
+  {
+    name: "Pathology",
+    aliases: ["laboratory medicine", "histopathology"],
+    abbreviations: ["PATH"],
+  },
+  {
+    name: "Pediatrics",
+    aliases: ["paediatrics", "children", "child health", "pediatric medicine"],
+    abbreviations: ["PEDS", "PAEDS"],
+  },
+  {
+    name: "Psychiatry",
+    aliases: ["mental health", "psychological medicine"],
+    abbreviations: ["PSYCH"],
+  },
+  {
+    name: "Child & Adolescent Psychiatry",
+    aliases: ["child psychiatry", "adolescent psychiatry"],
+    abbreviations: ["CAMHS"],
+    parent: "Psychiatry",
+  },
+  {
+    name: "Pulmonology",
+    aliases: [
+      "pulmonary medicine",
+      "respiratory medicine",
+      "lungs",
+      "chest medicine",
+    ],
+    abbreviations: ["PULM"],
+  },
+  {
+    name: "Radiology",
+    aliases: ["imaging", "medical imaging", "x-ray"],
+    abbreviations: ["RAD", "RADS"],
+  },
+  {
+    name: "Diagnostic Radiology",
+    aliases: ["diagnostic imaging"],
+    parent: "Radiology",
+  },
+  {
+    name: "Interventional Radiology",
+    aliases: ["vascular and interventional radiology"],
+    abbreviations: ["IR"],
+    parent: "Radiology",
+  },
+  {
+    name: "Nuclear Medicine",
+    aliases: ["nuclear imaging"],
+    parent: "Radiology",
+  },
+  {
+    name: "Rheumatology",
+    aliases: ["arthritis", "autoimmune", "joints"],
+    abbreviations: ["RHEUM"],
+  },
+  {
+    name: "Surgery",
+    aliases: ["general surgery", "operating room"],
+    abbreviations: ["GS", "OR"],
+  },
+  {
+    name: "Cardiac Surgery",
+    aliases: ["cardiothoracic surgery", "heart surgery", "thoracic surgery"],
+    abbreviations: ["CTS"],
+    parent: "Surgery",
+  },
+  {
+    name: "Orthopedic Surgery",
+    aliases: ["orthopaedic surgery", "bone surgery"],
+    parent: "Surgery",
+  },
+  {
+    name: "Neurosurgery",
+    aliases: ["neurological surgery", "brain surgery"],
+    parent: "Surgery",
+  },
+  {
+    name: "Plastic Surgery",
+    aliases: ["reconstructive surgery", "cosmetic surgery"],
+    parent: "Surgery",
+  },
+  {
+    name: "Vascular Surgery",
+    aliases: ["vascular"],
+    parent: "Surgery",
+  },
+  {
+    name: "Pediatric Surgery",
+    aliases: ["paediatric surgery"],
+    parent: "Surgery",
+  },
+  {
+    name: "Pain Management",
+    aliases: ["pain medicine", "chronic pain"],
+    parent: "Anesthesiology",
+  },
+  {
+    name: "Urology",
+    aliases: ["urinary", "prostate", "bladder"],
+    abbreviations: ["URO"],
+  },
+];
+
+// Generic words left out when expanding free-text searches
+const GENERIC_WORDS = new Set([
+  "and",
+  "care",
+  "disease",
+  "diseases",
+  "general",
+  "medical",
+  "medicine",
+  "surgery",
+]);
+
+// Practitioner forms reduced to the specialty ("cardiologist" -> "cardiology")
+// and common misspellings of it ("dermatolgist")
+const SUFFIX_RULES = [
+  [/o?l?o?gist$/, "ology"],
+  [/iatrist$/, "iatry"],
+  [/iatrician$/, "iatrics"],
+  [/aesthetist$/, "aesthesiology"],
+  [/esthetist$/, "esthesiology"],
+  [/surgeon$/, "surgery"],
+  [/ologic$/, "ology"],
+  [/ological$/, "ology"],
+];
+
+/**
+ * Edit distance between two strings
+ * @param {String} str1
+ * @param {String} str2
+ * @returns {Number}
+ */
+const levenshteinDistance = (str1, str2) => {
+  const matrix = [];
+
+  for (let i = 0; i <= str2.length; i++) {
+    matrix[i] = [i];
+  }
+
+  for (let j = 0; j <= str1.length; j++) {
+    matrix[0][j] = j;
+  }
+
+  for (let i = 1; i <= str2.length; i++) {
+    for (let j = 1; j <= str1.length; j++) {
+      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j] + 1
+        );
+      }
+    }
+  }
+
+  return matrix[str2.length][str1.length];
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Lowercase, "&" as "and", punctuation removed, practitioner suffixes reduced
+ * @param {String} term
+ * @returns {String}
+ */
+const normalizeTerm = (term) =>
+  String(term || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) =>
+      SUFFIX_RULES.reduce(
+        (reduced, [pattern, replacement]) =>
+          reduced.replace(pattern, replacement),
+        word
+      )
+    )
+    .join(" ");
+
+// Abbreviations compare without case or punctuation ("OB/GYN" = "obgyn")
+const normalizeAbbreviation = (term) =>
+  String(term || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+// Lookup tables built once at load time
+const BY_NAME = new Map(SPECIALTIES.map((entry) => [entry.name, entry]));
+const TERM_INDEX = new Map();
+const ABBREVIATION_INDEX = new Map();
+
+SPECIALTIES.forEach((entry) => {
+  [entry.name, ...(entry.aliases || [])].forEach((term) => {
+    const normalized = normalizeTerm(term);
+    if (!TERM_INDEX.has(normalized)) TERM_INDEX.set(normalized, entry);
+  });
+  (entry.abbreviations || []).forEach((abbreviation) =>
+    ABBREVIATION_INDEX.set(normalizeAbbreviation(abbreviation), entry)
+  );
+});
+
+// Typos tolerated for a term of this length
+const maxTypos = (length) => (length < 5 ? 0 : length < 9 ? 1 : 2);
+
+/**
+ * Resolve a term to a specialty entry
+ * Tries exact names and aliases, then abbreviations, then the closest name
+ * or alias within a length-dependent number of typos.
+ * @param {String} term - e.g. "cardiologist", "ER", "dermatolgy"
+ * @param {Object} options - { abbreviations: false } to skip abbreviations
+ * @returns {Object|null} { name, aliases, abbreviations, parent }
+ */
+const resolveSpecialty = (term, { abbreviations = true } = {}) => {
+  const normalized = normalizeTerm(term);
+  if (!normalized) return null;
+
+  if (TERM_INDEX.has(normalized)) return TERM_INDEX.get(normalized);
+
+  const abbreviation = normalizeAbbreviation(term);
+  if (
+    abbreviations &&
+    abbreviation.length <= 6 &&
+    ABBREVIATION_INDEX.has(abbreviation)
+  ) {
+    return ABBREVIATION_INDEX.get(abbreviation);
+  }
+
+  const allowed = maxTypos(normalized.length);
+  if (allowed === 0) return null;
+
+  let best = null;
+  let bestDistance = allowed + 1;
+  TERM_INDEX.forEach((entry, indexed) => {
+    if (Math.abs(indexed.length - normalized.length) > allowed) return;
+    const distance = levenshteinDistance(indexed, normalized);
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+};
+
+// Sub-specialties of a specialty
+const getSubspecialties = (name) =>
+  SPECIALTIES.filter((entry) => entry.parent === name);
+
+/**
+ * Terms that should find jobs or doctors for a specialty search
+ * A resolved specialty expands to its name, aliases, abbreviations and
+ * sub-specialties; an unknown term is searched as typed.
+ * @param {String} term
+ * @returns {Array<String>}
+ */
+const getSpecialtySearchTerms = (term) => {
+  const entry = resolveSpecialty(term);
+  if (!entry) return [String(term).trim()];
+
+  const terms = new Set();
+  [entry, ...getSubspecialties(entry.name)].forEach((related) => {
+    terms.add(related.name);
+    (related.aliases || []).forEach((alias) => terms.add(alias));
+  });
+  return [...terms];
+};
+
+/**
+ * Case-insensitive regex for a specialty filter
+ * Usable directly as a MongoDB query value.
+ * @param {String} term
+ * @returns {RegExp}
+ */
+const buildSpecialtyRegex = (term) => {
+  const entry = resolveSpecialty(term);
+  const patterns = getSpecialtySearchTerms(term).map(escapeRegex);
+
+  // Abbreviations only count as whole words ("ER" must not match "general")
+  if (entry) {
+    [entry, ...getSubspecialties(entry.name)].forEach((related) =>
+      (related.abbreviations || []).forEach((abbreviation) =>
+        patterns.push(`\\b${escapeRegex(abbreviation)}\\b`)
+      )
+    );
+  }
+
+  return new RegExp(patterns.join("|"), "i");
+};
+
+/**
+ * Add specialty synonyms to a free-text search for MongoDB $text
+ * $text ORs its words, so the original words still match as before.
+ * @param {String} text - e.g. "ER night shifts"
+ * @returns {String} e.g. "ER night shifts emergency room department ..."
+ */
+const expandSearchText = (text) => {
+  const original = String(text || "").trim();
+  const words = original.split(/\s+/).filter(Boolean);
+  const entries = new Set();
+
+  // Whole query, then word pairs, then single words
+  const candidates = [original];
+  for (let i = 0; i < words.length - 1; i++) {
+    candidates.push(`${words[i]} ${words[i + 1]}`);
+  }
+  candidates.push(...words);
+
+  // In running text "or" and "ed" are words; "OR" and "ED" are abbreviations
+  candidates.forEach((candidate) => {
+    const entry = resolveSpecialty(candidate, {
+      abbreviations: candidate === candidate.toUpperCase(),
+    });
+    if (entry) entries.add(entry);
+  });
+
+  if (entries.size === 0) return original;
+
+  const extra = new Set();
+  entries.forEach((entry) =>
+    [entry.name, ...(entry.aliases || [])].forEach((term) =>
+      normalizeTerm(term)
+        .split(" ")
+        .concat(term.toLowerCase().split(/[^a-z0-9]+/))
+        .filter((word) => word.length > 1 && !GENERIC_WORDS.has(word))
+        .forEach((word) => extra.add(word))
+    )
+  );
+
+  const existing = new Set(words.map((word) => word.toLowerCase()));
+  const additions = [...extra].filter((word) => !existing.has(word));
+
+  return [original, ...additions].join(" ");
+};
+
+/**
+ * How two specialties relate
+ * @param {String} a
+ * @param {String} b
+ * @returns {String|null} "same", "parent" (one is a sub-specialty of the
+ *   other), "sibling" (same parent) or null
+ */
+const compareSpecialties = (a, b) => {
+  if (!a || !b) return null;
+
+  const first = resolveSpecialty(a);
+  const second = resolveSpecialty(b);
+
+  if (!first || !second) {
+    return normalizeTerm(a) === normalizeTerm(b) ? "same" : null;
+  }
+
+  if (first.name === second.name) return "same";
+  if (first.parent === second.name || second.parent === first.name) {
+    return "parent";
+  }
+  if (first.parent && first.parent === second.parent) return "sibling";
+  return null;
+};
+
+// Specialty entry by canonical name
+const getSpecialty = (name) => BY_NAME.get(name) || null;
+
+/**
+ * Canonical specialty name for display or grouping
+ * @param {String} term
+ * @returns {String|null}
+ */
+const canonicalSpecialty = (term) => resolveSpecialty(term)?.name || null;
+
+module.exports = {
+  SPECIALTIES,
+  levenshteinDistance,
+  normalizeTerm,
+  resolveSpecialty,
+  canonicalSpecialty,
+  getSubspecialties,
+  getSpecialtySearchTerms,
+  buildSpecialtyRegex,
+  expandSearchText,
+  compareSpecialties,
+  getSpecialty,
+};
@@ -149,21 +149,53 @@ const notifyApplicationStatus = async (
  * Notify junior doctor about job match
  * @param {String} juniorDoctorId - Junior doctor user ID
  * @param {Object} job - Matched job object
- * @param {Number} matchScore - Match score (0-100)
+ * @param {Number} matchScore - Match score (0-100), null for saved alert matches
+ * @param {Object} alert - Saved job alert the job matched (optional)
  */
-const notifyJobMatch = async (juniorDoctorId, job, matchScore) => {
+const notifyJobMatch = async (
+  juniorDoctorId,
+  job,
+  matchScore,
+  alert = null
+) => {
   return sendNotification(juniorDoctorId, "job_match", {
-    title: "New Job Match",
-    message: `We found a ${matchScore}% match: "${job.title}"`,
+    title: alert ? `New Job for "${alert.name}"` : "New Job Match",
+    message: alert
+      ? `"${job.title}" matches your saved job alert`
+      : `We found a ${matchScore}% match: "${job.title}"`,
     data: {
       jobId: job._id,
       matchScore,
+      alertId: alert?._id,
     },
     actionUrl: `/jobs/${job._id}`,
     priority: matchScore >= 80 ? "high" : "medium",
   });
 };
 
+/**
+ * Send the daily digest of a saved job alert
+ * @param {String} userId - Junior doctor user ID
+ * @param {Object} alert - Saved job alert
+ * @param {Array} jobs - Jobs that matched since the last digest
+ */
+const notifyJobAlertDigest = async (userId, alert, jobs) => {
+  const [first] = jobs;
+  return sendNotification(userId, "job_match", {
+    title: `Daily Digest: "${alert.name}"`,
+    message:
+      jobs.length === 1
+        ? `1 new job matches your alert: "${first.title}"`
+        : `${jobs.length} new jobs match your alert, including "${first.title}"`,
+    data: {
+      alertId: alert._id,
+      jobIds: jobs.map((job) => job._id),
+    },
+    actionUrl: jobs.length === 1 ? `/jobs/${first._id}` : "/job-alerts",
+    priority: "low",
+  });
+};
+
 /**
  * Notify user about profile view
  * @param {String} userId - User whose profile was viewed
@@ -324,6 +356,231 @@ const createApplicationStatusNotification = async (
   }
 };
 
+/**
+ * Warn a user about a sign-in from a device they haven't used before
+ * @param {String} userId - User ID
+ * @param {Object} loginEvent - LoginEvent for the sign-in
+ */
+const notifyNewDeviceLogin = async (userId, loginEvent) => {
+  return sendNotification(userId, "security_alert", {
+    title: "New Sign-in Detected",
+    message: `Your account was accessed from ${loginEvent.deviceName} (IP ${loginEvent.ipAddress}). If this wasn't you, change your password and sign out other devices.`,
+    data: {
+      loginEventId: loginEvent._id,
+      deviceName: loginEvent.deviceName,
+      ipAddress: loginEvent.ipAddress,
+    },
+    actionUrl: "/profile?tab=security",
+    priority: "high",
+  });
+};
+
+/**
+ * Notify user that their personal data export can be downloaded
+ * @param {String} userId - Owner of the export
+ * @param {Object} dataExport - Completed DataExport document
+ */
+const notifyDataExportReady = async (userId, dataExport) => {
+  return sendNotification(userId, "data_export", {
+    title: "Your Data Export is Ready",
+    message: `Your personal data archive is ready to download until ${dataExport.expiresAt.toUTCString()}.`,
+    data: {
+      exportId: dataExport._id,
+      expiresAt: dataExport.expiresAt,
+    },
+    actionUrl: "/profile?tab=security",
+    priority: "medium",
+  });
+};
+
+/**
+ * Notify poster that a scheduled job was published or could not be
+ * @param {String} userId - Poster user ID
+ * @param {Object} job - Job object
+ * @param {String} error - Reason the publish failed (optional)
+ */
+const notifyJobPublished = async (userId, job, error) => {
+  return sendNotification(userId, "job_lifecycle", {
+    title: error ? "Scheduled Job Not Published" : "Your Job is Live",
+    message: error
+      ? `"${job.title}" could not be published: ${error}`
+      : `"${job.title}" was published as scheduled.`,
+    data: {
+      jobId: job._id,
+      event: error ? "publish_failed" : "published",
+    },
+    actionUrl: error ? `/jobs/${job._id}/edit` : `/jobs/${job._id}`,
+    priority: error ? "high" : "medium",
+  });
+};
+
+/**
+ * Warn poster that a job is about to expire
+ * @param {String} userId - Poster user ID
+ * @param {Object} job - Job object
+ */
+const notifyJobExpiring = async (userId, job) => {
+  return sendNotification(userId, "job_lifecycle", {
+    title: "Job Expiring Soon",
+    message: `"${job.title}" closes on ${job.timeline.deadline.toUTCString()}. Extend the deadline to keep receiving applications.`,
+    data: {
+      jobId: job._id,
+      event: "expiring",
+      deadline: job.timeline.deadline,
+    },
+    actionUrl: "/jobs/manage",
+    priority: "high",
+  });
+};
+
+/**
+ * Notify poster that a job was closed because its deadline passed
+ * @param {String} userId - Poster user ID
+ * @param {Object} job - Job object
+ */
+const notifyJobExpired = async (userId, job) => {
+  return sendNotification(userId, "job_lifecycle", {
+    title: "Job Closed",
+    message: `"${job.title}" reached its deadline and was closed. Extend the deadline to reopen it.`,
+    data: {
+      jobId: job._id,
+      event: "expired",
+    },
+    actionUrl: "/jobs/manage",
+    priority: "medium",
+  });
+};
+
+/**
+ * Invite a doctor to apply for a job
+ * @param {String} doctorId - Invited doctor user ID
+ * @param {Object} job - Job object
+ * @param {Object} inviter - User who sent the invitation
+ * @param {String} note - Personal message (optional)
+ */
+const notifyJobInvitation = async (doctorId, job, inviter, note) => {
+  const message = `Dr. ${inviter.firstName} ${inviter.lastName} invited you to apply for "${job.title}".`;
+
+  return sendNotification(doctorId, "job_invitation", {
+    title: "You're Invited to Apply",
+    // Notification messages are limited to 500 characters
+    message: note ? `${message} "${note}"`.slice(0, 500) : message,
+    data: {
+      jobId: job._id,
+      invitedBy: inviter._id,
+      event: "invited",
+    },
+    actionUrl: `/jobs/${job._id}`,
+    priority: "high",
+  });
+};
+
+/**
+ * Tell the poster whether an invited doctor accepted or declined
+ * @param {String} userId - Poster user ID
+ * @param {Object} job - Job object
+ * @param {Object} doctor - Invited doctor
+ * @param {Boolean} accepted - Whether the invitation was accepted
+ */
+const notifyJobInvitationResponse = async (userId, job, doctor, accepted) => {
+  return sendNotification(userId, "job_invitation", {
+    title: accepted ? "Invitation Accepted" : "Invitation Declined",
+    message: `Dr. ${doctor.firstName} ${doctor.lastName} ${
+      accepted ? "accepted" : "declined"
+    } your invitation to "${job.title}".`,
+    data: {
+      jobId: job._id,
+      doctorId: doctor._id,
+      event: accepted ? "accepted" : "declined",
+    },
+    actionUrl: "/jobs/manage",
+    priority: "medium",
+  });
+};
+
+// Notification title and message prefix per milestone event
+const MILESTONE_EVENTS = {
+  proposed: ["Milestone Proposed", "New milestone proposed:"],
+  signed: ["Milestone Agreed", "Milestone agreed:"],
+  declined: ["Milestone Declined", "Milestone proposal declined:"],
+  started: ["Milestone Started", "Work started on milestone"],
+  submitted: ["Work Submitted", "Work submitted for review on milestone"],
+  approved: ["Milestone Approved", "Milestone approved:"],
+  revision_requested: ["Revision Requested", "Revision requested for"],
+  overdue: ["Milestone Overdue", "Milestone past its due date:"],
+};
+
+/**
+ * Tell a party to a contract that a milestone changed
+ * @param {String} userId - Recipient user ID
+ * @param {Object} application - Application with job_id populated
+ * @param {Object} milestone - Milestone subdocument
+ * @param {String} event - Key of MILESTONE_EVENTS
+ */
+const notifyMilestoneUpdate = async (userId, application, milestone, event) => {
+  const [title, text] = MILESTONE_EVENTS[event];
+  const jobTitle = application.job_id?.title || "your contract";
+
+  return sendNotification(userId, "contract_milestone", {
+    title,
+    message: `${text} "${milestone.description}" (${jobTitle})`.slice(0, 500),
+    data: {
+      applicationId: application._id,
+      milestoneId: milestone._id,
+      event,
+    },
+    actionUrl: "/applications",
+    priority: ["overdue", "revision_requested"].includes(event)
+      ? "high"
+      : "medium",
+  });
+};
+
+const ESCROW_EVENTS = {
+  funded: ["Milestone Funded", "Funds are held in escrow for"],
+  released: ["Payment Released", "Payment released for"],
+  refunded: ["Milestone Refunded", "Funds refunded for"],
+};
+
+/**
+ * Tell a party to a contract that milestone money moved
+ * @param {String} userId - Recipient user ID
+ * @param {Object} application - Application with job_id populated
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Object} escrow - Escrow document
+ * @param {String} event - Key of ESCROW_EVENTS
+ */
+const notifyEscrowUpdate = async (
+  userId,
+  application,
+  milestone,
+  escrow,
+  event
+) => {
+  const [title, text] = ESCROW_EVENTS[event];
+  const jobTitle = application.job_id?.title || "your contract";
+  // The doctor is told what reaches them after the platform fee
+  const amount =
+    event === "released" && String(userId) === String(escrow.payee)
+      ? escrow.payout_amount
+      : escrow.amount;
+
+  return sendNotification(userId, "escrow_payment", {
+    title,
+    message: `${text} "${milestone.description}" (${amount} ${
+      escrow.currency
+    }, ${jobTitle})`.slice(0, 500),
+    data: {
+      applicationId: application._id,
+      milestoneId: milestone._id,
+      escrowId: escrow._id,
+      event,
+    },
+    actionUrl: "/applications",
+    priority: "medium",
+  });
+};
+
 module.exports = {
   setSocketIO,
   createNotification,
@@ -333,11 +590,21 @@ module.exports = {
   notifyJobApplication,
   notifyApplicationStatus,
   notifyJobMatch,
+  notifyJobAlertDigest,
   notifyProfileView,
   notifyReviewReceived,
   notifyNewMessage,
   notifySubscriptionUpdate,
   notifyVerificationStatus,
+  notifyNewDeviceLogin,
+  notifyDataExportReady,
+  notifyJobPublished,
+  notifyJobExpiring,
+  notifyJobExpired,
+  notifyJobInvitation,
+  notifyJobInvitationResponse,
+  notifyMilestoneUpdate,
+  notifyEscrowUpdate,
   createJobApplicationNotification: notifyJobApplication, // Alias for compatibility
   createApplicationStatusNotification, // NEW: For status change notifications
 };